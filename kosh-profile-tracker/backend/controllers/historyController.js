@@ -0,0 +1,76 @@
+// backend/controllers/historyController.js
+const runStore = require('../services/runStore');
+const platforms = require('../services/platforms');
+const reportDiff = require('../utils/reportDiff');
+const replaySource = require('../services/replaySource');
+
+function getProfileHistory(req, res) {
+  const { platform, handle } = req.params;
+  if (!platforms.getPlatform(platform)) {
+    return res.status(400).json({ error: 'Invalid platform', message: `Supported platforms: ${platforms.listPlatforms().join(', ')}` });
+  }
+
+  const runs = runStore.listRuns(platform, handle);
+  return res.json({
+    platform,
+    handle: runStore.normalizeHandle(platform, handle),
+    count: runs.length,
+    runs
+  });
+}
+
+function getReport(req, res) {
+  const run = runStore.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Report not found', message: `No stored report with id ${req.params.id}` });
+  }
+  return res.json({ success: true, runId: run.id, report: run.report, pdfUrl: run.pdfUrl, profile: run.profile, tweets: run.tweets });
+}
+
+// GET /api/profiles/:handle/diff?from=<runId>&to=<runId>[&platform=twitter]
+// Without from/to, compares the two most recent runs of the handle.
+function getProfileDiff(req, res) {
+  const { handle } = req.params;
+  const platform = req.query.platform || 'twitter';
+  let fromRun;
+  let toRun;
+
+  if (req.query.from || req.query.to) {
+    if (!req.query.from || !req.query.to) {
+      return res.status(400).json({ error: 'Missing run ids', message: 'Provide both from and to run ids, or neither' });
+    }
+    fromRun = runStore.getRun(req.query.from);
+    toRun = runStore.getRun(req.query.to);
+    if (!fromRun || !toRun) {
+      return res.status(404).json({ error: 'Report not found', message: `Unknown run id: ${!fromRun ? req.query.from : req.query.to}` });
+    }
+    const belongs = (run) => run.handle === runStore.normalizeHandle(run.platform, handle);
+    if (!belongs(fromRun) || !belongs(toRun) || fromRun.platform !== toRun.platform) {
+      return res.status(400).json({ error: 'Run mismatch', message: `Both runs must belong to the same ${handle} profile` });
+    }
+  } else {
+    // Searches, replays and partial scrapes would show tweets as added or deleted that were
+    // only outside what they read; pick them explicitly with from/to
+    const runs = runStore.listRuns(platform, handle).filter(runStore.isBaselineRun);
+    if (runs.length < 2) {
+      return res.status(404).json({ error: 'Not enough runs', message: `Need at least two complete stored runs of ${handle} to compare (found ${runs.length})` });
+    }
+    toRun = runStore.getRun(runs[0].id);
+    fromRun = runStore.getRun(runs[1].id);
+  }
+
+  // Always diff older -> newer
+  if (fromRun.timestamp > toRun.timestamp) [fromRun, toRun] = [toRun, fromRun];
+
+  return res.json({ success: true, handle: fromRun.handle, platform: fromRun.platform, diff: reportDiff.diffRuns(fromRun, toRun) });
+}
+
+// GET /api/snapshots?handle=<handle> - saved HTML snapshots that can be replayed offline
+function listSnapshots(req, res) {
+  if (!req.query.handle) {
+    return res.status(400).json({ error: 'Missing handle', message: 'Provide a handle query parameter' });
+  }
+  return res.json({ handle: req.query.handle, snapshots: replaySource.listSnapshots(req.query.handle) });
+}
+
+module.exports = { getProfileHistory, getReport, getProfileDiff, listSnapshots };
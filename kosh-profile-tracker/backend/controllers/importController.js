@@ -0,0 +1,33 @@
+// backend/controllers/importController.js
+const analysisService = require('../services/analysisService');
+const linkedinImport = require('../services/linkedinImport');
+
+// POST /api/imports/linkedin?handle=<vanity name>
+// Body: the ZIP from LinkedIn's "Download your data" (Content-Type: application/zip).
+// Analyzes the export like /api/analyze does a live profile, without a browser.
+async function importLinkedInArchive(req, res) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Missing archive', message: 'Send the export ZIP as the request body with Content-Type: application/zip' });
+  }
+  const handle = req.query.handle;
+  if (handle !== undefined && !/^[A-Za-z0-9][A-Za-z0-9-]{1,99}$/.test(handle)) {
+    return res.status(400).json({ error: 'Invalid handle', message: 'handle must be the LinkedIn vanity name from linkedin.com/in/<name>' });
+  }
+
+  let profileData;
+  try {
+    profileData = linkedinImport.importArchive(req.body, { handle });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid archive', message: error.message });
+  }
+
+  try {
+    const result = await analysisService.runAnalysis({ handle: profileData.handle, platform: 'linkedin' }, { importedProfile: profileData });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Error analyzing LinkedIn export:', error.message);
+    return res.status(500).json({ error: 'Analysis failed', message: error.message });
+  }
+}
+
+module.exports = { importLinkedInArchive };
@@ -0,0 +1,116 @@
+// backend/controllers/jobController.js
+const analysisService = require('../services/analysisService');
+const jobManager = require('../services/jobManager');
+const checkpointStore = require('../services/checkpointStore');
+
+const HEARTBEAT_MS = 15000;
+
+function createJob(req, res) {
+  const { handle, platform, replayFiles, incremental, threads, archiveMedia, audience, scrapeOptions } = req.body;
+  const invalid = analysisService.validateAnalysisInput({ handle, platform, replayFiles, incremental, threads, archiveMedia, audience, scrapeOptions });
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const job = jobManager.createJob({ handle, platform, incremental: !!incremental, replayFiles, threads: !!threads, archiveMedia: !!archiveMedia, audience: !!audience, scrapeOptions: scrapeOptions || null }, runJob);
+
+  console.log(`🧾 Created job ${job.id} for ${platform} profile: ${handle}`);
+  return res.status(202).json(jobLinks(job));
+}
+
+// Each job checkpoints its scrape under its own id, so it can be resumed
+function runJob(params, emit, job) {
+  return analysisService.runAnalysis(params, {
+    onProgress: emit,
+    incremental: params.incremental,
+    replayFiles: params.replayFiles,
+    threads: params.threads,
+    archiveMedia: params.archiveMedia,
+    audience: params.audience,
+    scrapeOptions: params.scrapeOptions,
+    checkpointId: job.id,
+    resumeFrom: params.resumeFrom
+  });
+}
+
+function jobLinks(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  };
+}
+
+// Start a new job from the checkpoint of a failed, timed-out or interrupted one.
+// The checkpoint carries the original parameters, so this works after a restart too.
+function resumeJob(req, res) {
+  const { id } = req.params;
+  const previous = jobManager.getJob(id);
+  if (previous && !jobManager.isFinished(previous)) {
+    return res.status(409).json({ error: 'Job still running', message: `Job ${id} has not finished yet` });
+  }
+
+  const checkpoint = checkpointStore.loadCheckpoint(id);
+  if (!checkpoint || !checkpoint.params) {
+    return res.status(404).json({ error: 'Checkpoint not found', message: `Job ${id} left no checkpoint to resume from` });
+  }
+
+  const job = jobManager.createJob(Object.assign({}, checkpoint.params, { resumeFrom: id }), runJob);
+  const recovered = Array.isArray(checkpoint.tweets) ? checkpoint.tweets.length : 0;
+  console.log(`♻️ Created job ${job.id} resuming ${id} (${recovered} tweets recovered)`);
+  return res.status(202).json(Object.assign(jobLinks(job), { resumedFrom: id, tweetsRecovered: recovered }));
+}
+
+function getJob(req, res) {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No job with id ${req.params.id}` });
+  }
+  // A failed job can be resumed only if its scrape left a checkpoint
+  const checkpointId = job.status === 'failed' && checkpointStore.loadCheckpoint(job.id) ? job.id : '';
+  return res.json(Object.assign(jobManager.serializeJob(job), { checkpointId }));
+}
+
+// Server-Sent Events stream of job progress. Replays past events (after Last-Event-ID
+// when the browser reconnects), then follows live ones.
+function streamJobEvents(req, res) {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No job with id ${req.params.id}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const lastSeq = Number(req.headers['last-event-id']) || 0;
+  const send = (event) => {
+    res.write(`id: ${event.seq}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  job.events.filter(event => event.seq > lastSeq).forEach(send);
+
+  if (jobManager.isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const onEnd = () => { cleanup(); res.end(); };
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.emitter.off('event', send);
+    job.emitter.off('end', onEnd);
+  };
+
+  job.emitter.on('event', send);
+  job.emitter.on('end', onEnd);
+  req.on('close', cleanup);
+}
+
+module.exports = { createJob, resumeJob, getJob, streamJobEvents };
@@ -0,0 +1,11 @@
+// backend/controllers/platformController.js
+const platforms = require('../services/platforms');
+
+// GET /api/platforms
+// The networks that can be analyzed, in the order the frontends offer them, with the
+// label, placeholder, icon and optional request fields of each.
+function listPlatforms(req, res) {
+  return res.json({ platforms: platforms.describePlatforms() });
+}
+
+module.exports = { listPlatforms };
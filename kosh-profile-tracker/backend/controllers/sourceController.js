@@ -0,0 +1,19 @@
+// backend/controllers/sourceController.js
+const twitterSources = require('../services/twitterSources');
+const sourceHealth = require('../services/sourceHealth');
+
+// GET /api/sources/health
+// Configured Twitter sources in the order the next scrape would try them, with their
+// recorded health. Sources dropped from the configuration are listed with configured: false.
+function getSourceHealth(req, res) {
+  try {
+    const configured = twitterSources.buildSources();
+    const order = sourceHealth.rankSources(configured).map(s => s.name);
+    return res.json({ sources: sourceHealth.getHealth(configured), nextOrder: order });
+  } catch (error) {
+    console.error('❌ Error reading source health:', error.message);
+    return res.status(500).json({ error: 'Could not read source health', message: error.message });
+  }
+}
+
+module.exports = { getSourceHealth };
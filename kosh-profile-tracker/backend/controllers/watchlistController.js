@@ -0,0 +1,39 @@
+// backend/controllers/watchlistController.js
+const watchlistService = require('../services/watchlistService');
+const alertService = require('../services/alertService');
+
+function listWatchlist(req, res) {
+  return res.json({ entries: watchlistService.listEntries() });
+}
+
+function addToWatchlist(req, res) {
+  try {
+    const entry = watchlistService.addEntry(req.body || {});
+    return res.status(201).json({ success: true, entry });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid watchlist entry', message: error.message });
+  }
+}
+
+function removeFromWatchlist(req, res) {
+  if (!watchlistService.removeEntry(req.params.id)) {
+    return res.status(404).json({ error: 'Watchlist entry not found', message: `No watchlist entry with id ${req.params.id}` });
+  }
+  return res.json({ success: true });
+}
+
+function runWatchlistEntry(req, res) {
+  if (!watchlistService.getEntry(req.params.id)) {
+    return res.status(404).json({ error: 'Watchlist entry not found', message: `No watchlist entry with id ${req.params.id}` });
+  }
+  const queued = watchlistService.enqueue(req.params.id);
+  return res.status(202).json({ success: true, queued, message: queued ? 'Scan queued' : 'Scan already queued or running' });
+}
+
+function listAlerts(req, res) {
+  const since = Number(req.query.since) || 0;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  return res.json({ alerts: alertService.listAlerts({ since, limit, handle: req.query.handle, platform: req.query.platform }) });
+}
+
+module.exports = { listWatchlist, addToWatchlist, removeFromWatchlist, runWatchlistEntry, listAlerts };
@@ -2,6 +2,14 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const profileController = require('./controllers/profileController');
+const jobController = require('./controllers/jobController');
+const historyController = require('./controllers/historyController');
+const watchlistController = require('./controllers/watchlistController');
+const sourceController = require('./controllers/sourceController');
+const importController = require('./controllers/importController');
+const platformController = require('./controllers/platformController');
+const watchlistService = require('./services/watchlistService');
+const browserPool = require('./services/browserPool');
 
 const app = express();
 const PORT = 3000;
@@ -15,7 +23,23 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/reports', express.static(path.join(__dirname, 'reports')));
 
 // Routes
+app.get('/api/platforms', platformController.listPlatforms);
 app.post('/api/analyze', profileController.analyzeProfile);
+app.post('/api/jobs', jobController.createJob);
+app.post('/api/jobs/:id/resume', jobController.resumeJob);
+app.get('/api/jobs/:id', jobController.getJob);
+app.get('/api/jobs/:id/events', jobController.streamJobEvents);
+app.get('/api/profiles/:platform/:handle/history', historyController.getProfileHistory);
+app.get('/api/profiles/:handle/diff', historyController.getProfileDiff);
+app.get('/api/reports/:id', historyController.getReport);
+app.get('/api/snapshots', historyController.listSnapshots);
+app.get('/api/watchlist', watchlistController.listWatchlist);
+app.post('/api/watchlist', watchlistController.addToWatchlist);
+app.delete('/api/watchlist/:id', watchlistController.removeFromWatchlist);
+app.post('/api/watchlist/:id/run', watchlistController.runWatchlistEntry);
+app.get('/api/alerts', watchlistController.listAlerts);
+app.get('/api/sources/health', sourceController.getSourceHealth);
+app.post('/api/imports/linkedin', express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '100mb' }), importController.importLinkedInArchive);
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Kosh Profile Tracker is running' });
 });
@@ -29,7 +53,24 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Kosh Profile Tracker Backend running on http://localhost:${PORT}`);
   console.log(`📊 Reports available at http://localhost:${PORT}/reports`);
-});
\ No newline at end of file
+  watchlistService.start();
+});
+
+// Stop scheduling, let running scrapes finish and close the pooled browsers before exiting
+let shuttingDown = false;
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down...`);
+  watchlistService.stop();
+  server.close();
+  browserPool.drain()
+    .catch(e => console.error('❌ Error draining browser pool:', e.message))
+    .finally(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,147 @@
+// backend/services/alertService.js
+// Evaluates watchlist alert rules against consecutive runs and delivers the alerts
+// to the in-app feed (data/alerts.jsonl) and an optional local webhook.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const runStore = require('./runStore');
+const { tweetKey } = require('../utils/tweetUtils');
+
+const DATA_DIR = process.env.KOSH_DATA_DIR || path.join(__dirname, '../data');
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.jsonl');
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Compare the current run with the previous one using the entry's rules:
+ * - followerJumpPct: number  - follower count changed by more than X% (either direction)
+ * - riskLevel: 'High'       - suspiciousActivity.riskLevel changed to this level
+ * - keywords: ['foo']       - a tweet not seen in the previous run contains a keyword
+ * The first run of a handle only sets the baseline, except for riskLevel.
+ * Returns a list of { type, message, details }.
+ */
+function evaluateAlerts(rules = {}, previousRun, currentRun) {
+  const alerts = [];
+  if (!currentRun) return alerts;
+
+  const prevProfile = (previousRun && previousRun.profile) || {};
+  const currProfile = currentRun.profile || {};
+
+  if (previousRun && Number(rules.followerJumpPct) > 0) {
+    const before = Number(prevProfile.followers || 0);
+    const after = Number(currProfile.followers || 0);
+    if (before > 0) {
+      const pct = ((after - before) / before) * 100;
+      if (Math.abs(pct) > Number(rules.followerJumpPct)) {
+        alerts.push({
+          type: 'followerJump',
+          message: `Followers ${pct > 0 ? 'rose' : 'fell'} ${Math.abs(pct).toFixed(1)}% (${before} → ${after})`,
+          details: { before, after, pct: Number(pct.toFixed(2)), threshold: Number(rules.followerJumpPct) }
+        });
+      }
+    }
+  }
+
+  if (rules.riskLevel) {
+    const prevLevel = previousRun && previousRun.report && previousRun.report.suspiciousActivity
+      ? previousRun.report.suspiciousActivity.riskLevel : null;
+    const currLevel = currentRun.report && currentRun.report.suspiciousActivity
+      ? currentRun.report.suspiciousActivity.riskLevel : null;
+    if (currLevel === rules.riskLevel && prevLevel !== rules.riskLevel) {
+      alerts.push({
+        type: 'riskLevel',
+        message: `Risk level changed to ${currLevel}${prevLevel ? ` (was ${prevLevel})` : ''}`,
+        details: { before: prevLevel, after: currLevel, flags: currentRun.report.suspiciousActivity.flags || [] }
+      });
+    }
+  }
+
+  const keywords = (Array.isArray(rules.keywords) ? rules.keywords : [])
+    .map(k => String(k).trim().toLowerCase())
+    .filter(Boolean);
+  if (previousRun && keywords.length > 0) {
+    const seen = new Set(((previousRun && previousRun.tweets) || []).map(tweetKey));
+    (currentRun.tweets || []).forEach(t => {
+      if (seen.has(tweetKey(t))) return;
+      const text = String(t.text || '').toLowerCase();
+      const matched = keywords.filter(k => text.includes(k));
+      if (matched.length > 0) {
+        alerts.push({
+          type: 'keyword',
+          message: `New tweet matches ${matched.map(k => `"${k}"`).join(', ')}`,
+          details: { keywords: matched, tweet: { id: t.id || '', text: t.text || '', time: t.time || '', permalink: t.permalink || '' } }
+        });
+      }
+    });
+  }
+
+  return alerts;
+}
+
+/** Record alerts in the feed and post them to the webhook (if any). Returns the stored alerts. */
+async function deliverAlerts(entry, runId, alerts, webhookUrl) {
+  if (!alerts || alerts.length === 0) return [];
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const stored = alerts.map(a => Object.assign({
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    watchlistId: entry.id,
+    platform: entry.platform,
+    handle: runStore.normalizeHandle(entry.platform, entry.handle),
+    runId
+  }, a));
+
+  fs.appendFileSync(ALERTS_FILE, stored.map(a => JSON.stringify(a)).join('\n') + '\n', 'utf-8');
+  stored.forEach(a => console.log(`🚨 Alert [${a.handle}] ${a.message}`));
+
+  if (webhookUrl) {
+    try {
+      await postJson(webhookUrl, { alerts: stored });
+    } catch (e) {
+      console.warn(`⚠️ Alert webhook failed (${webhookUrl}): ${e.message}`);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Alert feed, newest first. A handle is read the way its platform reads handles (a
+ * Mastodon address, a LinkedIn URL); without a platform it matches alerts of any platform.
+ */
+function listAlerts({ since = 0, limit = 100, handle, platform } = {}) {
+  if (!fs.existsSync(ALERTS_FILE)) return [];
+  const matchesProfile = (a) => (!platform || a.platform === platform) &&
+    (!handle || a.handle === runStore.normalizeHandle(a.platform, handle));
+  return fs.readFileSync(ALERTS_FILE, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try { return JSON.parse(line); } catch (e) { return null; }
+    })
+    .filter(a => a && a.createdAt > since && matchesProfile(a))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+function postJson(url, body) {
+  const http = require('http');
+  const https = require('https');
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const client = url.startsWith('https') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 400) return reject(new Error(`Webhook responded ${res.statusCode}`));
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => { req.destroy(new Error('Webhook timeout')); });
+    req.end(payload);
+  });
+}
+
+module.exports = { evaluateAlerts, deliverAlerts, listAlerts };
@@ -0,0 +1,281 @@
+// backend/services/analysisService.js
+// Shared analysis pipeline used by both the blocking /api/analyze route and the job API
+const path = require('path');
+const fs = require('fs');
+const platforms = require('./platforms');
+const pdfGenerator = require('../utils/pdfGenerator');
+const runStore = require('./runStore');
+const mediaArchive = require('./mediaArchive');
+const checkpointStore = require('./checkpointStore');
+const { downloadFile } = require('../utils/download');
+const { summarizeThreads } = require('../utils/threadUtils');
+const { analyzeAudience } = require('../utils/audienceUtils');
+
+// What the frontends show for each reason an account cannot be analyzed (see
+// twitterExtractors.detectAccountState and the LinkedIn result types)
+const UNAVAILABLE_MESSAGES = {
+  not_found: "This account doesn't exist. Check the handle for typos.",
+  suspended: 'This account has been suspended.',
+  protected: "This account's posts are protected; only approved followers can see them.",
+  rate_limited: 'Every source is rate limiting requests right now. Try again later or resume the scan.',
+  blocked: 'LinkedIn showed a sign-in wall instead of the profile, so nothing was analyzed.',
+  error: 'The profile page could not be read.'
+};
+
+/**
+ * Validate an analysis request body.
+ * Returns null when valid, otherwise { error, message } suitable for a 400 response.
+ */
+function validateAnalysisInput({ handle, platform, replayFiles, incremental, threads, archiveMedia, audience, scrapeOptions } = {}) {
+  if (!handle || !platform) {
+    return { error: 'Missing required fields', message: 'Please provide both handle and platform' };
+  }
+  const platformModule = platforms.getPlatform(platform);
+  if (!platformModule) {
+    return { error: 'Invalid platform', message: `Supported platforms: ${platforms.listPlatforms().join(', ')}` };
+  }
+  const invalidHandle = platformModule.validateHandle && platformModule.validateHandle(handle);
+  if (invalidHandle) {
+    return invalidHandle;
+  }
+  if (replayFiles !== undefined) {
+    if (!Array.isArray(replayFiles) || replayFiles.some(f => typeof f !== 'string' || !f.endsWith('.html') || path.basename(f) !== f)) {
+      return { error: 'Invalid replay files', message: 'replayFiles must be a list of snapshot .html file names' };
+    }
+    if (!platformModule.features.includes('replay')) {
+      return { error: 'Invalid replay files', message: `Snapshot replay is not available for ${platformModule.label}` };
+    }
+  }
+  if (incremental !== undefined && typeof incremental !== 'boolean') {
+    return { error: 'Invalid incremental option', message: 'incremental must be true or false' };
+  }
+  if (threads !== undefined && typeof threads !== 'boolean') {
+    return { error: 'Invalid threads option', message: 'threads must be true or false' };
+  }
+  if (archiveMedia !== undefined && typeof archiveMedia !== 'boolean') {
+    return { error: 'Invalid archiveMedia option', message: 'archiveMedia must be true or false' };
+  }
+  if (audience !== undefined && typeof audience !== 'boolean') {
+    return { error: 'Invalid audience option', message: 'audience must be true or false' };
+  }
+  // Options the platform does not declare among its features are refused, not ignored
+  const requested = { incremental, threads, archiveMedia, audience, scrapeOptions };
+  const unsupported = Object.keys(requested).find(option =>
+    requested[option] !== undefined && requested[option] !== null && requested[option] !== false && !platformModule.features.includes(option));
+  if (unsupported) {
+    return { error: `Invalid ${unsupported} option`, message: `${unsupported} is not available for ${platformModule.label}` };
+  }
+  return platformModule.validateOptions ? platformModule.validateOptions({ handle, replayFiles, incremental, threads, archiveMedia, audience, scrapeOptions }) : null;
+}
+
+/**
+ * Scrape a profile, build the report and render the PDF.
+ * Options:
+ * - onProgress: function(event) called with { type, phase, message, ... } as the run advances
+ * - incremental: boolean - Twitter only; scrape only what is newer than the latest stored
+ *   run of the handle and merge it into that run's tweets
+ * - replayFiles: string[] - Twitter only; analyze saved snapshots instead of scraping live
+ * - threads: boolean - Twitter only; reconstruct the threads of replies and thread starters
+ * - archiveMedia: boolean - download the tweets' media into data/media/<runId>/ and record
+ *   their SHA-256 hashes in report.mediaArchive
+ * - audience: boolean - Twitter only; sample followers and followings for the audience
+ *   quality section
+ * - scrapeOptions: object - Twitter only; date range, tweet limits, time budget, sources,
+ *   snapshots and search mode (see utils/scrapeOptions); the applied values end up in
+ *   report.scrapeOptions and a search run records its query in report.search
+ * - checkpointId: string - Twitter only; keep a checkpoint of the scrape under this id (see
+ *   checkpointStore), removed once the run completes in full
+ * - resumeFrom: string - Twitter only; id of the checkpoint of an interrupted run to continue
+ * - importedProfile: object - LinkedIn only; profile data read from a data export (see
+ *   linkedinImport) to analyze instead of scraping
+ *
+ * A scrape that timed out or failed midway still produces a report, marked `partial: true`.
+ *
+ * Every successful run is persisted in the run store.
+ *
+ * Resolves with { success: true, runId, report, pdfUrl } or, when the account cannot be read,
+ * { success: false, accountState, reason, protected, message } where accountState is
+ * 'not_found', 'suspended', 'protected' or 'rate_limited', or for LinkedIn 'blocked' or
+ * 'error' (see linkedinScraper.scrapeProfile). A rate-limited run keeps its checkpoint so
+ * it can be resumed. No report, score or PDF is made for these.
+ */
+async function runAnalysis({ handle, platform }, options = {}) {
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+  console.log(`📊 Analyzing ${platform} profile: ${handle}`);
+
+  const platformModule = platforms.getPlatform(platform);
+  if (!platformModule) throw new Error(`Unsupported platform: ${platform}`);
+  const { profileData, scrapeOptions: applied } = await platformModule.scrape(handle, options, {
+    onProgress,
+    latestRun: (filter = () => true) => runStore.getLatestRun(platform, handle, (run) => runStore.isBaselineRun(run) && filter(run))
+  });
+
+  const accountState = profileData.accountState || (profileData.accountExists === false ? 'not_found' : 'active');
+  if (accountState !== 'active') {
+    if (options.checkpointId && accountState !== 'rate_limited') checkpointStore.deleteCheckpoint(options.checkpointId);
+    onProgress({ type: 'phase', phase: 'unavailable', message: UNAVAILABLE_MESSAGES[accountState] || 'Account not available' });
+    return {
+      success: false,
+      accountState,
+      reason: profileData.reason || 'Account not available',
+      protected: !!profileData.protected,
+      message: accountState === 'error' && profileData.stateMessage
+        ? `${UNAVAILABLE_MESSAGES.error} ${profileData.stateMessage}`
+        : UNAVAILABLE_MESSAGES[accountState] || profileData.reason || 'Account not available.',
+      // A rate-limited scan keeps its checkpoint so it can be retried later
+      checkpointId: accountState === 'rate_limited' && options.checkpointId ? (profileData.checkpointId || '') : ''
+    };
+  }
+
+  onProgress({ type: 'phase', phase: 'report', message: 'Building analysis report' });
+
+  const report = buildReport(profileData, platform, handle);
+  report.scrapeOptions = applied;
+  const profile = report.profile;
+
+  // ensure reports dir exists
+  const reportsDir = path.join(__dirname, '../reports');
+  if (!fs.existsSync(reportsDir)) fs.mkdirSync(reportsDir, { recursive: true });
+
+  // optional: download avatar image if present (non-blocking)
+  if (profileData.profileImage) {
+    try {
+      const dest = path.join(reportsDir, `${profile.handle.replace('@','')}_avatar.jpg`);
+      // The URL comes from the scraped profile, so it must not lead into the local network
+      await downloadFile(profileData.profileImage, dest, { accept: /^image\//, maxBytes: 5 * 1024 * 1024, publicOnly: true });
+      report.profile.avatarPath = dest;
+    } catch (e) {
+      // continue without avatar
+    }
+  }
+
+  if (options.archiveMedia) {
+    const runId = runStore.runIdFor(platform, handle, report.timestamp);
+    onProgress({ type: 'phase', phase: 'archive', message: 'Archiving media' });
+    try {
+      report.mediaArchive = await mediaArchive.archiveMedia(runId, report.tweets, {
+        onProgress: ({ done, total }) => onProgress({ type: 'archive', done, total })
+      });
+    } catch (e) {
+      console.warn(`⚠️ Media archive failed: ${e.message}`);
+      report.mediaArchive = { runId, error: e.message, items: [], failed: [] };
+    }
+  }
+
+  // generate PDF (defensive)
+  console.log('📄 Generating PDF report...');
+  onProgress({ type: 'phase', phase: 'pdf', message: 'Generating PDF report' });
+  const pdfPath = await pdfGenerator.generatePDF(report, handle, platformModule.pdf);
+  console.log('✅ PDF generated:', path.basename(pdfPath));
+  const pdfUrl = `/reports/${path.basename(pdfPath)}`;
+
+  let runId = null;
+  try {
+    runId = runStore.saveRun({ platform, handle, profileData, report, pdfUrl }).id;
+  } catch (e) {
+    console.warn(`⚠️ Could not store run: ${e.message}`);
+  }
+
+  // A partial run keeps its checkpoint so it can be resumed
+  if (options.checkpointId && !report.partial) checkpointStore.deleteCheckpoint(options.checkpointId);
+
+  return { success: true, runId, report, pdfUrl };
+}
+
+/**
+ * Turn scraped profile data into the report the frontends and PDF generator consume.
+ * The platform's report builder output is used where present; every field the frontends
+ * read gets a safe default so a thin scrape never crashes the UI.
+ */
+function buildReport(profileData, platform, handle) {
+  let initialReport = {};
+  try {
+    initialReport = platforms.generateReport(profileData, platform) || {};
+  } catch (e) {
+    console.warn('Report builder threw; falling back to normalization.', e && e.message ? e.message : e);
+    initialReport = {};
+  }
+
+  const now = Date.now();
+  const tweets = Array.isArray(profileData.tweets) ? profileData.tweets : [];
+  const tweetsAnalyzed = tweets.length;
+  const threads = Array.isArray(profileData.threads) ? profileData.threads : [];
+  const threadAnalysis = initialReport.threadAnalysis || summarizeThreads(tweets, threads);
+  const audience = profileData.audience || null;
+  const audienceQuality = initialReport.audienceQuality !== undefined ? initialReport.audienceQuality : analyzeAudience(audience);
+
+  const totalEngagement = tweets.reduce((s, t) => s + (Number(t.likes || 0) + Number(t.retweets || 0) + Number(t.replies || 0)), 0);
+  const avgEng = tweetsAnalyzed ? Math.round(totalEngagement / tweetsAnalyzed) : 0;
+
+  const profile = {
+    name: profileData.name || (initialReport.profile && initialReport.profile.name) || '',
+    handle: profileData.handle || (initialReport.profile && initialReport.profile.handle) || `@${handle.replace('@','')}`,
+    bio: profileData.bio || (initialReport.profile && initialReport.profile.bio) || '',
+    location: profileData.location || (initialReport.profile && initialReport.profile.location) || '',
+    website: profileData.website || (initialReport.profile && initialReport.profile.website) || '',
+    joinDate: profileData.joinDate || (initialReport.profile && initialReport.profile.joinDate) || '',
+    joinedAt: profileData.joinedAt || '',
+    accountAge: (initialReport.profile && initialReport.profile.accountAge) || '',
+    verified: !!profileData.verified || !!(initialReport.profile && initialReport.profile.verified),
+    postsCount: Number(profileData.postsCount || 0),
+    likesCount: Number(profileData.likesCount || 0),
+    bannerImage: profileData.bannerImage || '',
+    professionalCategory: profileData.professionalCategory || '',
+    affiliation: profileData.affiliation || null,
+    pinnedTweet: profileData.pinnedTweet || null,
+    avatarPath: (initialReport.profile && initialReport.profile.avatarPath) || ''
+  };
+
+  // make sure the frontend fields exist (safe defaults)
+  const safeContentAnalysis = (initialReport.contentAnalysis) ? initialReport.contentAnalysis : {
+    contentTypes: initialReport.contentAnalysis?.contentTypes || { Original: 0, Replies: 0, Retweets: 0, WithMedia: 0, WithLinks: 0 },
+    sentimentDistribution: initialReport.contentAnalysis?.sentimentDistribution || { positive: 0, neutral: 0, negative: 0 },
+    hashtagUsage: initialReport.contentAnalysis?.hashtagUsage || { topHashtags: [] }
+  };
+
+  const report = {
+    timestamp: now,
+    platform: platform.charAt(0).toUpperCase() + platform.slice(1),
+    profile,
+    statistics: Object.assign({
+      followersRaw: Number(profileData.followers || 0),
+      followingRaw: Number(profileData.following || 0),
+      tweetsAnalyzed,
+      unitsAnalyzed: threadAnalysis.units,
+      avgEngagementPerTweet: avgEng,
+      totalEngagement
+    }, initialReport.statistics || {}),
+    analysis: initialReport.analysis || {},
+    contentAnalysis: safeContentAnalysis,
+    engagementAnalysis: initialReport.engagementAnalysis || { averageLikes: 0, averageRetweets: 0, averageReplies: 0, averageViews: 0, engagementRate: '0%', viralityScore: 'Low' },
+    behaviorAnalysis: initialReport.behaviorAnalysis || {},
+    suspiciousActivity: initialReport.suspiciousActivity || { hasSuspiciousPatterns: false, flags: [], details: [] },
+    insights: initialReport.insights || [],
+    recommendations: initialReport.recommendations || [],
+    tweets,
+    threads,
+    threadAnalysis,
+    audience,
+    audienceQuality,
+    search: profileData.search || null,
+    // LinkedIn profile sections (see generateLinkedInReport)
+    experience: initialReport.experience || null,
+    education: initialReport.education || null,
+    certifications: initialReport.certifications || null,
+    languages: initialReport.languages || null,
+    skills: initialReport.skills || null,
+    topTweets: initialReport.topTweets || tweets.slice().sort((a,b) => ((b.likes||0)+(b.retweets||0)+(b.replies||0)) - ((a.likes||0)+(a.retweets||0)+(a.replies||0))).slice(0, 10),
+    hidden: initialReport.hidden || {},
+    incremental: profileData.incremental || null,
+    replay: profileData.replay || null,
+    import: profileData.import || null,
+    partial: !!profileData.partial,
+    partialReason: profileData.partialReason || '',
+    checkpointId: profileData.partial ? (profileData.checkpointId || '') : ''
+  };
+
+  return report;
+}
+
+module.exports = { runAnalysis, validateAnalysisInput, buildReport };
@@ -0,0 +1,356 @@
+// backend/services/browserPool.js
+// Shared Chromium pool for the scrapers. Analyses lease a browser slot instead of
+// launching their own Chromium; when every slot is taken they wait in a FIFO queue.
+// - at most maxBrowsers Chromium processes, each serving at most maxPages leases
+// - pages are recycled between leases (reset to about:blank) and browsers are
+//   restarted after maxUsesPerBrowser pages
+// - crashed browsers are dropped and replaced on the next lease
+// - browsers with no leases are closed after idleMs
+// - drain() refuses new leases, waits for running ones and closes everything
+// - pages behind a proxy or carrying a cookie jar get their own browser context and are
+//   closed with it instead of being recycled
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const scraperConfig = require('./scraperConfig');
+
+puppeteer.use(StealthPlugin());
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins,site-per-process',
+  '--window-size=1920,1080'
+];
+
+const DEFAULTS = {
+  maxBrowsers: Math.max(1, Number(process.env.BROWSER_POOL_MAX_BROWSERS) || 2),
+  maxPages: Math.max(1, Number(process.env.BROWSER_POOL_MAX_PAGES) || 3),
+  maxUsesPerBrowser: Math.max(1, Number(process.env.BROWSER_POOL_MAX_USES) || 50),
+  maxIdlePages: 2,
+  idleMs: Number(process.env.BROWSER_POOL_IDLE_MS) || 60 * 1000,
+  acquireTimeoutMs: 15 * 60 * 1000
+};
+
+function defaultLaunch() {
+  return puppeteer.launch({ headless: 'new', args: LAUNCH_ARGS });
+}
+
+/**
+ * Create a pool. Options (all optional): maxBrowsers, maxPages, maxUsesPerBrowser,
+ * maxIdlePages, idleMs, acquireTimeoutMs, launch: () => Promise<Browser>,
+ * beforeNavigate: (url) => Promise - awaited before every page.goto() (request pacing).
+ */
+function createBrowserPool(options = {}) {
+  const config = Object.assign({}, DEFAULTS, options);
+  const launch = options.launch || defaultLaunch;
+
+  const entries = new Set(); // { browser, leases, uses, idlePages, idleTimer, dead, launching }
+  const queue = [];          // waiting acquires: { resolve, reject, timer }
+  let draining = false;
+  let nextEntryId = 1;
+
+  function liveEntries() {
+    return Array.from(entries).filter(e => !e.dead);
+  }
+
+  function discard(entry, reason) {
+    if (entry.dead) return;
+    entry.dead = true;
+    entries.delete(entry);
+    if (entry.idleTimer) clearTimeout(entry.idleTimer);
+    if (reason) console.warn(`⚠️ Browser #${entry.id} dropped from pool: ${reason}`);
+    if (entry.browser) {
+      entry.browser.close().catch(() => {});
+    }
+    // A freed slot may let a queued analysis start
+    setImmediate(pump);
+  }
+
+  // Registers the entry synchronously (so it counts towards maxBrowsers at once);
+  // entry.launching resolves when Chromium is up
+  function launchEntry() {
+    const entry = { id: nextEntryId++, browser: null, leases: 0, uses: 0, idlePages: [], idleTimer: null, dead: false, closing: false, launching: null };
+    entries.add(entry);
+    entry.launching = Promise.resolve().then(launch).then(browser => {
+      entry.browser = browser;
+      entry.launching = null;
+      if (typeof browser.on === 'function') {
+        browser.on('disconnected', () => discard(entry, entry.closing ? null : 'browser disconnected'));
+      }
+      console.log(`🧭 Browser #${entry.id} launched (${liveEntries().length}/${config.maxBrowsers})`);
+      return entry;
+    }, err => {
+      entries.delete(entry);
+      entry.dead = true;
+      setImmediate(pump);
+      throw err;
+    });
+    return entry;
+  }
+
+  function scheduleIdleClose(entry) {
+    if (entry.idleTimer) clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+    if (entry.leases > 0 || entry.dead) return;
+    entry.idleTimer = setTimeout(() => {
+      if (entry.leases === 0 && !entry.dead) {
+        console.log(`💤 Closing idle browser #${entry.id}`);
+        entry.closing = true;
+        discard(entry);
+      }
+    }, config.idleMs);
+    if (entry.idleTimer.unref) entry.idleTimer.unref();
+  }
+
+  function hasCapacity(e) {
+    return e.leases < config.maxPages && e.uses < config.maxUsesPerBrowser;
+  }
+
+  // Browsers that served enough pages are retired once their leases finish
+  function retireWornOut() {
+    liveEntries()
+      .filter(e => e.uses >= config.maxUsesPerBrowser && e.leases === 0)
+      .forEach(e => { e.closing = true; discard(e); });
+  }
+
+  function hasFreeSlot() {
+    retireWornOut();
+    return liveEntries().some(hasCapacity) || liveEntries().length < config.maxBrowsers;
+  }
+
+  // Take a slot synchronously (launching a browser if needed), then wait for the browser
+  async function reserveEntry() {
+    let entry = liveEntries().filter(hasCapacity).sort((a, b) => a.leases - b.leases)[0];
+    if (!entry) entry = launchEntry();
+
+    entry.leases++;
+    if (entry.idleTimer) clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+    if (entry.launching) {
+      try {
+        await entry.launching;
+      } catch (error) {
+        entry.leases--;
+        throw error;
+      }
+    }
+    return entry;
+  }
+
+  // Route every navigation of a new page through the beforeNavigate hook
+  function instrument(page) {
+    if (typeof config.beforeNavigate !== 'function' || typeof page.goto !== 'function') return page;
+    const goto = page.goto.bind(page);
+    page.goto = async (url, gotoOptions) => {
+      await config.beforeNavigate(url);
+      return goto(url, gotoOptions);
+    };
+    return page;
+  }
+
+  // A page in a fresh browser context, optionally behind a proxy ({ server, username, password })
+  async function newIsolatedPage(browser, proxy) {
+    const contextOptions = proxy ? { proxyServer: proxy.server } : {};
+    // Puppeteer 22 renamed createIncognitoBrowserContext to createBrowserContext
+    const context = typeof browser.createBrowserContext === 'function'
+      ? await browser.createBrowserContext(contextOptions)
+      : await browser.createIncognitoBrowserContext(contextOptions);
+    try {
+      const page = instrument(await context.newPage());
+      if (proxy && proxy.username) {
+        await page.authenticate({ username: proxy.username, password: proxy.password });
+      }
+      return { page, context };
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  function makeLease(entry) {
+    let current = entry;
+    let released = false;
+    const open = new Set();
+    const contexts = new Map(); // isolated page -> its browser context
+
+    /**
+     * Open a page. Options:
+     * - proxy: { server, username, password } - route the page through this proxy
+     * - isolated: boolean - use a fresh browser context (e.g. for a cookie jar)
+     */
+    async function newPage(pageOptions = {}) {
+      if (released) throw new Error('Browser lease already released');
+      if (pageOptions.proxy || pageOptions.isolated) {
+        const { page, context } = await newIsolatedPage(current.browser, pageOptions.proxy);
+        contexts.set(page, context);
+        current.uses++;
+        open.add(page);
+        return page;
+      }
+      let page = null;
+      while (current.idlePages.length > 0 && !page) {
+        const candidate = current.idlePages.pop();
+        if (!candidate.isClosed()) page = candidate;
+      }
+      if (!page) {
+        try {
+          page = instrument(await current.browser.newPage());
+        } catch (error) {
+          const crashed = current.dead || (typeof current.browser.isConnected === 'function' && !current.browser.isConnected());
+          if (!crashed) throw error;
+          // The browser died under us: move the lease to a fresh one and retry once
+          discard(current, `newPage failed (${error.message})`);
+          current.leases = Math.max(0, current.leases - 1);
+          current = launchEntry();
+          current.leases++;
+          await current.launching;
+          page = instrument(await current.browser.newPage());
+        }
+      }
+      current.uses++;
+      open.add(page);
+      return page;
+    }
+
+    // Hand a page back for reuse by later leases (or close it if the pool has enough)
+    async function releasePage(page) {
+      if (!page || !open.has(page)) return;
+      open.delete(page);
+      if (contexts.has(page)) {
+        const context = contexts.get(page);
+        contexts.delete(page);
+        await context.close().catch(() => {});
+        return;
+      }
+      if (page.isClosed()) return;
+      if (current.dead || current.idlePages.length >= config.maxIdlePages) {
+        await page.close().catch(() => {});
+        return;
+      }
+      try {
+        page.removeAllListeners('request');
+        await page.setRequestInterception(false);
+        await page.goto('about:blank');
+        current.idlePages.push(page);
+      } catch (e) {
+        await page.close().catch(() => {});
+      }
+    }
+
+    async function release() {
+      if (released) return;
+      for (const page of Array.from(open)) {
+        await releasePage(page);
+      }
+      released = true;
+      current.leases = Math.max(0, current.leases - 1);
+      scheduleIdleClose(current);
+      pump();
+    }
+
+    return {
+      newPage,
+      releasePage,
+      release,
+      get browser() { return current.browser; }
+    };
+  }
+
+  // Start queued acquires while there are free slots
+  function pump() {
+    while (queue.length > 0 && !draining && hasFreeSlot()) {
+      const waiter = queue.shift();
+      clearTimeout(waiter.timer);
+      reserveEntry().then(entry => waiter.resolve(makeLease(entry)), waiter.reject);
+    }
+  }
+
+  function timeoutWaiter(waiter) {
+    const idx = queue.indexOf(waiter);
+    if (idx !== -1) queue.splice(idx, 1);
+    waiter.reject(new Error('Timed out waiting for a free browser'));
+  }
+
+  /**
+   * Lease a browser slot. Resolves with { newPage(), releasePage(page), release() }.
+   * Options:
+   * - onQueued: function(position) - called when the analysis has to wait for a slot
+   */
+  function acquire(acquireOptions = {}) {
+    if (draining) return Promise.reject(new Error('Browser pool is shutting down'));
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => timeoutWaiter(waiter), config.acquireTimeoutMs);
+      queue.push(waiter);
+      pump();
+      if (queue.includes(waiter) && typeof acquireOptions.onQueued === 'function') {
+        try { acquireOptions.onQueued(queue.indexOf(waiter) + 1); } catch (e) { /* ignore */ }
+      }
+    });
+  }
+
+  /** Lease a slot, run `fn(lease)` and always release the slot afterwards */
+  async function withBrowser(fn, acquireOptions) {
+    const lease = await acquire(acquireOptions);
+    try {
+      return await fn(lease);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * Stop handing out leases, wait up to timeoutMs for running ones, then close every browser.
+   */
+  async function drain(timeoutMs = 30000) {
+    draining = true;
+    queue.splice(0).forEach(w => {
+      clearTimeout(w.timer);
+      w.reject(new Error('Browser pool is shutting down'));
+    });
+
+    const deadline = Date.now() + timeoutMs;
+    while (liveEntries().some(e => e.leases > 0) && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 200));
+    }
+
+    const closing = Array.from(entries);
+    closing.forEach(e => { e.closing = true; });
+    await Promise.all(closing.map(async e => {
+      if (e.launching) await e.launching.catch(() => {});
+      e.dead = true;
+      entries.delete(e);
+      if (e.idleTimer) clearTimeout(e.idleTimer);
+      if (e.browser) await e.browser.close().catch(() => {});
+    }));
+    console.log(`🔒 Browser pool drained (${closing.length} browser(s) closed)`);
+  }
+
+  function stats() {
+    const live = liveEntries();
+    return {
+      browsers: live.length,
+      activeLeases: live.reduce((n, e) => n + e.leases, 0),
+      idlePages: live.reduce((n, e) => n + e.idlePages.length, 0),
+      queued: queue.length,
+      draining,
+      limits: { maxBrowsers: config.maxBrowsers, maxPages: config.maxPages }
+    };
+  }
+
+  return { acquire, withBrowser, drain, stats };
+}
+
+// The pool shared by the scrapers, pacing navigations as configured (see scraperConfig)
+const sharedPool = createBrowserPool({ beforeNavigate: scraperConfig.pace });
+
+module.exports = {
+  createBrowserPool,
+  acquire: sharedPool.acquire,
+  withBrowser: sharedPool.withBrowser,
+  drain: sharedPool.drain,
+  stats: sharedPool.stats
+};
@@ -0,0 +1,58 @@
+// backend/services/checkpointStore.js
+// On-disk checkpoints of running scrapes: data/checkpoints/<id>.json.
+// The Twitter scraper writes the tweets collected so far, the sources it tried and its
+// position in the current source; an interrupted job can be resumed from the file,
+// even after a server restart, because the checkpoint also carries the job parameters.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.KOSH_DATA_DIR || path.join(__dirname, '../data');
+const CHECKPOINT_DIR = path.join(DATA_DIR, 'checkpoints');
+
+function isValidCheckpointId(id) {
+  return /^[a-zA-Z0-9_\-]{1,100}$/.test(String(id || ''));
+}
+
+function checkpointFile(id) {
+  if (!isValidCheckpointId(id)) throw new Error(`Invalid checkpoint id: ${id}`);
+  return path.join(CHECKPOINT_DIR, `${id}.json`);
+}
+
+/** Stored checkpoint, or null when there is none (or it cannot be read) */
+function loadCheckpoint(id) {
+  if (!isValidCheckpointId(id)) return null;
+  const file = checkpointFile(id);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    console.warn(`⚠️ Could not read checkpoint ${id}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Merge `fields` into the checkpoint `id` (created when missing) and write it.
+ * The file is replaced atomically, so a crash mid-write keeps the previous checkpoint.
+ * Returns the stored checkpoint.
+ */
+function saveCheckpoint(id, fields = {}) {
+  const file = checkpointFile(id);
+  if (!fs.existsSync(CHECKPOINT_DIR)) fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+
+  const checkpoint = Object.assign({ id, createdAt: Date.now() }, loadCheckpoint(id), fields, { id, updatedAt: Date.now() });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint), 'utf-8');
+  fs.renameSync(tmp, file);
+  return checkpoint;
+}
+
+function deleteCheckpoint(id) {
+  if (!isValidCheckpointId(id)) return false;
+  const file = checkpointFile(id);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+module.exports = { loadCheckpoint, saveCheckpoint, deleteCheckpoint, isValidCheckpointId };
@@ -0,0 +1,98 @@
+// backend/services/jobManager.js
+// In-memory registry of long-running analysis jobs with progress events
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const MAX_EVENT_HISTORY = 200;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // keep finished jobs for 1 hour
+
+const jobs = new Map();
+
+/**
+ * Create a job and start running it on the next tick.
+ * `runner(params, emit, job)` must return a promise; `emit(event)` records progress.
+ */
+function createJob(params, runner) {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    params,
+    status: 'queued',
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    progress: { phase: 'queued', message: 'Waiting to start', tweetsCollected: 0 },
+    events: [],
+    nextSeq: 1,
+    result: null,
+    error: null,
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(50);
+  jobs.set(id, job);
+
+  setImmediate(() => execute(job, runner));
+  return job;
+}
+
+async function execute(job, runner) {
+  const emit = (event) => recordEvent(job, event);
+
+  job.status = 'running';
+  emit({ type: 'status', status: 'running', phase: 'started', message: 'Analysis started' });
+
+  try {
+    job.result = await runner(job.params, emit, job);
+    job.status = 'completed';
+    emit({ type: 'status', status: 'completed', phase: 'done', message: 'Analysis complete' });
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error && (error.message || String(error));
+    console.error(`❌ Job ${job.id} failed:`, job.error);
+    emit({ type: 'status', status: 'failed', phase: 'failed', message: job.error });
+  } finally {
+    job.emitter.emit('end');
+    setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+  }
+}
+
+function recordEvent(job, event) {
+  const entry = Object.assign({ type: 'progress', at: Date.now() }, event, { seq: job.nextSeq++ });
+  job.updatedAt = entry.at;
+
+  if (entry.phase || entry.message) {
+    job.progress = Object.assign({}, job.progress, {
+      phase: entry.phase || job.progress.phase,
+      message: entry.message || job.progress.message
+    });
+  }
+  if (typeof entry.tweets === 'number') job.progress.tweetsCollected = entry.tweets;
+
+  job.events.push(entry);
+  if (job.events.length > MAX_EVENT_HISTORY) job.events.shift();
+
+  job.emitter.emit('event', entry);
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/** Public view of a job (no emitter / internal fields) */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    params: job.params,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    progress: job.progress,
+    result: job.result,
+    error: job.error
+  };
+}
+
+module.exports = { createJob, getJob, isFinished, serializeJob };
@@ -0,0 +1,419 @@
+// backend/services/linkedinExtractors.js
+// DOM extraction for LinkedIn profile pages. Like the Twitter extractors these only
+// use the `document` they are given, so they run in Chromium and against jsdom fixtures.
+const { normalizeTweet } = require('./twitterExtractors');
+
+function extractLinkedInProfile(document) {
+  const getText = (selector) => {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.trim() : '';
+  };
+
+  const getAll = (selector) => {
+    return Array.from(document.querySelectorAll(selector)).map(el => el.textContent.trim());
+  };
+
+  // Try multiple selectors for robustness
+  const name = getText('h1.text-heading-xlarge') || 
+               getText('h1') || 
+               getText('.pv-text-details__left-panel h1') ||
+               getText('[class*="profile-info"] h1');
+               
+  const headline = getText('.text-body-medium') || 
+                  getText('.pv-text-details__left-panel .text-body-medium') ||
+                  getText('[class*="headline"]');
+                  
+  const location = getText('.text-body-small.inline.t-black--light.break-words') ||
+                  getText('[class*="location"]') ||
+                  getText('.pv-text-details__left-panel .pb2 .text-body-small');
+                  
+  const about = getText('#about ~ div .inline-show-more-text') ||
+               getText('[class*="about"] [class*="display-flex"]') ||
+               getText('.pv-about__summary-text');
+
+  // Section entries as lines of text: the bold heading, the plain lines under it
+  // ("Example Corp · Full-time") and the grey ones (dates, location). Companies with
+  // several roles list them in nested items, returned as `roles`.
+  const LIGHT = '.t-black--light, .pvs-entity__caption-wrapper, [class*="date-range"]';
+  const NORMAL = '.t-normal, [class*="profile-section-card__subtitle"]';
+  const BOLD = '[class*="t-bold"], [class*="profile-section-card__title"]';
+
+  const readEntry = (item) => {
+    // Visible text only: LinkedIn repeats every line in a visually hidden span
+    const lineText = (el) => {
+      const visible = el.matches('[aria-hidden="true"]') ? el : el.querySelector('span[aria-hidden="true"]');
+      return (visible || el).textContent.replace(/\s+/g, ' ').trim();
+    };
+    const lines = (selector, exclude) => Array.from(item.querySelectorAll(selector))
+      .filter(el => el.closest('li') === item && !(exclude && el.matches(exclude)))
+      .filter(el => !(el.parentElement && el.parentElement.closest(selector) && el.parentElement.closest('li') === item))
+      .map(lineText)
+      .filter(Boolean);
+    const nested = Array.from(item.querySelectorAll('li')).filter(li => li.parentElement.closest('li') === item);
+    return {
+      heading: lines(BOLD)[0] || '',
+      subtitles: lines(NORMAL, LIGHT),
+      captions: lines(LIGHT),
+      roles: nested.map(readEntry)
+    };
+  };
+
+  const sectionEntries = (id) => Array.from(document.querySelectorAll(`#${id} ~ div li, section[id="${id}"] li`))
+    .filter(li => !li.parentElement.closest('li'))
+    .map(readEntry)
+    .filter(entry => entry.heading);
+
+  // Try to get skills
+  const skills = [];
+  const skillElements = document.querySelectorAll(
+    '#skills ~ div [class*="skill"] span[aria-hidden="true"],' +
+    '[id*="skill"] [class*="entity__title"],' +
+    '.pv-skill-category-entity__name'
+  );
+  
+  skillElements.forEach(el => {
+    const skill = el.textContent.trim();
+    if (skill && skill.length > 0 && !skill.includes('•') && skill.length < 50) {
+      skills.push(skill);
+    }
+  });
+
+  // Get connections (if visible)
+  const connectionsText = getText('[class*="link-without-visited-state"] span') ||
+                         getText('.pv-top-card--list li') ||
+                         '500+';
+
+  // Get profile photo
+  const profileImage = document.querySelector('img.pv-top-card-profile-picture__image, img[class*="profile-photo"]')?.src || '';
+
+  return {
+    name: name || 'N/A',
+    headline: headline || 'No headline',
+    location: location || 'Not specified',
+    about: about || 'No about section',
+    connections: connectionsText,
+    sections: {
+      experience: sectionEntries('experience'),
+      education: sectionEntries('education'),
+      certifications: sectionEntries('licenses_and_certifications'),
+      languages: sectionEntries('languages'),
+      volunteering: sectionEntries('volunteering_experience')
+    },
+    skills: Array.from(new Set(skills)).slice(0, 20),
+    profileUrl: document.location.href,
+    profileImage: profileImage
+  };
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Self-employed', 'Freelance', 'Contract', 'Internship', 'Apprenticeship', 'Seasonal'];
+const WORKPLACE_TYPES = ['On-site', 'Hybrid', 'Remote'];
+const DATE_RANGE = /^((?:[A-Za-z]{3,9}\.?\s+)?\d{4})\s*[-–—]\s*(present|(?:[A-Za-z]{3,9}\.?\s+)?\d{4})/i;
+
+// "Mar 2021" / "2021" -> { year, month } (month is null for a bare year)
+function parseMonthYear(text) {
+  const m = String(text || '').trim().match(/^(?:([A-Za-z]{3,9})\.?\s+)?(\d{4})$/);
+  if (!m) return null;
+  const month = m[1] ? MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) : -1;
+  if (m[1] && month === -1) return null;
+  return { year: Number(m[2]), month: month === -1 ? null : month };
+}
+
+// { year, month } -> "2021-03", or "2021" for a bare year
+function formatMonthYear(d) {
+  return d.month === null ? String(d.year) : `${d.year}-${String(d.month + 1).padStart(2, '0')}`;
+}
+
+// "5 yrs 2 mos" / "1 yr" / "8 mos" -> months (null when there is no duration)
+function parseTenure(text) {
+  const years = String(text || '').match(/(\d+)\s*yrs?\b/i);
+  const months = String(text || '').match(/(\d+)\s*mos?\b/i);
+  if (!years && !months) return null;
+  return (years ? Number(years[1]) * 12 : 0) + (months ? Number(months[1]) : 0);
+}
+
+/**
+ * Parse a LinkedIn date line such as "Jan 2021 - Present · 5 yrs 2 mos" or "2015 - 2017".
+ * Dates are "YYYY-MM" ("YYYY" when only the year is shown); `months` is LinkedIn's own
+ * duration when the line has one, else counted from the dates. null without a date range.
+ */
+function parseDateRange(text, now = Date.now()) {
+  const [range, ...rest] = String(text || '').split('·').map(part => part.trim());
+  const m = range.match(DATE_RANGE);
+  if (!m) return null;
+  const start = parseMonthYear(m[1]);
+  const current = /^present$/i.test(m[2]);
+  const nowDate = new Date(now);
+  const end = current ? { year: nowDate.getUTCFullYear(), month: nowDate.getUTCMonth() } : parseMonthYear(m[2]);
+  if (!start || !end) return null;
+
+  let months = parseTenure(rest.join(' '));
+  if (months === null) {
+    // Month ranges count both ends ("Jan - Mar" is 3 months), as LinkedIn does
+    const hasMonths = start.month !== null && end.month !== null;
+    months = Math.max(0, (end.year - start.year) * 12 + (hasMonths ? end.month - start.month + 1 : 0));
+  }
+  return {
+    startDate: formatMonthYear(start),
+    endDate: current ? '' : formatMonthYear(end),
+    current,
+    months
+  };
+}
+
+// "Example Corp · Full-time" -> ['Example Corp', 'Full-time']
+function splitDetail(text, known) {
+  const parts = String(text || '').split('·').map(part => part.trim()).filter(Boolean);
+  const kind = parts.find(part => known.includes(part)) || '';
+  return [parts.filter(part => part !== kind).join(' · '), kind];
+}
+
+function emptyRange() {
+  return { startDate: '', endDate: '', current: false, months: null };
+}
+
+function parsePosition(title, companyLine, captions, now) {
+  const dateLine = captions.find(line => DATE_RANGE.test(line)) || '';
+  const [company, employmentType] = splitDetail(companyLine, EMPLOYMENT_TYPES);
+  const [location, workplaceType] = splitDetail(captions.find(line => line !== dateLine) || '', WORKPLACE_TYPES);
+  return Object.assign({
+    title,
+    company,
+    employmentType,
+    location,
+    workplaceType,
+    duration: dateLine
+  }, parseDateRange(dateLine, now) || emptyRange());
+}
+
+// Experience entries; a company with several roles yields one position per role
+function parseExperiences(entries, now) {
+  const positions = [];
+  entries.forEach(entry => {
+    if (entry.roles.length === 0) {
+      positions.push(parsePosition(entry.heading, entry.subtitles[0] || '', entry.captions, now));
+      return;
+    }
+    // The group heading is the company; its subtitle holds the employment type and
+    // total tenure, its caption the location shared by the roles
+    const [, groupType] = splitDetail(entry.subtitles[0] || '', EMPLOYMENT_TYPES);
+    entry.roles.forEach(role => {
+      const roleType = splitDetail(role.subtitles[0] || '', EMPLOYMENT_TYPES)[1] || groupType;
+      const captions = role.captions.length > 1 ? role.captions : role.captions.concat(entry.captions);
+      positions.push(parsePosition(role.heading, [entry.heading, roleType].filter(Boolean).join(' · '), captions, now));
+    });
+  });
+  return positions;
+}
+
+function parseEducation(entries, now) {
+  return entries.map(entry => {
+    // "Master of Science - MS, Computer Science"
+    const degreeLine = entry.subtitles[0] || '';
+    const comma = degreeLine.lastIndexOf(', ');
+    const range = parseDateRange(entry.captions.find(line => DATE_RANGE.test(line)), now) || emptyRange();
+    return {
+      school: entry.heading,
+      degree: comma === -1 ? degreeLine : degreeLine.slice(0, comma),
+      field: comma === -1 ? '' : degreeLine.slice(comma + 2),
+      startDate: range.startDate,
+      endDate: range.endDate,
+      current: range.current
+    };
+  });
+}
+
+function parseCertifications(entries) {
+  return entries.map(entry => {
+    const dates = entry.captions.find(line => /\bissued\b/i.test(line)) || '';
+    const issued = parseMonthYear((dates.match(/issued\s+([A-Za-z]{3,9}\.?\s+\d{4}|\d{4})/i) || [])[1]);
+    const expires = parseMonthYear((dates.match(/expires\s+([A-Za-z]{3,9}\.?\s+\d{4}|\d{4})/i) || [])[1]);
+    const credential = entry.captions.map(line => line.match(/^credential id\s+(.+)$/i)).find(Boolean);
+    return {
+      name: entry.heading,
+      issuer: entry.subtitles[0] || '',
+      issued: issued ? formatMonthYear(issued) : '',
+      expires: expires ? formatMonthYear(expires) : '',
+      credentialId: credential ? credential[1] : ''
+    };
+  });
+}
+
+function parseLanguages(entries) {
+  return entries.map(entry => ({
+    name: entry.heading,
+    proficiency: (entry.captions[0] || entry.subtitles[0] || '').replace(/\s*proficiency$/i, '')
+  }));
+}
+
+function parseVolunteering(entries, now) {
+  return entries.map(entry => {
+    const dateLine = entry.captions.find(line => DATE_RANGE.test(line)) || '';
+    return Object.assign({
+      role: entry.heading,
+      organization: entry.subtitles[0] || '',
+      cause: entry.captions.find(line => line !== dateLine) || '',
+      duration: dateLine
+    }, parseDateRange(dateLine, now) || emptyRange());
+  });
+}
+
+/**
+ * Turn the raw section entries of extractLinkedInProfile into structured `experiences`,
+ * `education`, `certifications`, `languages` and `volunteering` arrays.
+ */
+function normalizeLinkedInProfile(raw = {}, now = Date.now()) {
+  const sections = raw.sections || {};
+  const profile = Object.assign({}, raw);
+  delete profile.sections;
+  return Object.assign(profile, {
+    experiences: parseExperiences(sections.experience || [], now).slice(0, 15),
+    education: parseEducation(sections.education || [], now),
+    certifications: parseCertifications(sections.certifications || []),
+    languages: parseLanguages(sections.languages || []),
+    volunteering: parseVolunteering(sections.volunteering || [], now)
+  });
+}
+
+/**
+ * What a LinkedIn page shows instead of (or as) the profile: { state, message } where
+ * state is 'active', 'blocked' (sign-in wall, login form or security checkpoint) or
+ * 'not_found'. Only the URL, the title and LinkedIn's own wall / error blocks are read.
+ */
+function detectLinkedInPageState(document) {
+  const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+  const pathname = (document.location && document.location.pathname) || '';
+
+  const wall = document.querySelector('.authwall-join-form, .authwall-sign-in-form, form.login__form, #challenge-form, [data-test-id="authwall"]');
+  if (/^\/(authwall|login|signup|checkpoint|uas\/login)\b/.test(pathname) || wall) {
+    const heading = wall && wall.closest('main, body').querySelector('h1');
+    return { state: 'blocked', message: clean(heading && heading.textContent) || 'LinkedIn asked for a sign-in instead of showing the profile' };
+  }
+
+  const missing = document.querySelector('.not-found__container, .profile-unavailable, [data-test-id="not-found"]');
+  const title = clean(document.title);
+  if (/^\/404\b/.test(pathname) || missing || /page not found|profile not found|page doesn['’]t exist/i.test(title)) {
+    return { state: 'not_found', message: clean(missing && missing.textContent) || title || 'This profile does not exist' };
+  }
+
+  return { state: 'active', message: '' };
+}
+
+// Raw posts from a LinkedIn activity feed ("/in/<name>/recent-activity/all/")
+function extractLinkedInPosts(document) {
+  const getText = (root, selector) => {
+    const el = root.querySelector(selector);
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+  };
+
+  // "1,204" / "56 comments on ..." -> "1,204" / "56" ('0' when the counter is hidden)
+  const countOf = (root, selector) => {
+    const m = getText(root, selector).match(/\d[\d.,]*\s*[KkMm]?/);
+    return m ? m[0].replace(/\s/g, '') : '0';
+  };
+
+  const posts = [];
+  const seen = new Set();
+  const items = document.querySelectorAll('[data-urn^="urn:li:activity:"], [data-id^="urn:li:activity:"]');
+
+  items.forEach((item) => {
+    // A reposted update can nest the original; the outer item describes both
+    if (item.parentElement && item.parentElement.closest('[data-urn^="urn:li:activity:"], [data-id^="urn:li:activity:"]')) return;
+    const urn = item.getAttribute('data-urn') || item.getAttribute('data-id');
+    if (seen.has(urn)) return;
+    seen.add(urn);
+
+    const media = [];
+    item.querySelectorAll('.update-components-image img, .feed-shared-image img').forEach(img => {
+      media.push({ type: 'image', url: img.getAttribute('src') || '', alt: img.getAttribute('alt') || '' });
+    });
+    item.querySelectorAll('.update-components-linkedin-video video, .feed-shared-linkedin-video video').forEach(video => {
+      media.push({ type: 'video', url: video.getAttribute('src') || '', poster: video.getAttribute('poster') || '' });
+    });
+
+    // Links to hashtags and profiles stay on LinkedIn and are not shared content
+    const urls = Array.from(item.querySelectorAll('.update-components-text a[href], .update-components-article a[href], .feed-shared-article a[href]'))
+      .map(a => a.href)
+      .filter(href => /^https?:/.test(href) && !/^https?:\/\/([^/]+\.)?linkedin\.com\//.test(href));
+
+    posts.push({
+      urn,
+      text: getText(item, '.update-components-text, .feed-shared-update-v2__description, .feed-shared-text'),
+      author: getText(item, '.update-components-actor__title span[aria-hidden="true"], .update-components-actor__name'),
+      relativeTime: getText(item, '.update-components-actor__sub-description span[aria-hidden="true"], .update-components-actor__sub-description'),
+      isRepost: /\breposted this\b/i.test(getText(item, '.update-components-header, .feed-shared-header')),
+      reactions: countOf(item, '.social-details-social-counts__reactions-count'),
+      comments: countOf(item, 'button[aria-label*="comment"]'),
+      reposts: countOf(item, 'button[aria-label*="repost"]'),
+      media,
+      hasImage: media.some(m => m.type === 'image'),
+      hasVideo: media.some(m => m.type === 'video'),
+      hasDocument: !!item.querySelector('.update-components-document, .feed-shared-document'),
+      urls: Array.from(new Set(urls))
+    });
+  });
+
+  return posts;
+}
+
+const RELATIVE_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000,
+  yr: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Creation time of an activity from its URN: like tweet ids, activity ids carry the
+ * epoch milliseconds in their upper bits. null when the URN has no plausible time.
+ */
+function activityTime(urn) {
+  const m = String(urn || '').match(/urn:li:activity:(\d+)/);
+  if (!m) return null;
+  const ms = Number(BigInt(m[1]) >> 22n);
+  return ms > Date.UTC(2003, 0, 1) && ms < Date.now() + 24 * 60 * 60 * 1000 ? new Date(ms) : null;
+}
+
+// "3d • Edited" -> the date three days before `now` (null when unparsable)
+function parseRelativeTime(raw, now = Date.now()) {
+  const m = String(raw || '').trim().match(/^(\d+)\s*(yr|mo|w|d|h|m|s)\b/i);
+  if (!m) return /^now\b/i.test(String(raw || '').trim()) ? new Date(now) : null;
+  return new Date(now - Number(m[1]) * RELATIVE_UNITS_MS[m[2].toLowerCase()]);
+}
+
+/**
+ * Turn a raw post from extractLinkedInPosts into the tweet shape the analyzers use:
+ * reactions count as likes, reposts as retweets and comments as replies.
+ */
+function normalizeLinkedInPost(raw = {}, now = Date.now()) {
+  const date = activityTime(raw.urn) || parseRelativeTime(raw.relativeTime, now);
+  const id = (String(raw.urn || '').match(/urn:li:activity:(\d+)/) || [])[1] || '';
+  const post = normalizeTweet({
+    text: raw.text || '',
+    time: date ? date.toISOString() : '',
+    likes: raw.reactions,
+    retweets: raw.reposts,
+    replies: raw.comments,
+    permalink: id ? `https://www.linkedin.com/feed/update/urn:li:activity:${id}/` : '',
+    author: raw.author || '',
+    isRetweet: !!raw.isRepost,
+    media: raw.media,
+    urls: raw.urls,
+    hasImage: raw.hasImage,
+    hasVideo: raw.hasVideo
+  });
+  return Object.assign(post, { id, hasDocument: !!raw.hasDocument });
+}
+
+module.exports = {
+  extractLinkedInProfile,
+  normalizeLinkedInProfile,
+  detectLinkedInPageState,
+  parseDateRange,
+  extractLinkedInPosts,
+  normalizeLinkedInPost,
+  parseRelativeTime
+};
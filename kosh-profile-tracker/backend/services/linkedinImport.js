@@ -0,0 +1,201 @@
+// backend/services/linkedinImport.js
+// Offline LinkedIn source: builds profile data from the ZIP of LinkedIn's "Download your
+// data" export instead of scraping. Reads Profile.csv, Positions.csv, Education.csv,
+// Skills.csv, Shares.csv and Connections.csv, plus Certifications.csv and Languages.csv
+// when the export has them. No Chromium and no network.
+const path = require('path');
+const { openZip } = require('../utils/zipReader');
+const { parseDateRange } = require('./linkedinExtractors');
+const { normalizeTweet } = require('./twitterExtractors');
+
+/** Rows of a CSV document (RFC 4180: quoted fields may hold commas, quotes and newlines) */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const str = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (quoted) {
+      if (c === '"' && str[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && str[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Rows of `fileName` in the archive as objects keyed by column, or null when the export
+ * has no such file. Some files (Connections.csv) open with notes, so the header is the
+ * first row holding `firstColumn`.
+ */
+function readTable(zip, fileName, firstColumn) {
+  const entry = zip.entries.find(e => path.posix.basename(e.name).toLowerCase() === fileName.toLowerCase());
+  if (!entry) return null;
+  const rows = parseCsv(zip.read(entry.name).toString('utf-8'));
+  const headerIdx = rows.findIndex(r => r.map(cell => cell.trim()).includes(firstColumn));
+  if (headerIdx === -1) return [];
+  const header = rows[headerIdx].map(cell => cell.trim());
+  return rows.slice(headerIdx + 1)
+    .filter(r => r.some(cell => cell.trim()))
+    .map(r => {
+      const record = {};
+      header.forEach((column, idx) => { record[column] = (r[idx] || '').trim(); });
+      return record;
+    });
+}
+
+// "Jan 2021" + "" -> the parsed range "Jan 2021 - Present"
+function rangeOf(start, finish, now) {
+  if (!start) return { startDate: '', endDate: '', current: false, months: null };
+  return parseDateRange(`${start} - ${finish || 'Present'}`, now) || { startDate: '', endDate: '', current: false, months: null };
+}
+
+function toPosition(row, now) {
+  const range = rangeOf(row['Started On'], row['Finished On'], now);
+  return Object.assign({
+    title: row.Title || '',
+    company: row['Company Name'] || '',
+    employmentType: '',
+    location: row.Location || '',
+    workplaceType: '',
+    duration: row['Started On'] ? `${row['Started On']} - ${row['Finished On'] || 'Present'}` : '',
+    description: row.Description || ''
+  }, range);
+}
+
+function toEducation(row, now) {
+  const range = rangeOf(row['Start Date'], row['End Date'], now);
+  return {
+    school: row['School Name'] || '',
+    degree: row['Degree Name'] || '',
+    field: '',
+    startDate: range.startDate,
+    endDate: range.endDate,
+    current: range.current
+  };
+}
+
+function toCertification(row, now) {
+  const range = rangeOf(row['Started On'], row['Finished On'], now);
+  return {
+    name: row.Name || '',
+    issuer: row.Authority || '',
+    issued: range.startDate,
+    expires: row['Finished On'] ? range.endDate : '',
+    credentialId: row['License Number'] || ''
+  };
+}
+
+// A Shares.csv row in the tweet shape. The export has no reaction or comment counts.
+function toPost(row) {
+  // "2024-01-05 10:00:00", in UTC
+  const date = new Date(`${String(row.Date || '').replace(' ', 'T')}Z`);
+  let link = row.ShareLink || '';
+  try { link = decodeURIComponent(link); } catch (e) { /* keep the raw link */ }
+  const post = normalizeTweet({
+    text: row.ShareCommentary || '',
+    time: isNaN(date.getTime()) ? '' : date.toISOString(),
+    permalink: row.ShareLink || '',
+    urls: row.SharedUrl ? [row.SharedUrl] : [],
+    media: row.MediaUrl ? [{ type: 'image', url: row.MediaUrl }] : []
+  });
+  return Object.assign(post, { id: (link.match(/urn:li:(?:share|activity|ugcPost):(\d+)/) || [])[1] || '' });
+}
+
+// "[PORTFOLIO:https://janedoe.dev],[BLOG:https://blog.example]" -> first URL
+function firstWebsite(value) {
+  const m = String(value || '').match(/https?:\/\/[^\],\s]+/);
+  return m ? m[0] : '';
+}
+
+/**
+ * Build profile data in the shape of linkedinScraper.scrapeProfile from an export archive.
+ * Options:
+ * - handle: string - LinkedIn vanity name, used for the handle and profile URL
+ *   (defaults to one made from the name; the export does not include it)
+ * - now: number - reference time for current positions (tests)
+ *
+ * Throws when the buffer is not a ZIP archive or has no Profile.csv.
+ */
+function importArchive(buffer, options = {}) {
+  const now = options.now || Date.now();
+  const zip = openZip(buffer);
+  const profileRows = readTable(zip, 'Profile.csv', 'First Name');
+  if (!profileRows || profileRows.length === 0) {
+    throw new Error('Profile.csv not found - upload the ZIP from LinkedIn\'s "Download your data"');
+  }
+  const profile = profileRows[0];
+  const name = [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ');
+  const handle = String(options.handle || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'linkedin-export');
+
+  const files = {};
+  const table = (fileName, firstColumn) => {
+    const rows = readTable(zip, fileName, firstColumn);
+    files[fileName] = rows ? rows.length : null;
+    return rows || [];
+  };
+  const positions = table('Positions.csv', 'Company Name');
+  const education = table('Education.csv', 'School Name');
+  const skills = table('Skills.csv', 'Name');
+  const shares = table('Shares.csv', 'Date');
+  const connections = table('Connections.csv', 'First Name');
+  const certifications = table('Certifications.csv', 'Name');
+  const languages = table('Languages.csv', 'Name');
+
+  const experiences = positions.map(row => toPosition(row, now))
+    .sort((a, b) => (b.current - a.current) || b.startDate.localeCompare(a.startDate));
+  const tweets = shares.map(toPost)
+    .filter(post => post.text || post.urls.length > 0)
+    .sort((a, b) => String(b.time).localeCompare(String(a.time)));
+
+  console.log(`📦 Imported LinkedIn export for ${name || handle}: ${experiences.length} positions, ${tweets.length} shares, ${connections.length} connections`);
+
+  return {
+    name: name || 'N/A',
+    handle,
+    headline: profile.Headline || 'No headline',
+    location: profile['Geo Location'] || 'Not specified',
+    about: profile.Summary || 'No about section',
+    industry: profile.Industry || '',
+    website: firstWebsite(profile.Websites),
+    connections: `${connections.length} connections`,
+    experiences,
+    education: education.map(row => toEducation(row, now)),
+    certifications: certifications.map(row => toCertification(row, now)),
+    languages: languages.map(row => ({ name: row.Name, proficiency: String(row.Proficiency || '').replace(/\s*proficiency$/i, '') })),
+    volunteering: [],
+    skills: Array.from(new Set(skills.map(row => row.Name).filter(Boolean))),
+    tweets,
+    profileUrl: options.handle ? `https://www.linkedin.com/in/${options.handle}/` : '',
+    profileImage: '',
+    import: { source: 'linkedin-export', files }
+  };
+}
+
+module.exports = { importArchive, parseCsv };
@@ -1,10 +1,96 @@
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { evaluateInPage } = require('./twitterExtractors');
+const { extractLinkedInProfile, normalizeLinkedInProfile, detectLinkedInPageState, extractLinkedInPosts, normalizeLinkedInPost } = require('./linkedinExtractors');
+const browserPool = require('./browserPool');
+const scraperConfig = require('./scraperConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const RESULT_REASONS = {
+  blocked: 'Blocked by LinkedIn',
+  not_found: "Profile doesn't exist",
+  error: 'Scrape failed'
+};
+
+// A result without profile data; `accountState` carries the result type to runAnalysis
+function failedResult(resultType, profileUrl, message) {
+  return {
+    resultType,
+    accountState: resultType,
+    accountExists: resultType !== 'not_found',
+    reason: RESULT_REASONS[resultType],
+    stateMessage: message,
+    handle: profileUrl,
+    profileUrl,
+    tweets: []
+  };
+}
+
+/**
+ * Scroll the profile's activity feed and collect its posts, newest first.
+ * Stops at maxPosts, at the first post older than the lookback window, or when
+ * scrolling stops bringing new posts.
+ */
+async function scrapePosts(page, profileUrl, { maxPosts, lookbackDays, maxScrolls, onProgress }) {
+  const activityUrl = `${profileUrl.replace(/\/+$/, '')}/recent-activity/all/`;
+  onProgress({ type: 'phase', phase: 'posts', source: 'linkedin', message: 'Reading recent activity' });
+  await page.goto(activityUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+  if (/\/(authwall|login|checkpoint)\b/.test(page.url())) {
+    throw new Error('LinkedIn asked for a sign-in before showing activity; add a cookie jar for linkedin in config/scraper.json');
+  }
+  await sleep(2000);
+
+  const cutoffMs = Date.now() - lookbackDays * DAY_MS;
+  const posts = new Map();
+  let idleScrolls = 0;
+
+  for (let scroll = 1; scroll <= maxScrolls && posts.size < maxPosts && idleScrolls < 3; scroll++) {
+    const before = posts.size;
+    const batch = (await evaluateInPage(page, extractLinkedInPosts)).map(raw => normalizeLinkedInPost(raw));
+    batch.forEach(post => {
+      const timeMs = new Date(post.time).getTime();
+      if (post.id && !posts.has(post.id) && !(timeMs < cutoffMs)) posts.set(post.id, post);
+    });
+    onProgress({ type: 'scroll', source: 'linkedin', scroll, tweets: posts.size });
 
-puppeteer.use(StealthPlugin());
+    // The feed is in reverse chronological order, so an old last post ends the window
+    const last = batch[batch.length - 1];
+    if (last && new Date(last.time).getTime() < cutoffMs) break;
 
-async function scrapeProfile(profileUrl) {
-  let browser;
+    idleScrolls = posts.size === before ? idleScrolls + 1 : 0;
+    await page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+    await sleep(1500);
+  }
+
+  return Array.from(posts.values())
+    .sort((a, b) => new Date(b.time).getTime() - new Date(a.time).getTime())
+    .slice(0, maxPosts);
+}
+
+/**
+ * Scrape a LinkedIn profile and, unless disabled, its recent posts.
+ * Options:
+ * - posts: boolean - read the activity feed (default true)
+ * - maxPosts: number - stop at this many posts (default 50)
+ * - lookbackDays: number - ignore posts older than this (default 365)
+ * - maxScrolls: number - activity feed scroll limit (default 20)
+ * - onProgress: function - receives progress events
+ * Experience, education, certifications, languages and volunteering come back as
+ * structured arrays (see normalizeLinkedInProfile).
+ * Posts come back in `tweets`, in the tweet shape (see normalizeLinkedInPost).
+ *
+ * `resultType` says what came back:
+ * - 'success': the profile and, when requested, its activity feed
+ * - 'partial': the profile without its posts; `postsError` and `partialReason` say why
+ * - 'blocked': LinkedIn showed a sign-in wall, login form or checkpoint (or answered 999)
+ * - 'not_found': the profile does not exist
+ * - 'error': the page failed to load or held no profile; `stateMessage` has the error
+ * Only 'success' and 'partial' carry profile data.
+ */
+async function scrapeProfile(profileUrl, options = {}) {
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+  let lease;
+  let page;
   
   try {
     // Clean and validate URL
@@ -16,25 +102,30 @@ async function scrapeProfile(profileUrl) {
     }
 
     console.log(`🔍 Scraping LinkedIn profile: ${url}`);
+    onProgress({ type: 'phase', phase: 'linkedin', source: 'linkedin', message: `Opening ${url}` });
 
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--window-size=1920,1080'
-      ]
+    lease = await browserPool.acquire({
+      onQueued: (position) => onProgress({ type: 'phase', phase: 'queued', message: `Waiting for a free browser (position ${position})` })
     });
 
-    const page = await browser.newPage();
+    // Proxy and cookie jar (for a signed-in session) come from the scraper config
+    page = await scraperConfig.openPage(lease, 'linkedin');
     
     await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.setUserAgent(scraperConfig.userAgent('desktop'));
 
     // Navigate to profile
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    // LinkedIn answers 999 to requests it refuses; walls and 404 pages come back as 200
+    const status = response ? response.status() : 0;
+    const pageState = status === 404 ? { state: 'not_found', message: 'LinkedIn answered 404 for this profile' }
+      : status === 999 ? { state: 'blocked', message: 'LinkedIn refused the request (HTTP 999)' }
+      : await evaluateInPage(page, detectLinkedInPageState);
+    if (pageState.state !== 'active') {
+      console.warn(`⚠️ LinkedIn profile ${pageState.state}: ${pageState.message}`);
+      return failedResult(pageState.state, url, pageState.message);
+    }
     
     // Wait for content to load
     await new Promise(resolve => setTimeout(resolve, 3000));
@@ -46,120 +137,45 @@ async function scrapeProfile(profileUrl) {
     }
 
     // Extract profile data
-    const profileData = await page.evaluate(() => {
-      const getText = (selector) => {
-        const el = document.querySelector(selector);
-        return el ? el.textContent.trim() : '';
-      };
-
-      const getAll = (selector) => {
-        return Array.from(document.querySelectorAll(selector)).map(el => el.textContent.trim());
-      };
-
-      // Try multiple selectors for robustness
-      const name = getText('h1.text-heading-xlarge') || 
-                   getText('h1') || 
-                   getText('.pv-text-details__left-panel h1') ||
-                   getText('[class*="profile-info"] h1');
-                   
-      const headline = getText('.text-body-medium') || 
-                      getText('.pv-text-details__left-panel .text-body-medium') ||
-                      getText('[class*="headline"]');
-                      
-      const location = getText('.text-body-small.inline.t-black--light.break-words') ||
-                      getText('[class*="location"]') ||
-                      getText('.pv-text-details__left-panel .pb2 .text-body-small');
-                      
-      const about = getText('#about ~ div .inline-show-more-text') ||
-                   getText('[class*="about"] [class*="display-flex"]') ||
-                   getText('.pv-about__summary-text');
-
-      // Try to get experience
-      const experiences = [];
-      const expSections = document.querySelectorAll('#experience ~ div li, [id*="experience"] li');
-      
-      expSections.forEach((item) => {
-        try {
-          const titleEl = item.querySelector('[class*="profile-section-card__title"], [class*="t-bold"] span:first-child');
-          const companyEl = item.querySelector('[class*="profile-section-card__subtitle"], [class*="t-normal"]');
-          const durationEl = item.querySelector('[class*="date-range"], .pvs-entity__caption-wrapper');
-          
-          const title = titleEl ? titleEl.textContent.trim() : '';
-          const company = companyEl ? companyEl.textContent.trim() : '';
-          const duration = durationEl ? durationEl.textContent.trim() : '';
-          
-          if (title && title.length > 0) {
-            experiences.push({ title, company, duration });
-          }
-        } catch (e) {
-          // Skip this entry
-        }
-      });
-
-      // Try to get skills
-      const skills = [];
-      const skillElements = document.querySelectorAll(
-        '#skills ~ div [class*="skill"] span[aria-hidden="true"],' +
-        '[id*="skill"] [class*="entity__title"],' +
-        '.pv-skill-category-entity__name'
-      );
-      
-      skillElements.forEach(el => {
-        const skill = el.textContent.trim();
-        if (skill && skill.length > 0 && !skill.includes('•') && skill.length < 50) {
-          skills.push(skill);
-        }
-      });
-
-      // Get connections (if visible)
-      const connectionsText = getText('[class*="link-without-visited-state"] span') ||
-                             getText('.pv-top-card--list li') ||
-                             '500+';
-
-      // Get profile photo
-      const profileImage = document.querySelector('img.pv-top-card-profile-picture__image, img[class*="profile-photo"]')?.src || '';
-
-      return {
-        name: name || 'N/A',
-        headline: headline || 'No headline',
-        location: location || 'Not specified',
-        about: about || 'No about section',
-        connections: connectionsText,
-        experiences: experiences.slice(0, 10),
-        skills: Array.from(new Set(skills)).slice(0, 20),
-        profileUrl: window.location.href,
-        profileImage: profileImage
-      };
-    });
+    onProgress({ type: 'phase', phase: 'profile', source: 'linkedin', message: 'Extracting profile sections' });
+    const profileData = normalizeLinkedInProfile(await evaluateInPage(page, extractLinkedInProfile));
 
     // Validate that we got meaningful data
     if (!profileData.name || profileData.name === 'N/A') {
-      throw new Error('Unable to extract profile data - profile may be private or LinkedIn blocked the request');
+      throw new Error('No profile found on the page - LinkedIn may have changed its layout');
     }
 
-    console.log(`✅ LinkedIn scraping successful - Found ${profileData.experiences.length} experiences, ${profileData.skills.length} skills`);
+    profileData.resultType = 'success';
+    profileData.tweets = [];
+    if (options.posts !== false) {
+      try {
+        profileData.tweets = await scrapePosts(page, url, {
+          maxPosts: options.maxPosts || 50,
+          lookbackDays: options.lookbackDays || 365,
+          maxScrolls: options.maxScrolls || 20,
+          onProgress
+        });
+      } catch (e) {
+        console.warn(`⚠️ Could not read LinkedIn activity: ${e.message}`);
+        Object.assign(profileData, {
+          resultType: 'partial',
+          partial: true,
+          partialReason: `Recent activity unavailable: ${e.message}`,
+          postsError: e.message
+        });
+      }
+    }
+
+    console.log(`✅ LinkedIn scraping successful - Found ${profileData.experiences.length} experiences, ${profileData.skills.length} skills, ${profileData.tweets.length} posts`);
     return profileData;
 
   } catch (error) {
     console.error('❌ LinkedIn scraping error:', error.message);
-    
-    // Return minimal data instead of throwing
-    return {
-      name: 'LinkedIn Profile',
-      handle: profileUrl,
-      headline: 'Unable to access full profile',
-      location: 'LinkedIn restricts automated access',
-      about: 'LinkedIn requires authentication to view full profiles. This limitation is expected.',
-      connections: 'N/A',
-      experiences: [],
-      skills: [],
-      profileUrl: profileUrl,
-      profileImage: '',
-      error: error.message
-    };
+    return failedResult('error', profileUrl, error.message);
   } finally {
-    if (browser) {
-      await browser.close();
+    if (lease) {
+      await lease.releasePage(page);
+      await lease.release();
     }
   }
 }
@@ -0,0 +1,187 @@
+// backend/services/mastodonScraper.js
+// Mastodon profiles through the instance's public REST API: no browser and no sign-in.
+// Statuses come back in the tweet shape: favourites are likes, boosts retweets.
+// The instance comes from user input, so only public hosts are contacted unless the operator
+// lists instances in KOSH_MASTODON_INSTANCES ("host[:port]", comma separated), in which case
+// only those are.
+const net = require('net');
+const { fetchJson } = require('../utils/download');
+const { normalizeTweet, describeAccountState } = require('./twitterExtractors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The API's maximum page size for account statuses
+const PAGE_SIZE = 40;
+const HEADERS = { 'User-Agent': 'KoshProfileTracker/1.0' };
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+/**
+ * "@jane@mastodon.social", "jane@mastodon.social" or "https://mastodon.social/@jane" ->
+ * { username, instance, origin }, or null when the handle names no instance. Profile URLs
+ * keep their scheme and port, so a local instance works too.
+ */
+function parseMastodonHandle(input) {
+  const raw = String(input || '').trim();
+  if (/^https?:\/\//i.test(raw)) {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (e) {
+      return null;
+    }
+    const m = url.pathname.match(/^\/(?:@|users\/)(\w+)\/?$/);
+    return m ? { username: m[1], instance: url.host.toLowerCase(), origin: url.origin } : null;
+  }
+  const m = raw.match(/^@?(\w+)@((?:[a-z0-9-]+\.)+[a-z]{2,})$/i);
+  return m ? { username: m[1], instance: m[2].toLowerCase(), origin: `https://${m[2].toLowerCase()}` } : null;
+}
+
+function allowedInstances() {
+  return String(process.env.KOSH_MASTODON_INSTANCES || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Why the instance of `target` (see parseMastodonHandle) may not be contacted, or '' when
+ * it may. Names that pass are still checked against their DNS answers when connecting.
+ */
+function instanceProblem(target) {
+  const allowed = allowedInstances();
+  if (allowed.length > 0) {
+    return allowed.includes(target.instance) ? '' : `${target.instance} is not one of the configured Mastodon instances`;
+  }
+  const url = new URL(target.origin);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (url.port) return `Mastodon instances on non-default ports are not allowed (${target.instance})`;
+  if (net.isIP(hostname)) return `Use the instance's domain name, not an IP address (${hostname})`;
+  if (hostname === 'localhost' || /\.(localhost|local|internal|lan|home\.arpa)$/.test(hostname)) {
+    return `${hostname} is not a public Mastodon instance`;
+  }
+  return '';
+}
+
+// Status and bio HTML -> plain text, one line per paragraph or <br>
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (m, name) => ENTITIES[name])
+    .trim();
+}
+
+const MEDIA_TYPES = { image: 'image', gifv: 'gif', video: 'video', audio: 'video' };
+
+// An API status in the tweet shape; a boost carries the boosted status' text and counts
+function normalizeStatus(status) {
+  const shown = status.reblog || status;
+  const post = normalizeTweet({
+    text: htmlToText(shown.content) || shown.spoiler_text || '',
+    time: status.created_at,
+    permalink: shown.url || shown.uri || '',
+    likes: shown.favourites_count,
+    retweets: shown.reblogs_count,
+    replies: shown.replies_count,
+    media: (shown.media_attachments || []).map(m => ({
+      type: MEDIA_TYPES[m.type] || 'image',
+      url: m.type === 'image' ? m.url : m.preview_url || m.url,
+      alt: m.description || ''
+    })),
+    urls: shown.card && shown.card.url ? [shown.card.url] : [],
+    author: shown.account ? `@${shown.account.acct}` : '',
+    isReply: !!status.in_reply_to_id,
+    isRetweet: !!status.reblog
+  });
+  return Object.assign(post, { id: String(status.id || ''), language: shown.language || '' });
+}
+
+// Account state of an API answer that carries no account
+function stateForStatus(status) {
+  if (status === 404) return 'not_found';
+  if (status === 410) return 'suspended';
+  if (status === 429) return 'rate_limited';
+  return '';
+}
+
+/**
+ * Read a Mastodon profile and its recent statuses.
+ * Options:
+ * - maxPosts: number - stop at this many statuses (default 200)
+ * - lookbackDays: number - ignore statuses older than this (default 365)
+ * - timeoutMs: number - per request (default 15000)
+ * - onProgress: function - receives progress events
+ * Accounts that are missing, suspended or rate limited come back with their account state
+ * (see twitterExtractors.describeAccountState) and no posts; other failed requests throw.
+ */
+async function scrapeProfile(handle, options = {}) {
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+  const maxPosts = options.maxPosts || 200;
+  const cutoffMs = Date.now() - (options.lookbackDays || 365) * DAY_MS;
+  const request = { timeoutMs: options.timeoutMs, headers: HEADERS, publicOnly: allowedInstances().length === 0 };
+
+  const target = parseMastodonHandle(handle);
+  if (!target) throw new Error(`Not a Mastodon handle: ${handle}`);
+  const refused = instanceProblem(target);
+  if (refused) throw new Error(refused);
+  const fullHandle = `@${target.username}@${target.instance}`;
+
+  console.log(`🔍 Reading Mastodon profile: ${fullHandle}`);
+  onProgress({ type: 'phase', phase: 'mastodon', source: target.instance, message: `Looking up ${fullHandle}` });
+
+  const lookup = await fetchJson(`${target.origin}/api/v1/accounts/lookup?acct=${encodeURIComponent(target.username)}`, request);
+  const account = lookup.data;
+  const missing = stateForStatus(lookup.status) || (account && account.suspended ? 'suspended' : '');
+  if (missing) {
+    console.warn(`⚠️ Mastodon account ${fullHandle}: ${missing}`);
+    return Object.assign(describeAccountState(missing), { handle: fullHandle, tweets: [] });
+  }
+  if (lookup.status !== 200 || !account || !account.id) {
+    throw new Error(`${target.instance} answered ${lookup.status} to the account lookup`);
+  }
+
+  onProgress({ type: 'phase', phase: 'posts', source: target.instance, message: 'Reading statuses' });
+  const tweets = [];
+  let maxId = '';
+  for (let page = 1; tweets.length < maxPosts; page++) {
+    const query = `limit=${PAGE_SIZE}${maxId ? `&max_id=${encodeURIComponent(maxId)}` : ''}`;
+    const res = await fetchJson(`${target.origin}/api/v1/accounts/${encodeURIComponent(account.id)}/statuses?${query}`, request);
+    if (res.status !== 200 || !Array.isArray(res.data)) {
+      throw new Error(`${target.instance} answered ${res.status} to the statuses request`);
+    }
+    if (res.data.length === 0) break;
+
+    const batch = res.data.map(normalizeStatus);
+    batch.filter(post => !(new Date(post.time).getTime() < cutoffMs)).forEach(post => tweets.push(post));
+    onProgress({ type: 'scroll', source: target.instance, scroll: page, tweets: tweets.length });
+
+    // Statuses arrive newest first, so an old last status ends the window
+    const last = batch[batch.length - 1];
+    if (new Date(last.time).getTime() < cutoffMs) break;
+    maxId = res.data[res.data.length - 1].id;
+  }
+
+  const fields = Array.isArray(account.fields) ? account.fields : [];
+  const website = fields.map(f => htmlToText(f.value)).find(v => /^https?:\/\//.test(v)) || '';
+  console.log(`✅ Mastodon read successful - ${tweets.length} statuses of ${fullHandle}`);
+
+  return Object.assign(describeAccountState('active'), {
+    name: account.display_name || account.username,
+    handle: fullHandle,
+    bio: htmlToText(account.note),
+    location: '',
+    website,
+    joinDate: account.created_at ? String(account.created_at).slice(0, 10) : '',
+    joinedAt: account.created_at || '',
+    followers: Number(account.followers_count || 0),
+    following: Number(account.following_count || 0),
+    postsCount: Number(account.statuses_count || 0),
+    likesCount: 0,
+    profileImage: account.avatar || '',
+    bannerImage: account.header || '',
+    // A link field the instance confirmed with rel="me"
+    verified: fields.some(f => f.verified_at),
+    professionalCategory: account.bot ? 'Automated account' : '',
+    profileUrl: account.url || '',
+    tweets: tweets.slice(0, maxPosts)
+  });
+}
+
+module.exports = { scrapeProfile, parseMastodonHandle, instanceProblem, htmlToText, normalizeStatus };
@@ -0,0 +1,123 @@
+// backend/services/mediaArchive.js
+// Opt-in evidence archive: downloads the media of a run's tweets into
+// data/media/<runId>/ and records a SHA-256 hash per file, so the media survives
+// even when the post is deleted later.
+const fs = require('fs');
+const path = require('path');
+const { downloadFile } = require('../utils/download');
+
+const DATA_DIR = process.env.KOSH_DATA_DIR || path.join(__dirname, '../data');
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+
+const MAX_ITEMS = 200;
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+
+function archiveDir(runId) {
+  return path.join(MEDIA_DIR, String(runId).replace(/[^a-zA-Z0-9_\-]/g, '_'));
+}
+
+function extensionFor(contentType, url) {
+  if (EXTENSIONS[contentType]) return EXTENSIONS[contentType];
+  try {
+    const u = new URL(url);
+    const format = u.searchParams.get('format');
+    if (format) return `.${format.replace(/[^a-z0-9]/gi, '')}`;
+    const ext = path.extname(u.pathname);
+    if (/^\.[a-z0-9]{2,5}$/i.test(ext)) return ext.toLowerCase();
+  } catch (e) { /* fall through */ }
+  return '.bin';
+}
+
+// Plain http(s) files; HLS playlists (.m3u8) are streams, not files
+const downloadable = (url) => /^https?:\/\//.test(url || '') && !/\.m3u8(\?|$)/i.test(url);
+
+// Every downloadable file of a tweet: the media itself and, for videos, the poster frame
+function mediaFiles(tweet) {
+  const files = [];
+  (tweet.media || []).forEach((m, idx) => {
+    if (downloadable(m.url)) files.push({ media: m, index: idx, role: 'media', url: m.url });
+    if (downloadable(m.poster)) files.push({ media: m, index: idx, role: 'poster', url: m.poster });
+  });
+  return files;
+}
+
+/**
+ * Download the media of `tweets` into the run's archive folder.
+ * Each archived media entry gets `archived: { media?, poster? }` with { file, sha256 },
+ * so the hashes travel with the tweets in the stored report.
+ * Options:
+ * - maxItems: number (default 200) - files downloaded at most
+ * - timeoutMs, maxBytes - passed to downloadFile
+ * - publicOnly: boolean (default true) - media URLs come from scraped pages, so files on
+ *   loopback, private or link-local hosts are refused (see downloadFile)
+ * - onProgress: function({ done, total }) (optional)
+ *
+ * Resolves with { runId, dir, archivedAt, items: [{ tweetId, type, role, url, file, sha256, bytes, contentType }], failed: [{ tweetId, url, error }], skipped }.
+ */
+async function archiveMedia(runId, tweets = [], options = {}) {
+  const maxItems = options.maxItems ?? MAX_ITEMS;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+  const dir = archiveDir(runId);
+
+  const queue = tweets.flatMap(t => mediaFiles(t).map(f => Object.assign(f, { tweet: t })));
+  const selected = queue.slice(0, maxItems);
+  const items = [];
+  const failed = [];
+  const byUrl = new Map(); // the same file shared by several tweets is downloaded once
+
+  if (selected.length > 0 && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  console.log(`🗄️ Archiving ${selected.length} media file(s) to ${path.relative(DATA_DIR, dir)}`);
+
+  for (const [n, entry] of selected.entries()) {
+    const tweetId = entry.tweet.id || 'tweet';
+    try {
+      let saved = byUrl.get(entry.url);
+      if (!saved) {
+        const base = `${tweetId}_${entry.index + 1}${entry.role === 'poster' ? '_poster' : ''}`.replace(/[^a-zA-Z0-9_\-]/g, '_');
+        const tmp = path.join(dir, `${base}.download`);
+        const result = await downloadFile(entry.url, tmp, {
+          accept: /^(image|video)\//,
+          timeoutMs: options.timeoutMs,
+          maxBytes: options.maxBytes,
+          publicOnly: options.publicOnly !== false
+        });
+        const file = `${base}${extensionFor(result.contentType, entry.url)}`;
+        fs.renameSync(tmp, path.join(dir, file));
+        saved = { file, sha256: result.sha256, bytes: result.bytes, contentType: result.contentType };
+        byUrl.set(entry.url, saved);
+      }
+
+      entry.media.archived = Object.assign({}, entry.media.archived, { [entry.role]: { file: saved.file, sha256: saved.sha256 } });
+      items.push({ tweetId, type: entry.media.type, role: entry.role, url: entry.url, ...saved });
+    } catch (e) {
+      console.warn(`⚠️ Could not archive ${entry.url}: ${e.message}`);
+      failed.push({ tweetId, url: entry.url, error: e.message });
+    }
+    onProgress({ done: n + 1, total: selected.length });
+  }
+
+  if (items.length > 0) {
+    // Manifest next to the files, so the folder can be verified on its own
+    const manifest = items.map(i => `${i.sha256}  ${i.file}`).filter((line, idx, all) => all.indexOf(line) === idx);
+    fs.writeFileSync(path.join(dir, 'SHA256SUMS'), manifest.join('\n') + '\n', 'utf-8');
+  }
+  console.log(`🗄️ Archived ${items.length} file(s), ${failed.length} failed`);
+
+  return {
+    runId,
+    dir,
+    archivedAt: new Date().toISOString(),
+    items,
+    failed,
+    skipped: queue.length - selected.length
+  };
+}
+
+module.exports = { archiveMedia, archiveDir };
@@ -0,0 +1,51 @@
+// backend/services/platforms/index.js
+// Registry of the networks the tracker analyzes. The analyze and job APIs, the run store,
+// the PDF and the frontends' platform selectors all read from it; a new network is one
+// more module in this directory plus its entry in PLATFORMS.
+//
+// A platform module exports:
+// - id, label, placeholder: string - as shown by the frontends
+// - iconPath: string - SVG path (24x24 view box) for the platform button
+// - features: string[] - optional request fields it honours: 'scrapeOptions', 'replay',
+//   'threads', 'audience', 'archiveMedia', 'incremental', 'resume', 'import'; validation
+//   refuses the others
+// - normalizeHandle(handle): string - the run store key of a profile
+// - validateHandle(handle): null or { error, message } (optional)
+// - validateOptions(input): null or { error, message } (optional) - the request body
+// - scrape(handle, options, { onProgress, latestRun }): resolves { profileData, scrapeOptions }
+//   where latestRun(filter) returns the latest complete stored run of the profile (no search,
+//   replay or partial scrape; see runStore.isBaselineRun)
+// - buildReport(profileData, timestamp): the report sections (see utils/reportGenerator)
+// - pdf: { sections, postNoun, partialScope } - options for utils/pdfGenerator
+const twitter = require('./twitter');
+const linkedin = require('./linkedin');
+const mastodon = require('./mastodon');
+
+const PLATFORMS = [twitter, linkedin, mastodon];
+
+function getPlatform(id) {
+  return PLATFORMS.find(p => p.id === id) || null;
+}
+
+function listPlatforms() {
+  return PLATFORMS.map(p => p.id);
+}
+
+// What GET /api/platforms returns for each platform
+function describePlatforms() {
+  return PLATFORMS.map(({ id, label, placeholder, iconPath, features }) => ({ id, label, placeholder, iconPath, features }));
+}
+
+/** Storage key of a profile; unknown platforms get the handle without "@", lowercased */
+function normalizeHandle(platform, handle) {
+  const p = getPlatform(platform);
+  return p ? p.normalizeHandle(handle) : String(handle || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/** The platform's report for scraped profile data, or null for unknown platforms */
+function generateReport(profileData, platform) {
+  const p = getPlatform(platform);
+  return p ? p.buildReport(profileData, new Date().toISOString()) : null;
+}
+
+module.exports = { getPlatform, listPlatforms, describePlatforms, normalizeHandle, generateReport };
@@ -0,0 +1,62 @@
+// backend/services/platforms/linkedin.js
+// LinkedIn: browser scrape of the profile and its activity feed (see linkedinScraper), or
+// the profile data of an uploaded data export (see linkedinImport).
+const linkedinScraper = require('../linkedinScraper');
+const { generateLinkedInReport } = require('../../utils/reportGenerator');
+
+// "https://linkedin.com/in/Foo/" -> "foo"
+function normalizeHandle(handle) {
+  return String(handle || '').trim()
+    .replace(/^.*\/in\//, '').replace(/\/$/, '').split('/')[0].split('?')[0]
+    .replace(/^@/, '').toLowerCase();
+}
+
+async function scrape(handle, options, { onProgress }) {
+  let profileData;
+  if (options.importedProfile) {
+    onProgress({ type: 'phase', phase: 'import', message: 'Reading the LinkedIn data export' });
+    profileData = options.importedProfile;
+  } else {
+    profileData = await linkedinScraper.scrapeProfile(handle, { onProgress });
+  }
+  if (profileData.partial) {
+    onProgress({ type: 'phase', phase: 'partial', message: `Partial profile: ${profileData.partialReason}` });
+  }
+  return { profileData, scrapeOptions: null };
+}
+
+// CAREER - positions, education and certifications
+function renderCareer(doc, reportData, { addSection, addKeyValue }) {
+  const experience = reportData.experience || [];
+  const education = reportData.education || [];
+  const certifications = reportData.certifications || [];
+  if (experience.length === 0 && education.length === 0 && certifications.length === 0) return;
+
+  if (doc.y > 600) doc.addPage();
+  addSection(doc, '💼 Career', '#0A66C2');
+  experience.forEach(exp => {
+    if (doc.y > 740) doc.addPage();
+    const dates = exp.startDate ? `${exp.startDate} - ${exp.current ? 'present' : exp.endDate}` : exp.duration;
+    addKeyValue(doc, exp.title || 'Position', [exp.company, exp.employmentType, exp.location, dates].filter(Boolean).join(' · '));
+  });
+  education.forEach(edu => {
+    addKeyValue(doc, `🎓 ${edu.school}`, [edu.degree, edu.field, [edu.startDate, edu.endDate].filter(Boolean).join(' - ')].filter(Boolean).join(' · '));
+  });
+  certifications.forEach(cert => {
+    addKeyValue(doc, `📜 ${cert.name}`, [cert.issuer, cert.issued && `issued ${cert.issued}`, cert.expires && `expires ${cert.expires}`].filter(Boolean).join(' · '));
+  });
+  if (reportData.skills && reportData.skills.length > 0) addKeyValue(doc, 'Skills', reportData.skills.join(', '));
+  doc.moveDown(0.8);
+}
+
+module.exports = {
+  id: 'linkedin',
+  label: 'LinkedIn',
+  placeholder: 'e.g., linkedin.com/in/username or username',
+  iconPath: 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z',
+  features: ['archiveMedia', 'import'],
+  normalizeHandle,
+  scrape,
+  buildReport: generateLinkedInReport,
+  pdf: { sections: [renderCareer], postNoun: 'post', partialScope: 'the profile sections that were read' }
+};
@@ -0,0 +1,196 @@
+// backend/services/platforms/twitter.js
+// Twitter / X: browser scrape across the configured sources (see twitterScraper), with
+// scrape options, snapshot replay, threads, audience samples, incremental scans and
+// checkpoints.
+const twitterScraper = require('../twitterScraper');
+const twitterSources = require('../twitterSources');
+const checkpointStore = require('../checkpointStore');
+const { generateTwitterReport } = require('../../utils/reportGenerator');
+const { mergeTweets } = require('../../utils/tweetUtils');
+const { normalizeScrapeOptions } = require('../../utils/scrapeOptions');
+
+// How many stored tweet ids an incremental scrape checks against
+const MAX_KNOWN_IDS = 500;
+
+// "@Foo" -> "foo"
+function normalizeHandle(handle) {
+  return String(handle || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+function validateOptions({ scrapeOptions }) {
+  const scrape = normalizeScrapeOptions(scrapeOptions, twitterSources.listSourceTypes());
+  return scrape.error ? { error: scrape.error, message: scrape.message } : null;
+}
+
+/**
+ * Scrape options for checkpointing: the checkpoint is created with the run's parameters
+ * (so it can be resumed after a restart) and, when resuming, takes over the state of the
+ * interrupted run's checkpoint, which is then removed.
+ */
+function checkpointOptions({ handle, platform }, options) {
+  const scrapeOptions = {};
+  let resumed = null;
+  if (options.resumeFrom) {
+    resumed = checkpointStore.loadCheckpoint(options.resumeFrom);
+    if (!resumed) throw new Error(`Checkpoint ${options.resumeFrom} not found`);
+    scrapeOptions.resumeFrom = resumed;
+  }
+  if (!options.checkpointId) return scrapeOptions;
+
+  const params = {
+    handle,
+    platform,
+    incremental: !!options.incremental,
+    threads: !!options.threads,
+    archiveMedia: !!options.archiveMedia,
+    audience: !!options.audience,
+    scrapeOptions: options.scrapeOptions || null
+  };
+  const carried = resumed ? { tweets: resumed.tweets || [], sourcesTried: resumed.sourcesTried || [], position: resumed.position || null, resumedFrom: resumed.id } : {};
+  checkpointStore.saveCheckpoint(options.checkpointId, Object.assign({ params }, carried));
+  if (resumed && resumed.id !== options.checkpointId) checkpointStore.deleteCheckpoint(resumed.id);
+  scrapeOptions.checkpointId = options.checkpointId;
+  return scrapeOptions;
+}
+
+// Scrape options that let the Twitter scraper stop at the stored run's newest tweets
+function incrementalOptions(baseRun) {
+  const withIds = baseRun.tweets.filter(t => t.id);
+  const newest = withIds
+    .slice()
+    .sort((a, b) => new Date(b.time).getTime() - new Date(a.time).getTime())[0];
+
+  return {
+    sinceId: newest ? newest.id : '',
+    sinceTime: newest ? newest.time : '',
+    knownIds: withIds.slice(0, MAX_KNOWN_IDS).map(t => t.id)
+  };
+}
+
+async function scrape(handle, options, { onProgress, latestRun }) {
+  const normalized = normalizeScrapeOptions(options.scrapeOptions, twitterSources.listSourceTypes());
+  if (normalized.error) throw new Error(normalized.message);
+  const applied = normalized.options;
+
+  const scrapeOptions = {
+    lookbackDays: applied.lookbackDays,
+    since: applied.since,
+    until: applied.until,
+    maxScrolls: 1000,
+    timeoutMs: applied.timeBudgetSec * 1000,
+    noNewThreshold: 8,
+    minTweets: applied.minTweets,
+    maxTweets: applied.maxTweets,
+    snapshots: applied.snapshots,
+    onProgress
+  };
+  if (applied.sources) scrapeOptions.sourceTypes = applied.sources;
+  if (applied.mode === 'search') scrapeOptions.search = { keywords: applied.keywords };
+  const replayFiles = Array.isArray(options.replayFiles) ? options.replayFiles : [];
+  if (replayFiles.length > 0) scrapeOptions.replayFiles = replayFiles;
+  if (options.threads) scrapeOptions.threads = true;
+  if (options.audience) scrapeOptions.audience = true;
+  if (replayFiles.length === 0) Object.assign(scrapeOptions, checkpointOptions({ handle, platform: 'twitter' }, Object.assign({}, options, { scrapeOptions: applied })));
+  // Search results only cover a query, so they do not use an incremental base
+  const baseRun = options.incremental && replayFiles.length === 0 && applied.mode !== 'search'
+    ? latestRun()
+    : null;
+  if (baseRun && baseRun.tweets && baseRun.tweets.length > 0) {
+    Object.assign(scrapeOptions, incrementalOptions(baseRun));
+    onProgress({ type: 'phase', phase: 'incremental', message: `Incremental scan since run ${baseRun.id}` });
+  }
+
+  const profileData = await twitterScraper.scrapeProfile(handle, scrapeOptions);
+  if (profileData.partial) {
+    onProgress({ type: 'phase', phase: 'partial', message: `Partial dataset (${(profileData.tweets || []).length} tweets): ${profileData.partialReason}` });
+  }
+
+  if (baseRun && profileData.accountExists && profileData.incremental) {
+    const cutoffMs = applied.since ? new Date(applied.since).getTime() : Date.now() - applied.lookbackDays * 24 * 60 * 60 * 1000;
+    // Stored tweets inside the window the scrape covered but missing from it were deleted;
+    // a scrape that stopped short or skipped tweets after `until` did not cover it all
+    const dropUnseen = !profileData.partial && !applied.until;
+    const merged = mergeTweets(baseRun.tweets, profileData.tweets || [], cutoffMs, { dropUnseen });
+    console.log(`🔗 Merged with run ${baseRun.id}: ${merged.added} new, ${merged.refreshed} refreshed, ${merged.kept} kept, ${merged.dropped} gone`);
+    profileData.tweets = merged.tweets;
+    profileData.incremental = Object.assign({}, profileData.incremental, {
+      baseRunId: baseRun.id,
+      newTweets: merged.added,
+      refreshedTweets: merged.refreshed,
+      keptTweets: merged.kept,
+      droppedTweets: merged.dropped
+    });
+  }
+
+  return { profileData, scrapeOptions: applied };
+}
+
+// AUDIENCE QUALITY - sampled followers / following
+function renderAudience(doc, reportData, { addSection, addKeyValue }) {
+  const audience = reportData.audienceQuality;
+  if (!audience) return;
+  if (doc.y > 600) doc.addPage();
+  addSection(doc, '👥 Audience Quality', '#2980B9');
+  addKeyValue(doc, 'Quality', audience.quality || 'Unknown');
+  [['Followers', audience.followers], ['Following', audience.following]].forEach(([label, sample]) => {
+    if (!sample || !sample.sampled) {
+      addKeyValue(doc, label, 'No accounts could be sampled');
+      return;
+    }
+    addKeyValue(doc, label, `${sample.sampled} sampled · ${sample.defaultAvatarShare}% default avatar · ${sample.noBioShare}% no bio · ${sample.suspiciousHandleShare}% name+digits handles · ${sample.verifiedShare}% verified`);
+  });
+  if (audience.overlap) {
+    addKeyValue(doc, 'Overlap', `${audience.overlap.mutual} account(s) in both samples (${audience.overlap.shareOfFollowers}% of followers)`);
+  }
+  const handles = (audience.followers && audience.followers.suspiciousHandles) || [];
+  if (handles.length > 0) addKeyValue(doc, 'Name+digits followers', handles.join(', '));
+  (audience.flags || []).forEach(flag => { doc.fontSize(9).fillColor('#E67E22').text(`⚠️ ${flag}`).moveDown(0.12); });
+  doc.moveDown(0.8);
+}
+
+// THREADS - each reconstructed thread in full, parent tweet first
+function renderThreads(doc, reportData, helpers) {
+  const threads = Array.isArray(reportData.threads) ? reportData.threads : [];
+  if (threads.length === 0) return;
+  doc.addPage();
+  helpers.addSection(doc, '🧵 Threads', '#8E44AD');
+  const summary = reportData.threadAnalysis || {};
+  doc.fontSize(9).fillColor('#7F8C8D').text(`Threads reconstructed: ${threads.length}  ·  Posting units analyzed: ${summary.units ?? '-'}`).moveDown(0.5);
+  threads.forEach((thread, idx) => renderThread(doc, thread, idx, helpers));
+}
+
+// One thread: the tweet it answers (if any), then every tweet of the chain, numbered
+function renderThread(doc, thread, idx, { formatNumber }) {
+  const tweets = Array.isArray(thread.tweets) ? thread.tweets : [];
+  if (doc.y > 680) doc.addPage();
+  doc.fontSize(10).fillColor('#2C3E50').text(`Thread #${idx + 1} by ${thread.author || 'unknown'} (${tweets.length} tweet${tweets.length === 1 ? '' : 's'})`).moveDown(0.15);
+
+  if (thread.parent) {
+    const parentText = String(thread.parent.text || '').replace(/\s+/g, ' ').trim();
+    doc.fontSize(8).fillColor('#95A5A6').text(`↪ In reply to ${thread.parent.author || 'another account'}: ${parentText}`, { indent: 10, paragraphGap: 2 }).moveDown(0.15);
+  }
+
+  tweets.forEach((tweet, i) => {
+    if (doc.y > 720) doc.addPage();
+    const tweetText = String(tweet.text || '').replace(/\s+/g, ' ').trim();
+    doc.fontSize(9).fillColor('#34495E').text(`${i + 1}/${tweets.length}  ${tweetText}`, { indent: 10, paragraphGap: 2 }).moveDown(0.08);
+    const meta = [`❤️ ${formatNumber(tweet.likes || 0)}  🔁 ${formatNumber(tweet.retweets || 0)}  💬 ${formatNumber(tweet.replies || 0)}`];
+    if (tweet.time) { try { meta.push(`🕒 ${new Date(tweet.time).toLocaleString()}`); } catch (e) {} }
+    doc.fontSize(8).fillColor('#95A5A6').text(meta.join('   '), { indent: 10 }).moveDown(0.12);
+  });
+
+  doc.strokeColor('#E0E0E0').lineWidth(0.5).moveTo(50, doc.y).lineTo(550, doc.y).stroke().moveDown(0.3);
+}
+
+module.exports = {
+  id: 'twitter',
+  label: 'Twitter',
+  placeholder: 'e.g., @elonmusk or elonmusk',
+  iconPath: 'M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z',
+  features: ['scrapeOptions', 'replay', 'threads', 'audience', 'archiveMedia', 'incremental', 'resume'],
+  normalizeHandle,
+  validateOptions,
+  scrape,
+  buildReport: generateTwitterReport,
+  pdf: { sections: [renderAudience, renderThreads], postNoun: 'tweet' }
+};
@@ -0,0 +1,123 @@
+// backend/services/runStore.js
+// Local JSON-lines store of every analysis run.
+// - data/runs.jsonl        one summary line per run (the index)
+// - data/runs/<id>.json    full record: scraped profile, normalized tweets and the report
+const fs = require('fs');
+const path = require('path');
+const platforms = require('./platforms');
+
+const DATA_DIR = process.env.KOSH_DATA_DIR || path.join(__dirname, '../data');
+const RUNS_DIR = path.join(DATA_DIR, 'runs');
+const INDEX_FILE = path.join(DATA_DIR, 'runs.jsonl');
+
+function ensureDirs() {
+  if (!fs.existsSync(RUNS_DIR)) fs.mkdirSync(RUNS_DIR, { recursive: true });
+}
+
+/**
+ * Canonical handle used as the storage key, as the platform defines it:
+ * twitter "@Foo" -> "foo", linkedin "https://linkedin.com/in/foo/" -> "foo"
+ */
+function normalizeHandle(platform, handle) {
+  return platforms.normalizeHandle(platform, handle);
+}
+
+function makeRunId(platform, handleKey, timestamp) {
+  const safe = handleKey.replace(/[^a-z0-9_\-]/g, '_');
+  return `${platform}-${safe}-${timestamp}`;
+}
+
+function isValidRunId(id) {
+  return /^[a-z]+-[a-z0-9_\-]+-\d+$/.test(String(id || ''));
+}
+
+/** Id a run of this profile with this report timestamp is (or will be) stored under */
+function runIdFor(platform, handle, timestamp) {
+  return makeRunId(platform, normalizeHandle(platform, handle), timestamp);
+}
+
+/**
+ * Persist a completed run. Returns the index summary of the stored run.
+ */
+function saveRun({ platform, handle, profileData, report, pdfUrl }) {
+  ensureDirs();
+
+  const handleKey = normalizeHandle(platform, handle);
+  const timestamp = Number(report && report.timestamp) || Date.now();
+  const id = makeRunId(platform, handleKey, timestamp);
+
+  const { tweets: _tweets, ...profile } = profileData || {};
+  const tweets = (report && Array.isArray(report.tweets)) ? report.tweets : [];
+
+  const summary = {
+    id,
+    platform,
+    handle: handleKey,
+    timestamp,
+    name: (report && report.profile && report.profile.name) || profile.name || '',
+    tweetCount: tweets.length,
+    followers: Number(profile.followers || 0),
+    following: Number(profile.following || 0),
+    pdfUrl: pdfUrl || '',
+    partial: !!(report && report.partial),
+    replay: !!(report && report.replay),
+    searchQuery: (report && report.search && report.search.query) || ''
+  };
+
+  const record = Object.assign({}, summary, { profile, tweets, report });
+
+  fs.writeFileSync(path.join(RUNS_DIR, `${id}.json`), JSON.stringify(record), 'utf-8');
+  fs.appendFileSync(INDEX_FILE, JSON.stringify(summary) + '\n', 'utf-8');
+
+  console.log(`💾 Stored run ${id}`);
+  return summary;
+}
+
+function readIndex() {
+  if (!fs.existsSync(INDEX_FILE)) return [];
+  return fs.readFileSync(INDEX_FILE, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try { return JSON.parse(line); } catch (e) { return null; }
+    })
+    .filter(Boolean);
+}
+
+/** Run summaries for one profile, newest first */
+function listRuns(platform, handle) {
+  const handleKey = normalizeHandle(platform, handle);
+  return readIndex()
+    .filter(r => r.platform === platform && r.handle === handleKey)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/** Full stored record, or null when the id is unknown */
+function getRun(id) {
+  if (!isValidRunId(id)) return null;
+  const file = path.join(RUNS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    console.warn(`⚠️ Could not read stored run ${id}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether a run summary is a complete live scan of the timeline - not a search, a snapshot
+ * replay or a partial (timed out, failed or rate-limited) scrape. Only these are a baseline
+ * for incremental scans, alerts and the default diff; unavailable accounts are never stored.
+ */
+function isBaselineRun(run) {
+  return !!run && !run.searchQuery && !run.replay && !run.partial;
+}
+
+/** Newest stored run of a profile; `filter(summary)` can rule runs out */
+function getLatestRun(platform, handle, filter = () => true) {
+  const [latest] = listRuns(platform, handle).filter(filter);
+  return latest ? getRun(latest.id) : null;
+}
+
+module.exports = { saveRun, listRuns, getRun, getLatestRun, isBaselineRun, normalizeHandle, runIdFor };
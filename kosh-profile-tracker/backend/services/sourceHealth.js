@@ -0,0 +1,164 @@
+// backend/services/sourceHealth.js
+// Per-source health across scrapes, kept in data/source-health.json.
+// Every source run is recorded (success, navigation latency, tweets yielded, failure reason);
+// Nitter instances are ranked by that record and put in cooldown after repeated failures.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.KOSH_DATA_DIR || path.join(__dirname, '../data');
+const HEALTH_FILE = path.join(DATA_DIR, 'source-health.json');
+
+const DEFAULT_COOLDOWN_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_FAILURES_BEFORE_COOLDOWN = 2;
+
+function load() {
+  if (!fs.existsSync(HEALTH_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(HEALTH_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn(`⚠️ Could not read source health: ${e.message}`);
+    return {};
+  }
+}
+
+function save(records) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(HEALTH_FILE, JSON.stringify(records, null, 2), 'utf-8');
+}
+
+function emptyRecord(source) {
+  return {
+    name: source.name,
+    type: source.type || '',
+    attempts: 0,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    avgLatencyMs: null,
+    lastLatencyMs: null,
+    tweetsYielded: 0,
+    lastTweets: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastFailureReason: '',
+    cooldownUntil: null
+  };
+}
+
+/**
+ * Record one run of a source.
+ * A run that loads but yields no tweets counts as a failure: dead and rate-limited
+ * Nitter instances usually serve an error page rather than failing to load.
+ * `result` is { success, tweets, latencyMs, error, reachedKnown }.
+ */
+function recordResult(source, result = {}) {
+  const records = load();
+  const rec = Object.assign(emptyRecord(source), records[source.name]);
+  const now = Date.now();
+  const tweets = Array.isArray(result.tweets) ? result.tweets.length : Number(result.tweets || 0);
+  // Catching up with the previous run is a success even when nothing was new, and so is
+  // a clear answer that the account is missing, suspended or protected
+  const definitive = ['not_found', 'suspended', 'protected'].includes(result.accountState);
+  const ok = !!result.success && (tweets > 0 || !!result.reachedKnown || definitive);
+
+  rec.attempts++;
+  if (typeof result.latencyMs === 'number') {
+    rec.lastLatencyMs = result.latencyMs;
+    rec.avgLatencyMs = rec.avgLatencyMs === null
+      ? result.latencyMs
+      : Math.round(rec.avgLatencyMs + (result.latencyMs - rec.avgLatencyMs) / rec.attempts);
+  }
+  rec.lastTweets = tweets;
+  rec.tweetsYielded += tweets;
+
+  if (ok) {
+    rec.successes++;
+    rec.consecutiveFailures = 0;
+    rec.lastSuccessAt = now;
+    rec.cooldownUntil = null;
+  } else {
+    rec.failures++;
+    rec.consecutiveFailures++;
+    rec.lastFailureAt = now;
+    rec.lastFailureReason = result.error || (result.success ? 'No tweets returned' : 'Failed');
+
+    const threshold = source.failuresBeforeCooldown ?? DEFAULT_FAILURES_BEFORE_COOLDOWN;
+    if (rec.consecutiveFailures >= threshold) {
+      // Back off exponentially while the source keeps failing
+      const base = source.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+      const max = source.maxCooldownMs ?? DEFAULT_MAX_COOLDOWN_MS;
+      rec.cooldownUntil = now + Math.min(max, base * Math.pow(2, rec.consecutiveFailures - threshold));
+    }
+  }
+
+  records[source.name] = rec;
+  save(records);
+  return rec;
+}
+
+function inCooldown(rec, now = Date.now()) {
+  return !!(rec && rec.cooldownUntil && rec.cooldownUntil > now);
+}
+
+// Higher is better. Untried instances score like one success in two attempts.
+function score(rec) {
+  if (!rec || rec.attempts === 0) return { rate: 0.5, tweets: 0, latency: Infinity };
+  return {
+    rate: (rec.successes + 1) / (rec.attempts + 2),
+    tweets: rec.successes > 0 ? rec.tweetsYielded / rec.successes : 0,
+    latency: rec.avgLatencyMs === null ? Infinity : rec.avgLatencyMs
+  };
+}
+
+/**
+ * Order sources for a scrape: Nitter instances in cooldown are dropped and the rest are
+ * sorted healthiest first, keeping the slots Nitter had in the configured order.
+ * Other sources keep their configured position.
+ */
+function rankSources(sources, records = load(), now = Date.now()) {
+  const nitter = sources.filter(s => s.type === 'nitter');
+  const available = nitter.filter(s => !inCooldown(records[s.name], now));
+
+  const ranked = available
+    .map((s, idx) => ({ s, idx, sc: score(records[s.name]) }))
+    .sort((a, b) => (b.sc.rate - a.sc.rate) || (b.sc.tweets - a.sc.tweets) || (a.sc.latency - b.sc.latency) || (a.idx - b.idx))
+    .map(x => x.s);
+
+  let next = 0;
+  const result = [];
+  sources.forEach(s => {
+    if (s.type !== 'nitter') result.push(s);
+    else if (next < ranked.length) result.push(ranked[next++]);
+  });
+  return result;
+}
+
+function statusOf(rec, now) {
+  if (!rec || rec.attempts === 0) return 'unknown';
+  if (inCooldown(rec, now)) return 'cooldown';
+  if (rec.consecutiveFailures > 0) return 'degraded';
+  return 'healthy';
+}
+
+/** Health of the given sources (configured ones first), plus any recorded sources no longer configured */
+function getHealth(sources = []) {
+  const records = load();
+  const now = Date.now();
+  const configured = new Set(sources.map(s => s.name));
+
+  const describe = (name, type, isConfigured) => {
+    const rec = records[name] || emptyRecord({ name, type });
+    return Object.assign({}, rec, {
+      type: rec.type || type || '',
+      configured: isConfigured,
+      status: statusOf(rec, now),
+      successRate: rec.attempts > 0 ? Number((rec.successes / rec.attempts).toFixed(3)) : null
+    });
+  };
+
+  return sources.map(s => describe(s.name, s.type, true))
+    .concat(Object.keys(records).filter(name => !configured.has(name)).map(name => describe(name, records[name].type, false)));
+}
+
+module.exports = { recordResult, rankSources, getHealth, inCooldown };
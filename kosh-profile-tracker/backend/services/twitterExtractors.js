@@ -0,0 +1,866 @@
+// backend/services/twitterExtractors.js
+// DOM extraction for Nitter and Twitter/X pages.
+// The extractors only use the `document` they are given, so the same code runs inside
+// Chromium (through evaluateInPage) and offline against saved snapshots parsed with jsdom.
+
+/**
+ * Run a document extractor inside a Puppeteer page.
+ * The function is serialized, so it must not reference anything outside its own body.
+ */
+function evaluateInPage(page, extractor, ...args) {
+  const argList = ['document'].concat(args.map(a => JSON.stringify(a))).join(', ');
+  return page.evaluate(`(${extractor.toString()})(${argList})`);
+}
+
+/**
+ * Like evaluateInPage, for extractors that call other extractors of this module:
+ * the `helpers` are serialized along with it.
+ */
+function evaluateWithHelpers(page, helpers, extractor, ...args) {
+  const argList = ['document'].concat(args.map(a => JSON.stringify(a))).join(', ');
+  const definitions = helpers.map(fn => fn.toString()).join('\n');
+  return page.evaluate(`(function () {\n${definitions}\nreturn (${extractor.toString()})(${argList});\n})()`);
+}
+
+// Raw tweets from a Nitter timeline ('nitter') or a Twitter/X timeline ('twitter')
+function extractTweetsFromDocument(document, src) {
+  const tweets = [];
+  const seen = new Set();
+
+  // Helper to safely get text
+  const getText = (el, selector) => {
+    if (!el) return '';
+    const found = selector ? el.querySelector(selector) : el;
+    return found ? (found.textContent || found.innerText || '').trim() : '';
+  };
+
+  // Helper to get attribute
+  const getAttr = (el, selector, attr) => {
+    if (!el) return '';
+    const found = selector ? el.querySelector(selector) : el;
+    return found ? (found.getAttribute(attr) || '') : '';
+  };
+
+  // "@handle" from a profile link such as "/janedoe" or "https://x.com/janedoe"
+  const handleFromHref = (href) => {
+    const m = String(href || '').match(/^(?:https?:\/\/[^/]+)?\/([A-Za-z0-9_]{1,15})\/?(?:[?#].*)?$/);
+    return m ? `@${m[1]}` : '';
+  };
+
+  // Innermost element of `root` whose text starts with "Replying to" (X has no class for it)
+  const findReplyContext = (root, accept = () => true) => Array.from(root.querySelectorAll('div'))
+    .filter(el => accept(el) && /^Replying to\b/.test((el.textContent || '').trim()))
+    .sort((a, b) => a.textContent.length - b.textContent.length)[0] || null;
+
+  // Absolute URL of an attribute value ('' for missing or unparsable values)
+  const absUrl = (value) => {
+    if (!value) return '';
+    try { return new URL(value, document.baseURI).href; } catch (e) { return ''; }
+  };
+
+  // Handles listed in a "Replying to @a @b" block
+  const replyHandles = (el) => {
+    if (!el) return [];
+    const fromLinks = Array.from(el.querySelectorAll('a')).map(a => handleFromHref(a.getAttribute('href')) || getText(a)).filter(h => h.startsWith('@'));
+    return fromLinks.length > 0 ? fromLinks : (getText(el).match(/@\w{1,15}/g) || []);
+  };
+
+  if (src === 'nitter') {
+    // NITTER extraction (cleaner HTML structure)
+    const tweetDivs = document.querySelectorAll('.timeline-item');
+    
+    tweetDivs.forEach(item => {
+      try {
+        // Get tweet link for ID (the opened tweet of a conversation page has no .tweet-link)
+        const linkEl = item.querySelector('.tweet-link') || item.querySelector('.tweet-date a');
+        const href = linkEl ? linkEl.href : '';
+        if (!href || seen.has(href)) return;
+        seen.add(href);
+
+        // Extract data from Nitter's clean structure
+        const quoteEl = item.querySelector('.quote');
+        const textEl = Array.from(item.querySelectorAll('.tweet-content')).find(el => !quoteEl || !quoteEl.contains(el));
+        const text = getText(textEl);
+
+        // Retweets carry a "<user> retweeted" header; the tweet header then names the original author
+        const isRetweet = !!item.querySelector('.retweet-header');
+        // The pinned tweet heads the timeline whatever its age
+        const isPinned = !!item.querySelector('.pinned');
+        const authorEl = Array.from(item.querySelectorAll('.tweet-header .username, .fullname-and-username .username'))
+          .find(el => !quoteEl || !quoteEl.contains(el));
+        const author = authorEl ? (getAttr(authorEl, null, 'title') || getText(authorEl)) : '';
+
+        const replyEl = Array.from(item.querySelectorAll('.replying-to')).find(el => !quoteEl || !quoteEl.contains(el));
+        const replyTo = replyHandles(replyEl);
+
+        let quoted = null;
+        if (quoteEl) {
+          const quoteLink = quoteEl.querySelector('.quote-link');
+          const quoteAuthorEl = quoteEl.querySelector('.username');
+          quoted = {
+            permalink: quoteLink ? quoteLink.href : '',
+            author: quoteAuthorEl ? (getAttr(quoteAuthorEl, null, 'title') || getText(quoteAuthorEl)) : '',
+            text: getText(quoteEl, '.quote-text')
+          };
+        }
+        
+        const timeEl = item.querySelector('.tweet-date a');
+        const timeStr = getAttr(timeEl, null, 'title') || getText(timeEl);
+        
+        // Stats from Nitter (the retweet header uses the same icon markup, so prefer the stats row)
+        const statsRow = item.querySelectorAll('.tweet-stats .icon-container');
+        const stats = statsRow.length > 0 ? statsRow : item.querySelectorAll('.icon-container');
+        let replies = 0, retweets = 0, likes = 0;
+        
+        stats.forEach(stat => {
+          const statText = getText(stat);
+          const iconClass = stat.querySelector('[class*="icon-"]')?.className || '';
+          
+          if (iconClass.includes('comment')) replies = parseInt(statText.replace(/\D/g, '')) || 0;
+          else if (iconClass.includes('retweet')) retweets = parseInt(statText.replace(/\D/g, '')) || 0;
+          else if (iconClass.includes('heart')) likes = parseInt(statText.replace(/\D/g, '')) || 0;
+        });
+
+        // Media detection
+        const hasImage = !!item.querySelector('.attachment.image, img.still-image');
+        const hasVideo = !!item.querySelector('.attachment.video, video');
+
+        // Media items; the quoted tweet's media belongs to the quoted tweet
+        const media = [];
+        item.querySelectorAll('.attachment').forEach(att => {
+          if (quoteEl && quoteEl.contains(att)) return;
+          const video = att.querySelector('video');
+          const img = att.querySelector('img');
+          if (video) {
+            const sourceEl = video.querySelector('source');
+            const isGif = video.classList.contains('gif') || att.classList.contains('gif') || !!att.closest('.gallery-gif');
+            media.push({
+              type: isGif ? 'gif' : 'video',
+              url: absUrl((sourceEl && sourceEl.getAttribute('src')) || video.getAttribute('src') || video.getAttribute('data-url')),
+              alt: '',
+              poster: absUrl(video.getAttribute('poster'))
+            });
+          } else if (att.classList.contains('video-container')) {
+            // Video playback disabled on the instance: only the thumbnail is rendered
+            media.push({ type: 'video', url: '', alt: '', poster: absUrl(img && img.getAttribute('src')) });
+          } else if (img) {
+            const full = att.querySelector('a.still-image');
+            media.push({
+              type: 'image',
+              url: absUrl((full && full.getAttribute('href')) || img.getAttribute('src')),
+              alt: img.getAttribute('alt') || '',
+              poster: ''
+            });
+          }
+        });
+        
+        // Location data
+        const locationEl = item.querySelector('.tweet-geo');
+        const placeName = locationEl ? getText(locationEl) : '';
+
+        tweets.push({
+          permalink: href,
+          text: text,
+          time: timeStr,
+          replies: String(replies),
+          retweets: String(retweets),
+          likes: String(likes),
+          views: '0',
+          hasImage: hasImage,
+          hasVideo: hasVideo,
+          media: media,
+          placeName: placeName,
+          coordLink: '',
+          urls: Array.from(item.querySelectorAll('a[href^="http"]')).filter(a => !quoteEl || !quoteEl.contains(a)).map(a => a.href),
+          author: author,
+          isRetweet: isRetweet,
+          isPinned: isPinned,
+          replyTo: replyTo,
+          quoted: quoted
+        });
+      } catch (e) {
+        console.error('Error extracting Nitter tweet:', e);
+      }
+    });
+
+  } else {
+    // TWITTER/X extraction with multiple strategies
+    
+    // Strategy 1: Article elements (most reliable for new Twitter)
+    const articles = document.querySelectorAll('article[data-testid="tweet"]');
+    
+    articles.forEach(article => {
+      try {
+        // Get permalink
+        const timeLink = article.querySelector('time')?.parentElement;
+        const href = timeLink ? timeLink.href : '';
+        if (!href || !href.includes('/status/') || seen.has(href)) return;
+        seen.add(href);
+
+        // Quoted tweets render as a nested card with their own User-Name and tweetText
+        const quoteEl = Array.from(article.querySelectorAll('div[role="link"]'))
+          .find(el => el.querySelector('[data-testid="User-Name"]'));
+        const outsideQuote = (el) => !quoteEl || !quoteEl.contains(el);
+
+        // Text content - try multiple selectors
+        const textEl = Array.from(article.querySelectorAll('[data-testid="tweetText"]')).find(outsideQuote) ||
+                      Array.from(article.querySelectorAll('[lang]')).find(outsideQuote) ||
+                      article.querySelector('.css-1jxf684');
+        const text = getText(textEl);
+
+        // "<user> reposted" social context marks a retweet; User-Name then shows the original author
+        const socialContext = getText(article, '[data-testid="socialContext"]').toLowerCase();
+        const isRetweet = /reposted|retweeted/.test(socialContext);
+        const isPinned = /pinned/.test(socialContext);
+        const userNameEl = Array.from(article.querySelectorAll('[data-testid="User-Name"]')).find(outsideQuote);
+        const authorLink = userNameEl
+          ? Array.from(userNameEl.querySelectorAll('a[href]')).map(a => handleFromHref(a.getAttribute('href'))).find(Boolean)
+          : '';
+        const author = authorLink || '';
+
+        const replyTo = replyHandles(findReplyContext(article, outsideQuote));
+
+        let quoted = null;
+        if (quoteEl) {
+          const quoteUser = quoteEl.querySelector('[data-testid="User-Name"]');
+          const quoteHandle = quoteUser ? ((getText(quoteUser).match(/@\w{1,15}/) || [''])[0]) : '';
+          const quoteLink = quoteEl.querySelector('a[href*="/status/"]');
+          quoted = {
+            permalink: quoteLink ? quoteLink.href : '',
+            author: quoteHandle,
+            text: getText(quoteEl, '[data-testid="tweetText"]')
+          };
+        }
+
+        // Time
+        const timeEl = article.querySelector('time');
+        const time = timeEl ? (timeEl.getAttribute('datetime') || getText(timeEl)) : '';
+
+        // Engagement metrics with multiple fallback selectors
+        const getMetric = (testId) => {
+          const el = article.querySelector(`[data-testid="${testId}"]`);
+          if (!el) return '0';
+          const text = getText(el);
+          // Extract just the number, ignoring labels
+          const match = text.match(/[\d,.]+[KMB]?/i);
+          return match ? match[0] : '0';
+        };
+
+        const replies = getMetric('reply');
+        const retweets = getMetric('retweet');
+        const likes = getMetric('like');
+        const views = getMetric('views') || getMetric('analytics');
+
+        // Media detection
+        const hasImage = !!article.querySelector('[data-testid="tweetPhoto"], img[src*="media"]');
+        const hasVideo = !!article.querySelector('[data-testid="videoPlayer"], video');
+
+        // Media items (video thumbnails and the quoted tweet's media excluded)
+        const media = [];
+        Array.from(article.querySelectorAll('[data-testid="tweetPhoto"] img'))
+          .filter(img => outsideQuote(img) && !img.closest('[data-testid="videoPlayer"], [data-testid="videoComponent"]'))
+          .forEach(img => media.push({ type: 'image', url: absUrl(img.getAttribute('src')), alt: img.getAttribute('alt') || '', poster: '' }));
+        Array.from(article.querySelectorAll('video')).filter(outsideQuote).forEach(video => {
+          const sourceEl = video.querySelector('source');
+          const src = (sourceEl && sourceEl.getAttribute('src')) || video.getAttribute('src') || '';
+          const player = video.closest('[data-testid="videoPlayer"]');
+          const isGif = src.includes('/tweet_video/') || /\bGIF\b/.test(player ? player.textContent : '');
+          media.push({
+            type: isGif ? 'gif' : 'video',
+            // X streams through blob: URLs, which cannot be fetched outside the page
+            url: src.startsWith('blob:') ? '' : absUrl(src),
+            alt: video.getAttribute('aria-label') || '',
+            poster: absUrl(video.getAttribute('poster'))
+          });
+        });
+
+        // Links
+        const urls = Array.from(article.querySelectorAll('a[href^="http"]'))
+          .filter(outsideQuote)
+          .map(a => a.href)
+          .filter(url => !url.includes('twitter.com') && !url.includes('x.com'));
+
+        // Location/coordinates
+        const locationLink = article.querySelector('a[href*="/maps"], a[href*="google.com/maps"]');
+        const placeName = locationLink ? getText(locationLink) : '';
+        const coordLink = locationLink ? locationLink.href : '';
+
+        tweets.push({
+          permalink: href,
+          text: text,
+          time: time,
+          replies: replies,
+          retweets: retweets,
+          likes: likes,
+          views: views,
+          hasImage: hasImage,
+          hasVideo: hasVideo,
+          media: media,
+          placeName: placeName,
+          coordLink: coordLink,
+          urls: urls,
+          author: author,
+          isRetweet: isRetweet,
+          isPinned: isPinned,
+          replyTo: replyTo,
+          quoted: quoted
+        });
+
+      } catch (e) {
+        console.error('Error extracting tweet from article:', e);
+      }
+    });
+
+    // Strategy 2: Fallback for older Twitter HTML or mobile
+    if (tweets.length === 0) {
+      const tweetDivs = document.querySelectorAll('[data-testid="cellInnerDiv"]');
+      
+      tweetDivs.forEach(div => {
+        try {
+          const link = div.querySelector('a[href*="/status/"]');
+          const href = link ? link.href : '';
+          if (!href || seen.has(href)) return;
+          seen.add(href);
+
+          const text = getText(div.querySelector('[lang]') || div);
+          const time = getAttr(div, 'time', 'datetime');
+          const context = getText(div, '[data-testid="socialContext"]').toLowerCase();
+          
+          tweets.push({
+            permalink: href,
+            text: text,
+            time: time,
+            replies: '0',
+            retweets: '0',
+            likes: '0',
+            views: '0',
+            hasImage: !!div.querySelector('img[src*="media"]'),
+            hasVideo: !!div.querySelector('video'),
+            placeName: '',
+            coordLink: '',
+            urls: [],
+            author: '',
+            isRetweet: /reposted|retweeted/.test(context),
+            isPinned: /pinned/.test(context),
+            replyTo: replyHandles(findReplyContext(div)),
+            quoted: null
+          });
+
+        } catch (e) {
+          console.error('Error in fallback extraction:', e);
+        }
+      });
+    }
+  }
+
+  return tweets;
+}
+
+/**
+ * Raw tweets of a conversation (status) page in reading order, and the index of the
+ * opened tweet among them.
+ * Nitter: ancestors (.before-tweet), the opened tweet (.main-tweet) and the author's
+ * continuation (.after-tweet); replies by other accounts are left out.
+ * Twitter/X: every tweet on the page; focalIndex is -1 and the opened tweet is matched
+ * by its status id afterwards. Calls extractTweetsFromDocument (see evaluateWithHelpers).
+ */
+function extractConversationFromDocument(document, src) {
+  if (src === 'nitter') {
+    const section = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? extractTweetsFromDocument(el, 'nitter') : [];
+    };
+    const before = section('.before-tweet');
+    const main = section('.main-tweet');
+    const after = section('.after-tweet');
+    return { tweets: before.concat(main, after), focalIndex: main.length > 0 ? before.length : -1 };
+  }
+  return { tweets: extractTweetsFromDocument(document, 'twitter'), focalIndex: -1 };
+}
+
+function extractTwitterProfileInfo(document) {
+  const get = (sel) => {
+    const el = document.querySelector(sel);
+    return el ? el.textContent.trim() : '';
+  };
+
+  // "8,402 posts" sits under the name in the top bar; it has no test id
+  const postsLabel = Array.from(document.querySelectorAll('[data-testid="primaryColumn"] div'))
+    .map(el => (el.textContent || '').trim())
+    .find(text => /^[\d.,]+\s*[KMB]?\s+(posts|tweets)$/i.test(text)) || '';
+
+  // Affiliated accounts show the organization's avatar, linking to it, next to the name
+  const affiliationLink = Array.from(document.querySelectorAll('[data-testid="UserName"] a[href]'))
+    .find(a => a.querySelector('img'));
+  const affiliationImg = affiliationLink ? affiliationLink.querySelector('img') : null;
+  const affiliationHandle = affiliationLink ? (affiliationLink.getAttribute('href').match(/^\/([A-Za-z0-9_]{1,15})\/?$/) || [])[1] : '';
+
+  const pinnedArticle = Array.from(document.querySelectorAll('article[data-testid="tweet"]'))
+    .find(article => /pinned/i.test(article.querySelector('[data-testid="socialContext"]')?.textContent || ''));
+  const pinnedTime = pinnedArticle ? pinnedArticle.querySelector('time') : null;
+
+  return {
+    name: get('[data-testid="UserName"] span') || get('h2 span'),
+    bio: get('[data-testid="UserDescription"]'),
+    location: get('[data-testid="UserLocation"]') || get('[data-testid="UserLocation"] span'),
+    website: get('[data-testid="UserUrl"] a'),
+    joinDate: get('[data-testid="UserJoinDate"]'),
+    professionalCategory: get('[data-testid="UserProfessionalCategory"]'),
+    followersText: get('a[href$="/verified_followers"] span, a[href$="/followers"] span'),
+    followingText: get('a[href$="/following"] span'),
+    postsText: postsLabel.replace(/\s+(posts|tweets)$/i, ''),
+    // X no longer shows how many posts an account liked
+    likesText: '',
+    profileImage: document.querySelector('img[src*="profile_images"]')?.src || '',
+    bannerImage: document.querySelector('a[href$="/header_photo"] img, img[src*="profile_banners"]')?.src || '',
+    verified: !!document.querySelector('[data-testid="icon-verified"], [aria-label*="Verified"]'),
+    affiliation: affiliationImg ? {
+      name: affiliationImg.getAttribute('alt') || affiliationHandle || '',
+      handle: affiliationHandle ? `@${affiliationHandle}` : '',
+      badgeImage: affiliationImg.src || ''
+    } : null,
+    pinnedTweet: pinnedArticle ? {
+      permalink: pinnedTime && pinnedTime.parentElement ? pinnedTime.parentElement.href || '' : '',
+      text: (pinnedArticle.querySelector('[data-testid="tweetText"]')?.textContent || '').trim(),
+      time: pinnedTime ? (pinnedTime.getAttribute('datetime') || '') : ''
+    } : null
+  };
+}
+
+function extractNitterProfileInfo(document) {
+  const get = (sel) => {
+    const el = document.querySelector(sel);
+    return el ? el.textContent.trim() : '';
+  };
+  const absUrl = (value) => {
+    if (!value) return '';
+    try { return new URL(value, document.baseURI).href; } catch (e) { return ''; }
+  };
+
+  const joinEl = document.querySelector('.profile-joindate span');
+  const avatar = document.querySelector('.profile-card-avatar img');
+  const banner = document.querySelector('.profile-banner img');
+  const pinnedItem = Array.from(document.querySelectorAll('.timeline-item')).find(item => item.querySelector('.pinned'));
+  const pinnedLink = pinnedItem ? (pinnedItem.querySelector('.tweet-link') || pinnedItem.querySelector('.tweet-date a')) : null;
+  const pinnedDate = pinnedItem ? pinnedItem.querySelector('.tweet-date a') : null;
+
+  return {
+    name: get('.profile-card-fullname'),
+    bio: get('.profile-bio'),
+    location: get('.profile-location'),
+    website: get('.profile-website'),
+    // The title holds the exact date ("10:00 AM - 1 Mar 2012"), the text only "Joined March 2012"
+    joinDate: joinEl ? (joinEl.getAttribute('title') || joinEl.textContent.trim()) : '',
+    professionalCategory: '',
+    followersText: get('.profile-stat-num[title*="Followers"]') || get('.profile-statlist .followers .profile-stat-num'),
+    followingText: get('.profile-stat-num[title*="Following"]') || get('.profile-statlist .following .profile-stat-num'),
+    postsText: get('.profile-statlist .posts .profile-stat-num'),
+    likesText: get('.profile-statlist .likes .profile-stat-num'),
+    profileImage: absUrl(avatar ? avatar.getAttribute('src') : ''),
+    bannerImage: absUrl(banner ? banner.getAttribute('src') : ''),
+    verified: !!document.querySelector('.profile-card-fullname .verified-icon, .profile-card-tabs-name .verified-icon'),
+    affiliation: null,
+    pinnedTweet: pinnedItem ? {
+      permalink: pinnedLink ? pinnedLink.href : '',
+      text: (pinnedItem.querySelector('.tweet-content')?.textContent || '').trim(),
+      time: pinnedDate ? (pinnedDate.getAttribute('title') || '') : ''
+    } : null
+  };
+}
+
+/**
+ * Accounts listed on a followers or following page, as
+ * { handle, name, bio, verified, protected, avatar, followersText, followingText }.
+ * Nitter lists accounts as profile-result timeline items, Twitter/X as UserCells; neither
+ * shows follower counts in the list, so the count texts are only set when present.
+ */
+function extractAccountListFromDocument(document, src) {
+  const text = (el) => (el ? (el.textContent || '').trim() : '');
+  const accounts = [];
+  const seen = new Set();
+  const add = (account) => {
+    const key = account.handle.toLowerCase();
+    if (!account.handle || seen.has(key)) return;
+    seen.add(key);
+    accounts.push(account);
+  };
+
+  if (src === 'nitter') {
+    document.querySelectorAll('.timeline-item').forEach(item => {
+      const username = item.querySelector('.username');
+      if (!username) return;
+      const fullname = item.querySelector('.fullname');
+      const avatar = item.querySelector('.tweet-avatar img, img.avatar');
+      add({
+        handle: text(username),
+        name: fullname ? (fullname.getAttribute('title') || text(fullname)) : '',
+        bio: text(item.querySelector('.tweet-content')),
+        verified: !!item.querySelector('.verified-icon'),
+        protected: !!item.querySelector('.icon-lock'),
+        avatar: avatar ? avatar.src || '' : '',
+        followersText: text(item.querySelector('.followers .profile-stat-num')),
+        followingText: text(item.querySelector('.following .profile-stat-num'))
+      });
+    });
+    return accounts;
+  }
+
+  document.querySelectorAll('[data-testid="UserCell"]').forEach(cell => {
+    const spans = Array.from(cell.querySelectorAll('a[href] span'));
+    const handleSpan = spans.find(s => /^@[A-Za-z0-9_]{1,15}$/.test(text(s)));
+    if (!handleSpan) return;
+    const nameSpan = spans.find(s => text(s) && !text(s).startsWith('@'));
+    const avatar = cell.querySelector('[data-testid^="UserAvatar-Container"] img, img[src*="profile_images"]');
+    // The bio is the last text block outside the links, the follow button and the
+    // "Follows you" badge (the cell itself is a button)
+    const bioEl = Array.from(cell.querySelectorAll('[dir="auto"]'))
+      .filter(el => {
+        const wrapper = el.closest('a, button, [role="button"], [data-testid="userFollowIndicator"]');
+        return !wrapper || wrapper === cell;
+      })
+      .pop();
+    add({
+      handle: text(handleSpan),
+      name: text(nameSpan),
+      bio: text(bioEl),
+      verified: !!cell.querySelector('[data-testid="icon-verified"]'),
+      protected: !!cell.querySelector('[data-testid="icon-lock"]'),
+      avatar: avatar ? avatar.src || '' : '',
+      followersText: '',
+      followingText: ''
+    });
+  });
+  return accounts;
+}
+
+// True when a Nitter page is the last page of the timeline (or an empty one)
+function detectNitterTimelineEnd(document) {
+  if (document.querySelector('.timeline-end, .timeline-none')) return true;
+  return !document.querySelector('.show-more:not(.timeline-item) a[href*="cursor="]');
+}
+
+// URL of the next Nitter timeline page ('' when there is none)
+function nitterNextPageUrl(document) {
+  const link = document.querySelector('.show-more:not(.timeline-item) a[href*="cursor="]');
+  return link ? link.href : '';
+}
+
+// Twitter/X renders an empty-state block instead of a timeline for empty or missing accounts
+function detectTwitterTimelineEnd(document) {
+  return !!document.querySelector('[data-testid="emptyState"]');
+}
+
+/**
+ * What a profile page says about the account itself: { state, message } where state is
+ * 'active', 'not_found', 'suspended', 'protected' or 'rate_limited' and message is the
+ * page's own wording. Only the error / empty-state blocks are read, never tweet text.
+ */
+function detectAccountState(document, src) {
+  const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+  const selector = src === 'nitter'
+    ? '.error-panel, .timeline-protected'
+    : '[data-testid="emptyState"], [data-testid="error-detail"]';
+  const rateLimit = /rate.?limit|too many requests/i;
+  const message = Array.from(document.querySelectorAll(selector))
+    .map(el => clean(el.textContent))
+    .filter(Boolean)
+    .join(' ');
+
+  // Rate limit responses are often bare error pages without the site's layout
+  if (!message) {
+    const bare = document.body && !document.querySelector('.timeline-item, .profile-card, article, [data-testid="primaryColumn"]');
+    const body = bare ? clean(document.body.textContent) : '';
+    if (body.length < 500 && rateLimit.test(body)) return { state: 'rate_limited', message: body };
+    return { state: 'active', message: '' };
+  }
+
+  const patterns = [
+    ['rate_limited', rateLimit],
+    ['suspended', /suspended/i],
+    ['protected', /protected/i],
+    ['not_found', /doesn['’]t exist|does not exist|not found|no longer exists/i]
+  ];
+  for (const [state, pattern] of patterns) {
+    if (pattern.test(message)) return { state, message };
+  }
+  return { state: 'active', message: '' };
+}
+
+const ACCOUNT_STATE_REASONS = {
+  not_found: "Account doesn't exist",
+  suspended: 'Account suspended',
+  protected: 'Posts are protected',
+  rate_limited: 'Rate limited'
+};
+
+// profileData fields for an account state (see detectAccountState)
+function describeAccountState(state = 'active') {
+  return {
+    accountState: state,
+    accountExists: state !== 'not_found' && state !== 'suspended',
+    protected: state === 'protected',
+    reason: ACCOUNT_STATE_REASONS[state] || ''
+  };
+}
+
+// Enhanced count normalization
+function normalizeCount(raw) {
+  if (raw === null || raw === undefined || raw === '') return 0;
+  const s = String(raw).trim().toLowerCase();
+  if (!s || s === '0') return 0;
+  
+  // Remove commas and spaces
+  const cleaned = s.replace(/,/g, '').replace(/\s/g, '');
+  
+  // Handle K, M, B suffixes
+  const match = cleaned.match(/^([\d,.]+)([kmb])?$/i);
+  if (!match) {
+    const digits = cleaned.replace(/[^\d.]/g, '');
+    return digits ? Math.round(parseFloat(digits)) : 0;
+  }
+  
+  let num = parseFloat(match[1]);
+  const suffix = (match[2] || '').toLowerCase();
+  
+  if (suffix === 'k') num *= 1000;
+  else if (suffix === 'm') num *= 1000000;
+  else if (suffix === 'b') num *= 1000000000;
+  
+  return Math.round(num);
+}
+
+function parseTweetDate(raw) {
+  if (!raw) return null;
+  // Nitter titles look like "Jan 5, 2026 · 10:00 AM UTC"
+  const d = new Date(String(raw).replace(/\s*·\s*/, ' '));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// Hosts whose links point back at the timeline itself rather than to shared content
+// (t.co is not listed: X wraps every shared link in it)
+const INTERNAL_LINK_HOSTS = /(^|\.)(twitter\.com|x\.com|nitter\.[a-z.]+)$/i;
+
+function statusIdFromUrl(url) {
+  const m = String(url || '').match(/status\/(\d+)/);
+  return m ? m[1] : '';
+}
+
+/** Lowercased "#tag" and "@handle" lists from tweet text, in order of appearance, without repeats */
+function extractEntities(text) {
+  const unique = (list) => Array.from(new Set(list));
+  const hashtags = [];
+  const mentions = [];
+  const str = String(text || '');
+  let m;
+  const tagRe = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+  while ((m = tagRe.exec(str)) !== null) hashtags.push(`#${m[2].toLowerCase()}`);
+  const mentionRe = /(^|[^A-Za-z0-9_@.])@([A-Za-z0-9_]{1,15})\b/g;
+  while ((m = mentionRe.exec(str)) !== null) mentions.push(`@${m[2].toLowerCase()}`);
+  return { hashtags: unique(hashtags), mentions: unique(mentions) };
+}
+
+/**
+ * Direct URL of a media file. Nitter proxies media through /pic/<encoded url>
+ * ("/pic/orig/media%2FAbC.jpg", "/pic/video.twimg.com%2Ftweet_video%2FAbC.mp4") and
+ * videos through /video/<hash>/<encoded url>; those map back to Twitter's media hosts.
+ * Twitter image URLs are switched to the original size.
+ */
+function resolveMediaUrl(url) {
+  if (!url) return '';
+  let resolved = String(url);
+  const video = resolved.match(/^https?:\/\/[^/]+\/video\/[^/]+\/(https?%3A.+)$/i);
+  if (video) {
+    try { resolved = decodeURIComponent(video[1]); } catch (e) { /* keep the proxied URL */ }
+  }
+  const proxied = resolved.match(/^https?:\/\/[^/]+\/pic\/(?:orig\/)?(.+)$/);
+  if (proxied) {
+    let target;
+    try { target = decodeURIComponent(proxied[1]); } catch (e) { target = proxied[1]; }
+    target = target.replace(/^https?:\/\//, '');
+    // "media/AbC.jpg" is a pbs.twimg.com path; anything else starts with its host
+    resolved = /^[a-z0-9-]+(\.[a-z0-9-]+)+\//i.test(target) ? `https://${target}` : `https://pbs.twimg.com/${target}`;
+  }
+  try {
+    const u = new URL(resolved);
+    if (u.hostname === 'pbs.twimg.com' && u.pathname.startsWith('/media/') && u.searchParams.has('name')) {
+      u.searchParams.set('name', 'orig');
+    }
+    return u.href;
+  } catch (e) {
+    return '';
+  }
+}
+
+function normalizeMedia(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(m => m && (m.url || m.poster))
+    .map(m => ({
+      type: ['image', 'video', 'gif'].includes(m.type) ? m.type : 'image',
+      url: resolveMediaUrl(m.url),
+      alt: String(m.alt || '').trim(),
+      poster: resolveMediaUrl(m.poster)
+    }));
+}
+
+// "Joined March 2012" / "10:00 AM - 1 Mar 2012" -> Date (null when unparsable)
+function parseJoinDate(raw) {
+  const text = String(raw || '').replace(/^\s*joined\s+/i, '').trim();
+  if (!text) return null;
+  const d = new Date(text.replace(/^.*\s-\s/, ''));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Turn a raw profile extraction (extractTwitterProfileInfo / extractNitterProfileInfo)
+ * into the profile fields of scraped profile data
+ */
+function normalizeProfileInfo(info = {}) {
+  const joined = parseJoinDate(info.joinDate);
+  const pinned = info.pinnedTweet && (info.pinnedTweet.permalink || info.pinnedTweet.text) ? info.pinnedTweet : null;
+  const parsedPinnedTime = pinned ? parseTweetDate(pinned.time) : null;
+
+  return {
+    name: info.name || '',
+    bio: info.bio || '',
+    location: info.location || '',
+    website: info.website || '',
+    joinDate: String(info.joinDate || '').replace(/^\s*joined\s+/i, '').trim(),
+    joinedAt: joined ? joined.toISOString() : '',
+    followers: normalizeCount(info.followersText),
+    following: normalizeCount(info.followingText),
+    postsCount: normalizeCount(info.postsText),
+    likesCount: normalizeCount(info.likesText),
+    profileImage: resolveMediaUrl(info.profileImage),
+    bannerImage: resolveMediaUrl(info.bannerImage),
+    verified: !!info.verified,
+    professionalCategory: info.professionalCategory || '',
+    affiliation: info.affiliation && (info.affiliation.name || info.affiliation.handle) ? {
+      name: info.affiliation.name || '',
+      handle: info.affiliation.handle || '',
+      badgeImage: resolveMediaUrl(info.affiliation.badgeImage)
+    } : null,
+    pinnedTweet: pinned ? {
+      id: statusIdFromUrl(pinned.permalink),
+      text: pinned.text || '',
+      time: parsedPinnedTime ? parsedPinnedTime.toISOString() : (pinned.time || ''),
+      permalink: pinned.permalink || ''
+    } : null
+  };
+}
+
+/**
+ * Turn a raw account from extractAccountListFromDocument into a sampled account.
+ * followers / following are null when the list did not show them.
+ */
+function normalizeAccount(raw = {}) {
+  const handle = String(raw.handle || '').trim().replace(/^@?/, '@');
+  const avatar = resolveMediaUrl(raw.avatar);
+  return {
+    handle: handle === '@' ? '' : handle,
+    name: String(raw.name || '').trim(),
+    bio: String(raw.bio || '').trim(),
+    verified: !!raw.verified,
+    protected: !!raw.protected,
+    avatar,
+    defaultAvatar: !avatar || /default_profile_images/.test(avatar),
+    followers: raw.followersText ? normalizeCount(raw.followersText) : null,
+    following: raw.followingText ? normalizeCount(raw.followingText) : null
+  };
+}
+
+function hasExternalLink(t) {
+  const urls = Array.isArray(t.urls) ? t.urls : [];
+  // The place link of a geotagged tweet is not a shared link
+  const external = urls.some(u => {
+    if (u === t.coordLink) return false;
+    try { return !INTERNAL_LINK_HOSTS.test(new URL(u).hostname); } catch (e) { return false; }
+  });
+  return external || /https?:\/\/\S+/.test(String(t.text || ''));
+}
+
+/**
+ * Turn a raw extracted tweet into the normalized shape used by reports
+ */
+function normalizeTweet(t) {
+  const dateObj = parseTweetDate(t.time);
+
+  // Extract coordinates if available
+  let coordinates = null;
+  if (t.coordLink) {
+    const coordMatch = t.coordLink.match(/[@?](-?\d+\.\d+),(-?\d+\.\d+)/);
+    if (coordMatch) {
+      coordinates = {
+        lat: parseFloat(coordMatch[1]),
+        lon: parseFloat(coordMatch[2]),
+        source: t.coordLink
+      };
+    }
+  }
+
+  // Extract tweet ID
+  let tweetId = '';
+  if (t.permalink) {
+    const idMatch = t.permalink.match(/status\/(\d+)/);
+    if (idMatch) tweetId = idMatch[1];
+  }
+
+  const { hashtags, mentions } = extractEntities(t.text);
+  const media = normalizeMedia(t.media);
+  const replyTo = Array.isArray(t.replyTo) ? Array.from(new Set(t.replyTo.map(h => String(h).toLowerCase()))) : [];
+  const quoted = t.quoted && (t.quoted.permalink || t.quoted.text)
+    ? { id: statusIdFromUrl(t.quoted.permalink), author: t.quoted.author || '', text: t.quoted.text || '' }
+    : null;
+
+  return {
+    id: tweetId,
+    text: t.text || '',
+    time: dateObj ? dateObj.toISOString() : (t.time || ''),
+    likes: normalizeCount(t.likes),
+    retweets: normalizeCount(t.retweets),
+    replies: normalizeCount(t.replies),
+    views: normalizeCount(t.views),
+    hasImage: !!t.hasImage || media.some(m => m.type === 'image'),
+    hasVideo: !!t.hasVideo || media.some(m => m.type !== 'image'),
+    media: media,
+    mediaCount: media.length,
+    coords: coordinates,
+    placeName: t.placeName || '',
+    urls: Array.isArray(t.urls) ? t.urls : [],
+    permalink: t.permalink || '',
+    author: t.author || '',
+    hashtags: hashtags,
+    mentions: mentions,
+    hasLink: hasExternalLink(t),
+    isReply: replyTo.length > 0 || !!t.isReply,
+    replyTo: replyTo,
+    isRetweet: !!t.isRetweet,
+    originalAuthor: t.isRetweet ? (t.author || '') : '',
+    isPinned: !!t.isPinned,
+    isQuote: !!quoted,
+    quotedTweet: quoted
+  };
+}
+
+module.exports = {
+  evaluateInPage,
+  evaluateWithHelpers,
+  extractTweetsFromDocument,
+  extractConversationFromDocument,
+  extractTwitterProfileInfo,
+  extractNitterProfileInfo,
+  extractAccountListFromDocument,
+  detectNitterTimelineEnd,
+  nitterNextPageUrl,
+  detectTwitterTimelineEnd,
+  detectAccountState,
+  describeAccountState,
+  normalizeCount,
+  normalizeTweet,
+  normalizeProfileInfo,
+  normalizeAccount,
+  parseJoinDate,
+  extractEntities,
+  resolveMediaUrl,
+  parseTweetDate
+};
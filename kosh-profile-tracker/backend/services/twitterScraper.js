@@ -2,375 +2,296 @@
 // IMPROVED Multi-strategy robust Twitter scraper with better tweet extraction
 // Replace your current twitterScraper.js with this file
 
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs');
 const path = require('path');
-puppeteer.use(StealthPlugin());
+const { normalizeTweet, normalizeProfileInfo, normalizeAccount, parseTweetDate, describeAccountState } = require('./twitterExtractors');
+const twitterSources = require('./twitterSources');
+const sourceHealth = require('./sourceHealth');
+const replaySource = require('./replaySource');
+const browserPool = require('./browserPool');
+const scraperConfig = require('./scraperConfig');
+const checkpointStore = require('./checkpointStore');
+const { mergeTweets } = require('../utils/tweetUtils');
+const { selectThreadCandidates, buildThread } = require('../utils/threadUtils');
+
+// Profile fields before (or without) a successful profile header fetch
+function emptyProfileInfo(cleanHandle) {
+  return {
+    name: cleanHandle,
+    handle: `@${cleanHandle}`,
+    bio: '',
+    location: '',
+    website: '',
+    joinDate: '',
+    joinedAt: '',
+    following: 0,
+    followers: 0,
+    verified: false,
+    profileImage: '',
+    bannerImage: '',
+    postsCount: 0,
+    likesCount: 0,
+    professionalCategory: '',
+    affiliation: null,
+    pinnedTweet: null
+  };
+}
 
 /**
  * Enhanced scrapeProfile function with better tweet extraction
  * Options:
  * - lookbackDays: number (default 365)
+ * - since, until: string|number (optional) - explicit date range; `since` replaces the
+ *   lookback window and tweets newer than `until` are skipped
  * - maxScrolls: number (default 1000)
  * - timeoutMs: number (default 600000)
  * - noNewThreshold: number (default 8)
  * - minTweets: number (default 50)
+ * - maxTweets: number (optional) - stop once this many tweets are collected
+ * - snapshots: boolean (default true) - save debug HTML snapshots to reports/
+ * - search: boolean|{ keywords } (optional) - read search results ("from:handle since: until:
+ *   keywords") instead of the profile timeline; only sources with buildSearchUrl are used
+ *   and the query is returned as `search`
+ * - onProgress: function(event) (optional) - receives phase changes and per-scroll tweet counts
+ * - sinceId: string (optional) - newest tweet id from a previous run
+ * - sinceTime: string|number (optional) - time of the newest tweet from a previous run
+ * - knownIds: string[] (optional) - tweet ids already stored from previous runs
+ *   When any of these is given the scrape is incremental: scrolling stops once the
+ *   timeline reaches tweets that were already collected.
+ * - replayFiles: string[] (optional) - saved snapshot files to parse offline instead of
+ *   launching a browser (see replaySource)
+ * - sources: adapter[] (optional) - timeline sources to try, in order; defaults to the
+ *   configured ones (see twitterSources)
+ * - sourceTypes: string[] (optional) - configured source types to use instead of the
+ *   configured order, e.g. ['nitter', 'desktop']
+ * - profileSources: adapter[] (optional) - sources tried for the profile header
+ * - threads: boolean|{ ids, max } (optional) - open the permalinks of selected tweets and
+ *   return their reconstructed threads as `threads` (see threadUtils). `ids` picks the
+ *   tweets; by default replies and thread starters are picked, at most `max` (10)
+ * - audience: boolean|{ sample } (optional) - sample up to `sample` (50) accounts from the
+ *   followers and the following lists, returned as `audience` (see audienceUtils)
+ * - checkpointId: string (optional) - write the progress to this checkpoint (see
+ *   checkpointStore) every few scrolls and after each source
+ * - resumeFrom: object (optional) - a checkpoint to continue from: its tweets are kept, the
+ *   sources it finished are skipped and the interrupted one reopens at its last page
+ *
+ * When the scrape times out, fails after tweets were collected, or a rate limit cut every
+ * source short, the tweets collected so far are returned with `partial: true` and a
+ * `partialReason`.
+ *
+ * A source page saying the account does not exist, is suspended or is protected ends the
+ * scrape at once (a Nitter "not found" needs a second source to agree, since broken
+ * instances say that about every account). `accountState` is then 'not_found',
+ * 'suspended' or 'protected'; it is 'rate_limited' when every source that answered was
+ * rate limited and no tweets were collected, and 'active' otherwise.
  */
 async function scrapeProfile(handle, options = {}) {
+  if (Array.isArray(options.replayFiles) && options.replayFiles.length > 0) {
+    return replaySource.replayProfile(handle, options.replayFiles, { onProgress: options.onProgress });
+  }
+
   const lookbackDays = options.lookbackDays ?? 365;
   const maxScrolls = options.maxScrolls ?? 1000;
   const timeoutMs = options.timeoutMs ?? 600000; // 10 minutes
   const noNewThreshold = options.noNewThreshold ?? 8;
-  const minTweets = options.minTweets ?? 50;
+  const maxTweets = options.maxTweets || Infinity;
+  const minTweets = Math.min(options.minTweets ?? 50, maxTweets);
+  const sinceDate = options.since ? new Date(options.since) : null;
+  const untilDate = options.until ? new Date(options.until) : null;
+  const takeSnapshots = options.snapshots !== false;
+  const threadOptions = options.threads ? Object.assign({ max: 10 }, options.threads === true ? {} : options.threads) : null;
+  const searchOptions = options.search ? Object.assign({ keywords: '' }, options.search === true ? {} : options.search) : null;
+  const audienceOptions = options.audience ? Object.assign({ sample: 50 }, options.audience === true ? {} : options.audience) : null;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+  // Incremental mode: what the previous run already collected
+  const sinceId = options.sinceId ? String(options.sinceId) : '';
+  const sinceMs = options.sinceTime ? new Date(options.sinceTime).getTime() : NaN;
+  const knownIds = new Set((options.knownIds || []).map(String));
+  if (sinceId) knownIds.add(sinceId);
+  const incremental = knownIds.size > 0 || !isNaN(sinceMs);
+  // Consecutive already-seen tweets needed before stopping, so an old pinned tweet
+  // at the top of the timeline does not end the scrape on its own
+  const KNOWN_STREAK_TO_STOP = 3;
+
+  // Checkpoints, and what an earlier interrupted attempt left in one
+  const checkpointId = options.checkpointId ? String(options.checkpointId) : '';
+  const resumeFrom = options.resumeFrom || null;
+  const resumedTweets = resumeFrom && Array.isArray(resumeFrom.tweets) ? resumeFrom.tweets : [];
+  const sourcesTried = resumeFrom && Array.isArray(resumeFrom.sourcesTried) ? resumeFrom.sourcesTried.slice() : [];
+  const finishedSources = new Set(sourcesTried.filter(s => s.finished).map(s => s.name));
+  const resumePosition = resumeFrom && resumeFrom.position ? resumeFrom.position : null;
+  const CHECKPOINT_EVERY = 5; // scrolls
+
+  // Progress reporting must never break the scrape
+  function reportProgress(event) {
+    try { onProgress(event); } catch (e) { /* ignore */ }
+  }
 
   const DEBUG_DIR = path.join(__dirname, '../reports');
   if (!fs.existsSync(DEBUG_DIR)) fs.mkdirSync(DEBUG_DIR, { recursive: true });
 
-  // Updated Nitter instances (more reliable ones)
-  const NITTER_INSTANCES = [
-    'https://nitter.poast.org',
-    'https://nitter.privacydev.net',
-    'https://nitter.net',
-    'https://nitter.unixfox.eu',
-    'https://nitter.42l.fr'
-  ];
-
-  let browser;
-  const startTime = Date.now();
+  // Healthiest Nitter instances first; instances in cooldown are left out
+  let configuredSources = options.sources;
+  if (!configuredSources && Array.isArray(options.sourceTypes) && options.sourceTypes.length > 0) {
+    configuredSources = twitterSources.buildSources(Object.assign(twitterSources.loadSourceConfig(), { order: options.sourceTypes }));
+  }
+  const sources = sourceHealth.rankSources(configuredSources || twitterSources.buildSources());
+
+  // Search mode: the query always carries a date range so results stay within the window
+  const searchQuery = searchOptions ? twitterSources.buildSearchQuery(handle, {
+    since: sinceDate || new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000),
+    until: untilDate,
+    keywords: searchOptions.keywords
+  }) : '';
+  const searchInfo = searchOptions ? { query: searchQuery, keywords: String(searchOptions.keywords || '').trim() } : null;
+  const profileSources = sourceHealth.rankSources(options.profileSources || twitterSources.buildProfileSources());
+
+  let lease;
+  // Reset once a browser is leased, so time spent queueing does not eat the budget
+  let startTime = Date.now();
+  let timedOut = false;
+  // Best result of a finished source so far
+  let allTweets = [];
+  // Tweets and page position of the source being scrolled, so a checkpoint written when it
+  // fails still holds them
+  let inFlight = { tweets: [], position: null };
   const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-  // Enhanced count normalization
-  function normalizeCount(raw) {
-    if (raw === null || raw === undefined || raw === '') return 0;
-    const s = String(raw).trim().toLowerCase();
-    if (!s || s === '0') return 0;
-    
-    // Remove commas and spaces
-    const cleaned = s.replace(/,/g, '').replace(/\s/g, '');
-    
-    // Handle K, M, B suffixes
-    const match = cleaned.match(/^([\d,.]+)([kmb])?$/i);
-    if (!match) {
-      const digits = cleaned.replace(/[^\d.]/g, '');
-      return digits ? Math.round(parseFloat(digits)) : 0;
+  // Everything collected so far: resumed tweets, the best finished source and the current one
+  function collectedSoFar(current = []) {
+    return mergeTweets(resumedTweets, mergeTweets(allTweets, current).tweets).tweets;
+  }
+
+  // Checkpoint failures are logged, never fatal
+  function writeCheckpoint(current, position) {
+    if (!checkpointId) return;
+    try {
+      checkpointStore.saveCheckpoint(checkpointId, {
+        handle: handle.replace('@', ''),
+        tweets: collectedSoFar(current),
+        sourcesTried,
+        position: position || null
+      });
+    } catch (e) {
+      console.warn(`⚠️ Could not write checkpoint ${checkpointId}: ${e.message}`);
+    }
+  }
+
+  // Account state shown on the page; detection problems count as 'active'
+  async function readAccountState(source, page) {
+    if (typeof source.detectAccountState !== 'function') return { state: 'active', message: '' };
+    try {
+      return await source.detectAccountState(page) || { state: 'active', message: '' };
+    } catch (e) {
+      return { state: 'active', message: '' };
     }
-    
-    let num = parseFloat(match[1]);
-    const suffix = (match[2] || '').toLowerCase();
-    
-    if (suffix === 'k') num *= 1000;
-    else if (suffix === 'm') num *= 1000000;
-    else if (suffix === 'b') num *= 1000000000;
-    
-    return Math.round(num);
   }
 
   // Save debug snapshot
   async function saveSnapshot(page, tag) {
+    if (!takeSnapshots) return;
     try {
       const html = await page.content();
-      const file = path.join(DEBUG_DIR, `snapshot_${handle}_${tag}_${Date.now()}.html`);
+      // ':' in tags like "nitter:host" is not a valid filename character on Windows
+      const safeTag = String(tag).replace(/[^a-zA-Z0-9_.\-]/g, '-');
+      const file = path.join(DEBUG_DIR, `snapshot_${handle}_${safeTag}_${Date.now()}.html`);
       fs.writeFileSync(file, html, 'utf-8');
       console.log(`📸 Saved snapshot: ${path.basename(file)}`);
     } catch (e) { /* ignore */ }
   }
 
-  // ENHANCED tweet extraction with multiple selector strategies
-  async function extractTweetsFromPage(page, source = 'twitter') {
-    return await page.evaluate((src) => {
-      const tweets = [];
-      const seen = new Set();
-
-      // Helper to safely get text
-      const getText = (el, selector) => {
-        if (!el) return '';
-        const found = selector ? el.querySelector(selector) : el;
-        return found ? (found.textContent || found.innerText || '').trim() : '';
-      };
-
-      // Helper to get attribute
-      const getAttr = (el, selector, attr) => {
-        if (!el) return '';
-        const found = selector ? el.querySelector(selector) : el;
-        return found ? (found.getAttribute(attr) || '') : '';
-      };
-
-      if (src === 'nitter') {
-        // NITTER extraction (cleaner HTML structure)
-        const tweetDivs = document.querySelectorAll('.timeline-item');
-        
-        tweetDivs.forEach(item => {
-          try {
-            // Get tweet link for ID
-            const linkEl = item.querySelector('.tweet-link');
-            const href = linkEl ? linkEl.href : '';
-            if (!href || seen.has(href)) return;
-            seen.add(href);
-
-            // Extract data from Nitter's clean structure
-            const textEl = item.querySelector('.tweet-content');
-            const text = getText(textEl);
-            
-            const timeEl = item.querySelector('.tweet-date a');
-            const timeStr = getAttr(timeEl, null, 'title') || getText(timeEl);
-            
-            // Stats from Nitter
-            const stats = item.querySelectorAll('.icon-container');
-            let replies = 0, retweets = 0, likes = 0;
-            
-            stats.forEach(stat => {
-              const statText = getText(stat);
-              const iconClass = stat.querySelector('[class*="icon-"]')?.className || '';
-              
-              if (iconClass.includes('comment')) replies = parseInt(statText.replace(/\D/g, '')) || 0;
-              else if (iconClass.includes('retweet')) retweets = parseInt(statText.replace(/\D/g, '')) || 0;
-              else if (iconClass.includes('heart')) likes = parseInt(statText.replace(/\D/g, '')) || 0;
-            });
-
-            // Media detection
-            const hasImage = !!item.querySelector('.attachment.image, img.still-image');
-            const hasVideo = !!item.querySelector('.attachment.video, video');
-            
-            // Location data
-            const locationEl = item.querySelector('.tweet-geo');
-            const placeName = locationEl ? getText(locationEl) : '';
-
-            tweets.push({
-              permalink: href,
-              text: text,
-              time: timeStr,
-              replies: String(replies),
-              retweets: String(retweets),
-              likes: String(likes),
-              views: '0',
-              hasImage: hasImage,
-              hasVideo: hasVideo,
-              placeName: placeName,
-              coordLink: '',
-              urls: Array.from(item.querySelectorAll('a[href^="http"]')).map(a => a.href)
-            });
-          } catch (e) {
-            console.error('Error extracting Nitter tweet:', e);
-          }
-        });
-
-      } else {
-        // TWITTER/X extraction with multiple strategies
-        
-        // Strategy 1: Article elements (most reliable for new Twitter)
-        const articles = document.querySelectorAll('article[data-testid="tweet"]');
-        
-        articles.forEach(article => {
-          try {
-            // Get permalink
-            const timeLink = article.querySelector('time')?.parentElement;
-            const href = timeLink ? timeLink.href : '';
-            if (!href || !href.includes('/status/') || seen.has(href)) return;
-            seen.add(href);
-
-            // Text content - try multiple selectors
-            const textEl = article.querySelector('[data-testid="tweetText"]') ||
-                          article.querySelector('[lang]') ||
-                          article.querySelector('.css-1jxf684');
-            const text = getText(textEl);
-
-            // Time
-            const timeEl = article.querySelector('time');
-            const time = timeEl ? (timeEl.getAttribute('datetime') || getText(timeEl)) : '';
-
-            // Engagement metrics with multiple fallback selectors
-            const getMetric = (testId) => {
-              const el = article.querySelector(`[data-testid="${testId}"]`);
-              if (!el) return '0';
-              const text = getText(el);
-              // Extract just the number, ignoring labels
-              const match = text.match(/[\d,.]+[KMB]?/i);
-              return match ? match[0] : '0';
-            };
-
-            const replies = getMetric('reply');
-            const retweets = getMetric('retweet');
-            const likes = getMetric('like');
-            const views = getMetric('views') || getMetric('analytics');
-
-            // Media detection
-            const hasImage = !!article.querySelector('[data-testid="tweetPhoto"], img[src*="media"]');
-            const hasVideo = !!article.querySelector('[data-testid="videoPlayer"], video');
-
-            // Links
-            const urls = Array.from(article.querySelectorAll('a[href^="http"]'))
-              .map(a => a.href)
-              .filter(url => !url.includes('twitter.com') && !url.includes('x.com'));
-
-            // Location/coordinates
-            const locationLink = article.querySelector('a[href*="/maps"], a[href*="google.com/maps"]');
-            const placeName = locationLink ? getText(locationLink) : '';
-            const coordLink = locationLink ? locationLink.href : '';
-
-            tweets.push({
-              permalink: href,
-              text: text,
-              time: time,
-              replies: replies,
-              retweets: retweets,
-              likes: likes,
-              views: views,
-              hasImage: hasImage,
-              hasVideo: hasVideo,
-              placeName: placeName,
-              coordLink: coordLink,
-              urls: urls
-            });
-
-          } catch (e) {
-            console.error('Error extracting tweet from article:', e);
-          }
-        });
-
-        // Strategy 2: Fallback for older Twitter HTML or mobile
-        if (tweets.length === 0) {
-          const tweetDivs = document.querySelectorAll('[data-testid="cellInnerDiv"]');
-          
-          tweetDivs.forEach(div => {
-            try {
-              const link = div.querySelector('a[href*="/status/"]');
-              const href = link ? link.href : '';
-              if (!href || seen.has(href)) return;
-              seen.add(href);
-
-              const text = getText(div.querySelector('[lang]') || div);
-              const time = getAttr(div, 'time', 'datetime');
-              
-              tweets.push({
-                permalink: href,
-                text: text,
-                time: time,
-                replies: '0',
-                retweets: '0',
-                likes: '0',
-                views: '0',
-                hasImage: !!div.querySelector('img[src*="media"]'),
-                hasVideo: !!div.querySelector('video'),
-                placeName: '',
-                coordLink: '',
-                urls: []
-              });
-
-            } catch (e) {
-              console.error('Error in fallback extraction:', e);
-            }
-          });
-        }
-      }
-
-      return tweets;
-    }, source);
-  }
-
   // ENHANCED scroll and extraction loop
-  async function runExtractionLoop(page, modeLabel = 'desktop', isNitter = false) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - lookbackDays);
+  async function runExtractionLoop(page, source) {
+    const modeLabel = source.name;
+    let cutoffDate = sinceDate;
+    if (!cutoffDate) {
+      cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - lookbackDays);
+    }
 
     const seen = new Set();
     const tweets = [];
     let reachedCutoff = false;
+    let reachedKnown = false;
+    let rateLimited = false;
+    let knownStreak = 0;
     let scrollCount = 0;
     let consecutiveNoNew = 0;
-    let prevCount = 0;
 
     console.log(`🔄 Starting extraction loop for ${modeLabel}...`);
 
-    while (!reachedCutoff && scrollCount < maxScrolls && consecutiveNoNew < noNewThreshold) {
+    while (!reachedCutoff && !reachedKnown && scrollCount < maxScrolls && consecutiveNoNew < noNewThreshold) {
       scrollCount++;
 
       // Check global timeout
       if (Date.now() - startTime > timeoutMs) {
         console.warn(`⏰ Global timeout reached at scroll ${scrollCount}`);
+        timedOut = true;
         break;
       }
 
       try {
         // Extract tweets
-        const source = isNitter ? 'nitter' : 'twitter';
-        const batch = await extractTweetsFromPage(page, source);
+        const batch = await source.extractTweets(page);
 
-        // Process batch
+        // Process batch; progress is tweets not seen before, kept or not, so scrolling past
+        // tweets newer than `until` does not count as a stalled timeline
+        let newInBatch = 0;
         for (const t of batch) {
           const key = t.permalink || `${t.time}|${t.text.slice(0, 50)}`;
           if (seen.has(key)) continue;
           seen.add(key);
+          newInBatch++;
 
-          // Normalize engagement numbers
-          const likes = normalizeCount(t.likes);
-          const retweets = normalizeCount(t.retweets);
-          const replies = normalizeCount(t.replies);
-          const views = normalizeCount(t.views);
-
-          // Parse date
-          let dateObj = null;
-          try {
-            if (t.time) {
-              dateObj = new Date(t.time);
-              if (isNaN(dateObj.getTime())) dateObj = null;
-            }
-          } catch (e) {
-            dateObj = null;
-          }
+          const tweet = normalizeTweet(t);
+          const dateObj = parseTweetDate(tweet.time);
 
           // Check cutoff
           if (dateObj && dateObj < cutoffDate) {
             reachedCutoff = true;
             continue;
           }
-
-          // Extract coordinates if available
-          let coordinates = null;
-          if (t.coordLink) {
-            const coordMatch = t.coordLink.match(/[@?](-?\d+\.\d+),(-?\d+\.\d+)/);
-            if (coordMatch) {
-              coordinates = {
-                lat: parseFloat(coordMatch[1]),
-                lon: parseFloat(coordMatch[2]),
-                source: t.coordLink
-              };
+          // Newer than the requested range: keep scrolling towards it
+          if (untilDate && dateObj && dateObj > untilDate) continue;
+
+          const tweetId = tweet.id;
+
+          // Incremental: tweets already stored are still collected (to refresh their
+          // engagement counts) but a streak of them means we are caught up
+          if (incremental) {
+            const alreadySeen = (tweetId && knownIds.has(tweetId)) ||
+              (!isNaN(sinceMs) && dateObj && dateObj.getTime() <= sinceMs);
+            knownStreak = alreadySeen ? knownStreak + 1 : 0;
+            if (knownStreak >= KNOWN_STREAK_TO_STOP || (sinceId && tweetId === sinceId && tweets.length > 0)) {
+              reachedKnown = true;
             }
           }
 
-          // Extract tweet ID
-          let tweetId = '';
-          if (t.permalink) {
-            const idMatch = t.permalink.match(/status\/(\d+)/);
-            if (idMatch) tweetId = idMatch[1];
-          }
-
-          tweets.push({
-            id: tweetId,
-            text: t.text || '',
-            time: dateObj ? dateObj.toISOString() : (t.time || ''),
-            likes,
-            retweets,
-            replies,
-            views,
-            hasImage: !!t.hasImage,
-            hasVideo: !!t.hasVideo,
-            coords: coordinates,
-            placeName: t.placeName || '',
-            urls: Array.isArray(t.urls) ? t.urls : [],
-            permalink: t.permalink || ''
-          });
+          tweets.push(tweet);
+          if (tweets.length >= maxTweets) break;
         }
 
         // Check if we found new tweets
         const currCount = tweets.length;
-        if (currCount > prevCount) {
+        if (newInBatch > 0) {
           consecutiveNoNew = 0;
-          prevCount = currCount;
-          console.log(`📊 ${modeLabel} scroll ${scrollCount}: ${currCount} tweets collected (new: ${batch.length})`);
+          console.log(`📊 ${modeLabel} scroll ${scrollCount}: ${currCount} tweets collected (new: ${newInBatch})`);
         } else {
           consecutiveNoNew++;
           console.log(`⚠️ ${modeLabel} scroll ${scrollCount}: No new tweets (${consecutiveNoNew}/${noNewThreshold})`);
+          // A rate limit page never fills up again; no point waiting for noNewThreshold
+          if ((await readAccountState(source, page)).state === 'rate_limited') {
+            console.warn(`🚦 ${modeLabel} is rate limiting, stopping this source`);
+            rateLimited = true;
+            break;
+          }
+        }
+        reportProgress({ type: 'scroll', source: modeLabel, scroll: scrollCount, tweets: currCount });
+
+        inFlight = { tweets, position: { source: modeLabel, url: page.url(), scroll: scrollCount } };
+        if (scrollCount % CHECKPOINT_EVERY === 0) {
+          writeCheckpoint(inFlight.tweets, inFlight.position);
         }
 
         // Save snapshot periodically
@@ -389,24 +310,24 @@ async function scrapeProfile(handle, options = {}) {
           break;
         }
 
-        // Scroll strategies
-        try {
-          // Random scroll amount for more natural behavior
-          const scrollAmount = 600 + Math.floor(Math.random() * 400);
-          await page.evaluate((amount) => {
-            window.scrollBy(0, amount);
-          }, scrollAmount);
-          
-          await sleep(800 + Math.floor(Math.random() * 400));
-
-          // Occasionally scroll to bottom
-          if (scrollCount % 5 === 0) {
-            await page.evaluate(() => {
-              window.scrollTo(0, document.body.scrollHeight);
-            });
-            await sleep(1000);
-          }
+        if (tweets.length >= maxTweets) {
+          console.log(`🎯 Reached the maximum of ${maxTweets} tweets`);
+          break;
+        }
 
+        if (reachedKnown) {
+          console.log(`🔗 Reached tweets from the previous run, stopping`);
+          break;
+        }
+
+        if (await source.isTimelineEnd(page)) {
+          console.log(`🏁 ${modeLabel} reached the end of the timeline`);
+          break;
+        }
+
+        // Load the next batch the way this source pages
+        try {
+          await source.advance(page, scrollCount);
         } catch (e) {
           console.warn(`Scroll error: ${e.message}`);
         }
@@ -418,35 +339,29 @@ async function scrapeProfile(handle, options = {}) {
     }
 
     console.log(`✅ ${modeLabel} extraction complete: ${tweets.length} tweets`);
-    return tweets;
+    return { tweets, reachedKnown, rateLimited };
   }
 
-  // Try a single mode (desktop/mobile/nitter)
-  async function tryMode(url, opts = {}) {
-    const modeLabel = opts.label || url;
-    const isNitter = !!opts.isNitter;
-    const useMobile = !!opts.useMobile;
-    
+  // Run one source adapter on a fresh page, at `startUrl` when resuming
+  async function trySource(source, cleanHandle, startUrl) {
+    const modeLabel = source.name;
+    const url = startUrl || (searchQuery ? source.buildSearchUrl(searchQuery) : source.buildUrl(cleanHandle));
+
     console.log(`🚀 Trying ${modeLabel}...`);
-    
+
     let page;
+    let latencyMs;
+    inFlight = { tweets: [], position: null };
     try {
-      page = await browser.newPage();
-
-      // Set user agent and viewport
-      if (useMobile) {
-        await page.setUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1');
-        await page.setViewport({ width: 390, height: 844, isMobile: true });
-      } else {
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setViewport({ width: 1280, height: 1024 });
-      }
+      page = await scraperConfig.openPage(lease, source.type || source.name);
+      await source.preparePage(page);
 
       // Enhanced page settings
       await page.setDefaultNavigationTimeout(60000);
       await page.setDefaultTimeout(30000);
 
-      // Block unnecessary resources to speed up
+      // Block unnecessary resources to speed up (media URLs are read from the markup,
+      // so the files themselves never need to load here)
       await page.setRequestInterception(true);
       page.on('request', (req) => {
         const resourceType = req.resourceType();
@@ -459,159 +374,311 @@ async function scrapeProfile(handle, options = {}) {
 
       // Navigate
       console.log(`🌐 Navigating to ${url}...`);
+      const navStart = Date.now();
       await page.goto(url, { 
         waitUntil: 'domcontentloaded',
         timeout: 60000 
       });
+      latencyMs = Date.now() - navStart;
 
       await sleep(3000);
 
       // Save initial snapshot
       await saveSnapshot(page, `${modeLabel}_initial`);
 
-      // Remove overlays and popups (Twitter specific)
-      if (!isNitter) {
-        try {
-          await page.evaluate(() => {
-            // Remove login modals and dialogs
-            document.querySelectorAll('[role="dialog"], [aria-modal="true"]').forEach(el => el.remove());
-            
-            // Remove cookie banners
-            document.querySelectorAll('[class*="cookie"], [class*="banner"]').forEach(el => {
-              if (el.textContent.toLowerCase().includes('cookie') || 
-                  el.textContent.toLowerCase().includes('accept')) {
-                el.remove();
-              }
-            });
-
-            // Remove sticky overlays
-            document.querySelectorAll('div').forEach(el => {
-              const style = window.getComputedStyle(el);
-              if (style.position === 'fixed' && style.zIndex > 1000) {
-                const text = el.textContent.toLowerCase();
-                if (text.includes('log in') || text.includes('sign up') || text.includes('sign in')) {
-                  el.remove();
-                }
-              }
-            });
-
-            // Enable body scroll if disabled
-            document.body.style.overflow = 'auto';
-          });
+      if (typeof source.afterLoad === 'function') {
+        await source.afterLoad(page);
+      }
 
-          console.log(`🧹 Cleaned up overlays`);
-        } catch (e) {
-          console.warn(`Could not remove overlays: ${e.message}`);
-        }
+      // Missing, suspended, protected or rate-limited: there is no timeline to scroll
+      const account = await readAccountState(source, page);
+      if (account.state !== 'active') {
+        console.log(`🚫 ${modeLabel}: ${account.state} (${account.message})`);
+        await saveSnapshot(page, `${modeLabel}_${account.state}`);
+        await lease.releasePage(page);
+        const rateLimit = account.state === 'rate_limited';
+        return { tweets: [], success: !rateLimit, error: rateLimit ? `Rate limited: ${account.message}` : '', accountState: account.state, stateMessage: account.message, latencyMs };
       }
 
       // Run extraction
-      const tweets = await runExtractionLoop(page, modeLabel, isNitter);
+      const { tweets, reachedKnown, rateLimited } = await runExtractionLoop(page, source);
+      const lastUrl = page.url();
 
-      await page.close();
-      return { tweets, success: true };
+      await lease.releasePage(page);
+      return { tweets, success: true, reachedKnown, latencyMs, lastUrl, accountState: rateLimited ? 'rate_limited' : 'active' };
 
     } catch (error) {
       console.error(`❌ ${modeLabel} failed:`, error.message);
       if (page) {
         try {
           await saveSnapshot(page, `${modeLabel}_error`);
-          await page.close();
+          await lease.releasePage(page);
         } catch (e) {}
       }
-      return { tweets: [], success: false, error: error.message };
+      return { tweets: [], success: false, error: error.message, latencyMs };
+    }
+  }
+
+  // Open one tweet's conversation page on the first source that shows it
+  async function fetchThread(statusId, cleanHandle) {
+    for (const source of sources) {
+      if (typeof source.buildStatusUrl !== 'function' || typeof source.extractConversation !== 'function') continue;
+      let page;
+      try {
+        page = await scraperConfig.openPage(lease, source.type || source.name);
+        await source.preparePage(page);
+        await page.goto(source.buildStatusUrl(cleanHandle, statusId), {
+          waitUntil: 'domcontentloaded',
+          timeout: 30000
+        });
+        await sleep(2000);
+        if (typeof source.afterLoad === 'function') {
+          await source.afterLoad(page);
+        }
+
+        const { tweets, focalIndex } = await source.extractConversation(page);
+        const thread = buildThread(tweets.map(normalizeTweet), statusId, focalIndex);
+        if (thread) return Object.assign(thread, { source: source.name });
+        console.log(`⚠️ ${source.name} did not show tweet ${statusId}`);
+      } catch (e) {
+        console.log(`⚠️ Could not open tweet ${statusId} on ${source.name}: ${e.message}`);
+      } finally {
+        if (page) {
+          try { await lease.releasePage(page); } catch (e) {}
+        }
+      }
+    }
+    return null;
+  }
+
+  // Reconstruct the threads of the selected tweets; tweets already covered by an
+  // earlier thread are not opened again
+  async function collectThreads(tweets, cleanHandle) {
+    const ids = Array.isArray(threadOptions.ids) && threadOptions.ids.length > 0
+      ? threadOptions.ids.map(String).slice(0, threadOptions.max)
+      : selectThreadCandidates(tweets, cleanHandle, threadOptions.max);
+    const threads = [];
+    const covered = new Set();
+
+    console.log(`🧵 Reconstructing threads for ${ids.length} tweet(s)...`);
+    for (const [idx, id] of ids.entries()) {
+      if (covered.has(id)) continue;
+      if (Date.now() - startTime > timeoutMs) {
+        console.warn(`⏰ Timeout reached, skipping remaining threads`);
+        break;
+      }
+      reportProgress({ type: 'phase', phase: 'threads', message: `Opening tweet ${idx + 1}/${ids.length} for its thread`, threads: threads.length });
+      const thread = await fetchThread(id, cleanHandle);
+      if (!thread) continue;
+      thread.tweets.forEach(t => covered.add(t.id));
+      threads.push(thread);
+      console.log(`🧵 Thread ${thread.id}: ${thread.tweets.length} tweet(s)${thread.parent ? `, replying to ${thread.parent.author || thread.parent.id}` : ''}`);
+    }
+    return threads;
+  }
+
+  // Page through one account list until `sample` accounts are collected or it stops growing
+  async function sampleAccountList(page, source, sample) {
+    const accounts = new Map();
+    let noNew = 0;
+    for (let round = 1; accounts.size < sample && noNew < 3 && round <= 50; round++) {
+      if (Date.now() - startTime > timeoutMs) break;
+      const before = accounts.size;
+      (await source.extractAccounts(page)).forEach(raw => {
+        const account = normalizeAccount(raw);
+        const key = account.handle.toLowerCase();
+        if (account.handle && !accounts.has(key) && accounts.size < sample) accounts.set(key, account);
+      });
+      noNew = accounts.size > before ? 0 : noNew + 1;
+      if (accounts.size >= sample || await source.isTimelineEnd(page)) break;
+      try {
+        await source.advance(page, round);
+      } catch (e) {
+        console.warn(`Scroll error: ${e.message}`);
+      }
+    }
+    return Array.from(accounts.values());
+  }
+
+  // Sample the followers and the following list, each from the first source that lists accounts
+  async function collectAudience(cleanHandle) {
+    const audience = { sampleSize: audienceOptions.sample, followers: [], following: [], sources: {} };
+
+    for (const kind of ['followers', 'following']) {
+      for (const source of sources) {
+        if (typeof source.buildAccountListUrl !== 'function' || typeof source.extractAccounts !== 'function') continue;
+        if (Date.now() - startTime > timeoutMs) {
+          console.warn(`⏰ Timeout reached, skipping the ${kind} sample`);
+          break;
+        }
+        reportProgress({ type: 'phase', phase: 'audience', source: source.name, message: `Sampling ${kind} from ${source.name}` });
+        let page;
+        try {
+          page = await scraperConfig.openPage(lease, source.type || source.name);
+          await source.preparePage(page);
+          await page.goto(source.buildAccountListUrl(cleanHandle, kind), {
+            waitUntil: 'domcontentloaded',
+            timeout: 30000
+          });
+          await sleep(2000);
+          if (typeof source.afterLoad === 'function') {
+            await source.afterLoad(page);
+          }
+
+          const accounts = await sampleAccountList(page, source, audienceOptions.sample);
+          if (accounts.length > 0) {
+            audience[kind] = accounts;
+            audience.sources[kind] = source.name;
+            console.log(`👥 Sampled ${accounts.length} ${kind} from ${source.name}`);
+            break;
+          }
+          console.log(`⚠️ ${source.name} listed no ${kind}`);
+          await saveSnapshot(page, `${source.name}_${kind}_empty`);
+        } catch (e) {
+          console.log(`⚠️ Could not sample ${kind} from ${source.name}: ${e.message}`);
+        } finally {
+          if (page) {
+            try { await lease.releasePage(page); } catch (e) {}
+          }
+        }
+      }
     }
+    return audience;
   }
 
   // MAIN EXECUTION
   try {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🎯 Starting enhanced Twitter scraping for @${handle}`);
-    console.log(`📅 Looking back ${lookbackDays} days`);
+    if (sinceDate || untilDate) {
+      console.log(`📅 Date range: ${sinceDate ? sinceDate.toISOString() : `${lookbackDays} days back`} - ${untilDate ? untilDate.toISOString() : 'now'}`);
+    } else {
+      console.log(`📅 Looking back ${lookbackDays} days`);
+    }
+    if (searchQuery) console.log(`🔍 Search: ${searchQuery}`);
     console.log(`⏱️ Timeout: ${timeoutMs/1000}s`);
+    if (incremental) console.log(`🔗 Incremental since ${sinceId || new Date(sinceMs).toISOString()}`);
     console.log(`${'='.repeat(60)}\n`);
 
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins,site-per-process'
-      ]
+    lease = await browserPool.acquire({
+      onQueued: (position) => {
+        console.log(`⏳ Waiting for a free browser (position ${position})`);
+        reportProgress({ type: 'phase', phase: 'queued', message: `Waiting for a free browser (position ${position})` });
+      }
     });
+    startTime = Date.now();
 
     const cleanHandle = handle.replace('@', '');
-    let allTweets = [];
-    let bestResult = { tweets: [], success: false };
-
-    // Strategy 1: Try Nitter instances first (most reliable, no auth needed)
-    console.log(`\n📡 PHASE 1: Trying Nitter instances...\n`);
-    
-    for (const instance of NITTER_INSTANCES) {
-      if (Date.now() - startTime > timeoutMs * 0.6) break;
-      
-      const nitterUrl = `${instance}/${cleanHandle}`;
-      const result = await tryMode(nitterUrl, {
-        label: `nitter:${new URL(instance).hostname}`,
-        isNitter: true,
-        useMobile: false
-      });
+    let caughtUp = false;
+    // Account states reported by sources that yielded no tweets, and a confirmed one
+    const stateReports = [];
+    let accountState = null;
+    // A rate limit that cut a timeline short leaves the run partial unless a source got through
+    let limitedBy = '';
+    let completed = false;
+    if (resumeFrom) {
+      console.log(`♻️ Resuming from checkpoint: ${resumedTweets.length} tweets, ${finishedSources.size} finished source(s)`);
+    }
+
+    console.log(`📡 Source order: ${sources.map(s => s.name).join(', ') || '(none available)'}`);
 
-      if (result.success && result.tweets.length > bestResult.tweets.length) {
-        bestResult = result;
-        console.log(`✨ New best result: ${result.tweets.length} tweets from Nitter`);
+    // Try each configured source in order until one yields enough tweets
+    for (const source of sources) {
+      if (searchQuery && typeof source.buildSearchUrl !== 'function') {
+        console.log(`⏭️ Skipping ${source.name}: no search support`);
+        continue;
+      }
+      if (finishedSources.has(source.name)) {
+        console.log(`⏭️ Skipping ${source.name}: finished before the checkpoint`);
+        continue;
+      }
+      if (Date.now() - startTime > timeoutMs * (source.budget ?? 1)) {
+        console.log(`⏭️ Skipping ${source.name}: time budget used`);
+        continue;
       }
 
-      // If we got good results from Nitter, use them
-      if (bestResult.tweets.length >= minTweets) {
-        console.log(`✅ Nitter provided ${bestResult.tweets.length} tweets - using this data`);
-        allTweets = bestResult.tweets;
-        break;
+      console.log(`\n📡 Source: ${source.name}\n`);
+      reportProgress({ type: 'phase', phase: source.phase, source: source.name, message: source.message || `Trying ${source.name}` });
+      const resumeUrl = resumePosition && resumePosition.source === source.name ? resumePosition.url : '';
+      if (resumeUrl) console.log(`♻️ Reopening ${source.name} at ${resumeUrl}`);
+      const result = await trySource(source, cleanHandle, resumeUrl);
+      // Resuming skips finished sources; failed ones and the one cut off by the timeout run again
+      const cutShort = result.accountState === 'rate_limited' && !result.reachedKnown;
+      if (cutShort && !limitedBy) limitedBy = source.name;
+      if (result.success && !cutShort) completed = true;
+      sourcesTried.push({ name: source.name, success: result.success, tweets: result.tweets.length, finished: result.success && !timedOut && !cutShort, error: result.error || '' });
+      try {
+        sourceHealth.recordResult(source, result);
+      } catch (e) {
+        console.warn(`⚠️ Could not record health of ${source.name}: ${e.message}`);
       }
 
-      await sleep(2000);
-    }
+      if (result.accountState && result.accountState !== 'active' && result.tweets.length === 0) {
+        stateReports.push({ source: source.name, state: result.accountState, message: result.stateMessage || '' });
+        const reports = stateReports.filter(r => r.state === result.accountState).length;
+        const needed = result.accountState === 'not_found' && source.type === 'nitter' ? 2 : 1;
+        if (result.accountState !== 'rate_limited' && reports >= needed) {
+          accountState = stateReports[stateReports.length - 1];
+          break;
+        }
+      }
 
-    // Strategy 2: Try Twitter mobile if Nitter didn't work well
-    if (allTweets.length < minTweets && Date.now() - startTime < timeoutMs * 0.8) {
-      console.log(`\n📱 PHASE 2: Trying mobile Twitter...\n`);
-      
-      const mobileUrl = `https://mobile.twitter.com/${cleanHandle}`;
-      const mobileResult = await tryMode(mobileUrl, {
-        label: 'mobile-twitter',
-        useMobile: true,
-        isNitter: false
-      });
+      if (result.success && result.tweets.length > allTweets.length) {
+        allTweets = result.tweets;
+        console.log(`✨ New best result: ${result.tweets.length} tweets from ${source.name}`);
+      }
 
-      if (mobileResult.success && mobileResult.tweets.length > allTweets.length) {
-        console.log(`✨ Mobile Twitter found ${mobileResult.tweets.length} tweets`);
-        allTweets = mobileResult.tweets;
+      // Incremental: reaching the previous run's tweets means this source is complete
+      if (result.success && result.reachedKnown) {
+        console.log(`✅ ${source.name} caught up with the previous run (${result.tweets.length} tweets)`);
+        allTweets = result.tweets;
+        caughtUp = true;
+        break;
       }
-    }
 
-    // Strategy 3: Try desktop Twitter as last resort
-    if (allTweets.length < minTweets && Date.now() - startTime < timeoutMs * 0.9) {
-      console.log(`\n🖥️ PHASE 3: Trying desktop Twitter...\n`);
-      
-      const desktopUrl = `https://twitter.com/${cleanHandle}`;
-      const desktopResult = await tryMode(desktopUrl, {
-        label: 'desktop-twitter',
-        useMobile: false,
-        isNitter: false
-      });
+      if (result.success) {
+        writeCheckpoint(result.tweets, timedOut ? { source: source.name, url: result.lastUrl || '' } : null);
+      } else if (inFlight.position) {
+        // Failed mid-timeline: keep what it collected and reopen it there on resume
+        writeCheckpoint(inFlight.tweets, inFlight.position);
+      }
+      inFlight = { tweets: [], position: null };
+      if (timedOut) break;
 
-      if (desktopResult.success && desktopResult.tweets.length > allTweets.length) {
-        console.log(`✨ Desktop Twitter found ${desktopResult.tweets.length} tweets`);
-        allTweets = desktopResult.tweets;
+      if (collectedSoFar().length >= minTweets) {
+        console.log(`✅ ${source.name} provided ${allTweets.length} tweets - using this data`);
+        break;
       }
+
+      if (source.delayMs) await sleep(source.delayMs);
+    }
+
+    // Nothing to analyze: report why instead of fetching the profile
+    if (!accountState && collectedSoFar().length === 0 && stateReports.some(r => r.state === 'rate_limited')) {
+      accountState = stateReports.find(r => r.state === 'rate_limited');
+    }
+    if (accountState) {
+      console.log(`🚫 @${cleanHandle}: ${accountState.state} according to ${accountState.source}`);
+      reportProgress({ type: 'phase', phase: 'account', message: `${describeAccountState(accountState.state).reason} (${accountState.source})` });
+      // The last checkpoint keeps its tweets and position for a resume once the limit lifts
+      return {
+        ...emptyProfileInfo(cleanHandle),
+        tweets: [],
+        threads: [],
+        audience: null,
+        search: searchInfo,
+        incremental: null,
+        ...describeAccountState(accountState.state),
+        stateMessage: accountState.message,
+        partial: false,
+        partialReason: '',
+        checkpointId
+      };
     }
 
     // Deduplicate and sort tweets
     const tweetMap = new Map();
-    for (const tweet of allTweets) {
+    for (const tweet of collectedSoFar()) {
       const key = tweet.permalink || tweet.id || `${tweet.time}|${tweet.text.slice(0, 100)}`;
       if (!tweetMap.has(key)) {
         tweetMap.set(key, tweet);
@@ -623,7 +690,8 @@ async function scrapeProfile(handle, options = {}) {
         const timeA = a.time ? new Date(a.time).getTime() : 0;
         const timeB = b.time ? new Date(b.time).getTime() : 0;
         return timeB - timeA; // Newest first
-      });
+      })
+      .slice(0, maxTweets);
 
     console.log(`\n${'='.repeat(60)}`);
     console.log(`✅ SCRAPING COMPLETE`);
@@ -631,132 +699,86 @@ async function scrapeProfile(handle, options = {}) {
     console.log(`⏱️ Time taken: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
     console.log(`${'='.repeat(60)}\n`);
 
+    const threads = threadOptions ? await collectThreads(finalTweets, cleanHandle) : [];
+    const audience = audienceOptions ? await collectAudience(cleanHandle) : null;
+
     // Fetch profile info
-    let profileInfo = {
-      name: cleanHandle,
-      handle: `@${cleanHandle}`,
-      bio: '',
-      location: '',
-      website: '',
-      joinDate: '',
-      following: 0,
-      followers: 0,
-      verified: false,
-      profileImage: ''
-    };
+    const profileInfo = emptyProfileInfo(cleanHandle);
 
     // Try to get profile info from a working source
-    try {
-      console.log(`👤 Fetching profile information...`);
-      const profilePage = await browser.newPage();
-      await profilePage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-      
-      // Try Twitter first
+    console.log(`👤 Fetching profile information...`);
+    reportProgress({ type: 'phase', phase: 'profile', message: 'Fetching profile information', tweets: finalTweets.length });
+    for (const source of profileSources) {
+      let profilePage;
       try {
-        await profilePage.goto(`https://twitter.com/${cleanHandle}`, {
+        profilePage = await scraperConfig.openPage(lease, source.type || source.name);
+        await source.preparePage(profilePage);
+        await profilePage.goto(source.buildUrl(cleanHandle), {
           waitUntil: 'domcontentloaded',
           timeout: 30000
         });
         await sleep(3000);
 
-        const info = await profilePage.evaluate(() => {
-          const get = (sel) => {
-            const el = document.querySelector(sel);
-            return el ? el.textContent.trim() : '';
-          };
-
-          return {
-            name: get('[data-testid="UserName"] span') || get('h2 span'),
-            bio: get('[data-testid="UserDescription"]'),
-            location: get('[data-testid="UserLocation"]') || get('[data-testid="UserLocation"] span'),
-            website: get('[data-testid="UserUrl"] a'),
-            followersText: get('a[href$="/verified_followers"] span, a[href$="/followers"] span'),
-            followingText: get('a[href$="/following"] span'),
-            profileImage: document.querySelector('img[src*="profile_images"]')?.src || '',
-            verified: !!document.querySelector('[data-testid="icon-verified"], [aria-label*="Verified"]')
-          };
-        });
+        const info = await source.extractProfile(profilePage);
 
         if (info.name) {
-          profileInfo.name = info.name;
-          profileInfo.bio = info.bio;
-          profileInfo.location = info.location;
-          profileInfo.website = info.website;
-          profileInfo.followers = normalizeCount(info.followersText);
-          profileInfo.following = normalizeCount(info.followingText);
-          profileInfo.profileImage = info.profileImage;
-          profileInfo.verified = info.verified;
-          console.log(`✅ Profile info fetched from Twitter`);
+          Object.assign(profileInfo, normalizeProfileInfo(info));
+          console.log(`✅ Profile info fetched from ${source.name}`);
+          break;
         }
       } catch (e) {
-        console.log(`⚠️ Could not fetch from Twitter, trying Nitter...`);
-        
-        // Try Nitter for profile info
-        for (const instance of NITTER_INSTANCES.slice(0, 2)) {
-          try {
-            await profilePage.goto(`${instance}/${cleanHandle}`, {
-              waitUntil: 'domcontentloaded',
-              timeout: 20000
-            });
-            await sleep(2000);
-
-            const nitterInfo = await profilePage.evaluate(() => {
-              const get = (sel) => {
-                const el = document.querySelector(sel);
-                return el ? el.textContent.trim() : '';
-              };
-
-              return {
-                name: get('.profile-card-fullname'),
-                bio: get('.profile-bio'),
-                location: get('.profile-location'),
-                website: get('.profile-website'),
-                followersText: get('.profile-stat-num[title*="Followers"]'),
-                followingText: get('.profile-stat-num[title*="Following"]'),
-                profileImage: document.querySelector('.profile-card-avatar')?.src || ''
-              };
-            });
-
-            if (nitterInfo.name) {
-              profileInfo.name = nitterInfo.name;
-              profileInfo.bio = nitterInfo.bio;
-              profileInfo.location = nitterInfo.location;
-              profileInfo.website = nitterInfo.website;
-              profileInfo.followers = normalizeCount(nitterInfo.followersText);
-              profileInfo.following = normalizeCount(nitterInfo.followingText);
-              profileInfo.profileImage = nitterInfo.profileImage;
-              console.log(`✅ Profile info fetched from Nitter`);
-              break;
-            }
-          } catch (e2) {
-            continue;
-          }
+        console.log(`⚠️ Could not fetch profile from ${source.name}: ${e.message}`);
+      } finally {
+        if (profilePage) {
+          try { await lease.releasePage(profilePage); } catch (e) {}
         }
       }
-
-      await profilePage.close();
-    } catch (e) {
-      console.warn(`⚠️ Could not fetch complete profile info: ${e.message}`);
     }
 
+    const rateLimited = !!limitedBy && !completed;
     // Return complete profile data
     return {
       ...profileInfo,
       tweets: finalTweets,
-      accountExists: true,
-      protected: false,
-      reason: ''
+      threads,
+      audience,
+      search: searchInfo,
+      incremental: incremental ? { sinceId, sinceTime: isNaN(sinceMs) ? '' : new Date(sinceMs).toISOString(), caughtUp } : null,
+      ...describeAccountState('active'),
+      partial: timedOut || rateLimited,
+      partialReason: timedOut ? `Timed out after ${Math.round(timeoutMs / 1000)}s` : rateLimited ? `Rate limited by ${limitedBy}` : '',
+      checkpointId
     };
 
   } catch (error) {
     console.error(`\n❌ FATAL ERROR:`, error.message);
     console.error(error.stack);
+
+    // Whatever was collected before the failure is still worth a report; a source cut off
+    // mid-timeline is checkpointed at its position, otherwise the last checkpoint stands
+    const collected = collectedSoFar(inFlight.tweets);
+    if (inFlight.position) writeCheckpoint(inFlight.tweets, inFlight.position);
+    if (collected.length > 0) {
+      console.warn(`⚠️ Returning ${collected.length} tweets collected before the failure`);
+      return {
+        ...emptyProfileInfo(handle.replace('@', '')),
+        tweets: collected,
+        threads: [],
+        audience: null,
+        search: searchInfo,
+        incremental: null,
+        ...describeAccountState('active'),
+        partial: true,
+        partialReason: `Scrape failed: ${error.message}`,
+        checkpointId
+      };
+    }
     throw new Error(`Failed to scrape Twitter profile: ${error.message}`);
   } finally {
-    if (browser) {
+    if (lease) {
       try {
-        await browser.close();
-        console.log(`🔒 Browser closed`);
+        await lease.release();
+        console.log(`🔓 Browser returned to the pool`);
       } catch (e) {}
     }
   }
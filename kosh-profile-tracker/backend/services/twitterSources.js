@@ -0,0 +1,252 @@
+// backend/services/twitterSources.js
+// Source adapters for the Twitter scraper. Each adapter describes one place tweets can be
+// read from (a Nitter instance, mobile Twitter, desktop Twitter); the scraper core only
+// drives the browser and runs whichever adapters the configuration lists, in order.
+//
+// An adapter is a plain object:
+// - name: string             - unique label, also used in snapshot file names
+// - phase: string            - progress phase reported while the adapter runs
+// - budget: number           - fraction of the scrape timeout after which it is skipped
+// - delayMs: number          - pause after the adapter ran
+// - cooldownMs, maxCooldownMs, failuresBeforeCooldown - health tuning (see sourceHealth)
+// - buildUrl(handle)         - timeline URL for a handle
+// - buildSearchUrl(query)    - latest-first search results for a query (optional, for search mode)
+// - preparePage(page)        - user agent, viewport etc. before navigation
+// - afterLoad(page)          - cleanup once the timeline has loaded (optional)
+// - extractTweets(page)      - raw tweets currently on the page
+// - extractProfile(page)     - { name, bio, location, website, followersText, ... }
+// - isTimelineEnd(page)      - true when nothing more will load
+// - detectAccountState(page) - { state, message }: missing, suspended, protected or rate limited (optional)
+// - advance(page, scroll)    - load the next batch (scroll, follow a "Load more" link, ...)
+// - buildStatusUrl(handle, id) - conversation page of one tweet (optional, for threads)
+// - extractConversation(page)  - { tweets, focalIndex } from that page (see twitterExtractors)
+// - buildAccountListUrl(handle, kind) - 'followers' / 'following' page (optional, for audience sampling)
+// - extractAccounts(page)      - raw accounts listed on that page
+const fs = require('fs');
+const path = require('path');
+const {
+  evaluateInPage,
+  evaluateWithHelpers,
+  extractTweetsFromDocument,
+  extractConversationFromDocument,
+  extractTwitterProfileInfo,
+  extractNitterProfileInfo,
+  extractAccountListFromDocument,
+  detectNitterTimelineEnd,
+  nitterNextPageUrl,
+  detectTwitterTimelineEnd,
+  detectAccountState
+} = require('./twitterExtractors');
+
+const scraperConfig = require('./scraperConfig');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/sources.json');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Infinite-scroll timelines: scroll a random amount, now and then jump to the bottom
+async function scrollTimeline(page, scrollCount) {
+  const scrollAmount = 600 + Math.floor(Math.random() * 400);
+  await page.evaluate((amount) => {
+    window.scrollBy(0, amount);
+  }, scrollAmount);
+  await sleep(800 + Math.floor(Math.random() * 400));
+
+  if (scrollCount % 5 === 0) {
+    await page.evaluate(() => {
+      window.scrollTo(0, document.body.scrollHeight);
+    });
+    await sleep(1000);
+  }
+}
+
+// Login walls, cookie banners and sticky overlays that block scrolling on twitter.com
+async function removeTwitterOverlays(page) {
+  try {
+    await page.evaluate(() => {
+      document.querySelectorAll('[role="dialog"], [aria-modal="true"]').forEach(el => el.remove());
+
+      document.querySelectorAll('[class*="cookie"], [class*="banner"]').forEach(el => {
+        if (el.textContent.toLowerCase().includes('cookie') ||
+            el.textContent.toLowerCase().includes('accept')) {
+          el.remove();
+        }
+      });
+
+      document.querySelectorAll('div').forEach(el => {
+        const style = window.getComputedStyle(el);
+        if (style.position === 'fixed' && style.zIndex > 1000) {
+          const text = el.textContent.toLowerCase();
+          if (text.includes('log in') || text.includes('sign up') || text.includes('sign in')) {
+            el.remove();
+          }
+        }
+      });
+
+      document.body.style.overflow = 'auto';
+    });
+    console.log(`🧹 Cleaned up overlays`);
+  } catch (e) {
+    console.warn(`Could not remove overlays: ${e.message}`);
+  }
+}
+
+function createNitterSources(options = {}) {
+  const instances = Array.isArray(options.instances) ? options.instances : [];
+  return instances.map(instance => {
+    const base = String(instance).replace(/\/+$/, '');
+    const hostname = new URL(base).hostname;
+    return {
+      name: `nitter:${hostname}`,
+      type: 'nitter',
+      instance: base,
+      phase: 'nitter',
+      message: `Trying Nitter instance ${hostname}`,
+      budget: options.budget ?? 0.6,
+      delayMs: options.delayMs ?? 2000,
+      cooldownMs: options.cooldownMs,
+      maxCooldownMs: options.maxCooldownMs,
+      failuresBeforeCooldown: options.failuresBeforeCooldown,
+      buildUrl: (handle) => `${base}/${handle}`,
+      buildSearchUrl: (query) => `${base}/search?f=tweets&q=${encodeURIComponent(query)}`,
+      async preparePage(page) {
+        await page.setUserAgent(scraperConfig.userAgent('desktop'));
+        await page.setViewport({ width: 1280, height: 1024 });
+      },
+      extractTweets: (page) => evaluateInPage(page, extractTweetsFromDocument, 'nitter'),
+      extractProfile: (page) => evaluateInPage(page, extractNitterProfileInfo),
+      isTimelineEnd: (page) => evaluateInPage(page, detectNitterTimelineEnd),
+      detectAccountState: (page) => evaluateInPage(page, detectAccountState, 'nitter'),
+      // Nitter paginates with "Load more" links instead of infinite scroll
+      async advance(page, scrollCount) {
+        const next = await evaluateInPage(page, nitterNextPageUrl);
+        if (!next) return scrollTimeline(page, scrollCount);
+        await page.goto(next, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await sleep(1500);
+      },
+      buildStatusUrl: (handle, id) => `${base}/${handle}/status/${id}`,
+      extractConversation: (page) => evaluateWithHelpers(page, [extractTweetsFromDocument], extractConversationFromDocument, 'nitter'),
+      buildAccountListUrl: (handle, kind) => `${base}/${handle}/${kind}`,
+      extractAccounts: (page) => evaluateInPage(page, extractAccountListFromDocument, 'nitter')
+    };
+  });
+}
+
+function createTwitterWebSource(kind, options = {}) {
+  const mobile = kind === 'mobile';
+  const base = String(options.baseUrl || (mobile ? 'https://mobile.twitter.com' : 'https://twitter.com')).replace(/\/+$/, '');
+  return {
+    name: `${kind}-twitter`,
+    type: kind,
+    phase: kind,
+    message: mobile ? 'Trying mobile Twitter' : 'Trying desktop Twitter',
+    budget: options.budget ?? (mobile ? 0.8 : 0.9),
+    delayMs: options.delayMs ?? 0,
+    buildUrl: (handle) => `${base}/${handle}`,
+    buildSearchUrl: (query) => `${base}/search?q=${encodeURIComponent(query)}&src=typed_query&f=live`,
+    async preparePage(page) {
+      if (mobile) {
+        await page.setUserAgent(scraperConfig.userAgent('mobile'));
+        await page.setViewport({ width: 390, height: 844, isMobile: true });
+      } else {
+        await page.setUserAgent(scraperConfig.userAgent('desktop'));
+        await page.setViewport({ width: 1280, height: 1024 });
+      }
+    },
+    afterLoad: removeTwitterOverlays,
+    extractTweets: (page) => evaluateInPage(page, extractTweetsFromDocument, 'twitter'),
+    extractProfile: (page) => evaluateInPage(page, extractTwitterProfileInfo),
+    isTimelineEnd: (page) => evaluateInPage(page, detectTwitterTimelineEnd),
+    detectAccountState: (page) => evaluateInPage(page, detectAccountState, 'twitter'),
+    advance: scrollTimeline,
+    buildStatusUrl: (handle, id) => `${base}/${handle}/status/${id}`,
+    extractConversation: (page) => evaluateWithHelpers(page, [extractTweetsFromDocument], extractConversationFromDocument, 'twitter'),
+    buildAccountListUrl: (handle, kind) => `${base}/${handle}/${kind}`,
+    extractAccounts: (page) => evaluateInPage(page, extractAccountListFromDocument, 'twitter')
+  };
+}
+
+// type -> factory(options) returning a list of adapters
+const SOURCE_TYPES = {
+  nitter: createNitterSources,
+  mobile: (options) => [createTwitterWebSource('mobile', options)],
+  desktop: (options) => [createTwitterWebSource('desktop', options)]
+};
+
+/**
+ * Make a new source type available to the configuration.
+ * `factory(options)` receives the type's entry from config.sources and returns an
+ * adapter or a list of adapters.
+ */
+function registerSourceType(type, factory) {
+  if (typeof factory !== 'function') throw new Error(`Source type ${type} needs a factory function`);
+  SOURCE_TYPES[type] = factory;
+}
+
+/**
+ * Search query for a handle's tweets, e.g. "from:janedoe climate since:2025-03-01 until:2025-04-01".
+ * `until` is exclusive in search syntax, so the day after `until` is used; the exact
+ * bounds are applied again to the results.
+ */
+function buildSearchQuery(handle, { since, until, keywords } = {}) {
+  const day = (d) => d.toISOString().slice(0, 10);
+  const parts = [`from:${String(handle).replace('@', '')}`];
+  if (keywords && String(keywords).trim()) parts.push(String(keywords).trim());
+  if (since) parts.push(`since:${day(new Date(since))}`);
+  if (until) parts.push(`until:${day(new Date(new Date(until).getTime() + 24 * 60 * 60 * 1000))}`);
+  return parts.join(' ');
+}
+
+/** Source types the configuration (and a request's source list) can name */
+function listSourceTypes() {
+  return Object.keys(SOURCE_TYPES);
+}
+
+/**
+ * Twitter source configuration: config/sources.json, or the file named by
+ * KOSH_SOURCES_FILE. KOSH_TWITTER_SOURCES (e.g. "nitter,desktop") overrides the order
+ * and KOSH_NITTER_INSTANCES (comma-separated base URLs) the Nitter instance list.
+ */
+function loadSourceConfig() {
+  const file = process.env.KOSH_SOURCES_FILE || DEFAULT_CONFIG_FILE;
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8')).twitter || {};
+  } catch (e) {
+    console.warn(`⚠️ Could not read source config ${file}: ${e.message}`);
+  }
+
+  const splitList = (value) => value.split(',').map(s => s.trim()).filter(Boolean);
+  if (process.env.KOSH_TWITTER_SOURCES) {
+    config.order = splitList(process.env.KOSH_TWITTER_SOURCES);
+  }
+  if (process.env.KOSH_NITTER_INSTANCES) {
+    config.sources = Object.assign({}, config.sources);
+    config.sources.nitter = Object.assign({}, config.sources.nitter, { instances: splitList(process.env.KOSH_NITTER_INSTANCES) });
+  }
+  return config;
+}
+
+function createSources(types, config) {
+  const sources = [];
+  types.forEach(type => {
+    const factory = SOURCE_TYPES[type];
+    if (!factory) throw new Error(`Unknown Twitter source type: ${type}`);
+    const created = factory((config.sources || {})[type] || {});
+    sources.push(...(Array.isArray(created) ? created : [created]));
+  });
+  return sources;
+}
+
+/** Timeline adapters in the configured order */
+function buildSources(config = loadSourceConfig()) {
+  return createSources(config.order || ['nitter', 'mobile', 'desktop'], config);
+}
+
+/** Adapters tried, in order, for the profile header (capped at maxProfileAttempts) */
+function buildProfileSources(config = loadSourceConfig()) {
+  const sources = createSources(config.profileOrder || ['desktop', 'nitter'], config);
+  return sources.slice(0, config.maxProfileAttempts || 3);
+}
+
+module.exports = { buildSources, buildProfileSources, loadSourceConfig, registerSourceType, listSourceTypes, buildSearchQuery };
@@ -0,0 +1,195 @@
+// backend/services/watchlistService.js
+// Watchlists: handles re-scanned on a schedule, with alerts raised between consecutive runs.
+// Entries live in data/watchlists.json; every scheduled run goes through the normal
+// analysis pipeline, so it is stored in the run store like any other run.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const analysisService = require('./analysisService');
+const runStore = require('./runStore');
+const alertService = require('./alertService');
+const platforms = require('./platforms');
+const { parseSchedule } = require('../utils/schedule');
+
+const DATA_DIR = process.env.KOSH_DATA_DIR || path.join(__dirname, '../data');
+const WATCHLIST_FILE = path.join(DATA_DIR, 'watchlists.json');
+const TICK_MS = 30 * 1000;
+const MAX_CONCURRENT_RUNS = Math.max(1, Number(process.env.WATCHLIST_CONCURRENCY) || 2);
+const DEFAULT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || '';
+
+const running = new Set(); // watchlist ids currently being scanned
+const queue = [];          // watchlist ids waiting for a free slot
+let timer = null;
+
+function load() {
+  if (!fs.existsSync(WATCHLIST_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(WATCHLIST_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn(`⚠️ Could not read watchlists: ${e.message}`);
+    return [];
+  }
+}
+
+function save(entries) {
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(WATCHLIST_FILE, JSON.stringify(entries, null, 2), 'utf-8');
+}
+
+function update(id, changes) {
+  const entries = load();
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return null;
+  Object.assign(entry, changes);
+  save(entries);
+  return entry;
+}
+
+function normalizeRules(alerts = {}) {
+  const rules = {};
+  if (alerts.followerJumpPct !== undefined && alerts.followerJumpPct !== null && alerts.followerJumpPct !== '') {
+    const pct = Number(alerts.followerJumpPct);
+    if (!(pct > 0)) throw new Error('alerts.followerJumpPct must be a positive number');
+    rules.followerJumpPct = pct;
+  }
+  if (alerts.riskLevel) {
+    if (!['Low', 'Medium', 'High'].includes(alerts.riskLevel)) throw new Error('alerts.riskLevel must be Low, Medium or High');
+    rules.riskLevel = alerts.riskLevel;
+  }
+  if (alerts.keywords) {
+    const list = Array.isArray(alerts.keywords) ? alerts.keywords : String(alerts.keywords).split(',');
+    rules.keywords = list.map(k => String(k).trim()).filter(Boolean);
+  }
+  return rules;
+}
+
+function validateWebhookUrl(url) {
+  if (!url) return '';
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { throw new Error('webhookUrl must be a valid URL'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('webhookUrl must use http or https');
+  return parsed.toString();
+}
+
+/**
+ * Register a handle. Throws with a user-facing message on invalid input.
+ */
+function addEntry({ handle, platform, schedule, alerts, webhookUrl }) {
+  const invalid = analysisService.validateAnalysisInput({ handle, platform });
+  if (invalid) throw new Error(invalid.message);
+  const parsed = parseSchedule(schedule || 'every 24h');
+
+  const entry = {
+    id: crypto.randomUUID(),
+    platform,
+    handle: String(handle).trim(),
+    schedule: parsed.expression,
+    alerts: normalizeRules(alerts),
+    webhookUrl: validateWebhookUrl(webhookUrl),
+    enabled: true,
+    createdAt: Date.now(),
+    lastRunAt: null,
+    lastRunId: null,
+    lastStatus: 'pending',
+    lastError: null,
+    nextRunAt: parsed.next(Date.now(), null)
+  };
+
+  const entries = load();
+  entries.push(entry);
+  save(entries);
+  console.log(`👀 Watching ${platform} profile ${entry.handle} (${entry.schedule})`);
+  return entry;
+}
+
+function removeEntry(id) {
+  const entries = load();
+  const remaining = entries.filter(e => e.id !== id);
+  if (remaining.length === entries.length) return false;
+  save(remaining);
+  return true;
+}
+
+function listEntries() {
+  return load().map(e => Object.assign({}, e, { running: running.has(e.id) }));
+}
+
+function getEntry(id) {
+  return load().find(e => e.id === id) || null;
+}
+
+/** Queue an entry for scanning (no-op if it is already queued or running) */
+function enqueue(id) {
+  if (running.has(id) || queue.includes(id)) return false;
+  queue.push(id);
+  drainQueue();
+  return true;
+}
+
+function drainQueue() {
+  while (running.size < MAX_CONCURRENT_RUNS && queue.length > 0) {
+    const id = queue.shift();
+    running.add(id);
+    scanEntry(id)
+      .catch(e => console.error(`❌ Watchlist scan ${id} crashed:`, e.message))
+      .finally(() => {
+        running.delete(id);
+        drainQueue();
+      });
+  }
+}
+
+async function scanEntry(id) {
+  const entry = getEntry(id);
+  if (!entry) return;
+
+  console.log(`🔁 Watchlist re-scan: ${entry.platform} ${entry.handle}`);
+  // Alerts compare complete timeline scans, not searches, replays or partial scrapes
+  const previousRun = runStore.getLatestRun(entry.platform, entry.handle, runStore.isBaselineRun);
+  const startedAt = Date.now();
+  // Only fetch what is new where the platform can merge it into the previous run
+  const platformModule = platforms.getPlatform(entry.platform);
+  const incremental = !!platformModule && platformModule.features.includes('incremental');
+
+  try {
+    const result = await analysisService.runAnalysis({ handle: entry.handle, platform: entry.platform }, { incremental });
+    const schedule = parseSchedule(entry.schedule);
+
+    if (!result.success) {
+      update(id, { lastRunAt: startedAt, lastStatus: 'unavailable', lastError: result.message, nextRunAt: schedule.next(Date.now(), startedAt) });
+      return;
+    }
+
+    const currentRun = result.runId ? runStore.getRun(result.runId) : null;
+    const alerts = alertService.evaluateAlerts(entry.alerts, previousRun, currentRun);
+    await alertService.deliverAlerts(entry, result.runId, alerts, entry.webhookUrl || DEFAULT_WEBHOOK_URL);
+
+    update(id, { lastRunAt: startedAt, lastRunId: result.runId, lastStatus: 'ok', lastError: null, nextRunAt: schedule.next(Date.now(), startedAt) });
+  } catch (error) {
+    const schedule = parseSchedule(entry.schedule);
+    update(id, { lastRunAt: startedAt, lastStatus: 'error', lastError: error.message, nextRunAt: schedule.next(Date.now(), startedAt) });
+    throw error;
+  }
+}
+
+function tick() {
+  const now = Date.now();
+  load()
+    .filter(e => e.enabled && e.nextRunAt && e.nextRunAt <= now)
+    .forEach(e => enqueue(e.id));
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  tick();
+  console.log(`⏰ Watchlist scheduler started (max ${MAX_CONCURRENT_RUNS} concurrent scans)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { addEntry, removeEntry, listEntries, getEntry, enqueue, start, stop };
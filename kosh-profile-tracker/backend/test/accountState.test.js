@@ -0,0 +1,121 @@
+// backend/test/accountState.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { fixture, fixturePath, useTempDataDir, fakeLease } = require('./helpers');
+
+// Scrapes record source health
+useTempDataDir('account-state');
+const { detectAccountState, describeAccountState } = require('../services/twitterExtractors');
+const browserPool = require('../services/browserPool');
+const twitterScraper = require('../services/twitterScraper');
+const analysisService = require('../services/analysisService');
+const { replayProfile } = require('../services/replaySource');
+
+function stateOf(html, src) {
+  const dom = new JSDOM(html, { url: 'https://nitter.net/', virtualConsole: new VirtualConsole() });
+  const state = detectAccountState(dom.window.document, src);
+  dom.window.close();
+  return state;
+}
+
+test('Nitter error panels and protected timelines are recognized', () => {
+  assert.deepStrictEqual(stateOf('<div class="error-panel"><span>User "nobody_here" not found</span></div>', 'nitter'), { state: 'not_found', message: 'User "nobody_here" not found' });
+  assert.strictEqual(stateOf('<div class="error-panel"><span>User "spam_account" has been suspended</span></div>', 'nitter').state, 'suspended');
+  assert.strictEqual(stateOf('<div class="error-panel"><span>Instance has been rate limited.<br>Use another instance or try again later.</span></div>', 'nitter').state, 'rate_limited');
+  assert.deepStrictEqual(stateOf(fixture('nitter-protected.html'), 'nitter'), {
+    state: 'protected',
+    message: "This account's tweets are protected. Only confirmed followers have access to @quiet_owl's tweets."
+  });
+});
+
+test('X empty states are recognized', () => {
+  assert.strictEqual(stateOf(fixture('x-suspended.html'), 'twitter').state, 'suspended');
+  assert.strictEqual(stateOf('<div data-testid="primaryColumn"><div data-testid="emptyState"><span>This account doesn’t exist</span><span>Try searching for another.</span></div></div>', 'twitter').state, 'not_found');
+  assert.strictEqual(stateOf('<div data-testid="primaryColumn"><div data-testid="emptyState"><span>These posts are protected</span></div></div>', 'twitter').state, 'protected');
+  // A bare error page without the app shell
+  assert.strictEqual(stateOf('<html><body><h1>429 Too Many Requests</h1></body></html>', 'twitter').state, 'rate_limited');
+});
+
+test('ordinary timelines and empty accounts are active', () => {
+  assert.strictEqual(stateOf(fixture('nitter-timeline.html'), 'nitter').state, 'active');
+  assert.strictEqual(stateOf(fixture('x-articles.html'), 'twitter').state, 'active');
+  // Tweet text never decides the state
+  assert.strictEqual(stateOf(fixture('nitter-protected.html').replace(/<div class="timeline-header timeline-protected">[\s\S]*?<\/div>/, ''), 'nitter').state, 'active');
+  assert.strictEqual(stateOf('<div data-testid="primaryColumn"><div data-testid="emptyState"><span>@janedoe hasn’t posted</span></div></div>', 'twitter').state, 'active');
+  assert.deepStrictEqual(describeAccountState('suspended'), { accountState: 'suspended', accountExists: false, protected: false, reason: 'Account suspended' });
+});
+
+// A source that reports `state` for every page, or a one-page timeline when 'active'
+function stateSource(name, type, state) {
+  return {
+    name,
+    type,
+    buildUrl: (handle) => `https://${name}/${handle}`,
+    async preparePage() {},
+    detectAccountState: async () => ({ state, message: `${name} says ${state}` }),
+    extractTweets: async () => state === 'active'
+      ? [{ text: 'hello', time: new Date().toISOString(), permalink: `https://${name}/janedoe/status/7` }]
+      : [],
+    isTimelineEnd: async () => true,
+    async advance() {},
+    extractProfile: async () => ({})
+  };
+}
+
+function scrape(sources) {
+  return twitterScraper.scrapeProfile('janedoe', { sources, profileSources: [], snapshots: false, minTweets: 1 });
+}
+
+test('a suspended account ends the scrape at the first source', async (t) => {
+  const visited = [];
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ visited }));
+
+  const result = await scrape([stateSource('x.example', 'desktop', 'suspended'), stateSource('mobile.example', 'mobile', 'active')]);
+  assert.deepStrictEqual(visited, ['https://x.example/janedoe']);
+  assert.strictEqual(result.accountState, 'suspended');
+  assert.strictEqual(result.accountExists, false);
+  assert.strictEqual(result.stateMessage, 'x.example says suspended');
+  assert.deepStrictEqual(result.tweets, []);
+});
+
+test('a Nitter "not found" needs a second source to agree', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease());
+
+  const recovered = await scrape([stateSource('nitter.broken', 'nitter', 'not_found'), stateSource('x.example', 'desktop', 'active')]);
+  assert.strictEqual(recovered.accountState, 'active');
+  assert.strictEqual(recovered.tweets.length, 1);
+
+  const missing = await scrape([stateSource('nitter.a', 'nitter', 'not_found'), stateSource('nitter.b', 'nitter', 'not_found'), stateSource('x.example', 'desktop', 'active')]);
+  assert.strictEqual(missing.accountState, 'not_found');
+  assert.strictEqual(missing.reason, "Account doesn't exist");
+});
+
+test('rate limits on every source are reported once nothing was collected', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease());
+
+  const result = await scrape([stateSource('nitter.a', 'nitter', 'rate_limited'), stateSource('x.example', 'desktop', 'rate_limited')]);
+  assert.strictEqual(result.accountState, 'rate_limited');
+  assert.strictEqual(result.accountExists, true);
+});
+
+test('replayed snapshots of an error page keep the account state', async () => {
+  const suspended = await replayProfile('spam_account', [fixturePath('x-suspended.html')]);
+  assert.strictEqual(suspended.accountState, 'suspended');
+  assert.strictEqual(suspended.replay.files[0].accountState, 'suspended');
+
+  const mixed = await replayProfile('janedoe', [fixturePath('x-suspended.html'), fixturePath('nitter-timeline.html')]);
+  assert.strictEqual(mixed.accountState, 'active');
+});
+
+test('runAnalysis answers unavailable accounts with their state and message', async (t) => {
+  for (const state of ['not_found', 'suspended', 'protected', 'rate_limited']) {
+    t.mock.method(twitterScraper, 'scrapeProfile', async () => Object.assign({ tweets: [] }, describeAccountState(state)));
+    const analysis = await analysisService.runAnalysis({ handle: 'janedoe', platform: 'twitter' });
+    assert.strictEqual(analysis.success, false);
+    assert.strictEqual(analysis.accountState, state);
+    assert.strictEqual(analysis.protected, state === 'protected');
+    assert.ok(analysis.message.length > 0);
+    t.mock.restoreAll();
+  }
+});
@@ -0,0 +1,43 @@
+// backend/test/alertService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+// The alert feed lives in the data directory
+useTempDataDir('alerts');
+const { deliverAlerts, listAlerts } = require('../services/alertService');
+
+test.before(async () => {
+  const entries = [
+    { id: 'w1', platform: 'twitter', handle: '@JaneDoe' },
+    { id: 'w2', platform: 'mastodon', handle: '@jane@mastodon.social' },
+    { id: 'w3', platform: 'linkedin', handle: 'https://www.linkedin.com/in/jane-doe/' }
+  ];
+  const log = console.log;
+  console.log = () => {};
+  try {
+    for (const entry of entries) {
+      await deliverAlerts(entry, `run-${entry.id}`, [{ type: 'followers', message: `${entry.id} grew` }]);
+    }
+  } finally {
+    console.log = log;
+  }
+});
+
+const runIds = (query) => listAlerts(query).map(a => a.runId).sort();
+
+test('the feed is filtered by handle the way each platform reads it', () => {
+  assert.deepStrictEqual(runIds({}), ['run-w1', 'run-w2', 'run-w3']);
+  assert.deepStrictEqual(runIds({ handle: '@JANEDOE' }), ['run-w1']);
+  assert.deepStrictEqual(runIds({ handle: '@Jane@Mastodon.Social' }), ['run-w2']);
+  assert.deepStrictEqual(runIds({ handle: 'https://mastodon.social/@jane' }), ['run-w2']);
+  assert.deepStrictEqual(runIds({ handle: 'https://linkedin.com/in/Jane-Doe' }), ['run-w3']);
+  assert.deepStrictEqual(runIds({ handle: '@nobody' }), []);
+});
+
+test('the feed is filtered by platform, since and limit', () => {
+  assert.deepStrictEqual(runIds({ platform: 'linkedin' }), ['run-w3']);
+  assert.deepStrictEqual(runIds({ platform: 'twitter', handle: 'https://linkedin.com/in/jane-doe' }), []);
+  assert.deepStrictEqual(runIds({ since: Date.now() + 1000 }), []);
+  assert.strictEqual(listAlerts({ limit: 2 }).length, 2);
+});
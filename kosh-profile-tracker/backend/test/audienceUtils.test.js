@@ -0,0 +1,97 @@
+// backend/test/audienceUtils.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { fixture } = require('./helpers');
+const { extractAccountListFromDocument, normalizeAccount } = require('../services/twitterExtractors');
+const { analyzeAudience, isGeneratedHandle } = require('../utils/audienceUtils');
+const { generateReport } = require('../services/platforms');
+
+function accountList(name, src, url) {
+  const html = fixture(name);
+  const dom = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+  const accounts = extractAccountListFromDocument(dom.window.document, src).map(normalizeAccount);
+  dom.window.close();
+  return accounts;
+}
+
+function account(handle, extra = {}) {
+  return Object.assign({ handle, name: handle.slice(1), bio: 'Hello', verified: false, defaultAvatar: false, followers: null, following: null }, extra);
+}
+
+test('Nitter follower lists are read with avatars, badges and bios', () => {
+  const accounts = accountList('nitter-followers.html', 'nitter', 'https://nitter.net/janedoe/followers');
+  assert.deepStrictEqual(accounts.map(a => a.handle), ['@alice', '@mark48213977', '@quiet_owl']);
+  assert.deepStrictEqual(accounts[0], {
+    handle: '@alice',
+    name: 'Alice Example',
+    bio: 'Designer in Lisbon',
+    verified: true,
+    protected: false,
+    avatar: 'https://pbs.twimg.com/profile_images/11/alice_bigger.jpg',
+    defaultAvatar: false,
+    followers: null,
+    following: null
+  });
+  assert.strictEqual(accounts[1].defaultAvatar, true);
+  assert.strictEqual(accounts[1].bio, '');
+  assert.strictEqual(accounts[2].protected, true);
+});
+
+test('X following lists are read from UserCells once per account', () => {
+  const accounts = accountList('x-following.html', 'twitter', 'https://x.com/janedoe/following');
+  assert.deepStrictEqual(accounts.map(a => a.handle), ['@alice', '@newsbot2024x']);
+  assert.strictEqual(accounts[0].name, 'Alice Example');
+  assert.strictEqual(accounts[0].bio, 'Designer in Lisbon');
+  assert.strictEqual(accounts[0].verified, true);
+  assert.strictEqual(accounts[1].bio, '');
+  assert.strictEqual(accounts[1].defaultAvatar, true);
+});
+
+test('isGeneratedHandle matches name+digits handles only', () => {
+  assert.strictEqual(isGeneratedHandle('@mark48213977'), true);
+  assert.strictEqual(isGeneratedHandle('jane_doe20491'), true);
+  assert.strictEqual(isGeneratedHandle('@jane1990'), false);
+  assert.strictEqual(isGeneratedHandle('@alice'), false);
+});
+
+test('analyzeAudience reports shares and the overlap of the samples', () => {
+  const followers = [
+    account('@alice'),
+    account('@bob', { bio: '' }),
+    account('@mark48213977', { defaultAvatar: true, bio: '' }),
+    account('@carol', { verified: true })
+  ];
+  const following = [account('@Alice'), account('@dave')];
+  const quality = analyzeAudience({ sampleSize: 50, followers, following, sources: { followers: 'nitter:nitter.net' } });
+
+  assert.strictEqual(quality.followers.sampled, 4);
+  assert.strictEqual(quality.followers.defaultAvatarShare, 25);
+  assert.strictEqual(quality.followers.noBioShare, 50);
+  assert.strictEqual(quality.followers.suspiciousHandleShare, 25);
+  assert.strictEqual(quality.followers.verifiedShare, 25);
+  assert.deepStrictEqual(quality.followers.suspiciousHandles, ['@mark48213977']);
+  assert.deepStrictEqual(quality.overlap, { mutual: 1, shareOfFollowers: 25, shareOfFollowing: 50, accounts: ['@Alice'] });
+  // Too small a sample to judge
+  assert.strictEqual(quality.quality, 'Unknown');
+  assert.deepStrictEqual(quality.flags, []);
+  assert.strictEqual(analyzeAudience(null), null);
+});
+
+test('a throwaway-looking follower sample is flagged in the report', () => {
+  const followers = Array.from({ length: 12 }, (_, i) => account(`@user${4820000 + i}`, { defaultAvatar: i < 8, bio: '' }));
+  const quality = analyzeAudience({ followers, following: [] });
+  assert.strictEqual(quality.quality, 'Low');
+  assert.strictEqual(quality.flags.length, 3);
+
+  const report = generateReport({
+    name: 'Jane Doe',
+    handle: '@janedoe',
+    followers: 500,
+    following: 300,
+    tweets: [],
+    audience: { sampleSize: 12, followers, following: [] }
+  }, 'twitter');
+  assert.strictEqual(report.audienceQuality.quality, 'Low');
+  assert.ok(report.suspiciousActivity.flags.includes('Low-quality audience'));
+});
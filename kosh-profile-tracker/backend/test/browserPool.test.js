@@ -0,0 +1,144 @@
+// backend/test/browserPool.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { createBrowserPool } = require('../services/browserPool');
+
+// Minimal stand-ins for Puppeteer's Browser and Page
+function fakeLauncher() {
+  const launched = [];
+  const launch = async () => {
+    const browser = new EventEmitter();
+    browser.id = launched.length + 1;
+    browser.closed = false;
+    browser.pagesCreated = 0;
+    browser.isConnected = () => !browser.closed;
+    browser.newPage = async () => {
+      if (browser.closed) throw new Error('Target closed');
+      browser.pagesCreated++;
+      let closed = false;
+      return {
+        browserId: browser.id,
+        isClosed: () => closed,
+        close: async () => { closed = true; },
+        removeAllListeners: () => {},
+        setRequestInterception: async () => {},
+        goto: async () => {}
+      };
+    };
+    browser.close = async () => {
+      if (browser.closed) return;
+      browser.closed = true;
+      browser.emit('disconnected');
+    };
+    browser.crash = () => {
+      browser.closed = true;
+      browser.emit('disconnected');
+    };
+    launched.push(browser);
+    return browser;
+  };
+  return { launch, launched };
+}
+
+test('leases share browsers up to the limits and queue beyond them', async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, maxPages: 2, idleMs: 60000 });
+
+  const a = await pool.acquire();
+  const b = await pool.acquire();
+  assert.strictEqual(launched.length, 1);
+
+  let queuedAt = null;
+  let cLease = null;
+  const c = pool.acquire({ onQueued: (position) => { queuedAt = position; } }).then(l => { cLease = l; return l; });
+  await new Promise(r => setImmediate(r));
+  assert.strictEqual(queuedAt, 1);
+  assert.strictEqual(cLease, null);
+  assert.strictEqual(pool.stats().queued, 1);
+
+  await a.release();
+  await c;
+  assert.ok(cLease);
+  assert.strictEqual(launched.length, 1);
+
+  await b.release();
+  await cLease.release();
+  await pool.drain(1000);
+});
+
+test('pages are recycled between leases', async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, maxPages: 1 });
+
+  const first = await pool.acquire();
+  const page = await first.newPage();
+  await first.release();
+
+  const second = await pool.acquire();
+  const reused = await second.newPage();
+  assert.strictEqual(reused, page);
+  assert.strictEqual(launched[0].pagesCreated, 1);
+  await second.release();
+  await pool.drain(1000);
+});
+
+test('a crashed browser is replaced', async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, maxPages: 1 });
+
+  const lease = await pool.acquire();
+  launched[0].crash();
+  const page = await lease.newPage();
+  assert.strictEqual(launched.length, 2);
+  assert.strictEqual(page.browserId, 2);
+  await lease.release();
+
+  const next = await pool.acquire();
+  assert.strictEqual((await next.newPage()).browserId, 2);
+  await next.release();
+  await pool.drain(1000);
+});
+
+test('idle browsers are closed', async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, idleMs: 20 });
+
+  const lease = await pool.acquire();
+  await lease.release();
+  await new Promise(r => setTimeout(r, 60));
+  assert.strictEqual(launched[0].closed, true);
+  assert.strictEqual(pool.stats().browsers, 0);
+});
+
+test('browsers are restarted after maxUsesPerBrowser pages', async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, maxPages: 1, maxUsesPerBrowser: 2, maxIdlePages: 0 });
+
+  const lease = await pool.acquire();
+  await lease.releasePage(await lease.newPage());
+  await lease.releasePage(await lease.newPage());
+  await lease.release();
+
+  const next = await pool.acquire();
+  assert.strictEqual(launched.length, 2);
+  assert.strictEqual(launched[0].closed, true);
+  await next.release();
+  await pool.drain(1000);
+});
+
+test('drain rejects waiting and new leases and closes every browser', async () => {
+  const { launch, launched } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, maxPages: 1 });
+
+  const lease = await pool.acquire();
+  const waiting = pool.acquire();
+  const draining = pool.drain(1000);
+  await assert.rejects(waiting, /shutting down/);
+  await assert.rejects(pool.acquire(), /shutting down/);
+
+  await lease.release();
+  await draining;
+  assert.strictEqual(launched[0].closed, true);
+  assert.strictEqual(pool.stats().browsers, 0);
+});
@@ -0,0 +1,163 @@
+// backend/test/checkpointStore.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, fakeLease } = require('./helpers');
+
+useTempDataDir('checkpoints');
+const checkpointStore = require('../services/checkpointStore');
+const browserPool = require('../services/browserPool');
+const { scrapeProfile } = require('../services/twitterScraper');
+const jobManager = require('../services/jobManager');
+const { getJob } = require('../controllers/jobController');
+
+// A paginated timeline source: every page holds two tweets, newest first; the timeline
+// ends once the page at `lastCursor` is reached
+function fakeSource({ lastCursor = Infinity } = {}) {
+  return {
+    name: 'fake:timeline',
+    type: 'fake',
+    phase: 'fake',
+    buildUrl: (handle) => `https://fake.example/${handle}`,
+    async preparePage() {},
+    async extractTweets(page) {
+      const n = Number((page.url().match(/cursor=(\d+)/) || [])[1] || 0);
+      return [2 * n + 1, 2 * n + 2].map(i => ({
+        text: `tweet ${i}`,
+        time: new Date(Date.now() - i * 60000).toISOString(),
+        permalink: `https://fake.example/janedoe/status/${1000 - i}`
+      }));
+    },
+    async isTimelineEnd(page) {
+      return Number((page.url().match(/cursor=(\d+)/) || [])[1] || 0) >= lastCursor;
+    },
+    async advance(page) {
+      const n = Number((page.url().match(/cursor=(\d+)/) || [])[1] || 0);
+      page.setUrl(`https://fake.example/janedoe?cursor=${n + 1}`);
+      await new Promise(r => setTimeout(r, 40));
+    }
+  };
+}
+
+test('saveCheckpoint merges fields and loadCheckpoint reads them back', () => {
+  checkpointStore.saveCheckpoint('job-1', { params: { handle: 'janedoe', platform: 'twitter' } });
+  const saved = checkpointStore.saveCheckpoint('job-1', { tweets: [{ id: '1' }] });
+  assert.deepStrictEqual(saved.params, { handle: 'janedoe', platform: 'twitter' });
+  assert.deepStrictEqual(checkpointStore.loadCheckpoint('job-1').tweets, [{ id: '1' }]);
+  assert.strictEqual(checkpointStore.deleteCheckpoint('job-1'), true);
+  assert.strictEqual(checkpointStore.loadCheckpoint('job-1'), null);
+  assert.strictEqual(checkpointStore.loadCheckpoint('../runs'), null);
+  assert.throws(() => checkpointStore.saveCheckpoint('../runs', {}), /Invalid checkpoint id/);
+});
+
+test('a timed-out scrape returns partial tweets and resumes from its checkpoint', async (t) => {
+  const visited = [];
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ visited }));
+
+  const first = await scrapeProfile('janedoe', {
+    sources: [fakeSource()],
+    profileSources: [],
+    timeoutMs: 3600,
+    noNewThreshold: 100,
+    minTweets: 1000,
+    checkpointId: 'job-2'
+  });
+  assert.strictEqual(first.partial, true);
+  assert.match(first.partialReason, /Timed out/);
+  assert.ok(first.tweets.length > 0);
+
+  const checkpoint = checkpointStore.loadCheckpoint('job-2');
+  assert.strictEqual(checkpoint.tweets.length, first.tweets.length);
+  assert.deepStrictEqual(checkpoint.sourcesTried.map(s => [s.name, s.finished]), [['fake:timeline', false]]);
+  assert.strictEqual(checkpoint.position.source, 'fake:timeline');
+  assert.match(checkpoint.position.url, /cursor=\d+$/);
+
+  visited.length = 0;
+  const resumed = await scrapeProfile('janedoe', {
+    sources: [fakeSource({ lastCursor: 0 })],
+    profileSources: [],
+    minTweets: 1,
+    resumeFrom: checkpoint
+  });
+  assert.strictEqual(visited[0], checkpoint.position.url);
+  assert.strictEqual(resumed.partial, false);
+  assert.ok(resumed.tweets.length > first.tweets.length);
+  const ids = new Set(resumed.tweets.map(tw => tw.id));
+  first.tweets.forEach(tw => assert.ok(ids.has(tw.id), `lost tweet ${tw.id}`));
+});
+
+test('a source that fails mid-timeline leaves its tweets and position in the checkpoint', async (t) => {
+  const visited = [];
+  const lease = fakeLease({ visited });
+  // The browser tab crashes once the timeline has been read
+  lease.releasePage = async () => { throw new Error('Target closed'); };
+  t.mock.method(browserPool, 'acquire', async () => lease);
+
+  await scrapeProfile('janedoe', {
+    sources: [fakeSource({ lastCursor: 6 })],
+    profileSources: [],
+    minTweets: 1,
+    checkpointId: 'job-3'
+  });
+
+  const checkpoint = checkpointStore.loadCheckpoint('job-3');
+  assert.strictEqual(checkpoint.tweets.length, 14);
+  assert.deepStrictEqual(checkpoint.sourcesTried.map(s => [s.name, s.success]), [['fake:timeline', false]]);
+  assert.strictEqual(checkpoint.position.source, 'fake:timeline');
+  assert.match(checkpoint.position.url, /cursor=6$/);
+});
+
+test('a timeline cut short by a rate limit is partial and its source runs again on resume', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease());
+  // From the third page on the source answers with a rate limit notice and no tweets
+  const limited = Object.assign(fakeSource(), {
+    async extractTweets(page) {
+      const n = Number((page.url().match(/cursor=(\d+)/) || [])[1] || 0);
+      return n >= 3 ? [] : fakeSource().extractTweets(page);
+    },
+    async detectAccountState(page) {
+      const limit = /cursor=([3-9]|\d\d)/.test(page.url());
+      return { state: limit ? 'rate_limited' : 'active', message: limit ? 'Rate limit exceeded' : '' };
+    }
+  });
+
+  const result = await scrapeProfile('janedoe', {
+    sources: [limited],
+    profileSources: [],
+    minTweets: 1,
+    checkpointId: 'job-4'
+  });
+  assert.strictEqual(result.accountState, 'active');
+  assert.strictEqual(result.tweets.length, 6);
+  assert.strictEqual(result.partial, true);
+  assert.strictEqual(result.partialReason, 'Rate limited by fake:timeline');
+  assert.deepStrictEqual(checkpointStore.loadCheckpoint('job-4').sourcesTried.map(s => [s.name, s.finished]), [['fake:timeline', false]]);
+
+  // A source that reads the whole timeline makes it complete
+  const complete = await scrapeProfile('janedoe', {
+    sources: [limited, fakeSource({ lastCursor: 4 })],
+    profileSources: [],
+    minTweets: 100
+  });
+  assert.strictEqual(complete.partial, false);
+  assert.strictEqual(complete.tweets.length, 10);
+});
+
+test('a failed job names its checkpoint only when one was left', async () => {
+  const failing = () => jobManager.createJob({ handle: 'janedoe', platform: 'twitter' }, async (params, emit, job) => {
+    if (params.checkpoint) checkpointStore.saveCheckpoint(job.id, { params });
+    throw new Error('Navigation timeout');
+  });
+  const withCheckpoint = failing();
+  withCheckpoint.params.checkpoint = true;
+  const without = failing();
+  await new Promise(r => setTimeout(r, 20));
+
+  const bodyOf = (job) => {
+    let body = null;
+    getJob({ params: { id: job.id } }, { json(b) { body = b; return this; } });
+    return body;
+  };
+  assert.strictEqual(bodyOf(withCheckpoint).status, 'failed');
+  assert.strictEqual(bodyOf(withCheckpoint).checkpointId, withCheckpoint.id);
+  assert.strictEqual(bodyOf(without).checkpointId, '');
+});
@@ -0,0 +1,83 @@
+// backend/test/helpers.js
+// Shared test scaffolding: fixtures, temporary directories and a fake browser lease
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/** Path of a file in test/fixtures */
+function fixturePath(name) {
+  return path.join(FIXTURES_DIR, name);
+}
+
+/** Text of a file in test/fixtures */
+function fixture(name) {
+  return fs.readFileSync(fixturePath(name), 'utf-8');
+}
+
+/** An empty temporary directory, removed once the test file has run */
+function tempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `kosh-${prefix}-`));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Point KOSH_DATA_DIR at a temporary directory so runs, checkpoints, alerts and source
+ * health stay out of the real one. Services read it when they load, so call this before
+ * requiring them.
+ */
+function useTempDataDir(prefix) {
+  const dir = tempDir(prefix);
+  process.env.KOSH_DATA_DIR = dir;
+  return dir;
+}
+
+/**
+ * A browser lease for scrapers under test. Its pages record every URL they open in
+ * `visited` and remember it (`setUrl` moves them, as a pager would). With `pages`
+ * ({ [url]: { html, status, redirect } }) they load that HTML into jsdom and fail to
+ * load any other URL. page.content() fails so no debug snapshots are written.
+ */
+function fakeLease({ visited = [], pages = null } = {}) {
+  return {
+    async newPage() {
+      let url = 'about:blank';
+      let dom = null;
+      return {
+        setDefaultNavigationTimeout() {},
+        setDefaultTimeout() {},
+        async setRequestInterception() {},
+        async setViewport() {},
+        async setUserAgent() {},
+        on() {},
+        async goto(target) {
+          visited.push(target);
+          if (!pages) {
+            url = target;
+            return null;
+          }
+          const entry = pages[target];
+          if (!entry) throw new Error(`net::ERR_CONNECTION_RESET at ${target}`);
+          dom = new JSDOM(entry.html || '', { url: entry.redirect || target, virtualConsole: new VirtualConsole() });
+          url = dom.window.location.href;
+          return { status: () => entry.status || 200 };
+        },
+        async content() { throw new Error('no snapshots in tests'); },
+        url: () => url,
+        setUrl(target) { url = target; },
+        // evaluateInPage sends a string; the scroll callbacks have nothing to do here
+        async evaluate(script) {
+          return dom && typeof script === 'string' ? new Function('document', `return ${script}`)(dom.window.document) : undefined;
+        }
+      };
+    },
+    async releasePage() {},
+    async release() {}
+  };
+}
+
+module.exports = { fixturePath, fixture, tempDir, useTempDataDir, fakeLease };
@@ -0,0 +1,134 @@
+// backend/test/incremental.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+// Analyses store runs
+const dataDir = useTempDataDir('incremental');
+const twitterScraper = require('../services/twitterScraper');
+const twitter = require('../services/platforms/twitter');
+const runStore = require('../services/runStore');
+const pdfGenerator = require('../utils/pdfGenerator');
+const { runAnalysis } = require('../services/analysisService');
+const { mergeTweets } = require('../utils/tweetUtils');
+const { diffTweets } = require('../utils/reportDiff');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tweet(id, daysAgo, likes = 0) {
+  return { id, text: `tweet ${id}`, time: new Date(Date.now() - daysAgo * DAY_MS).toISOString(), likes };
+}
+
+test('mergeTweets keeps unseen stored tweets unless the fresh scrape covered their window', () => {
+  const stored = [tweet('5', 1), tweet('4', 2), tweet('3', 3), tweet('2', 10), tweet('1', 20)];
+  const fresh = [tweet('6', 0), tweet('5', 1, 9), tweet('3', 3)];
+
+  const kept = mergeTweets(stored, fresh);
+  assert.deepStrictEqual(kept.tweets.map(t => t.id), ['6', '5', '4', '3', '2', '1']);
+  assert.strictEqual(kept.dropped, 0);
+
+  const merged = mergeTweets(stored, fresh, null, { dropUnseen: true });
+  assert.deepStrictEqual(merged.tweets.map(t => t.id), ['6', '5', '3', '2', '1']);
+  assert.deepStrictEqual([merged.added, merged.refreshed, merged.kept, merged.dropped], [1, 2, 2, 1]);
+  assert.strictEqual(merged.tweets[1].likes, 9);
+});
+
+test('an old pinned tweet or retweet at the top of the timeline does not widen the window', () => {
+  const stored = [tweet('5', 1), tweet('4', 2), tweet('3', 3), tweet('2', 10)];
+  // The scrape stopped early after the known tweets 5 and 4; 3 and 2 were not revisited
+  const fresh = [
+    Object.assign(tweet('100', 300), { isPinned: true }),
+    Object.assign(tweet('200', 200), { isRetweet: true }),
+    tweet('6', 0), tweet('5', 1), tweet('4', 2)
+  ];
+
+  const merged = mergeTweets(stored, fresh, null, { dropUnseen: true });
+  assert.deepStrictEqual(merged.tweets.map(t => t.id), ['6', '5', '4', '3', '2', '200', '100']);
+  assert.strictEqual(merged.dropped, 0);
+
+  // Only the stretch through the first known streak counts: '1' sits past a gap
+  const gapped = mergeTweets(stored, [tweet('6', 0), tweet('5', 1), tweet('1', 12)], null, { dropUnseen: true });
+  assert.deepStrictEqual(gapped.tweets.map(t => t.id), ['6', '5', '4', '3', '2', '1']);
+});
+
+test('a tweet deleted since the base run drops out of an incremental run and shows in the diff', async (t) => {
+  const baseRun = { id: 'twitter_janedoe_1', tweets: [tweet('4', 1), tweet('3', 2), tweet('2', 3), tweet('1', 30)] };
+  // Tweet 3 was deleted; the scrape stops at the known tweet 2
+  t.mock.method(twitterScraper, 'scrapeProfile', async () => ({
+    accountExists: true,
+    accountState: 'active',
+    tweets: [tweet('5', 0), tweet('4', 1), tweet('2', 3)],
+    incremental: { sinceId: '4', sinceTime: baseRun.tweets[0].time, caughtUp: true }
+  }));
+
+  const { profileData } = await twitter.scrape('janedoe', { incremental: true }, {
+    onProgress: () => {},
+    latestRun: () => baseRun
+  });
+
+  assert.deepStrictEqual(profileData.tweets.map(t => t.id), ['5', '4', '2', '1']);
+  assert.strictEqual(profileData.incremental.droppedTweets, 1);
+
+  const diff = diffTweets(baseRun.tweets, profileData.tweets);
+  assert.deepStrictEqual(diff.deleted.map(d => d.id), ['3']);
+  assert.deepStrictEqual(diff.added.map(d => d.id), ['5']);
+});
+
+test('a partial scrape or one ending at `until` keeps stored tweets it did not return', async (t) => {
+  const baseRun = { id: 'twitter_janedoe_1', tweets: [tweet('4', 1), tweet('3', 2), tweet('2', 3)] };
+  let scraped = {};
+  t.mock.method(twitterScraper, 'scrapeProfile', async () => Object.assign({
+    accountExists: true,
+    accountState: 'active',
+    tweets: [tweet('4', 1), tweet('2', 3)],
+    incremental: { sinceId: '4', sinceTime: baseRun.tweets[0].time, caughtUp: true }
+  }, scraped));
+  const scrape = (options) => twitter.scrape('janedoe', Object.assign({ incremental: true }, options), {
+    onProgress: () => {},
+    latestRun: () => baseRun
+  });
+
+  scraped = { partial: true, partialReason: 'Timed out after 60s' };
+  let { profileData } = await scrape({});
+  assert.deepStrictEqual(profileData.tweets.map(t => t.id), ['4', '3', '2']);
+  assert.strictEqual(profileData.incremental.droppedTweets, 0);
+
+  scraped = {};
+  const until = new Date(Date.now() - DAY_MS / 2).toISOString().slice(0, 10);
+  ({ profileData } = await scrape({ scrapeOptions: { since: new Date(Date.now() - 10 * DAY_MS).toISOString().slice(0, 10), until } }));
+  assert.deepStrictEqual(profileData.tweets.map(t => t.id), ['4', '3', '2']);
+});
+
+test('replays and partial runs are not used as the incremental base', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const save = (timestamp, tweets, extra) => runStore.saveRun({
+    platform: 'twitter',
+    handle: 'janedoe',
+    profileData: { name: 'Jane' },
+    report: Object.assign({ timestamp, tweets }, extra)
+  });
+  const full = save(Date.now() - 3 * DAY_MS, [tweet('2', 3), tweet('1', 4)]);
+  save(Date.now() - 2 * DAY_MS, [tweet('9', 2)], { replay: { files: ['janedoe_nitter_1.html'] } });
+  save(Date.now() - DAY_MS, [tweet('8', 1)], { partial: true, partialReason: 'Rate limited by nitter' });
+
+  let scrapeOptions = null;
+  t.mock.method(twitterScraper, 'scrapeProfile', async (handle, options) => {
+    scrapeOptions = options;
+    return {
+      name: 'Jane',
+      accountExists: true,
+      accountState: 'active',
+      tweets: [tweet('3', 0), tweet('2', 3)],
+      incremental: { sinceId: options.sinceId, sinceTime: options.sinceTime, caughtUp: true }
+    };
+  });
+  t.mock.method(pdfGenerator, 'generatePDF', async () => path.join(dataDir, 'janedoe.pdf'));
+
+  const result = await runAnalysis({ handle: 'janedoe', platform: 'twitter' }, { incremental: true });
+
+  assert.strictEqual(scrapeOptions.sinceId, '2');
+  assert.deepStrictEqual(scrapeOptions.knownIds, ['2', '1']);
+  assert.strictEqual(result.report.incremental.baseRunId, full.id);
+  assert.deepStrictEqual(result.report.tweets.map(tw => tw.id), ['3', '2', '1']);
+});
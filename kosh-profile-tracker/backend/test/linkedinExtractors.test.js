@@ -0,0 +1,144 @@
+// backend/test/linkedinExtractors.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { fixture } = require('./helpers');
+const { extractLinkedInProfile, normalizeLinkedInProfile, detectLinkedInPageState, parseDateRange, extractLinkedInPosts, normalizeLinkedInPost, parseRelativeTime } = require('../services/linkedinExtractors');
+
+function loadDocument(name, url) {
+  const html = fixture(name);
+  return new JSDOM(html, { url, virtualConsole: new VirtualConsole() }).window.document;
+}
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+function loadProfile() {
+  return normalizeLinkedInProfile(extractLinkedInProfile(loadDocument('linkedin-profile.html', 'https://www.linkedin.com/in/jane-doe/')), NOW);
+}
+
+test('LinkedIn profile page', () => {
+  const profile = loadProfile();
+  assert.strictEqual(profile.name, 'Jane Doe');
+  assert.strictEqual(profile.headline, 'Senior Software Engineer at Example Corp');
+  assert.strictEqual(profile.location, 'Berlin, Germany');
+  assert.strictEqual(profile.about, 'I build data pipelines and developer tools.');
+  assert.strictEqual(profile.connections, '500+ connections');
+  assert.strictEqual(profile.sections, undefined);
+  assert.deepStrictEqual(profile.skills, ['Node.js', 'PostgreSQL']);
+  assert.strictEqual(profile.profileUrl, 'https://www.linkedin.com/in/jane-doe/');
+  assert.strictEqual(profile.profileImage, 'https://media.licdn.com/dms/image/jane.jpg');
+});
+
+test('LinkedIn experience is split into positions with dates and tenure', () => {
+  const profile = loadProfile();
+  // Roles grouped under a company share its name, employment type and location
+  assert.deepStrictEqual(profile.experiences[0], {
+    title: 'Senior Software Engineer',
+    company: 'Example Corp',
+    employmentType: 'Full-time',
+    location: 'Berlin, Germany',
+    workplaceType: 'Hybrid',
+    duration: 'Jan 2023 - Present · 3 yrs 10 mos',
+    startDate: '2023-01',
+    endDate: '',
+    current: true,
+    months: 46
+  });
+  assert.deepStrictEqual(profile.experiences.map(e => [e.title, e.company, e.startDate, e.endDate, e.months]), [
+    ['Senior Software Engineer', 'Example Corp', '2023-01', '', 46],
+    ['Software Engineer', 'Example Corp', '2021-09', '2022-12', 16],
+    ['Junior Developer', 'Startup GmbH', '2017-03', '2021-06', 52]
+  ]);
+  assert.deepStrictEqual([profile.experiences[2].location, profile.experiences[2].workplaceType], ['Munich, Germany', 'On-site']);
+});
+
+test('LinkedIn education, certifications, languages and volunteering', () => {
+  const profile = loadProfile();
+  assert.deepStrictEqual(profile.education[0], {
+    school: 'Technical University of Munich',
+    degree: 'Master of Science - MS',
+    field: 'Computer Science',
+    startDate: '2015',
+    endDate: '2017',
+    current: false
+  });
+  assert.strictEqual(profile.education.length, 2);
+  assert.deepStrictEqual(profile.certifications, [{
+    name: 'AWS Certified Solutions Architect – Associate',
+    issuer: 'Amazon Web Services (AWS)',
+    issued: '2023-03',
+    expires: '2026-03',
+    credentialId: 'ABC-123'
+  }]);
+  assert.deepStrictEqual(profile.languages, [{ name: 'German', proficiency: 'Native or bilingual' }, { name: 'English', proficiency: 'Full professional' }]);
+  assert.deepStrictEqual(profile.volunteering.map(v => [v.role, v.organization, v.cause, v.months]), [['Mentor', 'Code Club', 'Education', 24]]);
+});
+
+test('LinkedIn date ranges', () => {
+  assert.deepStrictEqual(parseDateRange('Jan 2021 - Mar 2021', NOW), { startDate: '2021-01', endDate: '2021-03', current: false, months: 3 });
+  assert.deepStrictEqual(parseDateRange('Jun 2025 – Present', NOW), { startDate: '2025-06', endDate: '', current: true, months: 17 });
+  assert.strictEqual(parseDateRange('2015 - 2017', NOW).months, 24);
+  assert.strictEqual(parseDateRange('Sep 2021 - Dec 2022 · 1 yr 4 mos', NOW).months, 16);
+  assert.strictEqual(parseDateRange('Berlin, Germany · Hybrid', NOW), null);
+  assert.strictEqual(parseDateRange('', NOW), null);
+});
+
+test('LinkedIn extractor falls back to placeholders on an empty page', () => {
+  const profile = normalizeLinkedInProfile(extractLinkedInProfile(loadDocument('x-cellinnerdiv.html', 'https://www.linkedin.com/in/nobody/')));
+  assert.strictEqual(profile.name, 'N/A');
+  assert.strictEqual(profile.headline, 'No headline');
+  assert.deepStrictEqual(profile.experiences, []);
+  assert.deepStrictEqual(profile.education, []);
+  assert.deepStrictEqual(profile.skills, []);
+});
+
+test('LinkedIn sign-in walls and missing profiles are recognized', () => {
+  assert.deepStrictEqual(detectLinkedInPageState(loadDocument('linkedin-authwall.html', 'https://www.linkedin.com/in/jane-doe/')), {
+    state: 'blocked',
+    message: "Join LinkedIn to see Jane's full profile"
+  });
+  const login = new JSDOM('<h1>Welcome back</h1>', { url: 'https://www.linkedin.com/authwall?trk=public_profile' }).window.document;
+  assert.strictEqual(detectLinkedInPageState(login).state, 'blocked');
+
+  const missing = new JSDOM('<title>Page not found | LinkedIn</title><main><h1>This page doesn’t exist</h1></main>', { url: 'https://www.linkedin.com/in/nobody-here/' }).window.document;
+  assert.deepStrictEqual(detectLinkedInPageState(missing), { state: 'not_found', message: 'Page not found | LinkedIn' });
+  const redirected = new JSDOM('', { url: 'https://www.linkedin.com/404/' }).window.document;
+  assert.strictEqual(detectLinkedInPageState(redirected).state, 'not_found');
+
+  assert.deepStrictEqual(detectLinkedInPageState(loadDocument('linkedin-profile.html', 'https://www.linkedin.com/in/jane-doe/')), { state: 'active', message: '' });
+});
+
+test('LinkedIn activity feed posts in the tweet shape', () => {
+  const raw = extractLinkedInPosts(loadDocument('linkedin-activity.html', 'https://www.linkedin.com/in/jane-doe/recent-activity/all/'));
+  assert.strictEqual(raw.length, 4);
+  const posts = raw.map(p => normalizeLinkedInPost(p));
+
+  const [launch, repost, video, slides] = posts;
+  assert.strictEqual(launch.id, '7413881949388800000');
+  assert.strictEqual(launch.time, '2026-01-05T10:00:00.000Z');
+  assert.strictEqual(launch.permalink, 'https://www.linkedin.com/feed/update/urn:li:activity:7413881949388800000/');
+  assert.deepStrictEqual([launch.likes, launch.retweets, launch.replies], [1204, 12, 56]);
+  assert.deepStrictEqual(launch.hashtags, ['#launch']);
+  assert.deepStrictEqual(launch.urls, ['https://lnkd.in/eXaMpLe']);
+  assert.strictEqual(launch.hasImage, true);
+  assert.strictEqual(launch.hasLink, true);
+  assert.deepStrictEqual(launch.media, [{ type: 'image', url: 'https://media.licdn.com/dms/image/post-1.jpg', alt: 'Team photo', poster: '' }]);
+
+  assert.strictEqual(repost.isRetweet, true);
+  assert.strictEqual(repost.author, 'Example Corp');
+  assert.deepStrictEqual(repost.urls, ['https://careers.example.com/data-engineer']);
+  assert.deepStrictEqual([video.likes, video.hasVideo, video.hasImage], [2100, true, false]);
+  assert.deepStrictEqual([slides.hasDocument, slides.replies, slides.hasLink], [true, 2, false]);
+});
+
+test('LinkedIn posts without a dated URN use the relative time', () => {
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  assert.strictEqual(parseRelativeTime('3d • Edited •', now).toISOString(), '2026-02-26T12:00:00.000Z');
+  assert.strictEqual(parseRelativeTime('2w', now).toISOString(), '2026-02-15T12:00:00.000Z');
+  assert.strictEqual(parseRelativeTime('5h', now).toISOString(), '2026-03-01T07:00:00.000Z');
+  assert.strictEqual(parseRelativeTime('Promoted', now), null);
+
+  const post = normalizeLinkedInPost({ urn: 'urn:li:activity:12', text: 'Hello', relativeTime: '1mo •', reactions: '3' }, now);
+  assert.strictEqual(post.time, '2026-01-30T12:00:00.000Z');
+  assert.strictEqual(post.likes, 3);
+});
@@ -0,0 +1,124 @@
+// backend/test/linkedinImport.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { fixturePath, useTempDataDir } = require('./helpers');
+
+// Imported runs are stored
+useTempDataDir('linkedin-import');
+const { importArchive, parseCsv } = require('../services/linkedinImport');
+const { openZip } = require('../utils/zipReader');
+const browserPool = require('../services/browserPool');
+const { importLinkedInArchive } = require('../controllers/importController');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const archive = () => fs.readFileSync(fixturePath('linkedin-export.zip'));
+
+// A controller response that records its status and JSON body
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('CSV fields may be quoted with commas, quotes and line breaks', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nthere"\r\n,last'), [
+    ['a', 'b'],
+    ['x, y', 'say "hi"\nthere'],
+    ['', 'last']
+  ]);
+});
+
+test('the ZIP reader lists and inflates entries and rejects other files', () => {
+  const zip = openZip(archive());
+  assert.ok(zip.entries.some(e => e.name.endsWith('/Profile.csv')));
+  assert.ok(!zip.entries.some(e => e.name.endsWith('/')), 'directories are not listed');
+  const skills = zip.entries.find(e => e.name.endsWith('/Skills.csv'));
+  assert.match(zip.read(skills.name).toString('utf-8'), /^Name\r\nNode\.js/);
+  assert.strictEqual(zip.read('missing.csv'), null);
+
+  assert.throws(() => openZip(Buffer.from('not a zip archive at all, just some text')), /Invalid ZIP archive/);
+  assert.throws(() => openZip(zlib.gzipSync('hello')), /Invalid ZIP archive/);
+  assert.throws(() => openZip(archive(), { maxEntryBytes: 10 }).read(skills.name), /larger than 10 bytes/);
+});
+
+test('a data export becomes LinkedIn profile data', () => {
+  const profile = importArchive(archive(), { handle: 'jane-doe', now: NOW });
+  assert.strictEqual(profile.name, 'Jane Doe');
+  assert.strictEqual(profile.handle, 'jane-doe');
+  assert.strictEqual(profile.profileUrl, 'https://www.linkedin.com/in/jane-doe/');
+  assert.strictEqual(profile.headline, 'Senior Software Engineer at Example Corp');
+  assert.strictEqual(profile.location, 'Berlin, Germany');
+  assert.strictEqual(profile.website, 'https://janedoe.dev');
+  // The notes above the Connections.csv header are skipped
+  assert.strictEqual(profile.connections, '3 connections');
+
+  assert.deepStrictEqual(profile.experiences.map(e => [e.title, e.company, e.startDate, e.endDate, e.current, e.months]), [
+    ['Senior Software Engineer', 'Example Corp', '2023-01', '', true, 46],
+    ['Software Engineer', 'Example Corp', '2021-09', '2022-12', false, 16],
+    ['Junior Developer', 'Startup GmbH', '2017-03', '2021-06', false, 52]
+  ]);
+  assert.strictEqual(profile.experiences[0].description, 'Data platform team.\nOwns the ingestion pipeline.');
+  assert.deepStrictEqual(profile.education, [{ school: 'Technical University of Munich', degree: 'Master of Science - MS', field: '', startDate: '2015', endDate: '2017', current: false }]);
+  assert.deepStrictEqual(profile.skills, ['Node.js', 'PostgreSQL', 'Data Engineering']);
+  assert.deepStrictEqual(profile.languages[0], { name: 'German', proficiency: 'Native or bilingual' });
+  assert.deepStrictEqual(profile.certifications, []);
+  assert.strictEqual(profile.import.files['Certifications.csv'], null);
+  assert.strictEqual(profile.import.files['Shares.csv'], 3);
+
+  // Shares, newest first; a share without text or link is dropped
+  assert.deepStrictEqual(profile.tweets.map(t => [t.id, t.time, t.hasImage, t.hasLink]), [
+    ['7413881949388800000', '2026-01-05T10:00:00.000Z', true, false],
+    ['7408057319424000000', '2025-12-20T08:15:00.000Z', false, true]
+  ]);
+  assert.strictEqual(profile.tweets[1].text, 'We are hiring data engineers in Berlin. "Great" team!');
+  assert.deepStrictEqual(profile.tweets[0].hashtags, ['#launch']);
+});
+
+test('an archive without Profile.csv is refused', () => {
+  const zip = archive();
+  // Rename the entry in both headers so the archive stays valid
+  const renamed = Buffer.from(zip.toString('latin1').split('Profile.csv').join('Profilx.csv'), 'latin1');
+  assert.throws(() => importArchive(renamed), /Profile\.csv not found/);
+});
+
+test('POST /api/imports/linkedin analyzes the export without a browser', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => { throw new Error('no browser expected'); });
+
+  const res = fakeResponse();
+  await importLinkedInArchive({ body: archive(), query: { handle: 'jane-doe' } }, res);
+  assert.strictEqual(res.statusCode, 200);
+  const { success, report, pdfUrl, runId } = res.body;
+  try {
+    assert.strictEqual(success, true);
+    assert.ok(runId);
+    assert.strictEqual(report.platform, 'Linkedin');
+    assert.strictEqual(report.statistics.tweetsAnalyzed, 2);
+    assert.strictEqual(report.import.source, 'linkedin-export');
+    assert.strictEqual(report.education[0].school, 'Technical University of Munich');
+    assert.ok(report.insights.includes('Source: LinkedIn data export shared by the account owner'));
+    assert.match(report.analysis.careerStage, /^Experienced/);
+  } finally {
+    if (pdfUrl) fs.unlinkSync(path.join(__dirname, '../reports', path.basename(pdfUrl)));
+  }
+});
+
+test('POST /api/imports/linkedin answers bad uploads with 400', async () => {
+  const empty = fakeResponse();
+  await importLinkedInArchive({ body: {}, query: {} }, empty);
+  assert.strictEqual(empty.statusCode, 400);
+
+  const notZip = fakeResponse();
+  await importLinkedInArchive({ body: Buffer.from('hello'), query: {} }, notZip);
+  assert.strictEqual(notZip.statusCode, 400);
+  assert.match(notZip.body.message, /Invalid ZIP archive/);
+
+  const badHandle = fakeResponse();
+  await importLinkedInArchive({ body: archive(), query: { handle: '../etc' } }, badHandle);
+  assert.strictEqual(badHandle.statusCode, 400);
+});
@@ -0,0 +1,105 @@
+// backend/test/linkedinScraper.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixture, useTempDataDir, fakeLease } = require('./helpers');
+
+// Analyses may store runs
+useTempDataDir('linkedin-scraper');
+const browserPool = require('../services/browserPool');
+const linkedinScraper = require('../services/linkedinScraper');
+const analysisService = require('../services/analysisService');
+const { generateReport } = require('../services/platforms');
+const { analyzeProfile } = require('../controllers/profileController');
+
+const PROFILE_URL = 'https://www.linkedin.com/in/jane-doe';
+
+// A controller response that records its status and JSON body
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('a sign-in wall is a blocked result without profile data', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ pages: {
+    [PROFILE_URL]: { html: fixture('linkedin-authwall.html'), redirect: 'https://www.linkedin.com/authwall?trk=public_profile' }
+  } }));
+
+  const result = await linkedinScraper.scrapeProfile('jane-doe');
+  assert.deepStrictEqual(result, {
+    resultType: 'blocked',
+    accountState: 'blocked',
+    accountExists: true,
+    reason: 'Blocked by LinkedIn',
+    stateMessage: "Join LinkedIn to see Jane's full profile",
+    handle: PROFILE_URL,
+    profileUrl: PROFILE_URL,
+    tweets: []
+  });
+});
+
+test('HTTP 999 and 404 answers are blocked and not-found results', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ pages: {
+    [PROFILE_URL]: { status: 999 },
+    'https://www.linkedin.com/in/nobody-here': { status: 404 }
+  } }));
+
+  assert.strictEqual((await linkedinScraper.scrapeProfile('jane-doe')).resultType, 'blocked');
+  const missing = await linkedinScraper.scrapeProfile('https://www.linkedin.com/in/nobody-here');
+  assert.strictEqual(missing.resultType, 'not_found');
+  assert.strictEqual(missing.accountExists, false);
+});
+
+test('a page that fails to load is an error result, not a placeholder profile', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ pages: {} }));
+
+  const result = await linkedinScraper.scrapeProfile('jane-doe');
+  assert.strictEqual(result.resultType, 'error');
+  assert.match(result.stateMessage, /ERR_CONNECTION_RESET/);
+  assert.strictEqual(result.name, undefined);
+  assert.strictEqual(result.connections, undefined);
+});
+
+test('a profile whose activity hits the sign-in wall is a partial result', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ pages: {
+    [PROFILE_URL]: { html: fixture('linkedin-profile.html') },
+    [`${PROFILE_URL}/recent-activity/all/`]: { html: fixture('linkedin-authwall.html'), redirect: 'https://www.linkedin.com/authwall' }
+  } }));
+
+  const result = await linkedinScraper.scrapeProfile('jane-doe');
+  assert.strictEqual(result.resultType, 'partial');
+  assert.strictEqual(result.partial, true);
+  assert.strictEqual(result.name, 'Jane Doe');
+  assert.ok(result.experiences.length > 0);
+  assert.deepStrictEqual(result.tweets, []);
+  assert.match(result.partialReason, /^Recent activity unavailable: LinkedIn asked for a sign-in/);
+});
+
+test('blocked and failed scrapes produce no report, PDF or score', async (t) => {
+  t.mock.method(linkedinScraper, 'scrapeProfile', async (url) => ({
+    resultType: 'blocked', accountState: 'blocked', accountExists: true, reason: 'Blocked by LinkedIn', stateMessage: 'Sign in', profileUrl: url, tweets: []
+  }));
+  const blocked = await analysisService.runAnalysis({ handle: 'jane-doe', platform: 'linkedin' });
+  assert.strictEqual(blocked.success, false);
+  assert.strictEqual(blocked.accountState, 'blocked');
+  assert.strictEqual(blocked.report, undefined);
+  assert.strictEqual(blocked.pdfUrl, undefined);
+  t.mock.restoreAll();
+
+  t.mock.method(linkedinScraper, 'scrapeProfile', async (url) => ({
+    resultType: 'error', accountState: 'error', accountExists: true, reason: 'Scrape failed', stateMessage: 'Navigation timeout of 30000 ms exceeded', profileUrl: url, tweets: []
+  }));
+  const res = fakeResponse();
+  await analyzeProfile({ body: { handle: 'jane-doe', platform: 'linkedin' } }, res);
+  assert.strictEqual(res.statusCode, 502);
+  assert.strictEqual(res.body.accountState, 'error');
+  assert.match(res.body.message, /Navigation timeout/);
+
+  // The report generator itself does not score a result without a profile
+  const report = generateReport({ resultType: 'blocked', reason: 'Blocked by LinkedIn', tweets: [] }, 'linkedin');
+  assert.strictEqual(report.accountHealth, null);
+  assert.deepStrictEqual(report.insights, ['⚠️ No profile data: Blocked by LinkedIn']);
+});
@@ -0,0 +1,198 @@
+// backend/test/mastodon.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { fixture, useTempDataDir } = require('./helpers');
+
+// Analyses store runs
+useTempDataDir('mastodon');
+const { scrapeProfile, parseMastodonHandle, instanceProblem, htmlToText, normalizeStatus } = require('../services/mastodonScraper');
+const platforms = require('../services/platforms');
+const { validateAnalysisInput, runAnalysis } = require('../services/analysisService');
+const { listPlatforms } = require('../controllers/platformController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCOUNT = JSON.parse(fixture('mastodon-account.json'));
+const STATUSES = JSON.parse(fixture('mastodon-statuses.json'));
+// Statuses per page, so reading the fixture takes more than one request
+const PAGE = 2;
+
+let server;
+let base;
+const requests = [];
+
+test.before(async () => {
+  // A local instance: one account ("jane"), a suspended one ("gone") and nobody else.
+  // Status dates are moved to the last few days so they fall inside the lookback window.
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (url.pathname === '/api/v1/accounts/lookup') {
+      const acct = url.searchParams.get('acct');
+      if (acct === 'jane') return send(200, Object.assign({}, ACCOUNT, { avatar: `${base}/avatar.png`, header: '' }));
+      if (acct === 'gone') return send(410, { error: 'Account is suspended' });
+      return send(404, { error: 'Record not found' });
+    }
+    if (url.pathname === `/api/v1/accounts/${ACCOUNT.id}/statuses`) {
+      const statuses = STATUSES.map((s, i) => Object.assign({}, s, { created_at: new Date(Date.now() - (i + 1) * DAY_MS).toISOString() }));
+      const maxId = url.searchParams.get('max_id');
+      const start = maxId ? statuses.findIndex(s => s.id === maxId) + 1 : 0;
+      return send(200, statuses.slice(start, start + PAGE));
+    }
+    send(404, { error: 'Not found' });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  // A loopback instance is only reachable once it is configured
+  process.env.KOSH_MASTODON_INSTANCES = `127.0.0.1:${server.address().port}`;
+});
+
+// Node 20's test runner can misread an emoji-led log line written right after one of its
+// own messages, and these tests log as soon as they start; keep the logs out of stdout
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test.after(() => {
+  delete process.env.KOSH_MASTODON_INSTANCES;
+  server.close();
+});
+
+test('Mastodon handles and profile URLs name a user on an instance', () => {
+  assert.deepStrictEqual(parseMastodonHandle('@Jane@Mastodon.Social'), { username: 'Jane', instance: 'mastodon.social', origin: 'https://mastodon.social' });
+  assert.deepStrictEqual(parseMastodonHandle('jane@fosstodon.org'), { username: 'jane', instance: 'fosstodon.org', origin: 'https://fosstodon.org' });
+  assert.deepStrictEqual(parseMastodonHandle('http://127.0.0.1:3000/@jane'), { username: 'jane', instance: '127.0.0.1:3000', origin: 'http://127.0.0.1:3000' });
+  assert.strictEqual(parseMastodonHandle('https://mastodon.social/users/jane/').username, 'jane');
+  assert.strictEqual(parseMastodonHandle('@jane'), null);
+  assert.strictEqual(parseMastodonHandle('https://mastodon.social/about'), null);
+});
+
+test('statuses become posts in the tweet shape', () => {
+  const [post, reply, boost] = STATUSES.map(normalizeStatus);
+
+  assert.strictEqual(post.id, '111000000000000003');
+  assert.strictEqual(post.text, 'Shipped the new transit dataset today!\nFeedback welcome > issues tracker');
+  assert.deepStrictEqual([post.likes, post.retweets, post.replies], [40, 12, 4]);
+  assert.strictEqual(post.hasImage, true);
+  assert.strictEqual(post.media[0].alt, 'Map of bus routes');
+  assert.deepStrictEqual(post.urls, ['https://data.example/transit']);
+  assert.strictEqual(post.isReply, false);
+
+  assert.strictEqual(reply.isReply, true);
+  assert.strictEqual(reply.text, '@sam thanks, fixed!');
+
+  // A boost carries the boosted status and its author
+  assert.strictEqual(boost.isRetweet, true);
+  assert.strictEqual(boost.text, 'City council votes to publish all budget data as CSV');
+  assert.strictEqual(boost.originalAuthor, '@sam@other.example');
+  assert.strictEqual(boost.likes, 75);
+
+  assert.strictEqual(htmlToText('<p>a &amp; b</p><p>c</p>'), 'a & b\n\nc');
+});
+
+test('scrapeProfile reads the account and pages through its statuses', async () => {
+  requests.length = 0;
+  const events = [];
+  const profile = await scrapeProfile(`${base}/@jane`, { onProgress: e => events.push(e) });
+
+  assert.strictEqual(profile.accountState, 'active');
+  assert.strictEqual(profile.name, 'Jane Doe');
+  assert.strictEqual(profile.handle, `@jane@${base.replace('http://', '')}`);
+  assert.strictEqual(profile.bio, 'Open source & open data.\n\nWriting about #civictech');
+  assert.strictEqual(profile.website, 'https://jane.example');
+  assert.strictEqual(profile.verified, true);
+  assert.deepStrictEqual([profile.followers, profile.following, profile.postsCount], [1520, 310, 842]);
+  assert.strictEqual(profile.joinDate, '2022-11-04');
+  assert.deepStrictEqual(profile.tweets.map(t => t.id), STATUSES.map(s => s.id));
+
+  assert.strictEqual(requests.filter(r => r.includes('/statuses')).length, 3);
+  assert.ok(events.some(e => e.type === 'scroll' && e.tweets === 3));
+});
+
+test('missing and suspended accounts come back with their account state', async () => {
+  const missing = await scrapeProfile(`${base}/@nobody`);
+  assert.strictEqual(missing.accountState, 'not_found');
+  assert.strictEqual(missing.accountExists, false);
+  assert.deepStrictEqual(missing.tweets, []);
+
+  const suspended = await scrapeProfile(`${base}/@gone`);
+  assert.strictEqual(suspended.accountState, 'suspended');
+});
+
+test('only public instances are contacted unless instances are configured', async () => {
+  const configured = process.env.KOSH_MASTODON_INSTANCES;
+  delete process.env.KOSH_MASTODON_INSTANCES;
+  try {
+    assert.strictEqual(instanceProblem(parseMastodonHandle('@jane@mastodon.social')), '');
+    assert.match(instanceProblem(parseMastodonHandle('https://10.0.0.1/@jane')), /not an IP address/);
+    assert.match(instanceProblem(parseMastodonHandle('http://[::1]/@jane')), /not an IP address/);
+    assert.match(instanceProblem(parseMastodonHandle('http://localhost/@jane')), /not a public/);
+    assert.match(instanceProblem(parseMastodonHandle('https://mastodon.social:8443/@jane')), /non-default ports/);
+    assert.strictEqual(validateAnalysisInput({ handle: 'https://169.254.169.254/@jane', platform: 'mastodon' }).error, 'Instance not allowed');
+    await assert.rejects(scrapeProfile(`${base}/@jane`), /non-default ports/);
+  } finally {
+    process.env.KOSH_MASTODON_INSTANCES = configured;
+  }
+
+  // With a configured list, nothing else is contacted
+  assert.strictEqual(instanceProblem(parseMastodonHandle(`${base}/@jane`)), '');
+  assert.match(instanceProblem(parseMastodonHandle('@jane@mastodon.social')), /not one of the configured/);
+});
+
+test('the registry lists every platform and drives GET /api/platforms', () => {
+  let body = null;
+  listPlatforms({}, { json(b) { body = b; return this; } });
+
+  assert.deepStrictEqual(body.platforms.map(p => p.id), ['twitter', 'linkedin', 'mastodon']);
+  const mastodon = body.platforms.find(p => p.id === 'mastodon');
+  assert.strictEqual(mastodon.label, 'Mastodon');
+  assert.ok(mastodon.placeholder && mastodon.iconPath);
+  assert.deepStrictEqual(mastodon.features, []);
+  assert.ok(body.platforms.find(p => p.id === 'twitter').features.includes('scrapeOptions'));
+
+  assert.strictEqual(platforms.normalizeHandle('mastodon', 'https://Mastodon.Social/@Jane'), 'jane@mastodon.social');
+  assert.strictEqual(platforms.normalizeHandle('linkedin', 'https://www.linkedin.com/in/Jane-Doe/'), 'jane-doe');
+  assert.strictEqual(platforms.normalizeHandle('twitter', '@JaneDoe'), 'janedoe');
+});
+
+test('analysis input is checked against the platform', () => {
+  assert.strictEqual(validateAnalysisInput({ handle: `${base}/@jane`, platform: 'mastodon' }), null);
+  assert.strictEqual(validateAnalysisInput({ handle: '@jane', platform: 'mastodon' }).error, 'Invalid handle');
+  assert.match(validateAnalysisInput({ handle: 'jane', platform: 'myspace' }).message, /twitter, linkedin, mastodon/);
+  assert.match(validateAnalysisInput({ handle: `${base}/@jane`, platform: 'mastodon', replayFiles: ['a.html'] }).message, /not available for Mastodon/);
+});
+
+test('options a platform does not support are refused', () => {
+  const mastodon = (fields) => validateAnalysisInput(Object.assign({ handle: `${base}/@jane`, platform: 'mastodon' }, fields));
+  assert.deepStrictEqual(mastodon({ threads: true }), { error: 'Invalid threads option', message: 'threads is not available for Mastodon' });
+  assert.strictEqual(mastodon({ audience: true }).error, 'Invalid audience option');
+  assert.strictEqual(mastodon({ archiveMedia: true }).error, 'Invalid archiveMedia option');
+  assert.strictEqual(mastodon({ scrapeOptions: { lookbackDays: 30 } }).error, 'Invalid scrapeOptions option');
+  assert.deepStrictEqual(mastodon({ incremental: true }), { error: 'Invalid incremental option', message: 'incremental is not available for Mastodon' });
+  assert.strictEqual(mastodon({ incremental: 'yes' }).message, 'incremental must be true or false');
+  assert.strictEqual(mastodon({ threads: false, incremental: false, scrapeOptions: null }), null);
+
+  assert.strictEqual(validateAnalysisInput({ handle: 'jane-doe', platform: 'linkedin', scrapeOptions: { lookbackDays: 30 } }).error, 'Invalid scrapeOptions option');
+  assert.strictEqual(validateAnalysisInput({ handle: 'jane-doe', platform: 'linkedin', incremental: true }).error, 'Invalid incremental option');
+  assert.strictEqual(validateAnalysisInput({ handle: 'janedoe', platform: 'twitter', incremental: true, threads: true, audience: true, archiveMedia: true }), null);
+});
+
+test('a Mastodon analysis produces a report and a PDF', async () => {
+  const result = await runAnalysis({ handle: `${base}/@jane`, platform: 'mastodon' });
+  const pdfPath = path.join(__dirname, '..', result.pdfUrl);
+  try {
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.report.platform, 'Mastodon');
+    assert.strictEqual(result.report.statistics.tweetsAnalyzed, 3);
+    assert.ok(fs.readFileSync(pdfPath).subarray(0, 4).equals(Buffer.from('%PDF')));
+  } finally {
+    fs.rmSync(pdfPath, { force: true });
+  }
+});
@@ -0,0 +1,127 @@
+// backend/test/mediaArchive.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir('media');
+const mediaArchive = require('../services/mediaArchive');
+const { downloadFile, fetchJson, isPublicAddress } = require('../utils/download');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const MP4 = Buffer.alloc(4096, 7);
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+let server;
+let base;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/photo.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      return res.end(PNG);
+    }
+    if (req.url === '/clip') {
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      return res.end(MP4);
+    }
+    if (req.url === '/moved') {
+      res.writeHead(302, { Location: '/photo.png' });
+      return res.end();
+    }
+    if (req.url === '/loop') {
+      res.writeHead(302, { Location: '/loop' });
+      return res.end();
+    }
+    if (req.url === '/page') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html></html>');
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('downloadFile hashes the body and follows redirects', async () => {
+  const dest = path.join(dataDir, 'direct.png');
+  const result = await downloadFile(`${base}/moved`, dest, { accept: /^image\// });
+  assert.strictEqual(result.sha256, sha256(PNG));
+  assert.strictEqual(result.bytes, PNG.length);
+  assert.strictEqual(result.contentType, 'image/png');
+  assert.strictEqual(result.finalUrl, `${base}/photo.png`);
+  assert.deepStrictEqual(fs.readFileSync(dest), PNG);
+});
+
+test('downloadFile rejects bad responses without leaving files behind', async () => {
+  const dest = path.join(dataDir, 'bad.bin');
+  await assert.rejects(downloadFile(`${base}/missing`, dest), /status 404/);
+  await assert.rejects(downloadFile(`${base}/page`, dest, { accept: /^image\// }), /content type: text\/html/);
+  await assert.rejects(downloadFile(`${base}/loop`, dest), /Too many redirects/);
+  await assert.rejects(downloadFile(`${base}/clip`, dest, { maxBytes: 1024 }), /too large/);
+  await assert.rejects(downloadFile('file:///etc/passwd', dest), /Unsupported protocol/);
+  await new Promise(r => setTimeout(r, 50));
+  assert.strictEqual(fs.existsSync(dest), false);
+  assert.strictEqual(fs.existsSync(`${dest}.part`), false);
+});
+
+test('archiveMedia stores files per run and records their hashes', async () => {
+  const tweets = [
+    { id: '11', media: [{ type: 'image', url: `${base}/photo.png`, alt: '', poster: '' }] },
+    { id: '12', media: [{ type: 'video', url: `${base}/clip`, alt: '', poster: `${base}/photo.png` }] },
+    { id: '13', media: [{ type: 'video', url: 'https://video.example/stream.m3u8', alt: '', poster: '' }, { type: 'image', url: `${base}/missing`, alt: '', poster: '' }] }
+  ];
+  // The test server is on loopback, which archives refuse by default
+  const archive = await mediaArchive.archiveMedia('twitter-janedoe-1', tweets, { publicOnly: false });
+
+  assert.strictEqual(archive.dir, mediaArchive.archiveDir('twitter-janedoe-1'));
+  assert.deepStrictEqual(archive.items.map(i => [i.tweetId, i.role, i.file]), [
+    ['11', 'media', '11_1.png'],
+    ['12', 'media', '12_1.mp4'],
+    ['12', 'poster', '11_1.png']
+  ]);
+  assert.strictEqual(archive.items[1].sha256, sha256(MP4));
+  assert.deepStrictEqual(archive.failed.map(f => f.tweetId), ['13']);
+
+  assert.deepStrictEqual(fs.readFileSync(path.join(archive.dir, '12_1.mp4')), MP4);
+  assert.deepStrictEqual(tweets[1].media[0].archived, {
+    media: { file: '12_1.mp4', sha256: sha256(MP4) },
+    poster: { file: '11_1.png', sha256: sha256(PNG) }
+  });
+  const sums = fs.readFileSync(path.join(archive.dir, 'SHA256SUMS'), 'utf-8');
+  assert.strictEqual(sums, `${sha256(PNG)}  11_1.png\n${sha256(MP4)}  12_1.mp4\n`);
+});
+
+test('archiveMedia refuses media on private and loopback addresses', async () => {
+  const tweets = [
+    { id: '21', media: [{ type: 'image', url: `${base}/photo.png`, alt: '', poster: '' }] },
+    { id: '22', media: [{ type: 'image', url: 'http://10.0.0.5/photo.png', alt: '', poster: '' }] }
+  ];
+  const archive = await mediaArchive.archiveMedia('twitter-janedoe-2', tweets);
+
+  assert.deepStrictEqual(archive.items, []);
+  assert.deepStrictEqual(archive.failed.map(f => f.tweetId), ['21', '22']);
+  archive.failed.forEach(f => assert.match(f.error, /non-public|non-default port/));
+  assert.strictEqual(tweets[0].media[0].archived, undefined);
+});
+
+test('publicOnly requests stay off loopback, private and link-local hosts', async () => {
+  ['127.0.0.1', '10.0.0.8', '172.16.4.1', '192.168.1.1', '169.254.169.254', '::1', 'fd12::1', 'fe80::1', '::ffff:7f00:1'].forEach(ip => {
+    assert.strictEqual(isPublicAddress(ip), false, ip);
+  });
+  ['93.184.216.34', '172.32.0.1', '2606:4700::1111'].forEach(ip => assert.strictEqual(isPublicAddress(ip), true, ip));
+
+  await assert.rejects(fetchJson(`${base}/page`, { publicOnly: true }), /non-default ports/);
+  await assert.rejects(fetchJson('http://169.254.169.254/latest/meta-data', { publicOnly: true }), /non-public addresses/);
+  // A name is checked by what it resolves to
+  await assert.rejects(fetchJson('http://localhost/api', { publicOnly: true }), /resolves to a non-public address/);
+  await assert.rejects(downloadFile('http://127.0.0.1/photo.png', path.join(dataDir, 'x.png'), { publicOnly: true }), /non-public addresses/);
+});
@@ -0,0 +1,187 @@
+// backend/test/reportPipeline.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { generateReport } = require('../services/platforms');
+const { generatePDF } = require('../utils/pdfGenerator');
+const { buildReport } = require('../services/analysisService');
+
+function twitterProfile() {
+  return {
+    name: 'Jane Doe',
+    handle: '@janedoe',
+    bio: 'Engineer. Coffee. Open source.',
+    location: 'Berlin, Germany',
+    website: 'janedoe.dev',
+    joinDate: 'Joined March 2012',
+    followers: 12345,
+    following: 312,
+    verified: true,
+    tweets: [
+      { id: '3', text: 'Shipping the new release today #launch', time: '2026-01-05T10:00:00.000Z', likes: 50, retweets: 10, replies: 2, views: 900, urls: ['https://example.com'], hasImage: true, hasLink: true, hashtags: ['#launch'], mentions: [] },
+      { id: '2', text: 'Thanks @friend for the review', time: '2026-01-04T09:00:00.000Z', likes: 5, retweets: 0, replies: 1, views: 100, urls: [], isReply: true, replyTo: ['@friend'], hashtags: [], mentions: ['@friend'] },
+      { id: '1', text: 'Quiet day.', time: '2026-01-03T20:30:00.000Z', likes: 1, retweets: 0, replies: 0, views: 10, urls: [], isRetweet: true, originalAuthor: '@someone', hashtags: [], mentions: [] }
+    ]
+  };
+}
+
+function linkedinProfile() {
+  return {
+    name: 'Jane Doe',
+    headline: 'Senior Software Engineer at Example Corp',
+    location: 'Berlin, Germany',
+    about: 'I build data pipelines and developer tools.',
+    connections: '500+ connections',
+    experiences: [{ title: 'Senior Software Engineer', company: 'Example Corp', duration: '2021 - Present' }],
+    skills: ['Node.js', 'PostgreSQL'],
+    profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+    profileImage: ''
+  };
+}
+
+test('generateReport builds the Twitter report sections', () => {
+  const report = generateReport(twitterProfile(), 'twitter');
+  assert.strictEqual(report.platform, 'Twitter');
+  assert.strictEqual(report.profile.handle, '@janedoe');
+  assert.strictEqual(report.statistics.followers, 12345);
+  assert.strictEqual(report.statistics.tweetsAnalyzed, 3);
+  for (const key of ['accountHealth', 'behaviorAnalysis', 'contentAnalysis', 'engagementAnalysis', 'suspiciousActivity']) {
+    assert.strictEqual(typeof report[key], 'object', `missing ${key}`);
+  }
+  assert.ok(Array.isArray(report.insights));
+  assert.ok(Array.isArray(report.recommendations));
+});
+
+test('generateReport splits originals, replies and retweets and counts entities', () => {
+  const report = generateReport(twitterProfile(), 'twitter');
+  const types = report.contentAnalysis.contentTypes;
+  assert.deepStrictEqual([types.original, types.replies, types.retweets, types.withLinks], [1, 1, 1, 1]);
+  assert.ok(JSON.stringify(report.contentAnalysis.hashtagUsage).includes('#launch'));
+  assert.ok(JSON.stringify(report.contentAnalysis.mentionPattern).includes('@friend'));
+});
+
+test('generateReport builds the LinkedIn report sections', () => {
+  const report = generateReport(linkedinProfile(), 'linkedin');
+  assert.strictEqual(report.platform, 'LinkedIn');
+  assert.strictEqual(report.profile.headline, 'Senior Software Engineer at Example Corp');
+  assert.strictEqual(report.statistics.experienceCount, 1);
+  assert.strictEqual(report.statistics.skillsCount, 2);
+  assert.deepStrictEqual(report.skills, ['Node.js', 'PostgreSQL']);
+  assert.ok(report.insights.length > 0);
+});
+
+test('generateReport uses LinkedIn tenure and education', () => {
+  const structured = Object.assign(linkedinProfile(), {
+    headline: 'Building things',
+    profileImage: 'https://media.licdn.com/dms/image/jane.jpg',
+    experiences: [
+      { title: 'Senior Software Engineer', company: 'Example Corp', startDate: '2023-01', endDate: '', current: true, months: 46 },
+      // Overlaps the next position by six months; the overlap counts once
+      { title: 'Consultant', company: 'Self', startDate: '2022-07', endDate: '2022-12', current: false, months: 6 },
+      { title: 'Junior Developer', company: 'Startup GmbH', startDate: '2017-03', endDate: '2023-01', current: false, months: 70 }
+    ],
+    education: [{ school: 'Technical University of Munich', degree: 'Master of Science - MS', field: 'Computer Science', startDate: '2015', endDate: '2017', current: false }],
+    certifications: [{ name: 'AWS Certified Solutions Architect', issuer: 'AWS', issued: '2023-03', expires: '', credentialId: '' }],
+    languages: [{ name: 'German', proficiency: 'Native or bilingual' }]
+  });
+  const report = generateReport(structured, 'linkedin');
+  assert.strictEqual(report.statistics.experienceMonths, 116);
+  assert.strictEqual(report.analysis.careerStage, 'Experienced (9 yrs 8 mos)');
+  // The headline names no industry; the roles and the field of study do
+  assert.strictEqual(report.analysis.industryFocus, 'Technology');
+  assert.strictEqual(report.analysis.profileCompleteness, '75%');
+  assert.deepStrictEqual(report.education, structured.education);
+  assert.ok(report.insights.includes('Languages: German (Native or bilingual)'));
+
+  // Undated positions only count as entries; no education lowers completeness
+  const bare = generateReport(linkedinProfile(), 'linkedin');
+  assert.strictEqual(bare.analysis.careerStage, 'Early Career (1-2 positions)');
+  assert.strictEqual(bare.analysis.profileCompleteness, '38%');
+  assert.strictEqual(bare.analysis.industryFocus, 'Technology');
+});
+
+test('generateReport analyzes LinkedIn posts', () => {
+  const posts = [
+    { id: '3', text: 'Great launch day for the team #launch', time: '2026-01-05T10:00:00.000Z', likes: 120, retweets: 4, replies: 10, hasImage: true, hashtags: ['#launch'], mentions: [] },
+    { id: '2', text: 'We are hiring in Berlin', time: '2025-12-20T08:15:00.000Z', likes: 30, retweets: 0, replies: 2, isRetweet: true, hasLink: true, hashtags: [], mentions: [] }
+  ];
+  const report = generateReport(Object.assign(linkedinProfile(), { tweets: posts }), 'linkedin');
+  assert.strictEqual(report.statistics.tweetsAnalyzed, 2);
+  assert.strictEqual(report.engagementAnalysis.averageLikes, 75);
+  assert.strictEqual(report.contentAnalysis.sentimentDistribution.positive, '50.0%');
+  assert.deepStrictEqual([report.contentAnalysis.contentTypes.original, report.contentAnalysis.contentTypes.retweets], [1, 1]);
+  assert.strictEqual(report.contentAnalysis.contentTypes['Skills Listed'], 2);
+  assert.strictEqual(report.behaviorAnalysis.postingFrequency, '2 posts in recent activity');
+
+  // Without posts the profile-only sections stay as they were
+  const bare = generateReport(linkedinProfile(), 'linkedin');
+  assert.strictEqual(bare.engagementAnalysis, undefined);
+  assert.strictEqual(bare.contentAnalysis.sentimentDistribution.neutral, '100%');
+});
+
+test('generateReport dates the account from the join date', () => {
+  const report = generateReport(twitterProfile(), 'twitter');
+  assert.notStrictEqual(report.profile.accountAge, 'Unknown');
+  assert.ok(!report.suspiciousActivity.flags.includes('Rapid follower growth'));
+
+  const days = (n) => new Date(Date.now() - n * 86400000).toISOString();
+  const young = generateReport(Object.assign(twitterProfile(), { joinedAt: days(10) }), 'twitter');
+  assert.ok(young.suspiciousActivity.flags.includes('Rapid follower growth'));
+  const older = generateReport(Object.assign(twitterProfile(), { joinedAt: days(120) }), 'twitter');
+  assert.ok(!older.suspiciousActivity.flags.includes('Rapid follower growth'));
+});
+
+test('generateReport returns null for unknown platforms', () => {
+  assert.strictEqual(generateReport(twitterProfile(), 'myspace'), null);
+});
+
+test('buildReport fills the fields the frontends read', () => {
+  const report = buildReport(twitterProfile(), 'twitter', 'janedoe');
+  assert.strictEqual(report.platform, 'Twitter');
+  assert.strictEqual(report.statistics.followersRaw, 12345);
+  assert.strictEqual(report.statistics.totalEngagement, 69);
+  assert.strictEqual(report.tweets.length, 3);
+  assert.strictEqual(report.topTweets[0].id, '3');
+  assert.strictEqual(report.incremental, null);
+  assert.strictEqual(report.replay, null);
+});
+
+test('buildReport marks partial datasets with their checkpoint', () => {
+  const partial = buildReport(Object.assign(twitterProfile(), { partial: true, partialReason: 'Timed out after 600s', checkpointId: 'job-1' }), 'twitter', 'janedoe');
+  assert.strictEqual(partial.partial, true);
+  assert.strictEqual(partial.partialReason, 'Timed out after 600s');
+  assert.strictEqual(partial.checkpointId, 'job-1');
+
+  const complete = buildReport(Object.assign(twitterProfile(), { checkpointId: 'job-2' }), 'twitter', 'janedoe');
+  assert.strictEqual(complete.partial, false);
+  assert.strictEqual(complete.checkpointId, '');
+});
+
+test('buildReport falls back to safe defaults for a bare profile', () => {
+  const report = buildReport({ name: 'Bare' }, 'linkedin', '@bare');
+  assert.strictEqual(report.platform, 'Linkedin');
+  assert.strictEqual(report.profile.handle, '@bare');
+  assert.strictEqual(report.profile.bio, '');
+  assert.strictEqual(report.profile.verified, false);
+  assert.strictEqual(report.statistics.tweetsAnalyzed, 0);
+  assert.strictEqual(report.statistics.avgEngagementPerTweet, 0);
+  assert.deepStrictEqual(report.tweets, []);
+  assert.deepStrictEqual(report.topTweets, []);
+  assert.deepStrictEqual(report.suspiciousActivity, { hasSuspiciousPatterns: false, flags: [], details: [] });
+  assert.strictEqual(report.engagementAnalysis.engagementRate, '0%');
+  assert.ok(report.contentAnalysis.sentimentDistribution);
+  assert.ok(Array.isArray(report.insights));
+});
+
+test('generatePDF writes a valid PDF', async () => {
+  const report = buildReport(twitterProfile(), 'twitter', 'janedoe');
+  const pdfPath = await generatePDF(report, 'fixture_test');
+  try {
+    const data = fs.readFileSync(pdfPath);
+    assert.strictEqual(data.subarray(0, 5).toString('latin1'), '%PDF-');
+    assert.ok(data.subarray(-32).toString('latin1').includes('%%EOF'));
+    assert.ok(data.length > 1000);
+  } finally {
+    fs.unlinkSync(pdfPath);
+  }
+});
@@ -0,0 +1,65 @@
+// backend/test/runStore.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+// The run store lives in the data directory
+useTempDataDir('runs');
+const runStore = require('../services/runStore');
+const { getProfileDiff } = require('../controllers/historyController');
+
+const tweet = (id) => ({ id, text: `tweet ${id}`, time: new Date(Number(id) * 1000).toISOString() });
+
+// Oldest first: a full scan, then a search, a replay and a partial scan that each read less
+function saveRuns() {
+  const runs = [
+    { timestamp: 1000, report: { tweets: ['1', '2', '3'].map(tweet) } },
+    { timestamp: 2000, report: { tweets: ['3', '4'].map(tweet) } },
+    { timestamp: 3000, report: { tweets: ['4'].map(tweet), search: { query: 'transit' } } },
+    { timestamp: 4000, report: { tweets: ['1'].map(tweet), replay: { files: ['janedoe_nitter_1.html'] } } },
+    { timestamp: 5000, report: { tweets: ['4', '5'].map(tweet), partial: true } }
+  ];
+  return runs.map(({ timestamp, report }) => runStore.saveRun({
+    platform: 'twitter',
+    handle: '@JaneDoe',
+    profileData: { name: 'Jane', followers: 10 },
+    report: Object.assign({ timestamp }, report)
+  }));
+}
+
+test.before(() => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    saveRuns();
+  } finally {
+    console.log = log;
+  }
+});
+
+test('stored runs record what kind of scan they were', () => {
+  const runs = runStore.listRuns('twitter', 'janedoe');
+  assert.deepStrictEqual(runs.map(r => [r.timestamp, r.searchQuery, r.replay, r.partial]), [
+    [5000, '', false, true],
+    [4000, '', true, false],
+    [3000, 'transit', false, false],
+    [2000, '', false, false],
+    [1000, '', false, false]
+  ]);
+  assert.deepStrictEqual(runs.filter(runStore.isBaselineRun).map(r => r.timestamp), [2000, 1000]);
+  assert.strictEqual(runStore.getLatestRun('twitter', 'janedoe', runStore.isBaselineRun).timestamp, 2000);
+});
+
+test('the default diff compares the two newest complete scans', () => {
+  let body = null;
+  const res = { json(b) { body = b; return this; }, status() { return this; } };
+
+  getProfileDiff({ params: { handle: 'janedoe' }, query: {} }, res);
+  assert.deepStrictEqual([body.diff.from.timestamp, body.diff.to.timestamp], [1000, 2000]);
+  assert.deepStrictEqual(body.diff.tweets.added.map(t => t.id), ['4']);
+
+  // Other runs can still be picked explicitly
+  const [partial] = runStore.listRuns('twitter', 'janedoe');
+  getProfileDiff({ params: { handle: 'janedoe' }, query: { from: runStore.runIdFor('twitter', 'janedoe', 2000), to: partial.id } }, res);
+  assert.strictEqual(body.diff.to.timestamp, 5000);
+});
@@ -0,0 +1,65 @@
+// backend/test/schedule.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSchedule } = require('../utils/schedule');
+
+const MINUTE_MS = 60 * 1000;
+// Local times, like cron's
+const at = (month, day, hour, minute) => new Date(2026, month - 1, day, hour, minute).getTime();
+
+test('intervals and shorthands parse; bad expressions are refused', () => {
+  assert.strictEqual(parseSchedule('every 6h').expression, 'every 6h');
+  assert.strictEqual(parseSchedule('@daily').expression, '0 0 * * *');
+  assert.strictEqual(parseSchedule(' */15 * * * * ').expression, '*/15 * * * *');
+
+  assert.throws(() => parseSchedule(''), /Invalid schedule/);
+  assert.throws(() => parseSchedule('every 2m'), /at least 5 minutes/);
+  assert.throws(() => parseSchedule('0 0 * *'), /Invalid schedule/);
+  assert.throws(() => parseSchedule('61 * * * *'), /out of range 0-59/);
+  assert.throws(() => parseSchedule('0 0 * * 1-9'), /out of range 0-6/);
+});
+
+test('an interval runs that long after the last run, or now if it never ran', () => {
+  const schedule = parseSchedule('every 30m');
+  const now = at(10, 19, 10, 7);
+  assert.strictEqual(schedule.next(now, null), now);
+  assert.strictEqual(schedule.next(now, now - 10 * MINUTE_MS), now + 20 * MINUTE_MS);
+});
+
+test('cron next() finds the first matching minute after the given time', () => {
+  const from = at(10, 19, 10, 7); // a Monday
+  assert.strictEqual(parseSchedule('*/5 * * * *').next(from), at(10, 19, 10, 10));
+  assert.strictEqual(parseSchedule('30 9 * * *').next(from), at(10, 20, 9, 30));
+  assert.strictEqual(parseSchedule('@weekly').next(from), at(10, 25, 0, 0));
+  assert.strictEqual(parseSchedule('0 0 1 1 *').next(from), new Date(2027, 0, 1).getTime());
+  // A time that matches exactly is not returned again
+  assert.strictEqual(parseSchedule('0 * * * *').next(at(10, 19, 11, 0)), at(10, 19, 12, 0));
+});
+
+test('restricted day-of-month and day-of-week match either, as in standard cron', () => {
+  const from = at(10, 19, 10, 7);
+  // The 13th or any Friday: Friday the 23rd comes first
+  assert.strictEqual(parseSchedule('0 9 13 * 5').next(from), at(10, 23, 9, 0));
+  // The 20th or any Friday: the 20th comes first
+  assert.strictEqual(parseSchedule('0 9 20 * 5').next(from), at(10, 20, 9, 0));
+  // A "*" day field leaves the other one in charge
+  assert.strictEqual(parseSchedule('0 9 */2 * 1').next(from), at(11, 9, 9, 0));
+  assert.strictEqual(parseSchedule('0 9 * * 5').next(from), at(10, 23, 9, 0));
+});
+
+test('cron expressions must leave 5 minutes between runs', () => {
+  assert.throws(() => parseSchedule('* * * * *'), /at least 5 minutes/);
+  assert.throws(() => parseSchedule('*/4 * * * *'), /at least 5 minutes/);
+  assert.throws(() => parseSchedule('0,3 9 * * *'), /at least 5 minutes/);
+  // 9:58 then 10:00
+  assert.throws(() => parseSchedule('0,58 9-10 * * *'), /at least 5 minutes/);
+  // 9:58 is followed by 9:00 the next day
+  assert.doesNotThrow(() => parseSchedule('0,58 9 * * *'));
+  assert.doesNotThrow(() => parseSchedule('*/5 * * * *'));
+});
+
+test('cron expressions that never run are refused', () => {
+  assert.throws(() => parseSchedule('0 0 31 2 *'), /never runs/);
+  assert.throws(() => parseSchedule('0 0 30 2 *'), /never runs/);
+  assert.doesNotThrow(() => parseSchedule('0 0 31 * *'));
+});
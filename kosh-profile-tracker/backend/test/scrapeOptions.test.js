@@ -0,0 +1,95 @@
+// backend/test/scrapeOptions.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, fakeLease } = require('./helpers');
+
+// Scrapes record source health
+useTempDataDir('scrape-options');
+const { normalizeScrapeOptions, SCRAPE_DEFAULTS } = require('../utils/scrapeOptions');
+const { validateAnalysisInput } = require('../services/analysisService');
+const browserPool = require('../services/browserPool');
+const { scrapeProfile } = require('../services/twitterScraper');
+
+const SOURCES = ['nitter', 'mobile', 'desktop'];
+
+test('missing options fall back to the defaults', () => {
+  assert.deepStrictEqual(normalizeScrapeOptions(undefined, SOURCES).options, SCRAPE_DEFAULTS);
+  assert.deepStrictEqual(normalizeScrapeOptions({}, SOURCES).options, SCRAPE_DEFAULTS);
+});
+
+test('numbers are clamped to the server limits', () => {
+  const { options } = normalizeScrapeOptions({ lookbackDays: 99999, maxTweets: 0, minTweets: '40', timeBudgetSec: 5 }, SOURCES);
+  assert.strictEqual(options.lookbackDays, 1825);
+  assert.strictEqual(options.maxTweets, 1);
+  // minTweets never exceeds maxTweets
+  assert.strictEqual(options.minTweets, 1);
+  assert.strictEqual(options.timeBudgetSec, 30);
+});
+
+test('date ranges are validated and kept inside the lookback limit', () => {
+  const { options } = normalizeScrapeOptions({ since: '2025-01-01', until: '2025-02-01T12:00:00Z' }, SOURCES);
+  assert.strictEqual(options.until, '2025-02-01T12:00:00.000Z');
+  assert.ok(options.since >= new Date(Date.now() - 1826 * 86400000).toISOString());
+
+  assert.match(normalizeScrapeOptions({ since: 'last tuesday' }, SOURCES).message, /since: must be a date/);
+  assert.match(normalizeScrapeOptions({ since: '2025-03-01', until: '2025-02-01' }, SOURCES).message, /before until/);
+});
+
+test('sources and snapshots are checked', () => {
+  assert.deepStrictEqual(normalizeScrapeOptions({ sources: ['desktop', 'nitter', 'desktop'] }, SOURCES).options.sources, ['desktop', 'nitter']);
+  assert.strictEqual(normalizeScrapeOptions({ sources: [] }, SOURCES).options.sources, null);
+  assert.match(normalizeScrapeOptions({ sources: ['myspace'] }, SOURCES).message, /unknown source type\(s\) myspace/);
+  assert.strictEqual(normalizeScrapeOptions({ snapshots: false }, SOURCES).options.snapshots, false);
+  assert.match(normalizeScrapeOptions({ snapshots: 'no' }, SOURCES).message, /snapshots/);
+  assert.match(normalizeScrapeOptions({ maxTweets: 'lots' }, SOURCES).message, /maxTweets: must be a number/);
+  assert.match(normalizeScrapeOptions([], SOURCES).message, /must be an object/);
+});
+
+test('keywords switch to search mode and are rejected for the timeline', () => {
+  assert.deepStrictEqual(
+    normalizeScrapeOptions({ keywords: '  climate   policy ' }, SOURCES).options,
+    Object.assign({}, SCRAPE_DEFAULTS, { mode: 'search', keywords: 'climate policy' })
+  );
+  assert.strictEqual(normalizeScrapeOptions({ mode: 'search' }, SOURCES).options.keywords, '');
+  assert.match(normalizeScrapeOptions({ mode: 'timeline', keywords: 'climate' }, SOURCES).message, /only apply to search mode/);
+  assert.match(normalizeScrapeOptions({ mode: 'replies' }, SOURCES).message, /mode: must be one of timeline, search/);
+  assert.match(normalizeScrapeOptions({ keywords: 'x'.repeat(201) }, SOURCES).message, /at most 200/);
+});
+
+test('validateAnalysisInput rejects invalid scrape options', () => {
+  const invalid = validateAnalysisInput({ handle: 'janedoe', platform: 'twitter', scrapeOptions: { sources: ['myspace'] } });
+  assert.strictEqual(invalid.error, 'Invalid scrape options');
+  assert.strictEqual(validateAnalysisInput({ handle: 'janedoe', platform: 'twitter', scrapeOptions: { sources: ['nitter'], maxTweets: 100 } }), null);
+});
+
+test('scrolling past tweets newer than `until` is progress, not a stalled timeline', async (t) => {
+  t.mock.method(browserPool, 'acquire', async () => fakeLease());
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const cursor = (page) => Number((page.url().match(/cursor=(\d+)/) || [])[1] || 0);
+  // Page n holds three tweets from n days ago, newest first
+  const source = {
+    name: 'fake:timeline',
+    buildUrl: (handle) => `https://fake.example/${handle}`,
+    async preparePage() {},
+    extractTweets: async (page) => [0.1, 0.4, 0.7].map((f, i) => ({
+      text: `tweet ${cursor(page)}.${i}`,
+      time: new Date(Date.now() - (cursor(page) + f) * DAY_MS).toISOString(),
+      permalink: `https://fake.example/janedoe/status/${1000 - 3 * cursor(page) - i}`
+    })),
+    isTimelineEnd: async () => false,
+    advance: async (page) => page.setUrl(`https://fake.example/janedoe?cursor=${cursor(page) + 1}`)
+  };
+
+  // The first six pages are all newer than the range, twice the no-new threshold
+  const result = await scrapeProfile('janedoe', {
+    sources: [source],
+    profileSources: [],
+    snapshots: false,
+    noNewThreshold: 3,
+    since: new Date(Date.now() - 9 * DAY_MS).toISOString(),
+    until: new Date(Date.now() - 6 * DAY_MS).toISOString()
+  });
+  assert.deepStrictEqual(result.tweets.map(tw => tw.text), [
+    'tweet 6.0', 'tweet 6.1', 'tweet 6.2', 'tweet 7.0', 'tweet 7.1', 'tweet 7.2', 'tweet 8.0', 'tweet 8.1', 'tweet 8.2'
+  ]);
+});
@@ -0,0 +1,61 @@
+// backend/test/sourceHealth.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir('health');
+const sourceHealth = require('../services/sourceHealth');
+
+const nitter = (host) => ({ name: `nitter:${host}`, type: 'nitter', cooldownMs: 1000, maxCooldownMs: 4000, failuresBeforeCooldown: 2 });
+const desktop = { name: 'desktop-twitter', type: 'desktop' };
+
+test('results are recorded with success rate, latency and tweets', () => {
+  const a = nitter('a.example');
+  sourceHealth.recordResult(a, { success: true, tweets: new Array(30), latencyMs: 400 });
+  const rec = sourceHealth.recordResult(a, { success: true, tweets: [], latencyMs: 800 });
+
+  assert.strictEqual(rec.attempts, 2);
+  assert.strictEqual(rec.successes, 1);
+  assert.strictEqual(rec.tweetsYielded, 30);
+  assert.strictEqual(rec.avgLatencyMs, 600);
+  assert.strictEqual(rec.lastFailureReason, 'No tweets returned');
+  assert.strictEqual(rec.cooldownUntil, null);
+
+  const [health] = sourceHealth.getHealth([a]);
+  assert.strictEqual(health.successRate, 0.5);
+  assert.strictEqual(health.status, 'degraded');
+  assert.strictEqual(health.configured, true);
+});
+
+test('repeated failures put an instance in cooldown with growing backoff', () => {
+  const b = nitter('b.example');
+  sourceHealth.recordResult(b, { success: false, error: 'net::ERR_NAME_NOT_RESOLVED' });
+  const second = sourceHealth.recordResult(b, { success: false, error: 'net::ERR_NAME_NOT_RESOLVED' });
+  const firstCooldown = second.cooldownUntil - second.lastFailureAt;
+  assert.strictEqual(firstCooldown, 1000);
+
+  const third = sourceHealth.recordResult(b, { success: false, error: 'timeout' });
+  assert.strictEqual(third.cooldownUntil - third.lastFailureAt, 2000);
+  assert.strictEqual(third.lastFailureReason, 'timeout');
+  assert.ok(sourceHealth.inCooldown(third));
+
+  const status = sourceHealth.getHealth([b])[0].status;
+  assert.strictEqual(status, 'cooldown');
+});
+
+test('ranking puts healthy instances first, drops cooled-down ones and keeps other sources in place', () => {
+  const records = {
+    'nitter:dead.example': { attempts: 5, successes: 0, consecutiveFailures: 5, cooldownUntil: Date.now() + 60000 },
+    'nitter:flaky.example': { attempts: 4, successes: 1, tweetsYielded: 20, avgLatencyMs: 900, consecutiveFailures: 1 },
+    'nitter:good.example': { attempts: 4, successes: 4, tweetsYielded: 200, avgLatencyMs: 1500, consecutiveFailures: 0 }
+  };
+  const sources = [nitter('dead.example'), nitter('flaky.example'), nitter('new.example'), nitter('good.example'), desktop];
+  const ranked = sourceHealth.rankSources(sources, records);
+  assert.deepStrictEqual(ranked.map(s => s.name), ['nitter:good.example', 'nitter:new.example', 'nitter:flaky.example', 'desktop-twitter']);
+});
+
+test('recorded sources that are no longer configured are still reported', () => {
+  const names = sourceHealth.getHealth([nitter('c.example')]).map(h => `${h.name}:${h.configured}`);
+  assert.ok(names.includes('nitter:c.example:true'));
+  assert.ok(names.includes('nitter:a.example:false'));
+});
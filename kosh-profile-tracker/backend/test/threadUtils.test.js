@@ -0,0 +1,128 @@
+// backend/test/threadUtils.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { fixture } = require('./helpers');
+const { extractConversationFromDocument, normalizeTweet } = require('../services/twitterExtractors');
+const { selectThreadCandidates, buildThread, summarizeThreads } = require('../utils/threadUtils');
+const { generateReport } = require('../services/platforms');
+const { buildReport } = require('../services/analysisService');
+const { generatePDF } = require('../utils/pdfGenerator');
+
+function conversation(name, src, url) {
+  const html = fixture(name);
+  const dom = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+  const result = extractConversationFromDocument(dom.window.document, src);
+  dom.window.close();
+  return { tweets: result.tweets.map(normalizeTweet), focalIndex: result.focalIndex };
+}
+
+function assertCiThread(thread) {
+  assert.strictEqual(thread.id, '1879000000000000001');
+  assert.strictEqual(thread.openedId, '1879000000000000002');
+  assert.strictEqual(thread.author, '@janedoe');
+  assert.deepStrictEqual(thread.tweets.map(t => t.id), ['1879000000000000001', '1879000000000000002', '1879000000000000003']);
+  assert.deepStrictEqual(thread.tweets.map(t => t.inReplyToId), ['1878900000000000001', '1879000000000000001', '1879000000000000002']);
+  assert.strictEqual(thread.parent.id, '1878900000000000001');
+  assert.strictEqual(thread.parent.author, '@bob');
+  assert.strictEqual(thread.parent.inReplyToId, '');
+}
+
+test('Nitter conversation pages yield the thread without other accounts\' replies', () => {
+  const { tweets, focalIndex } = conversation('nitter-conversation.html', 'nitter', 'https://nitter.net/janedoe/status/1879000000000000002');
+  assert.strictEqual(tweets.length, 4);
+  assert.strictEqual(focalIndex, 2);
+  // The opened tweet has no .tweet-link; its id comes from the date link
+  assert.strictEqual(tweets[2].id, '1879000000000000002');
+  assertCiThread(buildThread(tweets, '1879000000000000002', focalIndex));
+});
+
+test('X conversation pages stop the chain at the first other author', () => {
+  const { tweets, focalIndex } = conversation('x-conversation.html', 'twitter', 'https://x.com/janedoe/status/1879000000000000002');
+  assert.strictEqual(focalIndex, -1);
+  assert.strictEqual(tweets.length, 6);
+  assertCiThread(buildThread(tweets, '1879000000000000002', focalIndex));
+});
+
+test('buildThread returns null when the opened tweet is missing', () => {
+  assert.strictEqual(buildThread([], '1'), null);
+  assert.strictEqual(buildThread([{ id: '2', author: '@a' }], '1'), null);
+});
+
+test('buildThread keeps an author-less tweet on its own', () => {
+  const thread = buildThread([{ id: '1', author: '' }, { id: '2', author: '' }, { id: '3', author: '' }], '2');
+  assert.deepStrictEqual(thread.tweets.map(t => t.id), ['2']);
+  assert.strictEqual(thread.parent.id, '1');
+});
+
+test('selectThreadCandidates prefers self-replies, then replies, then thread starters', () => {
+  const tweets = [
+    { id: '1', text: 'Just a thought', replyTo: [] },
+    { id: '2', text: 'Agreed', isReply: true, replyTo: ['@bob'] },
+    { id: '3', text: 'More on this', isReply: true, replyTo: ['@janedoe'] },
+    { id: '4', text: 'A thread 🧵', replyTo: [] },
+    { id: '5', text: 'RT 1/ thread', isRetweet: true, replyTo: [] },
+    { id: '6', text: '1/ How we ship', replyTo: [] }
+  ];
+  assert.deepStrictEqual(selectThreadCandidates(tweets, '@JaneDoe'), ['3', '2', '4', '6']);
+  assert.deepStrictEqual(selectThreadCandidates(tweets, 'janedoe', 2), ['3', '2']);
+});
+
+function threadFixture() {
+  const { tweets, focalIndex } = conversation('nitter-conversation.html', 'nitter', 'https://nitter.net/janedoe/status/1879000000000000002');
+  return buildThread(tweets, '1879000000000000002', focalIndex);
+}
+
+test('summarizeThreads counts each thread as one unit', () => {
+  const thread = threadFixture();
+  const timeline = [
+    { id: '1879000000000000003' },
+    { id: '1879000000000000001' },
+    { id: '1870000000000000000' }
+  ];
+  assert.deepStrictEqual(summarizeThreads(timeline, [thread]), {
+    threads: 1,
+    selfThreads: 1,
+    replyThreads: 1,
+    tweetsInThreads: 3,
+    longestThread: 3,
+    averageThreadLength: 3,
+    units: 2
+  });
+  assert.strictEqual(summarizeThreads(timeline, []).units, 3);
+});
+
+test('reports carry the threads and count them as units', () => {
+  const thread = threadFixture();
+  const profile = {
+    name: 'Jane Doe',
+    handle: '@janedoe',
+    followers: 10,
+    following: 5,
+    tweets: thread.tweets.map(t => Object.assign({}, t)).reverse(),
+    threads: [thread]
+  };
+  const generated = generateReport(profile, 'twitter');
+  assert.strictEqual(generated.statistics.tweetsAnalyzed, 3);
+  assert.strictEqual(generated.statistics.unitsAnalyzed, 1);
+  assert.strictEqual(generated.threadAnalysis.threads, 1);
+
+  const report = buildReport(profile, 'twitter', 'janedoe');
+  assert.strictEqual(report.threads.length, 1);
+  assert.strictEqual(report.threadAnalysis.units, 1);
+  assert.strictEqual(buildReport({ name: 'Bare' }, 'twitter', 'bare').threads.length, 0);
+});
+
+test('generatePDF renders threads', async () => {
+  const thread = threadFixture();
+  const report = buildReport({ name: 'Jane Doe', tweets: thread.tweets, threads: [thread] }, 'twitter', 'janedoe');
+  const pdfPath = await generatePDF(report, 'fixture_thread_test');
+  try {
+    const data = fs.readFileSync(pdfPath);
+    assert.strictEqual(data.subarray(0, 5).toString('latin1'), '%PDF-');
+    assert.ok(data.subarray(-32).toString('latin1').includes('%%EOF'));
+  } finally {
+    fs.unlinkSync(pdfPath);
+  }
+});
@@ -0,0 +1,274 @@
+// backend/test/twitterExtractors.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCount, normalizeTweet, parseTweetDate, extractEntities, resolveMediaUrl, parseJoinDate, normalizeProfileInfo } = require('../services/twitterExtractors');
+const { parseSnapshot } = require('../services/replaySource');
+const { fixturePath } = require('./helpers');
+
+test('normalizeCount handles separators and K/M/B suffixes', () => {
+  assert.strictEqual(normalizeCount('1,204'), 1204);
+  assert.strictEqual(normalizeCount('1.2K'), 1200);
+  assert.strictEqual(normalizeCount('3.4M'), 3400000);
+  assert.strictEqual(normalizeCount('2b'), 2000000000);
+  assert.strictEqual(normalizeCount(' 12 '), 12);
+  assert.strictEqual(normalizeCount('15,000 Views'), 15000);
+  assert.strictEqual(normalizeCount(''), 0);
+  assert.strictEqual(normalizeCount(null), 0);
+  assert.strictEqual(normalizeCount(undefined), 0);
+});
+
+test('parseTweetDate reads ISO and Nitter title dates', () => {
+  assert.strictEqual(parseTweetDate('2026-01-07T15:04:05.000Z').toISOString(), '2026-01-07T15:04:05.000Z');
+  assert.strictEqual(parseTweetDate('Jan 5, 2026 · 10:00 AM UTC').toISOString(), '2026-01-05T10:00:00.000Z');
+  assert.strictEqual(parseTweetDate('not a date'), null);
+  assert.strictEqual(parseTweetDate(''), null);
+});
+
+test('normalizeTweet parses the status id and map coordinates', () => {
+  const tweet = normalizeTweet({
+    permalink: 'https://x.com/janedoe/status/1877000000000000042',
+    text: 'hello',
+    time: '2026-01-07T15:04:05.000Z',
+    likes: '3.4M',
+    coordLink: 'https://www.google.com/maps/@52.520008,13.404954,15z'
+  });
+  assert.strictEqual(tweet.id, '1877000000000000042');
+  assert.deepStrictEqual(tweet.coords, { lat: 52.520008, lon: 13.404954, source: 'https://www.google.com/maps/@52.520008,13.404954,15z' });
+  assert.strictEqual(tweet.likes, 3400000);
+  assert.strictEqual(tweet.retweets, 0);
+  assert.deepStrictEqual(tweet.urls, []);
+
+  const south = normalizeTweet({ coordLink: 'https://www.google.com/maps/@-33.8688,151.2093,12z' });
+  assert.deepStrictEqual([south.coords.lat, south.coords.lon], [-33.8688, 151.2093]);
+
+  const bare = normalizeTweet({ permalink: 'https://nitter.net/janedoe', coordLink: 'https://www.google.com/maps/place/Berlin' });
+  assert.strictEqual(bare.id, '');
+  assert.strictEqual(bare.coords, null);
+});
+
+test('Nitter timeline items are extracted once each with stats and media', () => {
+  const { source, tweets } = parseSnapshot(fixturePath('nitter-timeline.html'));
+  assert.strictEqual(source, 'nitter');
+  assert.strictEqual(tweets.length, 2);
+
+  const first = normalizeTweet(tweets[0]);
+  assert.strictEqual(first.id, '1876543210987654321');
+  assert.strictEqual(first.time, '2026-01-05T10:00:00.000Z');
+  assert.deepStrictEqual([first.replies, first.retweets, first.likes], [12, 1204, 5310]);
+  assert.strictEqual(first.hasImage, true);
+  assert.strictEqual(first.placeName, 'Berlin, Germany');
+  assert.deepStrictEqual(first.urls, ['https://example.com/notes']);
+
+  const second = normalizeTweet(tweets[1]);
+  assert.deepStrictEqual([second.replies, second.retweets, second.likes], [0, 0, 3]);
+  assert.strictEqual(second.hasImage, false);
+});
+
+test('X article cards are extracted with metrics, media, links and coordinates', () => {
+  const { source, tweets } = parseSnapshot(fixturePath('x-articles.html'));
+  assert.strictEqual(source, 'twitter');
+  assert.strictEqual(tweets.length, 2);
+
+  const first = normalizeTweet(tweets[0]);
+  assert.strictEqual(first.id, '1877000000000000042');
+  assert.strictEqual(first.text, 'Coffee with the team at the new office');
+  assert.deepStrictEqual([first.replies, first.retweets, first.likes, first.views], [4, 1200, 3400000, 15000]);
+  assert.strictEqual(first.hasImage, true);
+  assert.strictEqual(first.placeName, 'Berlin Mitte');
+  assert.deepStrictEqual([first.coords.lat, first.coords.lon], [52.520008, 13.404954]);
+  assert.ok(first.urls.includes('https://janedoe.dev/blog'));
+  assert.ok(!first.urls.some(u => u.includes('x.com')));
+
+  const second = normalizeTweet(tweets[1]);
+  assert.strictEqual(second.hasVideo, true);
+  assert.strictEqual(second.replies, 0);
+  assert.strictEqual(second.coords, null);
+});
+
+test('cellInnerDiv fallback is used when there are no article cards', () => {
+  const { tweets } = parseSnapshot(fixturePath('x-cellinnerdiv.html'));
+  assert.strictEqual(tweets.length, 2);
+  const normalized = tweets.map(normalizeTweet);
+  assert.deepStrictEqual(normalized.map(t => t.id), ['1875000000000000100', '1874000000000000200']);
+  assert.strictEqual(normalized[0].text, 'Happy new year everyone');
+  assert.strictEqual(normalized[0].time, '2026-01-01T00:00:01.000Z');
+  assert.strictEqual(normalized[0].hasImage, true);
+  assert.strictEqual(normalized[1].likes, 0);
+});
+
+test('Nitter profile header', () => {
+  const { info } = parseSnapshot(fixturePath('nitter-profile.html'));
+  assert.strictEqual(info.name, 'Jane Doe');
+  assert.strictEqual(info.bio, 'Engineer. Coffee. Open source.');
+  assert.strictEqual(info.location, 'Berlin, Germany');
+  assert.strictEqual(info.website, 'janedoe.dev');
+  assert.strictEqual(normalizeCount(info.followersText), 12345);
+  assert.strictEqual(normalizeCount(info.followingText), 312);
+});
+
+test('X profile header', () => {
+  const { info } = parseSnapshot(fixturePath('x-profile.html'));
+  assert.strictEqual(info.name, 'Jane Doe');
+  assert.strictEqual(info.bio, 'Engineer. Coffee. Open source.');
+  assert.strictEqual(info.location, 'Berlin, Germany');
+  assert.strictEqual(info.website, 'janedoe.dev');
+  assert.strictEqual(normalizeCount(info.followersText), 12300);
+  assert.strictEqual(normalizeCount(info.followingText), 312);
+  assert.strictEqual(info.profileImage, 'https://pbs.twimg.com/profile_images/1/jane_400x400.jpg');
+  assert.strictEqual(info.verified, true);
+});
+
+test('parseJoinDate strips the label and the Nitter time prefix', () => {
+  assert.deepStrictEqual(parseJoinDate('Joined March 2012'), new Date('March 2012'));
+  assert.deepStrictEqual(parseJoinDate('10:00 AM - 1 Mar 2012'), new Date('1 Mar 2012'));
+  assert.strictEqual(parseJoinDate(''), null);
+  assert.strictEqual(parseJoinDate('sometime'), null);
+});
+
+test('normalizeProfileInfo reads the full Nitter header', () => {
+  const profile = normalizeProfileInfo(parseSnapshot(fixturePath('nitter-profile.html')).info);
+  assert.strictEqual(profile.joinedAt, '2012-03-01T00:00:00.000Z');
+  assert.strictEqual(profile.postsCount, 8402);
+  assert.strictEqual(profile.likesCount, 21500);
+  assert.strictEqual(profile.verified, true);
+  assert.strictEqual(profile.profileImage, 'https://pbs.twimg.com/profile_images/1/jane_400x400.jpg');
+  assert.strictEqual(profile.bannerImage, 'https://pbs.twimg.com/profile_banners/1/1700000000/1500x500');
+  assert.strictEqual(profile.affiliation, null);
+  assert.deepStrictEqual(profile.pinnedTweet, {
+    id: '1800000000000000001',
+    text: 'Start here: what I work on and how to reach me',
+    time: '2024-06-01T12:00:00.000Z',
+    permalink: 'https://nitter.net/janedoe/status/1800000000000000001#m'
+  });
+});
+
+test('normalizeProfileInfo reads the full X header', () => {
+  const profile = normalizeProfileInfo(parseSnapshot(fixturePath('x-profile.html')).info);
+  assert.strictEqual(profile.joinDate, 'March 2012');
+  assert.strictEqual(profile.joinedAt, '2012-03-01T00:00:00.000Z');
+  assert.strictEqual(profile.postsCount, 8402);
+  assert.strictEqual(profile.likesCount, 0);
+  assert.strictEqual(profile.professionalCategory, 'Software Engineer');
+  assert.strictEqual(profile.bannerImage, 'https://pbs.twimg.com/profile_banners/1/1700000000/1500x500');
+  assert.deepStrictEqual(profile.affiliation, {
+    name: 'Example Corp',
+    handle: '@ExampleCorp',
+    badgeImage: 'https://pbs.twimg.com/profile_images/9/corp_normal.jpg'
+  });
+  assert.strictEqual(profile.pinnedTweet.id, '1800000000000000001');
+  assert.strictEqual(profile.pinnedTweet.text, 'Start here: what I work on and how to reach me');
+});
+
+test('the pinned tweet at the head of a timeline is flagged', () => {
+  for (const file of ['nitter-profile.html', 'x-profile.html']) {
+    const [pinned] = parseSnapshot(fixturePath(file)).tweets.map(normalizeTweet);
+    assert.strictEqual(pinned.id, '1800000000000000001', file);
+    assert.strictEqual(pinned.isPinned, true, file);
+  }
+  assert.ok(parseSnapshot(fixturePath('nitter-timeline.html')).tweets.map(normalizeTweet).every(t => !t.isPinned));
+});
+
+test('extractEntities lowercases and de-duplicates hashtags and mentions', () => {
+  assert.deepStrictEqual(extractEntities('Big #News, #news and #Café2026 for @Jane_Doe @bob @jane_doe'), {
+    hashtags: ['#news', '#café2026'],
+    mentions: ['@jane_doe', '@bob']
+  });
+  // URL fragments, e-mail addresses and bare numbers are not entities
+  assert.deepStrictEqual(extractEntities('see https://example.com/#top, mail me@example.com, issue #123'), { hashtags: [], mentions: [] });
+});
+
+test('Nitter retweets, replies and quote tweets are classified', () => {
+  const tweets = parseSnapshot(fixturePath('nitter-interactions.html')).tweets.map(normalizeTweet);
+  assert.strictEqual(tweets.length, 3);
+
+  const [retweet, reply, quote] = tweets;
+  assert.strictEqual(retweet.isRetweet, true);
+  assert.strictEqual(retweet.originalAuthor, '@someone');
+  assert.deepStrictEqual([retweet.replies, retweet.retweets, retweet.likes], [1, 9, 40]);
+  assert.deepStrictEqual(retweet.hashtags, ['#opensource']);
+  assert.deepStrictEqual(retweet.mentions, ['@janedoe']);
+
+  assert.strictEqual(reply.isReply, true);
+  assert.deepStrictEqual(reply.replyTo, ['@bob', '@carol_1']);
+  assert.strictEqual(reply.isRetweet, false);
+  assert.strictEqual(reply.originalAuthor, '');
+
+  assert.strictEqual(quote.isQuote, true);
+  assert.deepStrictEqual(quote.quotedTweet, { id: '1870000000000000999', author: '@writer', text: 'How we cut build times in half https://blog.example.com/builds' });
+  assert.strictEqual(quote.text, 'This is the one to read');
+  // Links inside the quoted tweet belong to the quoted tweet
+  assert.strictEqual(quote.hasLink, false);
+});
+
+test('X retweets, replies and quote tweets are classified', () => {
+  const tweets = parseSnapshot(fixturePath('x-interactions.html')).tweets.map(normalizeTweet);
+  assert.strictEqual(tweets.length, 3);
+
+  const [retweet, reply, quote] = tweets;
+  assert.strictEqual(retweet.isRetweet, true);
+  assert.strictEqual(retweet.originalAuthor, '@someone');
+  assert.deepStrictEqual(retweet.hashtags, ['#release2026']);
+  assert.deepStrictEqual(retweet.mentions, ['@janedoe', '@bob']);
+
+  assert.strictEqual(reply.isReply, true);
+  assert.deepStrictEqual(reply.replyTo, ['@bob']);
+  assert.deepStrictEqual(reply.mentions, ['@carol']);
+  assert.strictEqual(reply.hasLink, true);
+
+  assert.strictEqual(quote.id, '1877800000000000003');
+  assert.strictEqual(quote.text, 'This is the one to read');
+  assert.deepStrictEqual(quote.quotedTweet, { id: '1870000000000000999', author: '@writer', text: 'How we cut build times in half #ci' });
+  assert.deepStrictEqual(quote.hashtags, []);
+});
+
+test('plain tweets are originals with link flags from shared URLs', () => {
+  const [geo] = parseSnapshot(fixturePath('x-articles.html')).tweets.map(normalizeTweet);
+  assert.strictEqual(geo.hasLink, true);
+  assert.strictEqual(geo.isReply, false);
+  assert.strictEqual(geo.isRetweet, false);
+  assert.strictEqual(geo.isQuote, false);
+  assert.strictEqual(geo.quotedTweet, null);
+
+  const onlyPlace = normalizeTweet({ text: 'here', coordLink: 'https://www.google.com/maps/@1.5,2.5,10z', urls: ['https://www.google.com/maps/@1.5,2.5,10z'] });
+  assert.strictEqual(onlyPlace.hasLink, false);
+});
+
+test('resolveMediaUrl maps Nitter proxy paths back to Twitter media hosts', () => {
+  assert.strictEqual(resolveMediaUrl('https://nitter.net/pic/orig/media%2FGAbc.jpg'), 'https://pbs.twimg.com/media/GAbc.jpg');
+  assert.strictEqual(resolveMediaUrl('https://nitter.net/pic/video.twimg.com%2Ftweet_video%2FClip.mp4'), 'https://video.twimg.com/tweet_video/Clip.mp4');
+  assert.strictEqual(resolveMediaUrl('https://nitter.net/video/ABC/https%3A%2F%2Fvideo.twimg.com%2Fdemo.m3u8'), 'https://video.twimg.com/demo.m3u8');
+  assert.strictEqual(resolveMediaUrl('https://pbs.twimg.com/media/GAbc?format=jpg&name=small'), 'https://pbs.twimg.com/media/GAbc?format=jpg&name=orig');
+  assert.strictEqual(resolveMediaUrl(''), '');
+});
+
+test('Nitter media carries type, source, alt text and poster', () => {
+  const [photos, videos, thumbOnly] = parseSnapshot(fixturePath('nitter-media.html')).tweets.map(normalizeTweet);
+  assert.strictEqual(photos.mediaCount, 2);
+  assert.deepStrictEqual(photos.media[0], { type: 'image', url: 'https://pbs.twimg.com/media/GMeet1.jpg', alt: 'Speaker on stage', poster: '' });
+  assert.strictEqual(photos.media[1].url, 'https://pbs.twimg.com/media/GMeet2.png');
+
+  assert.deepStrictEqual(videos.media.map(m => m.type), ['video', 'gif']);
+  assert.strictEqual(videos.media[0].poster, 'https://pbs.twimg.com/amplify_video_thumb/1880/img/Poster.jpg');
+  assert.deepStrictEqual(videos.media[1], {
+    type: 'gif',
+    url: 'https://video.twimg.com/tweet_video/GifClip.mp4',
+    alt: '',
+    poster: 'https://pbs.twimg.com/tweet_video_thumb/GifThumb.jpg'
+  });
+  assert.strictEqual(videos.hasVideo, true);
+
+  // Only the thumbnail of a video is shown, and the quoted tweet's photo is not ours
+  assert.deepStrictEqual(thumbOnly.media, [{ type: 'video', url: '', alt: '', poster: 'https://pbs.twimg.com/ext_tw_video_thumb/1880/pu/img/Thumb.jpg' }]);
+});
+
+test('X media skips video thumbnails and blob: sources', () => {
+  const [photos, videos] = parseSnapshot(fixturePath('x-media.html')).tweets.map(normalizeTweet);
+  assert.deepStrictEqual(photos.media.map(m => [m.url, m.alt]), [
+    ['https://pbs.twimg.com/media/GMeet1?format=jpg&name=orig', 'Speaker on stage'],
+    ['https://pbs.twimg.com/media/GMeet2?format=png&name=orig', 'Image']
+  ]);
+  assert.strictEqual(videos.mediaCount, 2);
+  assert.deepStrictEqual(videos.media[0], { type: 'video', url: '', alt: 'Embedded video', poster: 'https://pbs.twimg.com/amplify_video_thumb/1880/img/Poster.jpg' });
+  assert.strictEqual(videos.media[1].type, 'gif');
+  assert.strictEqual(videos.media[1].url, 'https://video.twimg.com/tweet_video/GifClip.mp4');
+});
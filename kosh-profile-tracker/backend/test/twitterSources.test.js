@@ -0,0 +1,133 @@
+// backend/test/twitterSources.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { fixture, useTempDataDir, fakeLease } = require('./helpers');
+
+// Scrapes record source health
+useTempDataDir('sources');
+const { buildSources, buildProfileSources, loadSourceConfig, registerSourceType, buildSearchQuery } = require('../services/twitterSources');
+const { detectNitterTimelineEnd, nitterNextPageUrl, detectTwitterTimelineEnd, extractTweetsFromDocument, normalizeTweet } = require('../services/twitterExtractors');
+const browserPool = require('../services/browserPool');
+const { scrapeProfile } = require('../services/twitterScraper');
+
+function documentFrom(html, url) {
+  return new JSDOM(html, { url, virtualConsole: new VirtualConsole() }).window.document;
+}
+
+const config = {
+  order: ['nitter', 'desktop'],
+  profileOrder: ['desktop', 'nitter'],
+  maxProfileAttempts: 2,
+  sources: {
+    nitter: { instances: ['https://nitter.example.org/', 'https://nitter.test'], delayMs: 0 },
+    desktop: { baseUrl: 'https://x.com' }
+  }
+};
+
+test('sources follow the configured order, one adapter per Nitter instance', () => {
+  const sources = buildSources(config);
+  assert.deepStrictEqual(sources.map(s => s.name), ['nitter:nitter.example.org', 'nitter:nitter.test', 'desktop-twitter']);
+  assert.strictEqual(sources[0].buildUrl('janedoe'), 'https://nitter.example.org/janedoe');
+  assert.strictEqual(sources[2].buildUrl('janedoe'), 'https://x.com/janedoe');
+  assert.strictEqual(sources[0].delayMs, 0);
+  for (const source of sources) {
+    for (const hook of ['buildUrl', 'preparePage', 'extractTweets', 'extractProfile', 'isTimelineEnd', 'advance']) {
+      assert.strictEqual(typeof source[hook], 'function', `${source.name} lacks ${hook}`);
+    }
+  }
+});
+
+test('profile sources are capped at maxProfileAttempts', () => {
+  assert.deepStrictEqual(buildProfileSources(config).map(s => s.name), ['desktop-twitter', 'nitter:nitter.example.org']);
+});
+
+test('unknown source types are rejected', () => {
+  assert.throws(() => buildSources({ order: ['nope'] }), /Unknown Twitter source type: nope/);
+});
+
+test('registered source types can be configured like the built-in ones', () => {
+  registerSourceType('archive', (options) => ({ name: `archive:${options.dir}`, buildUrl: (h) => `file://${options.dir}/${h}.html` }));
+  const sources = buildSources({ order: ['archive', 'desktop'], sources: { archive: { dir: '/tmp/archive' } } });
+  assert.deepStrictEqual(sources.map(s => s.name), ['archive:/tmp/archive', 'desktop-twitter']);
+  assert.strictEqual(sources[0].buildUrl('janedoe'), 'file:///tmp/archive/janedoe.html');
+});
+
+test('the shipped config and the order override', () => {
+  const shipped = loadSourceConfig();
+  assert.deepStrictEqual(shipped.order, ['nitter', 'mobile', 'desktop']);
+  assert.ok(shipped.sources.nitter.instances.length > 0);
+
+  process.env.KOSH_TWITTER_SOURCES = 'desktop, mobile';
+  try {
+    assert.deepStrictEqual(buildSources(loadSourceConfig()).map(s => s.name), ['desktop-twitter', 'mobile-twitter']);
+  } finally {
+    delete process.env.KOSH_TWITTER_SOURCES;
+  }
+});
+
+test('Nitter end of timeline detection', () => {
+  const html = fixture('nitter-timeline.html');
+  const page = documentFrom(html, 'https://nitter.net/janedoe');
+  assert.strictEqual(detectNitterTimelineEnd(page), false);
+  assert.strictEqual(nitterNextPageUrl(page), 'https://nitter.net/janedoe?cursor=abc');
+
+  const last = documentFrom('<div class="timeline"><div class="timeline-item"></div><h2 class="timeline-end">No more items</h2></div>', 'https://nitter.net/janedoe');
+  assert.strictEqual(detectNitterTimelineEnd(last), true);
+  assert.strictEqual(nitterNextPageUrl(last), '');
+});
+
+test('Twitter empty state ends the timeline', () => {
+  assert.strictEqual(detectTwitterTimelineEnd(documentFrom('<div data-testid="emptyState">Nothing here</div>', 'https://x.com/')), true);
+  const html = fixture('x-articles.html');
+  assert.strictEqual(detectTwitterTimelineEnd(documentFrom(html, 'https://x.com/janedoe')), false);
+});
+
+test('search queries carry the handle, keywords and an inclusive date range', () => {
+  assert.strictEqual(
+    buildSearchQuery('@janedoe', { since: '2026-01-01T00:00:00Z', until: '2026-01-31T23:00:00Z', keywords: ' climate ' }),
+    'from:janedoe climate since:2026-01-01 until:2026-02-01'
+  );
+  assert.strictEqual(buildSearchQuery('janedoe'), 'from:janedoe');
+
+  const [nitter, , desktop] = buildSources(config);
+  assert.strictEqual(nitter.buildSearchUrl('from:janedoe climate'), 'https://nitter.example.org/search?f=tweets&q=from%3Ajanedoe%20climate');
+  assert.strictEqual(desktop.buildSearchUrl('from:janedoe'), 'https://x.com/search?q=from%3Ajanedoe&src=typed_query&f=live');
+});
+
+test('Nitter search results use the timeline extractor and pager', () => {
+  const html = fixture('nitter-search.html');
+  const page = documentFrom(html, 'https://nitter.net/search?f=tweets&q=from%3Ajanedoe+climate');
+  const tweets = extractTweetsFromDocument(page, 'nitter').map(normalizeTweet);
+  assert.deepStrictEqual(tweets.map(t => t.id), ['1880000000000000002', '1877000000000000001']);
+  assert.strictEqual(tweets[0].likes, 97);
+  assert.strictEqual(detectNitterTimelineEnd(page), false);
+  assert.match(nitterNextPageUrl(page), /^https:\/\/nitter\.net\/search\?f=tweets&q=from%3Ajanedoe.*&cursor=DAADDAAB$/);
+});
+
+test('search mode opens search results and reports the query', async (t) => {
+  const visited = [];
+  t.mock.method(browserPool, 'acquire', async () => fakeLease({ visited }));
+  const source = {
+    name: 'fake:search',
+    buildUrl: () => { throw new Error('the timeline should not be opened'); },
+    buildSearchUrl: (query) => `https://fake.example/search?q=${encodeURIComponent(query)}`,
+    async preparePage() {},
+    extractTweets: async () => [{ text: 'climate notes', time: new Date(Date.now() - 3600000).toISOString(), permalink: 'https://fake.example/janedoe/status/42' }],
+    isTimelineEnd: async () => true,
+    async advance() {}
+  };
+  const timelineOnly = Object.assign({}, source, { name: 'fake:timeline', buildSearchUrl: undefined });
+
+  const result = await scrapeProfile('janedoe', {
+    sources: [timelineOnly, source],
+    profileSources: [],
+    snapshots: false,
+    lookbackDays: 30,
+    search: { keywords: 'climate' }
+  });
+  assert.deepStrictEqual(visited, [source.buildSearchUrl(result.search.query)]);
+  assert.match(result.search.query, /^from:janedoe climate since:\d{4}-\d{2}-\d{2}$/);
+  assert.strictEqual(result.search.keywords, 'climate');
+  assert.deepStrictEqual(result.tweets.map(tw => tw.id), ['42']);
+});
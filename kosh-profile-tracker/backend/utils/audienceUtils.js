@@ -0,0 +1,91 @@
+// backend/utils/audienceUtils.js
+// Audience quality from the follower / following samples of a scrape (the `audience`
+// option of twitterScraper). Samples are small, so every figure is a share of the sample
+// rather than a claim about the whole account.
+
+// A name followed by a long run of digits ("jane48213977") is the handle Twitter suggests
+// at sign-up; bulk-created accounts rarely change it
+const GENERATED_HANDLE = /^@?[A-Za-z][A-Za-z_]*\d{5,}$/;
+
+// Samples smaller than this are described but never flagged
+const MIN_SAMPLE_FOR_FLAGS = 10;
+
+const THRESHOLDS = {
+  defaultAvatarShare: 40,
+  noBioShare: 60,
+  suspiciousHandleShare: 25
+};
+
+function isGeneratedHandle(handle) {
+  return GENERATED_HANDLE.test(String(handle || ''));
+}
+
+// Percentage with one decimal
+function share(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+function describeSample(accounts) {
+  const total = accounts.length;
+  const generated = accounts.filter(a => isGeneratedHandle(a.handle));
+  return {
+    sampled: total,
+    defaultAvatarShare: share(accounts.filter(a => a.defaultAvatar).length, total),
+    noBioShare: share(accounts.filter(a => !a.bio).length, total),
+    suspiciousHandleShare: share(generated.length, total),
+    verifiedShare: share(accounts.filter(a => a.verified).length, total),
+    suspiciousHandles: generated.slice(0, 10).map(a => a.handle)
+  };
+}
+
+/**
+ * Audience quality section of a report, or null when no audience was sampled.
+ * Returns { followers, following, overlap, flags, quality }: `followers` and `following`
+ * describe each sample, `overlap` counts the accounts found in both, and `quality`
+ * ('High' / 'Medium' / 'Low' / 'Unknown') follows the number of flags raised by the
+ * follower sample.
+ */
+function analyzeAudience(audience) {
+  if (!audience) return null;
+  const followers = Array.isArray(audience.followers) ? audience.followers : [];
+  const following = Array.isArray(audience.following) ? audience.following : [];
+
+  const followerHandles = new Set(followers.map(a => String(a.handle).toLowerCase()));
+  const mutual = following.filter(a => followerHandles.has(String(a.handle).toLowerCase()));
+
+  const followerStats = describeSample(followers);
+  const flags = [];
+  if (followers.length >= MIN_SAMPLE_FOR_FLAGS) {
+    if (followerStats.defaultAvatarShare >= THRESHOLDS.defaultAvatarShare) {
+      flags.push(`${followerStats.defaultAvatarShare}% of sampled followers keep the default avatar`);
+    }
+    if (followerStats.noBioShare >= THRESHOLDS.noBioShare) {
+      flags.push(`${followerStats.noBioShare}% of sampled followers have no bio`);
+    }
+    if (followerStats.suspiciousHandleShare >= THRESHOLDS.suspiciousHandleShare) {
+      flags.push(`${followerStats.suspiciousHandleShare}% of sampled followers have name+digits handles`);
+    }
+  }
+
+  let quality = 'Unknown';
+  if (followers.length >= MIN_SAMPLE_FOR_FLAGS) {
+    quality = flags.length === 0 ? 'High' : flags.length === 1 ? 'Medium' : 'Low';
+  }
+
+  return {
+    sampleSize: audience.sampleSize || Math.max(followers.length, following.length),
+    sources: audience.sources || {},
+    followers: followerStats,
+    following: describeSample(following),
+    overlap: {
+      mutual: mutual.length,
+      shareOfFollowers: share(mutual.length, followers.length),
+      shareOfFollowing: share(mutual.length, following.length),
+      accounts: mutual.slice(0, 10).map(a => a.handle)
+    },
+    flags,
+    quality
+  };
+}
+
+module.exports = { analyzeAudience, isGeneratedHandle };
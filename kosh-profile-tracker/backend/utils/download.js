@@ -0,0 +1,260 @@
+// backend/utils/download.js
+// HTTP(S) file download used for avatars and the media archive, and JSON requests for
+// the API-based platforms.
+// The body is streamed to "<dest>.part" and hashed on the way; the file only takes its
+// final name once it is complete, so an interrupted download never leaves a truncated file.
+// URLs that come from scraped or user-supplied data are fetched with `publicOnly`, which
+// keeps requests (and their redirects) away from loopback, private and link-local hosts.
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  timeoutMs: 15000,
+  maxBytes: 50 * 1024 * 1024,
+  maxRedirects: 3
+};
+
+// IPv4 ranges that are not reachable on the public internet: [network, prefix length]
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+function v4ToNumber(ip) {
+  return ip.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+/** Whether `ip` is a public unicast address (false for anything that is not an IP) */
+function isPublicAddress(ip) {
+  const address = String(ip || '').replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIPv4(address)) {
+    const n = v4ToNumber(address);
+    return !PRIVATE_V4.some(([base, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4ToNumber(base) / 2 ** (32 - bits)));
+  }
+  if (!net.isIPv6(address)) return false;
+  // IPv4-mapped, dotted or (as URLs normalize it) hex: ::ffff:127.0.0.1 / ::ffff:7f00:1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [hi, lo] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isPublicAddress([hi >> 8, hi & 255, lo >> 8, lo & 255].join('.'));
+  }
+  // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and multicast
+  return !(address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address) || /^ff/.test(address));
+}
+
+// Why a `publicOnly` request may not go to `parsed`, or '' when it may
+function publicUrlProblem(parsed) {
+  if (parsed.port) return `Requests to non-default ports are not allowed (${parsed.host})`;
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) return `Requests to non-public addresses are not allowed (${hostname})`;
+  return '';
+}
+
+// dns.lookup that refuses names resolving to non-public addresses, so a public-looking
+// name cannot point a request inside the network
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * Download `url` to `dest`.
+ * Options:
+ * - timeoutMs: number (default 15000) - per request, reset by every chunk received
+ * - maxBytes: number (default 50 MB) - larger bodies are aborted
+ * - maxRedirects: number (default 3)
+ * - accept: RegExp (optional) - required match for the Content-Type, e.g. /^image\//
+ * - publicOnly: boolean - refuse non-public hosts and non-default ports, redirects included
+ *
+ * Resolves with { path, bytes, sha256, contentType, finalUrl }.
+ */
+function downloadFile(url, dest, options = {}) {
+  const config = Object.assign({}, DEFAULTS);
+  Object.keys(options).forEach(key => {
+    if (options[key] !== undefined) config[key] = options[key];
+  });
+  const partPath = `${dest}.part`;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let file = null;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      if (file && !file.closed) {
+        file.on('close', () => fs.unlink(partPath, () => {}));
+        file.destroy();
+      } else {
+        fs.unlink(partPath, () => {});
+      }
+      reject(err);
+    };
+
+    function request(target, redirectsLeft) {
+      let parsed;
+      try {
+        parsed = new URL(target);
+      } catch (e) {
+        return fail(new Error(`Invalid URL: ${target}`));
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return fail(new Error(`Unsupported protocol: ${parsed.protocol}`));
+      }
+      const refused = config.publicOnly ? publicUrlProblem(parsed) : '';
+      if (refused) return fail(new Error(refused));
+
+      const client = parsed.protocol === 'https:' ? https : http;
+      const req = client.get(parsed, config.publicOnly ? { lookup: publicLookup } : {}, (res) => {
+        const status = res.statusCode || 0;
+
+        if (status >= 300 && status < 400 && res.headers.location) {
+          res.resume();
+          if (redirectsLeft <= 0) return fail(new Error('Too many redirects'));
+          return request(new URL(res.headers.location, parsed).href, redirectsLeft - 1);
+        }
+        if (status < 200 || status >= 300) {
+          res.resume();
+          return fail(new Error(`Download failed with status ${status}`));
+        }
+
+        const contentType = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (config.accept && !config.accept.test(contentType)) {
+          res.resume();
+          return fail(new Error(`Unexpected content type: ${contentType || 'none'}`));
+        }
+        const declared = Number(res.headers['content-length']);
+        if (declared > config.maxBytes) {
+          res.resume();
+          return fail(new Error(`File too large (${declared} bytes)`));
+        }
+
+        const hash = crypto.createHash('sha256');
+        file = fs.createWriteStream(partPath);
+        let bytes = 0;
+
+        res.on('data', (chunk) => {
+          bytes += chunk.length;
+          if (bytes > config.maxBytes) {
+            res.unpipe(file);
+            res.destroy();
+            fail(new Error(`File too large (over ${config.maxBytes} bytes)`));
+            return;
+          }
+          hash.update(chunk);
+        });
+        res.on('error', fail);
+        file.on('error', (err) => { req.destroy(); fail(err); });
+        file.on('finish', () => {
+          if (settled) return;
+          try {
+            fs.renameSync(partPath, dest);
+          } catch (err) {
+            return fail(err);
+          }
+          settled = true;
+          resolve({ path: dest, bytes, sha256: hash.digest('hex'), contentType, finalUrl: parsed.href });
+        });
+        res.pipe(file);
+      });
+
+      req.on('error', (err) => fail(err));
+      req.setTimeout(config.timeoutMs, () => {
+        req.destroy();
+        fail(new Error('Download timeout'));
+      });
+    }
+
+    if (!url) return fail(new Error('No URL to download'));
+    request(url, config.maxRedirects);
+  });
+}
+
+/**
+ * GET `url` and parse the body as JSON.
+ * Options:
+ * - timeoutMs: number (default 15000)
+ * - maxBytes: number (default 50 MB) - larger bodies are aborted
+ * - maxRedirects: number (default 3)
+ * - headers: object - extra request headers
+ * - publicOnly: boolean - refuse non-public hosts and non-default ports, redirects included
+ *
+ * Resolves with { status, headers, data } for any status, with data null when the body is
+ * not JSON; rejects on network errors and timeouts only.
+ */
+function fetchJson(url, options = {}) {
+  const config = Object.assign({}, DEFAULTS);
+  Object.keys(options).forEach(key => {
+    if (options[key] !== undefined) config[key] = options[key];
+  });
+
+  return new Promise((resolve, reject) => {
+    function request(target, redirectsLeft) {
+      let parsed;
+      try {
+        parsed = new URL(target);
+      } catch (e) {
+        return reject(new Error(`Invalid URL: ${target}`));
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return reject(new Error(`Unsupported protocol: ${parsed.protocol}`));
+      }
+      const refused = config.publicOnly ? publicUrlProblem(parsed) : '';
+      if (refused) return reject(new Error(refused));
+
+      const client = parsed.protocol === 'https:' ? https : http;
+      const headers = Object.assign({ Accept: 'application/json' }, config.headers);
+      const req = client.get(parsed, config.publicOnly ? { headers, lookup: publicLookup } : { headers }, (res) => {
+        const status = res.statusCode || 0;
+
+        if (status >= 300 && status < 400 && res.headers.location) {
+          res.resume();
+          if (redirectsLeft <= 0) return reject(new Error('Too many redirects'));
+          return request(new URL(res.headers.location, parsed).href, redirectsLeft - 1);
+        }
+
+        const chunks = [];
+        let bytes = 0;
+        res.on('data', (chunk) => {
+          bytes += chunk.length;
+          if (bytes > config.maxBytes) {
+            res.destroy();
+            reject(new Error(`Response too large (over ${config.maxBytes} bytes)`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('error', reject);
+        res.on('end', () => {
+          let data = null;
+          try {
+            data = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+          } catch (e) {
+            // not JSON (an HTML error page, an empty body)
+          }
+          resolve({ status, headers: res.headers, data });
+        });
+      });
+
+      req.on('error', reject);
+      req.setTimeout(config.timeoutMs, () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+    }
+
+    request(url, config.maxRedirects);
+  });
+}
+
+module.exports = { downloadFile, fetchJson, isPublicAddress };
@@ -104,7 +104,18 @@ function analyzeHiddenPatterns(tweets) {
   return patterns;
 }
 
-async function generatePDF(reportData = {}, handle = 'report') {
+/**
+ * Render the report as a PDF in reports/ and resolve with its path.
+ * Options (from the platform's `pdf` entry, see services/platforms):
+ * - sections: function(doc, reportData, helpers)[] - platform sections, drawn after the
+ *   engagement metrics; helpers are { addSection, addKeyValue, addStatRow, formatNumber }
+ * - postNoun: string (default 'tweet') - what the analyzed posts are called
+ * - partialScope: string - what the figures of a partial report cover (default
+ *   "the <posts> collected")
+ */
+async function generatePDF(reportData = {}, handle = 'report', options = {}) {
+  const postNoun = options.postNoun || 'tweet';
+  const Post = postNoun.charAt(0).toUpperCase() + postNoun.slice(1);
   return new Promise((resolve, reject) => {
     try {
       reportData = reportData || {};
@@ -133,6 +144,25 @@ async function generatePDF(reportData = {}, handle = 'report') {
       doc.fontSize(16).fillColor('#3498DB').text('Deep Analysis Report', { align: 'center' }).moveDown(0.2);
       doc.fontSize(11).fillColor('#7F8C8D').text(`Generated: ${new Date(reportData.timestamp || Date.now()).toLocaleString()}`, { align: 'center' }).moveDown(1.2);
 
+      const scan = reportData.scrapeOptions;
+      if (scan) {
+        const range = scan.since ? `${scan.since.slice(0, 10)} to ${scan.until ? scan.until.slice(0, 10) : 'now'}` : `last ${scan.lookbackDays} days${scan.until ? ` until ${scan.until.slice(0, 10)}` : ''}`;
+        const parts = [range, scan.maxTweets ? `max ${scan.maxTweets} tweets` : '', `${Math.round(scan.timeBudgetSec / 60)} min budget`, scan.sources ? `sources: ${scan.sources.join(', ')}` : ''];
+        doc.fontSize(9).fillColor('#95A5A6').text(`Scan: ${parts.filter(Boolean).join(' · ')}`, { align: 'center' });
+        if (reportData.search) doc.text(`Search query: ${reportData.search.query}`, { align: 'center' });
+        doc.moveDown(0.8);
+      }
+
+      if (reportData.import) {
+        doc.fontSize(9).fillColor('#95A5A6').text('Source: LinkedIn data export (no live scrape; post engagement is not included)', { align: 'center' }).moveDown(0.8);
+      }
+
+      if (reportData.partial) {
+        doc.fontSize(10).fillColor('#E67E22')
+           .text(`⚠️ Partial dataset - ${reportData.partialReason || 'the scrape did not finish'}. Figures cover only ${options.partialScope || `the ${postNoun}s collected`}.`, { align: 'center' })
+           .moveDown(1);
+      }
+
       // PROFILE SECTION
       const profile = reportData.profile || {};
       addSection(doc, '👤 Profile Information', '#E74C3C');
@@ -144,6 +174,15 @@ async function generatePDF(reportData = {}, handle = 'report') {
       addKeyValue(doc, 'Joined', profile.joinDate || 'Unknown');
       addKeyValue(doc, 'Account Age', profile.accountAge || reportData.accountAge || 'Unknown');
       addKeyValue(doc, 'Verified', profile.verified ? '✓ Yes' : '✗ No');
+      if (profile.postsCount) addKeyValue(doc, 'Total Posts', formatNumber(profile.postsCount));
+      if (profile.likesCount) addKeyValue(doc, 'Likes', formatNumber(profile.likesCount));
+      if (profile.professionalCategory) addKeyValue(doc, 'Category', profile.professionalCategory);
+      if (profile.affiliation) addKeyValue(doc, 'Affiliation', [profile.affiliation.name, profile.affiliation.handle].filter(Boolean).join(' '));
+      if (profile.bannerImage) addKeyValue(doc, 'Banner', profile.bannerImage);
+      if (profile.pinnedTweet && profile.pinnedTweet.text) {
+        const pinnedText = String(profile.pinnedTweet.text).replace(/\s+/g, ' ').trim();
+        addKeyValue(doc, '📌 Pinned', pinnedText.substring(0, 280));
+      }
       doc.moveDown(0.9);
 
       // STATISTICS
@@ -152,7 +191,7 @@ async function generatePDF(reportData = {}, handle = 'report') {
       addSection(doc, '📊 Key Statistics', '#3498DB');
       addStatRow(doc, 'Followers', formatNumber(stats.followers || stats.followersRaw || 0));
       addStatRow(doc, 'Following', formatNumber(stats.following || stats.followingRaw || 0));
-      addStatRow(doc, 'Tweets Analyzed', String(tweetsAnalyzed));
+      addStatRow(doc, `${Post}s Analyzed`, String(tweetsAnalyzed));
       addStatRow(doc, 'Average Engagement', formatNumber(stats.avgEngagementPerTweet || stats.avgEngagement || 0));
       addStatRow(doc, 'Total Engagement', formatNumber(stats.totalEngagement || 0));
       const followersNum = Number(stats.followers || stats.followersRaw || 0);
@@ -237,6 +276,10 @@ async function generatePDF(reportData = {}, handle = 'report') {
         doc.moveDown(0.8);
       }
 
+      // PLATFORM SECTIONS - e.g. Twitter audience and threads, LinkedIn career
+      const helpers = { addSection, addKeyValue, addStatRow, formatNumber };
+      (options.sections || []).forEach(render => render(doc, reportData, helpers));
+
       // TWEETS + HIDDEN PATTERNS
       const allTweets = reportData.recentActivity?.tweets || reportData.tweets || reportData.topTweets || [];
       if (allTweets.length > 0) {
@@ -247,12 +290,12 @@ async function generatePDF(reportData = {}, handle = 'report') {
           doc.moveDown(0.6);
         }
 
-        addSection(doc, '📱 All Analyzed Tweets', '#3498DB');
-        doc.fontSize(9).fillColor('#7F8C8D').text(`Total tweets analyzed: ${allTweets.length}`).moveDown(0.5);
+        addSection(doc, `📱 All Analyzed ${Post}s`, '#3498DB');
+        doc.fontSize(9).fillColor('#7F8C8D').text(`Total ${postNoun}s analyzed: ${allTweets.length}`).moveDown(0.5);
 
         allTweets.forEach((tweet, idx) => {
           if (doc.y > 720) doc.addPage();
-          doc.fontSize(10).fillColor('#2C3E50').text(`Tweet #${idx + 1}`).moveDown(0.12);
+          doc.fontSize(10).fillColor('#2C3E50').text(`${Post} #${idx + 1}`).moveDown(0.12);
           const tweetText = String(tweet.content || tweet.text || tweet.tweet || '').replace(/\s+/g, ' ').trim();
           doc.fontSize(9).fillColor('#34495E').text(tweetText.substring(0, 400), { paragraphGap: 2 }).moveDown(0.12);
           const likes = (tweet.engagement && tweet.engagement.likes) || tweet.likes || tweet.favorite_count || 0;
@@ -261,6 +304,8 @@ async function generatePDF(reportData = {}, handle = 'report') {
           const views = (tweet.engagement && tweet.engagement.views) || tweet.views || 0;
           doc.fontSize(8).fillColor('#7F8C8D').text(`❤️ ${formatNumber(likes)}  🔁 ${formatNumber(retweets)}  💬 ${formatNumber(replies)}  👁️ ${formatNumber(views)}`).moveDown(0.12);
           const badges = [];
+          const mediaCount = tweet.mediaCount || (tweet.metadata && tweet.metadata.mediaCount) || 0;
+          if (mediaCount > 1) badges.push(`📎 ${mediaCount} media`);
           if (tweet.hasImage || (tweet.metadata && tweet.metadata.hasImage)) badges.push('🖼️');
           if (tweet.hasVideo || (tweet.metadata && tweet.metadata.hasVideo)) badges.push('🎥');
           if (tweet.hasLink || (tweet.metadata && tweet.metadata.hasLink)) badges.push('🔗');
@@ -273,6 +318,23 @@ async function generatePDF(reportData = {}, handle = 'report') {
         });
       }
 
+      // MEDIA ARCHIVE - file hashes, so archived evidence can be verified later
+      const archive = reportData.mediaArchive;
+      if (archive && Array.isArray(archive.items)) {
+        if (doc.y > 640) doc.addPage();
+        addSection(doc, '🗄️ Media Archive', '#7F8C8D');
+        addStatRow(doc, 'Files archived', archive.items.length);
+        addStatRow(doc, 'Failed downloads', (archive.failed || []).length);
+        if (archive.archivedAt) addKeyValue(doc, 'Archived at', archive.archivedAt);
+        doc.moveDown(0.3);
+        archive.items.forEach(item => {
+          if (doc.y > 740) doc.addPage();
+          doc.fontSize(7).fillColor('#34495E').text(`${item.file}  (tweet ${item.tweetId}, ${item.type}${item.role === 'poster' ? ' poster' : ''})`)
+             .fillColor('#95A5A6').text(`SHA-256 ${item.sha256}`).moveDown(0.12);
+        });
+        doc.moveDown(0.6);
+      }
+
       // INSIGHTS and RECOMMENDATIONS
       if (reportData.insights && reportData.insights.length > 0) {
         doc.addPage();
@@ -0,0 +1,113 @@
+// backend/utils/reportDiff.js
+// Compare two stored runs of the same profile
+const { tweetKey, tweetTime } = require('./tweetUtils');
+
+const PROFILE_FIELDS = ['name', 'bio', 'location', 'website', 'verified'];
+const ENGAGEMENT_FIELDS = ['likes', 'retweets', 'replies', 'views'];
+
+function oldestTime(tweets) {
+  const times = tweets.map(tweetTime).filter(ms => ms !== null);
+  return times.length ? Math.min(...times) : null;
+}
+
+function countDelta(from, to) {
+  const a = Number(from || 0);
+  const b = Number(to || 0);
+  return {
+    from: a,
+    to: b,
+    delta: b - a,
+    deltaPct: a > 0 ? Number((((b - a) / a) * 100).toFixed(2)) : null
+  };
+}
+
+function summarizeTweet(t) {
+  return { id: t.id || '', text: t.text || '', time: t.time || '', permalink: t.permalink || '' };
+}
+
+function diffProfile(fromProfile = {}, toProfile = {}) {
+  const changes = [];
+  PROFILE_FIELDS.forEach(field => {
+    const before = field === 'verified' ? !!fromProfile[field] : (fromProfile[field] || '');
+    const after = field === 'verified' ? !!toProfile[field] : (toProfile[field] || '');
+    if (before !== after) changes.push({ field, from: before, to: after });
+  });
+  return changes;
+}
+
+/**
+ * Tweets are only compared inside the window both runs could see:
+ * - deleted: in `from`, missing from `to`, and not older than the oldest tweet `to` collected
+ * - new: in `to`, missing from `from`, and not older than the oldest tweet `from` collected
+ */
+function diffTweets(fromTweets = [], toTweets = []) {
+  const fromMap = new Map(fromTweets.map(t => [tweetKey(t), t]));
+  const toMap = new Map(toTweets.map(t => [tweetKey(t), t]));
+
+  const toOldest = oldestTime(toTweets);
+  const fromOldest = oldestTime(fromTweets);
+
+  const deleted = [];
+  fromMap.forEach((t, key) => {
+    if (toMap.has(key) || toOldest === null) return;
+    const ms = tweetTime(t);
+    if (ms !== null && ms >= toOldest) deleted.push(summarizeTweet(t));
+  });
+
+  const added = [];
+  toMap.forEach((t, key) => {
+    if (fromMap.has(key)) return;
+    const ms = tweetTime(t);
+    if (fromOldest === null || ms === null || ms >= fromOldest) added.push(summarizeTweet(t));
+  });
+
+  const engagementChanges = [];
+  toMap.forEach((t, key) => {
+    const before = fromMap.get(key);
+    if (!before) return;
+    const deltas = {};
+    let changed = false;
+    ENGAGEMENT_FIELDS.forEach(field => {
+      const d = Number(t[field] || 0) - Number(before[field] || 0);
+      deltas[field] = d;
+      if (d !== 0) changed = true;
+    });
+    if (changed) engagementChanges.push(Object.assign(summarizeTweet(t), { deltas }));
+  });
+
+  engagementChanges.sort((a, b) => Math.abs(b.deltas.likes) - Math.abs(a.deltas.likes));
+
+  return {
+    overlapWindowStart: toOldest !== null && fromOldest !== null ? new Date(Math.max(toOldest, fromOldest)).toISOString() : null,
+    deleted,
+    added,
+    engagementChanges
+  };
+}
+
+/**
+ * Build the diff between two stored run records (as returned by runStore.getRun)
+ */
+function diffRuns(fromRun, toRun) {
+  const fromProfile = fromRun.profile || {};
+  const toProfile = toRun.profile || {};
+  const tweets = diffTweets(fromRun.tweets || [], toRun.tweets || []);
+  const profileChanges = diffProfile(fromProfile, toProfile);
+
+  return {
+    from: { id: fromRun.id, timestamp: fromRun.timestamp, tweetCount: (fromRun.tweets || []).length },
+    to: { id: toRun.id, timestamp: toRun.timestamp, tweetCount: (toRun.tweets || []).length },
+    profileChanges,
+    followers: countDelta(fromProfile.followers, toProfile.followers),
+    following: countDelta(fromProfile.following, toProfile.following),
+    tweets,
+    summary: {
+      profileFieldsChanged: profileChanges.length,
+      deletedTweets: tweets.deleted.length,
+      newTweets: tweets.added.length,
+      tweetsWithEngagementChanges: tweets.engagementChanges.length
+    }
+  };
+}
+
+module.exports = { diffRuns, diffTweets, diffProfile };
@@ -1,14 +1,6 @@
-function generateReport(profileData, platform) {
-  const timestamp = new Date().toISOString();
-  
-  if (platform === 'twitter') {
-    return generateTwitterReport(profileData, timestamp);
-  } else if (platform === 'linkedin') {
-    return generateLinkedInReport(profileData, timestamp);
-  }
-  
-  return null;
-}
+const { summarizeThreads } = require('./threadUtils');
+const { analyzeAudience } = require('./audienceUtils');
+const { parseJoinDate, normalizeCount } = require('../services/twitterExtractors');
 
 function generateTwitterReport(data, timestamp) {
   // Deep analysis of tweets
@@ -20,12 +12,18 @@ function generateTwitterReport(data, timestamp) {
   // Engagement analysis
   const engagementAnalysis = analyzeEngagement(data.tweets, data.followers);
   
+  // Follower / following samples, when the scrape took them
+  const audienceQuality = analyzeAudience(data.audience);
+
   // Suspicious activity detection
-  const suspiciousActivity = detectSuspiciousActivity(data, tweetAnalysis);
+  const suspiciousActivity = detectSuspiciousActivity(data, tweetAnalysis, audienceQuality);
   
   // Content analysis
   const contentAnalysis = analyzeContent(data.tweets);
   
+  // Reconstructed threads count once each
+  const threadAnalysis = summarizeThreads(data.tweets, data.threads || []);
+
   // Account health score
   const healthScore = calculateAccountHealth(data, tweetAnalysis, suspiciousActivity);
   
@@ -39,13 +37,21 @@ function generateTwitterReport(data, timestamp) {
       location: data.location,
       website: data.website,
       joinDate: data.joinDate,
+      joinedAt: data.joinedAt || '',
       verified: data.verified,
-      accountAge: calculateAccountAge(data.joinDate)
+      accountAge: calculateAccountAge(data.joinedAt || data.joinDate),
+      postsCount: parseInt(data.postsCount) || 0,
+      likesCount: parseInt(data.likesCount) || 0,
+      bannerImage: data.bannerImage || '',
+      professionalCategory: data.professionalCategory || '',
+      affiliation: data.affiliation || null,
+      pinnedTweet: data.pinnedTweet || null
     },
     statistics: {
       followers: parseInt(data.followers) || 0,
       following: parseInt(data.following) || 0,
       tweetsAnalyzed: data.tweets.length,
+      unitsAnalyzed: threadAnalysis.units,
       followersFollowingRatio: calculateRatio(data.followers, data.following),
       avgEngagementPerTweet: engagementAnalysis.avgEngagement,
       totalEngagement: engagementAnalysis.totalEngagement
@@ -70,6 +76,8 @@ function generateTwitterReport(data, timestamp) {
       mentionPattern: contentAnalysis.mentionStats,
       linkSharingBehavior: contentAnalysis.linkStats
     },
+    threadAnalysis: threadAnalysis,
+    audienceQuality: audienceQuality,
     engagementAnalysis: {
       averageLikes: engagementAnalysis.avgLikes,
       averageRetweets: engagementAnalysis.avgRetweets,
@@ -98,6 +106,7 @@ function generateTwitterReport(data, timestamp) {
         metadata: {
           hasImage: t.hasImage,
           hasVideo: t.hasVideo,
+          mediaCount: t.mediaCount || 0,
           hasLink: t.hasLink,
           isReply: t.isReply,
           isRetweet: t.isRetweet,
@@ -142,7 +151,7 @@ function analyzeTweetsInDepth(tweets) {
     .map(([word, count]) => ({ word, count }));
 
   // Calculate averages
-  const avgLength = tweets.reduce((sum, t) => sum + t.length, 0) / tweets.length;
+  const avgLength = tweets.reduce((sum, t) => sum + String(t.text || '').length, 0) / tweets.length;
   const mediaUsage = tweets.filter(t => t.hasImage || t.hasVideo).length;
   const mediaPercentage = (mediaUsage / tweets.length * 100).toFixed(1);
   
@@ -263,7 +272,7 @@ function analyzeEngagement(tweets, followers) {
   };
 }
 
-function detectSuspiciousActivity(data, tweetAnalysis) {
+function detectSuspiciousActivity(data, tweetAnalysis, audienceQuality) {
   const flags = [];
   const details = [];
   
@@ -308,14 +317,19 @@ function detectSuspiciousActivity(data, tweetAnalysis) {
   }
   
   // Check account age vs followers
-  const accountAge = calculateAccountAge(data.joinDate);
-  if (accountAge !== 'Unknown' && followers > 10000) {
-    const ageInDays = parseInt(accountAge);
-    if (!isNaN(ageInDays) && ageInDays < 30 && followers > 10000) {
+  const ageInDays = accountAgeDays(data.joinedAt || data.joinDate);
+  if (ageInDays !== null && followers > 10000) {
+    if (ageInDays < 30) {
       flags.push('Rapid follower growth');
       details.push('⚠️ Very new account with large follower base - potential bought followers');
     }
   }
+
+  // Check the sampled followers themselves
+  if (audienceQuality && audienceQuality.quality === 'Low') {
+    flags.push('Low-quality audience');
+    details.push(`⚠️ Sampled followers look like throwaway accounts - ${audienceQuality.flags.join('; ')}`);
+  }
   
   const riskLevel = flags.length === 0 ? 'Low' : flags.length <= 2 ? 'Medium' : 'High';
   
@@ -530,21 +544,22 @@ function calculateRatio(followers, following) {
   return (f1 / f2).toFixed(2);
 }
 
+// Days since the account was created; null when the join date is missing or unparsable
+// ("Joined March 2012", "10:00 AM - 1 Mar 2012" and ISO dates are understood)
+function accountAgeDays(joinDate) {
+  if (!joinDate || joinDate === 'Not specified') return null;
+  const joined = parseJoinDate(joinDate);
+  if (!joined) return null;
+  return Math.max(0, Math.floor((Date.now() - joined.getTime()) / (1000 * 60 * 60 * 24)));
+}
+
 function calculateAccountAge(joinDate) {
-  if (!joinDate || joinDate === 'Not specified') return 'Unknown';
-  
-  try {
-    const joined = new Date(joinDate);
-    const now = new Date();
-    const diffTime = Math.abs(now - joined);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays < 30) return `${diffDays} days`;
-    if (diffDays < 365) return `${Math.floor(diffDays / 30)} months`;
-    return `${Math.floor(diffDays / 365)} years`;
-  } catch (e) {
-    return 'Unknown';
-  }
+  const diffDays = accountAgeDays(joinDate);
+  if (diffDays === null) return 'Unknown';
+
+  if (diffDays < 30) return `${diffDays} days`;
+  if (diffDays < 365) return `${Math.floor(diffDays / 30)} months`;
+  return `${Math.floor(diffDays / 365)} years`;
 }
 
 function calculateConsistency(tweets) {
@@ -572,8 +587,22 @@ function calculateConsistency(tweets) {
 
 function generateLinkedInReport(data, timestamp) {
   const professionalLevel = determineProfessionalLevel(data);
-  const industryFocus = extractIndustry(data.headline);
-  const careerStage = determineCareerStage(data.experiences);
+  const industryFocus = extractIndustry(data);
+  const careerStage = determineCareerStage(data);
+  const tenureMonths = totalTenureMonths(data.experiences);
+  const education = data.education || [];
+  const certifications = data.certifications || [];
+  const languages = data.languages || [];
+  // Blocked, missing and failed scrapes carry no profile, so they get no health score
+  // (see linkedinScraper.scrapeProfile); imports and older runs have no resultType
+  const hasProfile = !data.resultType || data.resultType === 'success' || data.resultType === 'partial';
+
+  // Posts from the activity feed, in the tweet shape: reactions are likes, reposts retweets
+  // and comments replies. The audience is the follower count, else the connections.
+  const posts = Array.isArray(data.tweets) ? data.tweets : [];
+  const postAnalysis = analyzeTweetsInDepth(posts);
+  const engagementAnalysis = analyzeEngagement(posts, data.followers || normalizeCount(data.connections));
+  const contentAnalysis = analyzeContent(posts);
   
   // Build meaningful insights
   const insights = [];
@@ -582,10 +611,22 @@ function generateLinkedInReport(data, timestamp) {
   
   if (data.experiences && data.experiences.length > 0) {
     insights.push(`${data.experiences.length} documented positions in career`);
+    if (tenureMonths > 0) insights.push(`Work experience: ${formatTenure(tenureMonths)}`);
     insights.push(`Career Stage: ${careerStage}`);
   } else {
     insights.push(`Limited experience data available - profile may be private`);
   }
+
+  if (education.length > 0) {
+    const latest = education[0];
+    insights.push(`Education: ${[latest.degree, latest.field].filter(Boolean).join(', ') || 'Studied'} at ${latest.school}`);
+  }
+  if (certifications.length > 0) {
+    insights.push(`${certifications.length} certification(s): ${certifications.slice(0, 3).map(c => c.name).join(', ')}`);
+  }
+  if (languages.length > 0) {
+    insights.push(`Languages: ${languages.map(l => l.proficiency ? `${l.name} (${l.proficiency})` : l.name).join(', ')}`);
+  }
   
   if (data.skills && data.skills.length > 0) {
     insights.push(`${data.skills.length} skills listed`);
@@ -595,8 +636,18 @@ function generateLinkedInReport(data, timestamp) {
   insights.push(`Network: ${data.connections} connections`);
   insights.push(`Location: ${data.location}`);
   
-  if (data.error) {
-    insights.push(`⚠️ Note: ${data.error}`);
+  if (posts.length > 0) {
+    insights.push(`${posts.length} recent posts analyzed (${contentAnalysis.types.retweets} reposts)`);
+    // Data exports list shares without their reactions and comments
+    if (!data.import) {
+      insights.push(`Average engagement: ${engagementAnalysis.avgLikes} reactions, ${engagementAnalysis.avgReplies} comments per post`);
+    }
+  } else if (data.postsError) {
+    insights.push(`⚠️ Recent activity unavailable: ${data.postsError}`);
+  }
+
+  if (data.import) {
+    insights.push('Source: LinkedIn data export shared by the account owner');
   }
   
   // Build recommendations
@@ -619,11 +670,13 @@ function generateLinkedInReport(data, timestamp) {
     }
     
     recommendations.push('Request recommendations from colleagues and supervisors');
-    recommendations.push('Share industry-relevant content regularly to increase visibility');
+    if (posts.length < 5) {
+      recommendations.push('Share industry-relevant content regularly to increase visibility');
+    }
     recommendations.push('Engage with your network through comments and posts');
   }
-  
-  return {
+
+  const report = {
     platform: 'LinkedIn',
     timestamp: timestamp,
     profile: {
@@ -637,32 +690,38 @@ function generateLinkedInReport(data, timestamp) {
     statistics: {
       connections: data.connections,
       experienceCount: data.experiences?.length || 0,
-      skillsCount: data.skills?.length || 0
+      experienceMonths: tenureMonths,
+      educationCount: education.length,
+      certificationsCount: certifications.length,
+      skillsCount: data.skills?.length || 0,
+      tweetsAnalyzed: posts.length,
+      avgEngagementPerTweet: engagementAnalysis.avgEngagement,
+      totalEngagement: engagementAnalysis.totalEngagement
     },
-    accountHealth: {
+    accountHealth: hasProfile ? {
       overallScore: calculateLinkedInHealth(data),
       rating: data.experiences?.length >= 3 ? 'Good' : data.experiences?.length >= 1 ? 'Fair' : 'Limited',
       factors: [
         `Profile Completeness: ${calculateProfileCompleteness(data)}%`,
-        `Professional Experience: ${data.experiences?.length || 0} positions`,
+        `Professional Experience: ${data.experiences?.length || 0} positions${tenureMonths > 0 ? ` over ${formatTenure(tenureMonths)}` : ''}`,
         `Skills Listed: ${data.skills?.length || 0}`,
         `Network Size: ${data.connections}`
       ]
-    },
+    } : null,
     analysis: {
       professionalLevel: professionalLevel,
       industryFocus: industryFocus,
       careerStage: careerStage,
       profileCompleteness: `${calculateProfileCompleteness(data)}%`,
-      networkStrength: data.connections.includes('+') ? 'Strong' : 'Growing'
+      networkStrength: String(data.connections || '').includes('+') ? 'Strong' : 'Growing'
     },
-    experience: (data.experiences || []).map(exp => ({
-      title: exp.title,
-      company: exp.company,
-      duration: exp.duration
-    })),
+    experience: (data.experiences || []).map(exp => Object.assign({}, exp)),
+    education: education,
+    certifications: certifications,
+    languages: languages,
+    volunteering: data.volunteering || [],
     skills: data.skills || [],
-    insights: insights,
+    insights: hasProfile ? insights : [`⚠️ No profile data: ${data.reason || 'the scrape did not return a profile'}${data.stateMessage ? ` (${data.stateMessage})` : ''}`],
     recommendations: recommendations,
     contentAnalysis: {
       contentTypes: {
@@ -677,6 +736,37 @@ function generateLinkedInReport(data, timestamp) {
       }
     }
   };
+
+  if (posts.length > 0) {
+    const behaviorAnalysis = analyzeBehavior(Object.assign({}, data, { tweets: posts }), postAnalysis);
+    report.contentAnalysis = {
+      primaryTopics: postAnalysis.topics,
+      sentimentDistribution: contentAnalysis.sentiment,
+      contentTypes: Object.assign({}, report.contentAnalysis.contentTypes, contentAnalysis.types),
+      hashtagUsage: contentAnalysis.hashtagStats,
+      mentionPattern: contentAnalysis.mentionStats,
+      linkSharingBehavior: contentAnalysis.linkStats
+    };
+    if (!data.import) {
+      report.engagementAnalysis = {
+        averageLikes: engagementAnalysis.avgLikes,
+        averageRetweets: engagementAnalysis.avgRetweets,
+        averageReplies: engagementAnalysis.avgReplies,
+        averageViews: engagementAnalysis.avgViews,
+        engagementRate: engagementAnalysis.engagementRate,
+        viralityScore: engagementAnalysis.viralityScore,
+        topPerformingTweets: engagementAnalysis.topTweets
+      };
+    }
+    report.behaviorAnalysis = {
+      activityPattern: behaviorAnalysis.activityPattern,
+      postingFrequency: `${posts.length} posts in recent activity`,
+      peakActivityTimes: behaviorAnalysis.peakTimes,
+      consistencyScore: behaviorAnalysis.consistencyScore
+    };
+  }
+
+  return report;
 }
 
 function calculateLinkedInHealth(data) {
@@ -694,41 +784,103 @@ function calculateLinkedInHealth(data) {
 
 function calculateProfileCompleteness(data) {
   let completeness = 0;
-  const totalFields = 7;
+  const totalFields = 8;
   
   if (data.name && data.name !== 'N/A') completeness++;
   if (data.headline && data.headline.length > 10) completeness++;
   if (data.about && data.about.length > 50) completeness++;
   if (data.location && data.location !== 'Not specified') completeness++;
-  if (data.experiences && data.experiences.length > 0) completeness++;
+  if (totalTenureMonths(data.experiences) > 0) completeness++;
+  if (data.education && data.education.length > 0) completeness++;
   if (data.skills && data.skills.length >= 3) completeness++;
   if (data.profileImage) completeness++;
   
   return Math.round((completeness / totalFields) * 100);
 }
 
+/**
+ * Months of work experience from the dated positions (see normalizeLinkedInProfile),
+ * counting overlapping positions once
+ */
+function totalTenureMonths(experiences) {
+  const ranges = (experiences || [])
+    .filter(exp => exp && exp.startDate && exp.months > 0)
+    .map(exp => {
+      const [year, month] = exp.startDate.split('-').map(Number);
+      const start = year * 12 + (month ? month - 1 : 0);
+      return [start, start + exp.months];
+    })
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let reached = -Infinity;
+  ranges.forEach(([start, end]) => {
+    if (end <= reached) return;
+    total += end - Math.max(start, reached);
+    reached = end;
+  });
+  return total;
+}
+
+// 114 -> "9 yrs 6 mos"
+function formatTenure(months) {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [years ? `${years} yr${years === 1 ? '' : 's'}` : '', rest ? `${rest} mo${rest === 1 ? '' : 's'}` : ''].filter(Boolean).join(' ') || '0 mos';
+}
+
 function determineProfessionalLevel(data) {
-  const expCount = data.experiences.length;
+  const expCount = (data.experiences || []).length;
   if (expCount >= 5) return 'Senior Professional';
   if (expCount >= 3) return 'Mid-Level Professional';
   if (expCount >= 1) return 'Early Career Professional';
   return 'Entry Level / Student';
 }
 
-function extractIndustry(headline) {
-  const industries = ['Technology', 'Finance', 'Marketing', 'Healthcare', 'Education', 'Engineering'];
-  const headlineLower = headline.toLowerCase();
-  
-  for (const industry of industries) {
-    if (headlineLower.includes(industry.toLowerCase())) {
-      return industry;
-    }
-  }
-  return 'Various Industries';
+const INDUSTRY_KEYWORDS = {
+  Technology: ['technology', 'software', 'developer', 'computer', 'data', 'cloud', 'devops', 'machine learning'],
+  Finance: ['finance', 'financial', 'bank', 'investment', 'accounting', 'fintech', 'insurance'],
+  Marketing: ['marketing', 'brand', 'seo', 'advertising', 'communications'],
+  Healthcare: ['healthcare', 'health', 'medical', 'medicine', 'clinical', 'nurse', 'pharma', 'hospital'],
+  Education: ['education', 'teacher', 'teaching', 'professor', 'lecturer'],
+  Engineering: ['engineering', 'mechanical', 'civil', 'electrical', 'manufacturing', 'hardware']
+};
+
+/**
+ * Industry with the most keyword hits across the headline and current roles (weighted
+ * higher), earlier roles and fields of study
+ */
+function extractIndustry(data) {
+  const experiences = data.experiences || [];
+  const texts = [[data.headline, 3]]
+    .concat(experiences.map(exp => [`${exp.title} ${exp.company}`, exp.current ? 2 : 1]))
+    .concat((data.education || []).map(edu => [`${edu.degree} ${edu.field}`, 1]));
+
+  const scores = {};
+  texts.forEach(([text, weight]) => {
+    const lower = String(text || '').toLowerCase();
+    Object.keys(INDUSTRY_KEYWORDS).forEach(industry => {
+      if (INDUSTRY_KEYWORDS[industry].some(word => lower.includes(word))) {
+        scores[industry] = (scores[industry] || 0) + weight;
+      }
+    });
+  });
+
+  const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return best ? best[0] : 'Various Industries';
 }
 
-function determineCareerStage(experiences) {
-  const totalExperiences = experiences.length;
+// Stage by years of work experience; undated positions fall back to their number
+function determineCareerStage(data) {
+  const months = totalTenureMonths(data.experiences);
+  if (months > 0) {
+    const years = months / 12;
+    const label = years >= 15 ? 'Senior' : years >= 8 ? 'Experienced' : years >= 3 ? 'Mid-Career' : 'Early Career';
+    return `${label} (${formatTenure(months)})`;
+  }
+  if ((data.education || []).some(edu => edu.current)) return 'Student';
+
+  const totalExperiences = (data.experiences || []).length;
   if (totalExperiences >= 5) return 'Experienced (5+ positions)';
   if (totalExperiences >= 3) return 'Mid-Career (3-4 positions)';
   if (totalExperiences >= 1) return 'Early Career (1-2 positions)';
@@ -762,4 +914,4 @@ function generateLinkedInRecommendations(data) {
   return recommendations;
 }
 
-module.exports = { generateReport };
\ No newline at end of file
+module.exports = { generateTwitterReport, generateLinkedInReport };
\ No newline at end of file
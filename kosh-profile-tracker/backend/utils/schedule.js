@@ -0,0 +1,121 @@
+// backend/utils/schedule.js
+// Schedule expressions for watchlist re-scans. Supported forms:
+// - "every 30m", "every 6h", "every 1d"   fixed interval since the last run
+// - "@hourly", "@daily", "@weekly"        cron shorthands
+// - "*/30 * * * *"                         5-field cron (minute hour day-of-month month day-of-week)
+//                                          with *, */n, a-b, a-b/n and comma lists; as in
+//                                          standard cron, a day matches either day field
+//                                          when both are restricted
+// Runs must be at least 5 minutes apart, and a cron expression must match within a year.
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0'
+};
+
+const FIELD_RANGES = [
+  { min: 0, max: 59 }, // minute
+  { min: 0, max: 23 }, // hour
+  { min: 1, max: 31 }, // day of month
+  { min: 1, max: 12 }, // month
+  { min: 0, max: 6 }   // day of week (0 = Sunday)
+];
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MIN_INTERVAL_MS = 5 * 60 * 1000;
+// How far ahead next() looks for a matching time
+const HORIZON_MS = 366 * UNIT_MS.d;
+
+function parseField(field, { min, max }) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron field "${field}"`);
+    let lo = min;
+    let hi = max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-').map(Number);
+      lo = a;
+      hi = b === undefined ? (m[2] ? max : a) : b;
+    }
+    const step = m[2] ? Number(m[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`Cron field "${field}" out of range ${min}-${max}`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Shortest gap in ms between two runs of the minute and hour sets; the gap across an hour
+// boundary only counts when two consecutive hours are both allowed
+function shortestCronGap(minutes, hours) {
+  const mins = Array.from(minutes).sort((a, b) => a - b);
+  let gap = Infinity;
+  for (let i = 1; i < mins.length; i++) gap = Math.min(gap, mins[i] - mins[i - 1]);
+  if (Array.from(hours).some(h => hours.has((h + 1) % 24))) {
+    gap = Math.min(gap, 60 - mins[mins.length - 1] + mins[0]);
+  }
+  return gap * UNIT_MS.m;
+}
+
+/**
+ * Parse a schedule expression.
+ * Returns { expression, next(fromMs, lastRunMs) } where next() gives the next due time in ms.
+ * Throws on invalid expressions.
+ */
+function parseSchedule(expression) {
+  const expr = String(expression || '').trim().toLowerCase();
+
+  const interval = expr.match(/^every\s+(\d+)\s*([mhd])$/);
+  if (interval) {
+    const ms = Number(interval[1]) * UNIT_MS[interval[2]];
+    if (ms < MIN_INTERVAL_MS) throw new Error('Schedule interval must be at least 5 minutes');
+    return {
+      expression: expr,
+      next: (fromMs, lastRunMs) => (lastRunMs ? Math.max(lastRunMs + ms, fromMs) : fromMs)
+    };
+  }
+
+  const cron = SHORTHANDS[expr] || expr;
+  const fields = cron.split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Invalid schedule "${expression}" - use "every 6h" or a 5-field cron expression`);
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELD_RANGES[i]));
+  if (shortestCronGap(minutes, hours) < MIN_INTERVAL_MS) {
+    throw new Error('Schedule interval must be at least 5 minutes');
+  }
+
+  // A day field starting with "*" is unrestricted; two restricted ones match either way
+  const eitherDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+  const dayMatches = (d) => (eitherDay
+    ? days.has(d.getDate()) || weekdays.has(d.getDay())
+    : days.has(d.getDate()) && weekdays.has(d.getDay()));
+
+  const schedule = {
+    expression: cron,
+    next: (fromMs) => {
+      const d = new Date(fromMs);
+      d.setSeconds(0, 0);
+      d.setMinutes(d.getMinutes() + 1);
+      // Skip whole days and hours that cannot match; bounded so impossible dates (31 Feb) end
+      while (d.getTime() <= fromMs + HORIZON_MS) {
+        if (!months.has(d.getMonth() + 1) || !dayMatches(d)) {
+          d.setDate(d.getDate() + 1);
+          d.setHours(0, 0, 0, 0);
+        } else if (!hours.has(d.getHours())) {
+          d.setHours(d.getHours() + 1, 0, 0, 0);
+        } else if (!minutes.has(d.getMinutes())) {
+          d.setMinutes(d.getMinutes() + 1);
+        } else {
+          return d.getTime();
+        }
+      }
+      return null;
+    }
+  };
+  if (schedule.next(Date.now()) === null) {
+    throw new Error(`Schedule "${expression}" never runs within a year`);
+  }
+  return schedule;
+}
+
+module.exports = { parseSchedule };
@@ -0,0 +1,119 @@
+// backend/utils/scrapeOptions.js
+// Per-request Twitter scrape options accepted by the analyze and job APIs.
+// Wrong types are rejected; numbers outside the server limits are clamped, and the
+// applied values are reported back with the run.
+
+const LIMITS = {
+  lookbackDays: { min: 1, max: 1825 },
+  minTweets: { min: 1, max: 2000 },
+  maxTweets: { min: 1, max: 5000 },
+  timeBudgetSec: { min: 30, max: 1800 }
+};
+
+const DEFAULTS = {
+  lookbackDays: 365,
+  since: '',
+  until: '',
+  minTweets: 50,
+  maxTweets: null,
+  timeBudgetSec: 600,
+  sources: null,
+  snapshots: true,
+  mode: 'timeline',
+  keywords: ''
+};
+
+const MODES = ['timeline', 'search'];
+const MAX_KEYWORDS_LENGTH = 200;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, Math.round(value)));
+
+function invalid(field, message) {
+  return { error: 'Invalid scrape options', message: `${field}: ${message}` };
+}
+
+function parseDate(value) {
+  const d = new Date(value);
+  return typeof value === 'string' && value.trim() && !isNaN(d.getTime()) ? d : null;
+}
+
+/**
+ * Validate and clamp raw scrape options (all optional):
+ * - lookbackDays: number - days back from now to collect (ignored when `since` is set)
+ * - since, until: string - explicit date range (ISO dates); `until` defaults to now
+ * - minTweets: number - a source yielding fewer tweets is followed by the next source
+ * - maxTweets: number - stop collecting at this many tweets
+ * - timeBudgetSec: number - overall time budget of the scrape
+ * - sources: string[] - source types to use, in order (see twitterSources)
+ * - snapshots: boolean - save debug HTML snapshots while scraping
+ * - mode: 'timeline' | 'search' - scroll the profile timeline, or read search results for
+ *   the handle and date range (defaults to 'search' when keywords are given)
+ * - keywords: string - search terms, search mode only
+ *
+ * `knownSources` lists the accepted source types.
+ * Returns { options } with every field filled in, or { error, message }.
+ */
+function normalizeScrapeOptions(raw, knownSources = []) {
+  if (raw === undefined || raw === null) return { options: Object.assign({}, DEFAULTS) };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return invalid('scrapeOptions', 'must be an object');
+
+  const options = Object.assign({}, DEFAULTS);
+
+  for (const field of Object.keys(LIMITS)) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+    const value = Number(raw[field]);
+    if (!Number.isFinite(value)) return invalid(field, 'must be a number');
+    options[field] = clamp(value, LIMITS[field]);
+  }
+
+  if (options.maxTweets !== null && options.minTweets > options.maxTweets) {
+    options.minTweets = options.maxTweets;
+  }
+
+  // The window never reaches further back than the lookback limit
+  const earliest = Date.now() - LIMITS.lookbackDays.max * 24 * 60 * 60 * 1000;
+  for (const field of ['since', 'until']) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+    const d = parseDate(raw[field]);
+    if (!d) return invalid(field, 'must be a date such as 2025-01-31');
+    options[field] = new Date(Math.max(d.getTime(), earliest)).toISOString();
+  }
+  if (options.since && options.until && options.since >= options.until) {
+    return invalid('since', 'must be before until');
+  }
+
+  if (raw.sources !== undefined && raw.sources !== null) {
+    if (!Array.isArray(raw.sources) || raw.sources.some(s => typeof s !== 'string')) {
+      return invalid('sources', 'must be a list of source types');
+    }
+    const unknown = raw.sources.filter(s => !knownSources.includes(s));
+    if (unknown.length > 0) return invalid('sources', `unknown source type(s) ${unknown.join(', ')}; available: ${knownSources.join(', ')}`);
+    const sources = Array.from(new Set(raw.sources));
+    options.sources = sources.length > 0 ? sources : null;
+  }
+
+  if (raw.snapshots !== undefined) {
+    if (typeof raw.snapshots !== 'boolean') return invalid('snapshots', 'must be true or false');
+    options.snapshots = raw.snapshots;
+  }
+
+  if (raw.keywords !== undefined && raw.keywords !== null) {
+    if (typeof raw.keywords !== 'string') return invalid('keywords', 'must be a string');
+    if (raw.keywords.length > MAX_KEYWORDS_LENGTH) return invalid('keywords', `must be at most ${MAX_KEYWORDS_LENGTH} characters`);
+    options.keywords = raw.keywords.replace(/\s+/g, ' ').trim();
+  }
+
+  if (raw.mode !== undefined && raw.mode !== null && raw.mode !== '') {
+    if (!MODES.includes(raw.mode)) return invalid('mode', `must be one of ${MODES.join(', ')}`);
+    options.mode = raw.mode;
+  } else if (options.keywords) {
+    options.mode = 'search';
+  }
+  if (options.keywords && options.mode !== 'search') {
+    return invalid('keywords', 'only apply to search mode');
+  }
+
+  return { options };
+}
+
+module.exports = { normalizeScrapeOptions, SCRAPE_LIMITS: LIMITS, SCRAPE_DEFAULTS: DEFAULTS };
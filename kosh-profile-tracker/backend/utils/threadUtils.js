@@ -0,0 +1,83 @@
+// backend/utils/threadUtils.js
+// Thread reconstruction from conversation pages, and thread-level counts for reports.
+// A thread is { id, author, openedId, source, parent, tweets }: `tweets` is the author's own
+// chain oldest first, each with an `inReplyToId`; `parent` is the tweet by someone else
+// the chain answers (null for a thread that starts a conversation).
+
+// "🧵", "thread", or "1/" / "1/5" numbering announce a thread
+const THREAD_MARKER = /🧵|\bthread\b|(^|\s)1\s*\/\s*\d*(\s|$)/i;
+
+function authorOf(t) {
+  return String((t && t.author) || '').toLowerCase();
+}
+
+/**
+ * Status ids worth opening for thread reconstruction, at most `max`:
+ * replies to the account itself first, then replies to others, then tweets that
+ * announce a thread. Retweets are never selected.
+ */
+function selectThreadCandidates(tweets = [], handle = '', max = 10) {
+  const own = `@${String(handle).replace('@', '').toLowerCase()}`;
+  const usable = tweets.filter(t => t.id && !t.isRetweet);
+  const selfReplies = usable.filter(t => t.isReply && (t.replyTo || []).includes(own));
+  const replies = usable.filter(t => t.isReply && !selfReplies.includes(t));
+  const starters = usable.filter(t => !t.isReply && THREAD_MARKER.test(String(t.text || '')));
+
+  const ids = Array.from(new Set(selfReplies.concat(replies, starters).map(t => t.id)));
+  return ids.slice(0, Math.max(0, max));
+}
+
+/**
+ * Build a thread from the normalized tweets of a conversation page (in page order).
+ * The opened tweet is found by `statusId`, falling back to `focalIndex`; the chain grows
+ * in both directions while the author stays the same. Returns null when the opened
+ * tweet is not on the page.
+ */
+function buildThread(tweets = [], statusId = '', focalIndex = -1) {
+  let focal = tweets.findIndex(t => t.id && t.id === String(statusId));
+  if (focal === -1) focal = focalIndex;
+  if (focal < 0 || focal >= tweets.length) return null;
+
+  const author = authorOf(tweets[focal]);
+  // Without an author there is nothing to chain on: the opened tweet stands alone
+  const sameAuthor = (t) => !!author && authorOf(t) === author;
+  let start = focal;
+  while (start > 0 && sameAuthor(tweets[start - 1])) start--;
+  let end = focal;
+  while (end < tweets.length - 1 && sameAuthor(tweets[end + 1])) end++;
+
+  const parent = start > 0 ? tweets[start - 1] : null;
+  const chain = tweets.slice(start, end + 1).map((t, i, list) =>
+    Object.assign({}, t, { inReplyToId: i > 0 ? list[i - 1].id : (parent ? parent.id : '') }));
+
+  return {
+    id: chain[0].id,
+    author: tweets[focal].author || '',
+    openedId: tweets[focal].id,
+    parent: parent ? Object.assign({}, parent, { inReplyToId: start > 1 ? tweets[start - 2].id : '' }) : null,
+    tweets: chain
+  };
+}
+
+/**
+ * Thread-level counts for a report. Timeline tweets that belong to a reconstructed
+ * thread count once, as their thread; `units` is that total.
+ */
+function summarizeThreads(tweets = [], threads = []) {
+  const threaded = new Set();
+  threads.forEach(th => (th.tweets || []).forEach(t => { if (t.id) threaded.add(t.id); }));
+  const lengths = threads.map(th => (th.tweets || []).length);
+  const total = lengths.reduce((s, n) => s + n, 0);
+
+  return {
+    threads: threads.length,
+    selfThreads: lengths.filter(n => n > 1).length,
+    replyThreads: threads.filter(th => th.parent).length,
+    tweetsInThreads: total,
+    longestThread: lengths.length > 0 ? Math.max(...lengths) : 0,
+    averageThreadLength: threads.length > 0 ? Number((total / threads.length).toFixed(1)) : 0,
+    units: tweets.filter(t => !(t.id && threaded.has(t.id))).length + threads.length
+  };
+}
+
+module.exports = { selectThreadCandidates, buildThread, summarizeThreads };
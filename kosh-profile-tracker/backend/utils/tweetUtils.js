@@ -0,0 +1,87 @@
+// backend/utils/tweetUtils.js
+// Small helpers shared by everything that compares or combines tweet lists
+
+/** Stable identity for a tweet: status id, then permalink, then time + text prefix */
+function tweetKey(t) {
+  return t.id || t.permalink || `${t.time}|${String(t.text || '').slice(0, 100)}`;
+}
+
+function tweetTime(t) {
+  const ms = t && t.time ? new Date(t.time).getTime() : NaN;
+  return isNaN(ms) ? null : ms;
+}
+
+function sortNewestFirst(tweets) {
+  return tweets.slice().sort((a, b) => (tweetTime(b) || 0) - (tweetTime(a) || 0));
+}
+
+// Pinned tweets and retweets carry an older tweet's time wherever they sit in the timeline
+function isOutOfOrder(t) {
+  return !!(t.isPinned || t.isRetweet);
+}
+
+/**
+ * Oldest time of the stretch of timeline a scrape read without gaps: its own tweets newest
+ * first, through the first streak of tweets it already had. Null when there are none.
+ */
+function readWindowStart(freshTweets, stored) {
+  let start = null;
+  let inStreak = false;
+  for (const t of sortNewestFirst(freshTweets.filter(t => !isOutOfOrder(t)))) {
+    const ms = tweetTime(t);
+    if (ms === null) continue;
+    const known = stored.has(tweetKey(t));
+    if (inStreak && !known) break;
+    inStreak = inStreak || known;
+    start = ms;
+  }
+  return start;
+}
+
+/**
+ * Merge freshly scraped tweets into a stored set.
+ * Fresh copies win (so engagement counts are refreshed); stored tweets the new scrape
+ * did not reach are kept unless they are older than `cutoffMs`.
+ * Options:
+ * - dropUnseen: boolean - the fresh tweets are the timeline as it is now, so stored tweets
+ *   inside the stretch it read without gaps (see readWindowStart) that were not returned
+ *   (deleted since) are dropped instead of kept; pinned tweets and retweets are never dropped
+ * Returns { tweets, added, refreshed, kept, dropped }.
+ */
+function mergeTweets(storedTweets = [], freshTweets = [], cutoffMs = null, options = {}) {
+  const merged = new Map();
+  let refreshed = 0;
+  let kept = 0;
+  let dropped = 0;
+
+  const stored = new Map(storedTweets.map(t => [tweetKey(t), t]));
+  const windowStart = options.dropUnseen ? readWindowStart(freshTweets, stored) : null;
+
+  freshTweets.forEach(t => {
+    const key = tweetKey(t);
+    if (stored.has(key)) refreshed++;
+    merged.set(key, t);
+  });
+
+  stored.forEach((t, key) => {
+    if (merged.has(key)) return;
+    const ms = tweetTime(t);
+    if (cutoffMs !== null && ms !== null && ms < cutoffMs) return;
+    if (windowStart !== null && ms !== null && ms >= windowStart && !isOutOfOrder(t)) {
+      dropped++;
+      return;
+    }
+    merged.set(key, t);
+    kept++;
+  });
+
+  return {
+    tweets: sortNewestFirst(Array.from(merged.values())),
+    added: freshTweets.length - refreshed,
+    refreshed,
+    kept,
+    dropped
+  };
+}
+
+module.exports = { tweetKey, tweetTime, sortNewestFirst, mergeTweets };
@@ -0,0 +1,96 @@
+// backend/utils/zipReader.js
+// Minimal ZIP reader for uploaded archives (LinkedIn data exports): lists the entries from
+// the central directory and inflates single entries on demand. Stored and deflated
+// entries are supported; ZIP64, encryption and multi-disk archives are not.
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const DEFAULT_MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+function fail(message) {
+  throw new Error(`Invalid ZIP archive: ${message}`);
+}
+
+// The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+function findEndOfCentralDirectory(buffer) {
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+/**
+ * Open a ZIP archive held in memory.
+ * Options:
+ * - maxEntryBytes: number (default 50 MB) - larger uncompressed entries are refused
+ *
+ * Returns { entries, read(name) }: `entries` lists { name, size, compressedSize } for the
+ * files (directories are skipped); `read` returns an entry's contents as a Buffer, or null
+ * when there is no such entry.
+ */
+function openZip(buffer, options = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) fail('file is too short');
+  const maxEntryBytes = options.maxEntryBytes || DEFAULT_MAX_ENTRY_BYTES;
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd === -1) fail('end of central directory not found');
+  const count = buffer.readUInt16LE(eocd + 10);
+  const directorySize = buffer.readUInt32LE(eocd + 12);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) fail('ZIP64 archives are not supported');
+  if (offset + directorySize > eocd) fail('central directory out of range');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) fail('corrupt central directory');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    // Bit 11: the name is UTF-8; older tools write CP437, which matches for ASCII names
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    entries.push({
+      name,
+      flags,
+      method: buffer.readUInt16LE(offset + 10),
+      crc: buffer.readUInt32LE(offset + 16),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  const files = entries.filter(entry => !entry.name.endsWith('/'));
+
+  function read(name) {
+    const entry = files.find(e => e.name === name);
+    if (!entry) return null;
+    if (entry.flags & 0x1) fail(`${name} is encrypted`);
+    if (entry.size > maxEntryBytes) fail(`${name} is larger than ${maxEntryBytes} bytes`);
+
+    const local = entry.localOffset;
+    if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) fail(`corrupt local header for ${name}`);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const raw = buffer.subarray(start, start + entry.compressedSize);
+    if (raw.length !== entry.compressedSize) fail(`${name} is truncated`);
+
+    let data;
+    if (entry.method === 0) data = Buffer.from(raw);
+    else if (entry.method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: maxEntryBytes });
+    else fail(`${name} uses unsupported compression method ${entry.method}`);
+
+    if (data.length !== entry.size) fail(`${name} has the wrong size`);
+    if (typeof zlib.crc32 === 'function' && zlib.crc32(data) !== entry.crc) fail(`${name} fails its checksum`);
+    return data;
+  }
+
+  return {
+    entries: files.map(({ name, size, compressedSize }) => ({ name, size, compressedSize })),
+    read
+  };
+}
+
+module.exports = { openZip };
@@ -1,46 +1,110 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 import axios from 'axios';
 
 const API_BASE_URL = 'http://localhost:3000';
 
 function App() {
-  const [selectedPlatform, setSelectedPlatform] = useState('twitter');
+  // Platforms from GET /api/platforms: { id, label, placeholder, iconPath, features }
+  const [platforms, setPlatforms] = useState([]);
+  const [selectedPlatform, setSelectedPlatform] = useState('');
   const [handle, setHandle] = useState('');
   const [loading, setLoading] = useState(false);
   const [report, setReport] = useState(null);
   const [pdfUrl, setPdfUrl] = useState('');
   const [notification, setNotification] = useState({ show: false, message: '', type: '' });
+  const [progress, setProgress] = useState({ message: '', detail: '', log: [] });
+  // Job whose checkpoint can be resumed (a failed run or a partial report)
+  const [resumableJobId, setResumableJobId] = useState('');
+  // Result of a run that found the account missing, suspended, protected or rate limited
+  const [unavailable, setUnavailable] = useState(null);
+  // Advanced Twitter scrape options; empty fields use the server defaults
+  const [advanced, setAdvanced] = useState(DEFAULT_ADVANCED_OPTIONS);
+  const eventSourceRef = useRef(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/platforms`)
+      .then(response => {
+        const list = response.data.platforms || [];
+        setPlatforms(list);
+        if (list.length > 0) setSelectedPlatform(list[0].id);
+      })
+      .catch(error => {
+        console.error('Error:', error);
+        showNotification('Could not load the platform list. Is the server running?', 'error');
+      });
+  }, []);
+
+  // Close any open progress stream when the app unmounts
+  useEffect(() => () => {
+    if (eventSourceRef.current) eventSourceRef.current.close();
+  }, []);
 
   const showNotification = (message, type) => {
     setNotification({ show: true, message, type });
     setTimeout(() => setNotification({ show: false, message: '', type: '' }), 4000);
   };
 
+  const currentPlatform = platforms.find(p => p.id === selectedPlatform) || null;
+  const hasFeature = (feature) => !!currentPlatform && currentPlatform.features.includes(feature);
+
   const analyzeProfile = async () => {
     if (!handle.trim()) {
       showNotification('Please enter a profile handle or URL', 'error');
       return;
     }
+    if (!selectedPlatform) {
+      showNotification('Please choose a platform', 'error');
+      return;
+    }
+
+    await runJob(() => axios.post(`${API_BASE_URL}/api/jobs`, {
+      handle: handle.trim(),
+      platform: selectedPlatform,
+      ...(hasFeature('scrapeOptions') ? advancedRequestFields(advanced) : {})
+    }));
+  };
 
+  const resumeAnalysis = () => runJob(() => axios.post(`${API_BASE_URL}/api/jobs/${resumableJobId}/resume`));
+
+  // Start a job with `startJob()` and show its report once it finishes
+  const runJob = async (startJob) => {
     setLoading(true);
     setReport(null);
+    setUnavailable(null);
+    setProgress({ message: 'Starting analysis...', detail: '', log: [] });
 
+    let jobId = '';
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/analyze`, {
-        handle: handle.trim(),
-        platform: selectedPlatform
-      });
-
-      if (response.data.success) {
-        setReport(response.data.report);
-        setPdfUrl(response.data.pdfUrl);
-        showNotification('✅ Comprehensive report generated successfully!', 'success');
+      const response = await startJob();
+      jobId = response.data.jobId;
+
+      const result = await waitForJob(jobId);
+
+      if (result.success) {
+        setReport(result.report);
+        setPdfUrl(result.pdfUrl);
+        // Only Twitter scans leave a checkpoint to resume from
+        const resumable = result.report.partial && result.report.checkpointId;
+        setResumableJobId(resumable ? jobId : '');
+        if (resumable) {
+          showNotification('⚠️ Partial report: the scan stopped early. You can resume it.', 'error');
+        } else if (result.report.partial) {
+          showNotification(`⚠️ Partial report: ${result.report.partialReason || 'part of the profile could not be read'}`, 'error');
+        } else {
+          showNotification('✅ Comprehensive report generated successfully!', 'success');
+        }
+      } else {
+        // A rate-limited scan keeps its checkpoint and can be retried later
+        setResumableJobId(result.checkpointId ? jobId : '');
+        if (ACCOUNT_STATES[result.accountState]) setUnavailable(result);
+        showNotification(result.message || 'Failed to analyze profile.', 'error');
       }
     } catch (error) {
+      setResumableJobId(error.checkpointId ? jobId : '');
       console.error('Error:', error);
       showNotification(
-        error.response?.data?.message || 'Failed to analyze profile. Please try again.',
+        error.response?.data?.message || error.message || 'Failed to analyze profile. Please try again.',
         'error'
       );
     } finally {
@@ -48,6 +112,55 @@ function App() {
     }
   };
 
+  // Follow the job's Server-Sent Events stream until it finishes, then fetch the result
+  const waitForJob = (jobId) => new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`);
+    eventSourceRef.current = source;
+
+    source.addEventListener('phase', (e) => {
+      const event = JSON.parse(e.data);
+      setProgress((prev) => ({
+        ...prev,
+        message: event.message || prev.message,
+        log: event.message
+          ? [...prev.log, `${new Date(event.at).toLocaleTimeString()} - ${event.message}`]
+          : prev.log
+      }));
+    });
+
+    source.addEventListener('scroll', (e) => {
+      const event = JSON.parse(e.data);
+      setProgress((prev) => ({
+        ...prev,
+        detail: `${event.source}: scroll ${event.scroll} - ${event.tweets} tweets collected`
+      }));
+    });
+
+    source.addEventListener('status', async (e) => {
+      const event = JSON.parse(e.data);
+      if (event.status !== 'completed' && event.status !== 'failed') return;
+      source.close();
+      eventSourceRef.current = null;
+      try {
+        const { data: job } = await axios.get(`${API_BASE_URL}/api/jobs/${jobId}`);
+        if (job.status === 'completed') return resolve(job.result);
+        const failure = new Error(job.error || 'Analysis failed');
+        failure.checkpointId = job.checkpointId || '';
+        reject(failure);
+      } catch (err) {
+        reject(err);
+      }
+    });
+
+    source.onerror = () => {
+      // EventSource reconnects on its own while the job is still running
+      if (source.readyState === EventSource.CLOSED) {
+        eventSourceRef.current = null;
+        reject(new Error('Lost connection to the analysis job'));
+      }
+    };
+  });
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       analyzeProfile();
@@ -60,11 +173,7 @@ function App() {
     }
   };
 
-  const getPlaceholder = () => {
-    return selectedPlatform === 'twitter'
-      ? 'e.g., @elonmusk or elonmusk'
-      : 'e.g., linkedin.com/in/username or username';
-  };
+  const getPlaceholder = () => (currentPlatform ? currentPlatform.placeholder : '');
 
   return (
     <div className="App">
@@ -92,24 +201,18 @@ function App() {
             <h2 className="section-title">🔍 Profile Deep Scan</h2>
 
             <div className="platform-selector">
-              <button
-                className={`platform-btn ${selectedPlatform === 'twitter' ? 'active' : ''}`}
-                onClick={() => setSelectedPlatform('twitter')}
-              >
-                <svg viewBox="0 0 24 24" width="24" height="24">
-                  <path fill="currentColor" d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/>
-                </svg>
-                Twitter
-              </button>
-              <button
-                className={`platform-btn ${selectedPlatform === 'linkedin' ? 'active' : ''}`}
-                onClick={() => setSelectedPlatform('linkedin')}
-              >
-                <svg viewBox="0 0 24 24" width="24" height="24">
-                  <path fill="currentColor" d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
-                </svg>
-                LinkedIn
-              </button>
+              {platforms.map(platform => (
+                <button
+                  key={platform.id}
+                  className={`platform-btn ${selectedPlatform === platform.id ? 'active' : ''}`}
+                  onClick={() => setSelectedPlatform(platform.id)}
+                >
+                  <svg viewBox="0 0 24 24" width="24" height="24">
+                    <path fill="currentColor" d={platform.iconPath}/>
+                  </svg>
+                  {platform.label}
+                </button>
+              ))}
             </div>
 
             <div className="input-group">
@@ -127,6 +230,10 @@ function App() {
               />
             </div>
 
+            {hasFeature('scrapeOptions') && (
+              <AdvancedOptionsPanel options={advanced} onChange={setAdvanced} />
+            )}
+
             <button
               className="analyze-btn"
               onClick={analyzeProfile}
@@ -138,15 +245,31 @@ function App() {
               <span className="btn-icon">→</span>
             </button>
 
+            {resumableJobId && !loading && (
+              <button className="analyze-btn" onClick={resumeAnalysis}>
+                <span className="btn-text">♻️ Resume Interrupted Scan</span>
+                <span className="btn-icon">→</span>
+              </button>
+            )}
+
             {loading && (
               <div className="loading-indicator">
                 <div className="spinner"></div>
-                <p className="loading-text">Performing deep analysis...</p>
-                <p className="loading-subtext">Scraping profile, analyzing behavior, detecting patterns...</p>
+                <p className="loading-text">{progress.message || 'Performing deep analysis...'}</p>
+                <p className="loading-subtext">{progress.detail || 'Scraping profile, analyzing behavior, detecting patterns...'}</p>
+                {progress.log.length > 0 && (
+                  <ul className="progress-log">
+                    {progress.log.map((entry, idx) => (
+                      <li key={idx}>{entry}</li>
+                    ))}
+                  </ul>
+                )}
               </div>
             )}
           </div>
 
+          {unavailable && <AccountStateCard result={unavailable} />}
+
           {report && (
             <div className="report-section">
               <div className="report-header glass-card">
@@ -163,6 +286,23 @@ function App() {
               </div>
 
               <div className="report-content">
+                {/* Partial dataset notice */}
+                {report.partial && (
+                  <div className="report-card glass-card warning-card">
+                    <h3>⚠️ Partial Dataset</h3>
+                    {report.checkpointId ? (
+                      <p>
+                        {report.partialReason || 'The scan did not finish'} - only {report.statistics.tweetsAnalyzed} tweets were collected.
+                        Resume the scan to continue where it stopped.
+                      </p>
+                    ) : (
+                      <p>
+                        {report.partialReason || 'Part of the profile could not be read.'} The figures below cover only the sections that were read.
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Profile Overview */}
                 <ProfileCard profile={report.profile} />
 
@@ -194,6 +334,16 @@ function App() {
                   <EngagementAnalysisCard engagement={report.engagementAnalysis} />
                 )}
 
+                {/* Audience Quality (sampled followers / following) */}
+                {report.audienceQuality && (
+                  <AudienceQualityCard audience={report.audienceQuality} />
+                )}
+
+                {/* Scrape options the server applied */}
+                {report.scrapeOptions && (
+                  <ScanSettingsCard options={report.scrapeOptions} search={report.search} />
+                )}
+
                 {/* Recent Activity */}
                 {report.recentActivity?.tweets && (
                   <RecentActivityCard activity={report.recentActivity} />
@@ -204,6 +354,15 @@ function App() {
                   <ExperienceCard experiences={report.experience} />
                 )}
 
+                {/* Education, certifications and languages (LinkedIn) */}
+                {[report.education, report.certifications, report.languages].some(list => list && list.length > 0) && (
+                  <EducationCard
+                    education={report.education || []}
+                    certifications={report.certifications || []}
+                    languages={report.languages || []}
+                  />
+                )}
+
                 {/* Skills (LinkedIn) */}
                 {report.skills && report.skills.length > 0 && (
                   <SkillsCard skills={report.skills} />
@@ -238,8 +397,18 @@ function App() {
 // Enhanced Components
 
 function ProfileCard({ profile }) {
+  const affiliation = profile.affiliation
+    ? [profile.affiliation.name, profile.affiliation.handle].filter(Boolean).join(' ')
+    : '';
   return (
     <div className="report-card glass-card highlight-card">
+      {profile.bannerImage && (
+        <img
+          src={profile.bannerImage}
+          alt="Profile banner"
+          style={{ width: '100%', maxHeight: '180px', objectFit: 'cover', borderRadius: '12px', marginBottom: '1rem' }}
+        />
+      )}
       <div className="card-header">
         <h3>👤 Profile Overview</h3>
         {profile.verified && <span className="verified-badge">✓ Verified</span>}
@@ -251,6 +420,10 @@ function ProfileCard({ profile }) {
         <InfoItem label="Website" value={profile.website} />
         <InfoItem label="Joined" value={profile.joinDate} />
         <InfoItem label="Account Age" value={profile.accountAge} />
+        {profile.postsCount > 0 && <InfoItem label="Posts" value={profile.postsCount.toLocaleString()} />}
+        {profile.likesCount > 0 && <InfoItem label="Likes" value={profile.likesCount.toLocaleString()} />}
+        {profile.professionalCategory && <InfoItem label="Category" value={profile.professionalCategory} />}
+        {affiliation && <InfoItem label="Affiliation" value={affiliation} />}
       </div>
       {profile.bio && (
         <div className="bio-section">
@@ -258,6 +431,15 @@ function ProfileCard({ profile }) {
           <p className="bio-text">{profile.bio}</p>
         </div>
       )}
+      {profile.pinnedTweet && profile.pinnedTweet.text && (
+        <div className="bio-section">
+          <div className="info-label">📌 Pinned</div>
+          <p className="bio-text">{profile.pinnedTweet.text}</p>
+          {profile.pinnedTweet.time && (
+            <p style={{ fontSize: '0.85rem', opacity: 0.7 }}>{new Date(profile.pinnedTweet.time).toLocaleDateString()}</p>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -529,6 +711,176 @@ function EngagementAnalysisCard({ engagement }) {
   );
 }
 
+// Icon, title and next step for each reason an account cannot be analyzed
+const ACCOUNT_STATES = {
+  not_found: { icon: '🔍', title: 'Account not found', hint: 'Check the handle for typos; the account may have been renamed or deleted.' },
+  suspended: { icon: '⛔', title: 'Account suspended', hint: 'Suspended accounts show no profile or posts.' },
+  protected: { icon: '🔒', title: 'Posts are protected', hint: 'If you are authorized to view this account, add a signed-in cookie jar for the desktop source in config/scraper.json.' },
+  rate_limited: { icon: '🚦', title: 'Rate limited', hint: 'The sources are throttling requests. Wait a few minutes, then resume the scan.' },
+  blocked: { icon: '🚧', title: 'Blocked by LinkedIn', hint: "Add a signed-in cookie jar for linkedin in config/scraper.json, or import the profile's LinkedIn data export." },
+  error: { icon: '⚠️', title: 'Scrape failed', hint: 'The page did not load as expected. Try again later; no report or score was produced.' }
+};
+
+function AccountStateCard({ result }) {
+  const state = ACCOUNT_STATES[result.accountState];
+  return (
+    <div className={`account-state-card glass-card state-${result.accountState}`}>
+      <div className="account-state-icon">{state.icon}</div>
+      <h3>{state.title}</h3>
+      <p>{result.message}</p>
+      <p className="account-state-hint">{state.hint}</p>
+    </div>
+  );
+}
+
+const SOURCE_TYPES = ['nitter', 'mobile', 'desktop'];
+
+const DEFAULT_ADVANCED_OPTIONS = {
+  lookbackDays: '',
+  since: '',
+  until: '',
+  minTweets: '',
+  maxTweets: '',
+  timeBudgetSec: '',
+  sources: SOURCE_TYPES,
+  snapshots: true,
+  mode: 'timeline',
+  keywords: '',
+  threads: false,
+  audience: false,
+  archiveMedia: false
+};
+
+// Job request fields for the advanced options; blank inputs are left out
+function advancedRequestFields(options) {
+  const number = (value) => (value === '' ? undefined : Number(value));
+  return {
+    threads: options.threads,
+    audience: options.audience,
+    archiveMedia: options.archiveMedia,
+    scrapeOptions: {
+      lookbackDays: number(options.lookbackDays),
+      since: options.since || undefined,
+      until: options.until || undefined,
+      minTweets: number(options.minTweets),
+      maxTweets: number(options.maxTweets),
+      timeBudgetSec: number(options.timeBudgetSec),
+      sources: options.sources.length > 0 ? options.sources : undefined,
+      snapshots: options.snapshots,
+      mode: options.mode,
+      keywords: options.mode === 'search' ? options.keywords.trim() || undefined : undefined
+    }
+  };
+}
+
+function AdvancedOptionsPanel({ options, onChange }) {
+  const set = (field, value) => onChange({ ...options, [field]: value });
+  const toggleSource = (source) => set('sources', options.sources.includes(source)
+    ? options.sources.filter(s => s !== source)
+    : SOURCE_TYPES.filter(s => s === source || options.sources.includes(s)));
+
+  const fields = [
+    ['lookbackDays', 'Lookback (days)', 'number', { min: 1, max: 1825, placeholder: '365' }],
+    ['maxTweets', 'Max tweets', 'number', { min: 1, max: 5000, placeholder: 'No limit' }],
+    ['since', 'Since', 'date', {}],
+    ['until', 'Until', 'date', {}],
+    ['minTweets', 'Min tweets per source', 'number', { min: 1, max: 2000, placeholder: '50' }],
+    ['timeBudgetSec', 'Time budget (seconds)', 'number', { min: 30, max: 1800, placeholder: '600' }]
+  ];
+
+  return (
+    <details className="advanced-options">
+      <summary>Advanced options</summary>
+      <div className="advanced-grid">
+        <label className="advanced-field">
+          Mode
+          <select value={options.mode} onChange={(e) => set('mode', e.target.value)}>
+            <option value="timeline">Profile timeline</option>
+            <option value="search">Search</option>
+          </select>
+        </label>
+        <label className="advanced-field">
+          Search keywords
+          <input type="text" maxLength={200} placeholder="e.g., climate OR energy" value={options.keywords} onChange={(e) => set('keywords', e.target.value)} />
+        </label>
+        {fields.map(([field, label, type, attrs]) => (
+          <label key={field} className="advanced-field">
+            {label}
+            <input type={type} {...attrs} value={options[field]} onChange={(e) => set(field, e.target.value)} />
+          </label>
+        ))}
+      </div>
+      <div className="advanced-checks">
+        <span className="advanced-checks-label">Sources</span>
+        {SOURCE_TYPES.map(source => (
+          <label key={source}>
+            <input type="checkbox" checked={options.sources.includes(source)} onChange={() => toggleSource(source)} /> {source}
+          </label>
+        ))}
+      </div>
+      <div className="advanced-checks">
+        {[['snapshots', 'Debug snapshots'], ['threads', 'Threads'], ['audience', 'Audience sample'], ['archiveMedia', 'Archive media']].map(([field, label]) => (
+          <label key={field}>
+            <input type="checkbox" checked={options[field]} onChange={(e) => set(field, e.target.checked)} /> {label}
+          </label>
+        ))}
+      </div>
+      <p className="advanced-hint">Values outside the server limits are clamped; the applied settings are shown in the report.</p>
+    </details>
+  );
+}
+
+function ScanSettingsCard({ options, search }) {
+  const day = (iso) => (iso ? iso.slice(0, 10) : '');
+  const range = options.since
+    ? `${day(options.since)} to ${day(options.until) || 'now'}`
+    : `Last ${options.lookbackDays} days${options.until ? ` until ${day(options.until)}` : ''}`;
+
+  return (
+    <div className="report-card glass-card">
+      <h3>⚙️ Scan Settings</h3>
+      <div className="info-grid">
+        <InfoItem label="Mode" value={options.mode === 'search' ? 'Search' : 'Profile timeline'} />
+        {search && <InfoItem label="Search Query" value={search.query} />}
+        <InfoItem label="Window" value={range} />
+        <InfoItem label="Max Tweets" value={options.maxTweets ? String(options.maxTweets) : 'No limit'} />
+        <InfoItem label="Min Tweets" value={String(options.minTweets)} />
+        <InfoItem label="Time Budget" value={`${options.timeBudgetSec}s`} />
+        <InfoItem label="Sources" value={options.sources ? options.sources.join(', ') : 'All'} />
+        <InfoItem label="Snapshots" value={options.snapshots ? 'On' : 'Off'} />
+      </div>
+    </div>
+  );
+}
+
+function AudienceQualityCard({ audience }) {
+  const followers = audience.followers || {};
+  const following = audience.following || {};
+  const overlap = audience.overlap || { mutual: 0, shareOfFollowers: 0 };
+
+  return (
+    <div className="report-card glass-card">
+      <h3>👥 Audience Quality</h3>
+      <div className="info-grid">
+        <InfoItem label="Quality" value={audience.quality} />
+        <InfoItem label="Followers Sampled" value={String(followers.sampled || 0)} />
+        <InfoItem label="Following Sampled" value={String(following.sampled || 0)} />
+        {followers.sampled > 0 && <InfoItem label="Default Avatars" value={`${followers.defaultAvatarShare}%`} />}
+        {followers.sampled > 0 && <InfoItem label="No Bio" value={`${followers.noBioShare}%`} />}
+        {followers.sampled > 0 && <InfoItem label="Name+Digits Handles" value={`${followers.suspiciousHandleShare}%`} />}
+        <InfoItem label="Follow Each Other" value={`${overlap.mutual} (${overlap.shareOfFollowers}% of followers)`} />
+      </div>
+      {audience.flags && audience.flags.length > 0 && (
+        <ul className="flags-list">
+          {audience.flags.map((flag, idx) => (
+            <li key={idx} className="flag-item">{flag}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 function RecentActivityCard({ activity }) {
   return (
     <div className="report-card glass-card">
@@ -572,10 +924,43 @@ function ExperienceCard({ experiences }) {
       {experiences.map((exp, idx) => (
         <div key={idx} className="experience-item">
           <div className="exp-title">{exp.title}</div>
-          <div className="exp-company">{exp.company}</div>
-          <div className="exp-duration">{exp.duration}</div>
+          <div className="exp-company">{[exp.company, exp.employmentType].filter(Boolean).join(' · ')}</div>
+          <div className="exp-duration">
+            {[exp.duration, [exp.location, exp.workplaceType].filter(Boolean).join(' · ')].filter(Boolean).join(' | ')}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function EducationCard({ education = [], certifications = [], languages = [] }) {
+  return (
+    <div className="report-card glass-card">
+      <h3>🎓 Education & Credentials</h3>
+      {education.map((edu, idx) => (
+        <div key={`edu-${idx}`} className="experience-item">
+          <div className="exp-title">{edu.school}</div>
+          <div className="exp-company">{[edu.degree, edu.field].filter(Boolean).join(', ')}</div>
+          <div className="exp-duration">{[edu.startDate, edu.current ? 'present' : edu.endDate].filter(Boolean).join(' - ')}</div>
         </div>
       ))}
+      {certifications.map((cert, idx) => (
+        <div key={`cert-${idx}`} className="experience-item">
+          <div className="exp-title">📜 {cert.name}</div>
+          <div className="exp-company">{cert.issuer}</div>
+          <div className="exp-duration">
+            {[cert.issued ? `Issued ${cert.issued}` : '', cert.expires ? `expires ${cert.expires}` : ''].filter(Boolean).join(', ')}
+          </div>
+        </div>
+      ))}
+      {languages.length > 0 && (
+        <div className="skills-cloud">
+          {languages.map((lang, idx) => (
+            <span key={idx} className="skill-tag">🌐 {lang.proficiency ? `${lang.name} (${lang.proficiency})` : lang.name}</span>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,28 +1,40 @@
 const API_BASE_URL = 'http://localhost:3000';
 
-let selectedPlatform = 'twitter';
+let selectedPlatform = '';
+// Platforms from GET /api/platforms: { id, label, placeholder, iconPath, features }
+let platforms = [];
 let currentPdfUrl = '';
+// Job whose checkpoint can be resumed (a failed run or a partial report)
+let resumableJobId = '';
 
 // DOM Elements
-const platformButtons = document.querySelectorAll('.platform-btn');
+const platformSelector = document.getElementById('platformSelector');
 const profileInput = document.getElementById('profileHandle');
 const analyzeBtn = document.getElementById('analyzeBtn');
 const loadingIndicator = document.getElementById('loadingIndicator');
+const loadingText = document.getElementById('loadingText');
+const loadingSubtext = document.getElementById('loadingSubtext');
+const progressLog = document.getElementById('progressLog');
 const reportSection = document.getElementById('reportSection');
 const reportContent = document.getElementById('reportContent');
 const downloadPdfBtn = document.getElementById('downloadPdf');
+const resumeBtn = document.getElementById('resumeBtn');
+const advancedOptions = document.getElementById('advancedOptions');
+const accountStateCard = document.getElementById('accountState');
+
+// Icon, title and next step for each reason an account cannot be analyzed
+const ACCOUNT_STATES = {
+    not_found: { icon: '🔍', title: 'Account not found', hint: 'Check the handle for typos; the account may have been renamed or deleted.' },
+    suspended: { icon: '⛔', title: 'Account suspended', hint: 'Suspended accounts show no profile or posts.' },
+    protected: { icon: '🔒', title: 'Posts are protected', hint: 'If you are authorized to view this account, add a signed-in cookie jar for the desktop source in config/scraper.json.' },
+    rate_limited: { icon: '🚦', title: 'Rate limited', hint: 'The sources are throttling requests. Wait a few minutes, then resume the scan.' },
+    blocked: { icon: '🚧', title: 'Blocked by LinkedIn', hint: 'Add a signed-in cookie jar for linkedin in config/scraper.json, or import the profile\'s LinkedIn data export.' },
+    error: { icon: '⚠️', title: 'Scrape failed', hint: 'The page did not load as expected. Try again later; no report or score was produced.' }
+};
 
 // Event Listeners
-platformButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-        platformButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        selectedPlatform = btn.dataset.platform;
-        updatePlaceholder();
-    });
-});
-
 analyzeBtn.addEventListener('click', analyzeProfile);
+resumeBtn.addEventListener('click', resumeAnalysis);
 
 profileInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -37,12 +49,65 @@ downloadPdfBtn.addEventListener('click', () => {
 });
 
 // Functions
-function updatePlaceholder() {
-    if (selectedPlatform === 'twitter') {
-        profileInput.placeholder = 'e.g., @elonmusk or elonmusk';
-    } else {
-        profileInput.placeholder = 'e.g., linkedin.com/in/username or username';
+async function loadPlatforms() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/platforms`);
+        const data = await response.json();
+        platforms = data.platforms || [];
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('Could not load the platform list. Is the server running?', 'error');
+        return;
     }
+
+    platformSelector.innerHTML = '';
+    platforms.forEach(platform => {
+        const btn = document.createElement('button');
+        btn.className = 'platform-btn';
+        btn.dataset.platform = platform.id;
+        btn.appendChild(platformIcon(platform.iconPath));
+        btn.appendChild(document.createTextNode(platform.label));
+        btn.addEventListener('click', () => selectPlatform(platform.id));
+        platformSelector.appendChild(btn);
+    });
+    if (platforms.length > 0) selectPlatform(platforms[0].id);
+}
+
+function platformIcon(pathData) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', '0 0 24 24');
+    svg.setAttribute('width', '24');
+    svg.setAttribute('height', '24');
+    const path = document.createElementNS(ns, 'path');
+    path.setAttribute('fill', 'currentColor');
+    path.setAttribute('d', pathData || '');
+    svg.appendChild(path);
+    return svg;
+}
+
+function currentPlatform() {
+    return platforms.find(p => p.id === selectedPlatform) || null;
+}
+
+function hasFeature(feature) {
+    const platform = currentPlatform();
+    return !!platform && platform.features.includes(feature);
+}
+
+function selectPlatform(id) {
+    selectedPlatform = id;
+    platformSelector.querySelectorAll('.platform-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.platform === id);
+    });
+    updatePlaceholder();
+    // Scrape options only apply to platforms that take them
+    advancedOptions.classList.toggle('hidden', !hasFeature('scrapeOptions'));
+}
+
+function updatePlaceholder() {
+    const platform = currentPlatform();
+    profileInput.placeholder = platform ? platform.placeholder : '';
 }
 
 async function analyzeProfile() {
@@ -52,48 +117,203 @@ async function analyzeProfile() {
         showNotification('Please enter a profile handle or URL', 'error');
         return;
     }
+    if (!selectedPlatform) {
+        showNotification('Please choose a platform', 'error');
+        return;
+    }
 
+    await runJob(() => fetch(`${API_BASE_URL}/api/jobs`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(Object.assign({
+            handle: handle,
+            platform: selectedPlatform
+        }, hasFeature('scrapeOptions') ? readAdvancedOptions() : {}))
+    }));
+}
+
+// Request fields from the advanced options panel; empty inputs use the server defaults
+function readAdvancedOptions() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const number = (id) => value(id) === '' ? undefined : Number(value(id));
+    const checked = (id) => document.getElementById(id).checked;
+    const sources = Array.from(document.querySelectorAll('.opt-source'))
+        .filter(input => input.checked)
+        .map(input => input.value);
+
+    return {
+        threads: checked('optThreads'),
+        audience: checked('optAudience'),
+        archiveMedia: checked('optArchiveMedia'),
+        scrapeOptions: {
+            lookbackDays: number('optLookbackDays'),
+            since: value('optSince') || undefined,
+            until: value('optUntil') || undefined,
+            minTweets: number('optMinTweets'),
+            maxTweets: number('optMaxTweets'),
+            timeBudgetSec: number('optTimeBudget'),
+            sources: sources.length > 0 ? sources : undefined,
+            snapshots: checked('optSnapshots'),
+            mode: value('optMode'),
+            keywords: value('optMode') === 'search' ? value('optKeywords') || undefined : undefined
+        }
+    };
+}
+
+// Continue the last failed or partial job from its checkpoint
+function resumeAnalysis() {
+    if (!resumableJobId) return;
+    return runJob(() => fetch(`${API_BASE_URL}/api/jobs/${resumableJobId}/resume`, { method: 'POST' }));
+}
+
+// Start a job with `startJob()` and show its report once it finishes
+async function runJob(startJob) {
     // Show loading
     analyzeBtn.disabled = true;
+    resumeBtn.classList.add('hidden');
     loadingIndicator.classList.remove('hidden');
     reportSection.classList.add('hidden');
+    accountStateCard.classList.add('hidden');
+    resetProgress();
 
+    let jobId = '';
     try {
-        const response = await fetch(`${API_BASE_URL}/api/analyze`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                handle: handle,
-                platform: selectedPlatform
-            })
-        });
+        const response = await startJob();
 
-        const data = await response.json();
+        const job = await response.json();
+        if (!response.ok) {
+            throw new Error(job.message || 'Failed to start analysis');
+        }
+        jobId = job.jobId;
+
+        const data = await waitForJob(jobId);
 
-        if (response.ok && data.success) {
+        if (data.success) {
             displayReport(data.report);
             currentPdfUrl = data.pdfUrl;
-            showNotification('Report generated successfully!', 'success');
+            // Only Twitter scans leave a checkpoint to resume from
+            resumableJobId = data.report.partial && data.report.checkpointId ? jobId : '';
+            if (resumableJobId) {
+                showNotification('Partial report: the scan stopped early. You can resume it.', 'error');
+            } else if (data.report.partial) {
+                showNotification(`Partial report: ${data.report.partialReason || 'part of the profile could not be read'}`, 'error');
+            } else {
+                showNotification('Report generated successfully!', 'success');
+            }
+        } else if (ACCOUNT_STATES[data.accountState]) {
+            // A rate-limited scan keeps its checkpoint and can be retried later
+            resumableJobId = data.checkpointId ? jobId : '';
+            showAccountState(data);
+            showNotification(data.message, 'error');
         } else {
+            resumableJobId = '';
             throw new Error(data.message || 'Failed to analyze profile');
         }
 
     } catch (error) {
         console.error('Error:', error);
+        resumableJobId = error.checkpointId ? jobId : '';
         showNotification(error.message || 'Failed to analyze profile. Please try again.', 'error');
     } finally {
         analyzeBtn.disabled = false;
+        resumeBtn.classList.toggle('hidden', !resumableJobId);
         loadingIndicator.classList.add('hidden');
     }
 }
 
+// Follow a job's progress stream until it finishes, then fetch its result
+function waitForJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`);
+
+        source.addEventListener('phase', (e) => {
+            const event = JSON.parse(e.data);
+            loadingText.textContent = event.message || 'Analyzing profile...';
+            appendProgress(event.message);
+        });
+
+        source.addEventListener('scroll', (e) => {
+            const event = JSON.parse(e.data);
+            loadingSubtext.textContent = `${event.source}: scroll ${event.scroll} - ${event.tweets} tweets collected`;
+        });
+
+        source.addEventListener('status', async (e) => {
+            const event = JSON.parse(e.data);
+            if (event.status !== 'completed' && event.status !== 'failed') return;
+            source.close();
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}`);
+                const job = await response.json();
+                if (job.status === 'completed') return resolve(job.result);
+                const failure = new Error(job.error || 'Analysis failed');
+                failure.checkpointId = job.checkpointId || '';
+                reject(failure);
+            } catch (err) {
+                reject(err);
+            }
+        });
+
+        source.onerror = () => {
+            // EventSource reconnects on its own while the job is still running
+            if (source.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost connection to the analysis job'));
+            }
+        };
+    });
+}
+
+function resetProgress() {
+    loadingText.textContent = 'Starting analysis...';
+    loadingSubtext.textContent = '';
+    progressLog.innerHTML = '';
+}
+
+function appendProgress(message) {
+    if (!message) return;
+    const li = document.createElement('li');
+    li.textContent = `${new Date().toLocaleTimeString()} - ${message}`;
+    progressLog.appendChild(li);
+}
+
+// Card explaining why the account could not be analyzed
+function showAccountState(result) {
+    const state = ACCOUNT_STATES[result.accountState];
+    accountStateCard.innerHTML = '';
+    accountStateCard.className = `account-state-card glass-card state-${result.accountState}`;
+
+    const icon = document.createElement('div');
+    icon.className = 'account-state-icon';
+    icon.textContent = state.icon;
+    const title = document.createElement('h3');
+    title.textContent = state.title;
+    const message = document.createElement('p');
+    message.textContent = result.message;
+    const hint = document.createElement('p');
+    hint.className = 'account-state-hint';
+    hint.textContent = state.hint;
+
+    [icon, title, message, hint].forEach(el => accountStateCard.appendChild(el));
+}
+
 function displayReport(report) {
     reportContent.innerHTML = '';
 
+    // Partial dataset notice
+    if (report.partial) {
+        const tweetsAnalyzed = (report.statistics && report.statistics.tweetsAnalyzed) || 0;
+        reportContent.appendChild(createListCard('⚠️ Partial Dataset', report.checkpointId ? [
+            `${report.partialReason || 'The scan did not finish'} - only ${tweetsAnalyzed} tweets were collected.`,
+            'Use "Resume Interrupted Scan" to continue where it stopped.'
+        ] : [
+            report.partialReason || 'Part of the profile could not be read.',
+            'The figures below cover only the sections that were read.'
+        ], 'insight-list'));
+    }
+
     // Profile Section
-    const profileCard = createReportCard('Profile Information', report.profile);
+    const profileCard = createProfileCard(report.profile || {});
     reportContent.appendChild(profileCard);
 
     // Statistics Section
@@ -110,12 +330,27 @@ function displayReport(report) {
         reportContent.appendChild(activityCard);
     }
 
+    // Audience Quality (Twitter, when followers were sampled)
+    if (report.audienceQuality) {
+        reportContent.appendChild(createAudienceCard(report.audienceQuality));
+    }
+
+    // Scrape options applied by the server (Twitter only)
+    if (report.scrapeOptions) {
+        reportContent.appendChild(createScanSettingsCard(report.scrapeOptions, report.search));
+    }
+
     // Experience (LinkedIn only)
     if (report.experience) {
         const experienceCard = createExperienceCard(report.experience);
         reportContent.appendChild(experienceCard);
     }
 
+    // Education, certifications and languages (LinkedIn only)
+    if ([report.education, report.certifications, report.languages].some(list => list && list.length > 0)) {
+        reportContent.appendChild(createEducationCard(report));
+    }
+
     // Skills (LinkedIn only)
     if (report.skills && report.skills.length > 0) {
         const skillsCard = createSkillsCard(report.skills);
@@ -157,6 +392,63 @@ function createReportCard(title, data) {
     return card;
 }
 
+// Profile header: banner, the plain fields, then affiliation and pinned tweet
+function createProfileCard(profile) {
+    const card = createReportCard('Profile Information', {});
+    const grid = card.querySelector('.info-grid');
+
+    if (profile.bannerImage) {
+        const banner = document.createElement('img');
+        banner.src = profile.bannerImage;
+        banner.alt = 'Profile banner';
+        banner.style.width = '100%';
+        banner.style.maxHeight = '180px';
+        banner.style.objectFit = 'cover';
+        banner.style.borderRadius = '12px';
+        banner.style.marginBottom = '1rem';
+        card.insertBefore(banner, grid);
+    }
+
+    // Image paths, ISO duplicates and empty counters are not worth a grid cell
+    const hidden = ['bannerImage', 'avatarPath', 'joinedAt'];
+    Object.entries(profile).forEach(([key, value]) => {
+        if (hidden.includes(key) || typeof value === 'object' || value === '' || value === 0) return;
+        const shown = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value;
+        grid.appendChild(createInfoItem(formatKey(key), shown));
+    });
+
+    if (profile.affiliation) {
+        const affiliation = [profile.affiliation.name, profile.affiliation.handle].filter(Boolean).join(' ');
+        grid.appendChild(createInfoItem('Affiliation', affiliation));
+    }
+
+    if (profile.pinnedTweet && profile.pinnedTweet.text) {
+        const pinned = document.createElement('div');
+        pinned.className = 'info-item';
+        pinned.style.marginTop = '1rem';
+
+        const label = document.createElement('div');
+        label.className = 'info-label';
+        label.textContent = '📌 Pinned';
+
+        const text = document.createElement('p');
+        text.textContent = profile.pinnedTweet.text;
+
+        pinned.appendChild(label);
+        pinned.appendChild(text);
+        if (profile.pinnedTweet.time) {
+            const meta = document.createElement('p');
+            meta.style.fontSize = '0.85rem';
+            meta.style.opacity = '0.7';
+            meta.textContent = `Posted: ${new Date(profile.pinnedTweet.time).toLocaleDateString()}`;
+            pinned.appendChild(meta);
+        }
+        card.appendChild(pinned);
+    }
+
+    return card;
+}
+
 function createInfoItem(label, value) {
     const item = document.createElement('div');
     item.className = 'info-item';
@@ -211,6 +503,57 @@ function createActivityCard(activity) {
     return card;
 }
 
+// Date window, limits and sources the scan actually ran with (after clamping), and the
+// query of a search-mode scan
+function createScanSettingsCard(options, search) {
+    const day = (iso) => iso ? iso.slice(0, 10) : '';
+    const card = createReportCard('Scan Settings', {
+        mode: options.mode === 'search' ? 'Search' : 'Profile timeline',
+        window: options.since ? `${day(options.since)} to ${day(options.until) || 'now'}` : `Last ${options.lookbackDays} days${options.until ? ` until ${day(options.until)}` : ''}`,
+        maxTweets: options.maxTweets || 'No limit',
+        minTweets: options.minTweets,
+        timeBudget: `${options.timeBudgetSec}s`,
+        sources: options.sources ? options.sources.join(', ') : 'All',
+        snapshots: options.snapshots ? 'On' : 'Off'
+    });
+    if (search) {
+        card.querySelector('.info-grid').appendChild(createInfoItem('Search Query', search.query));
+    }
+    return card;
+}
+
+// Shares of the follower / following samples, their overlap and any quality flags
+function createAudienceCard(audience) {
+    const card = createReportCard('Audience Quality', { quality: audience.quality || 'Unknown' });
+    const grid = card.querySelector('.info-grid');
+    const followers = audience.followers || {};
+    const following = audience.following || {};
+
+    grid.appendChild(createInfoItem('Followers Sampled', String(followers.sampled || 0)));
+    grid.appendChild(createInfoItem('Following Sampled', String(following.sampled || 0)));
+    if (followers.sampled) {
+        grid.appendChild(createInfoItem('Default Avatars', `${followers.defaultAvatarShare}%`));
+        grid.appendChild(createInfoItem('No Bio', `${followers.noBioShare}%`));
+        grid.appendChild(createInfoItem('Name+Digits Handles', `${followers.suspiciousHandleShare}%`));
+    }
+    if (audience.overlap) {
+        grid.appendChild(createInfoItem('Follow Each Other', `${audience.overlap.mutual} (${audience.overlap.shareOfFollowers}% of followers)`));
+    }
+
+    if (audience.flags && audience.flags.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'insight-list';
+        audience.flags.forEach(flag => {
+            const li = document.createElement('li');
+            li.textContent = `⚠️ ${flag}`;
+            list.appendChild(li);
+        });
+        card.appendChild(list);
+    }
+
+    return card;
+}
+
 function createExperienceCard(experiences) {
     const card = document.createElement('div');
     card.className = 'report-card glass-card';
@@ -232,13 +575,13 @@ function createExperienceCard(experiences) {
         const company = document.createElement('div');
         company.style.color = 'var(--accent)';
         company.style.marginTop = '0.3rem';
-        company.textContent = exp.company;
+        company.textContent = [exp.company, exp.employmentType].filter(Boolean).join(' · ');
 
         const duration = document.createElement('div');
         duration.style.fontSize = '0.9rem';
         duration.style.opacity = '0.7';
         duration.style.marginTop = '0.3rem';
-        duration.textContent = exp.duration;
+        duration.textContent = [exp.duration, [exp.location, exp.workplaceType].filter(Boolean).join(' · ')].filter(Boolean).join(' | ');
 
         expDiv.appendChild(title);
         expDiv.appendChild(company);
@@ -249,6 +592,58 @@ function createExperienceCard(experiences) {
     return card;
 }
 
+// Education, certifications and languages (LinkedIn only)
+function createEducationCard(report) {
+    const card = document.createElement('div');
+    card.className = 'report-card glass-card';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Education & Credentials';
+    card.appendChild(heading);
+
+    const addEntry = (main, detail, meta) => {
+        const entry = document.createElement('div');
+        entry.className = 'info-item';
+        entry.style.marginBottom = '1rem';
+
+        const title = document.createElement('div');
+        title.style.fontWeight = '600';
+        title.textContent = main;
+        entry.appendChild(title);
+
+        if (detail) {
+            const sub = document.createElement('div');
+            sub.style.color = 'var(--accent)';
+            sub.style.marginTop = '0.3rem';
+            sub.textContent = detail;
+            entry.appendChild(sub);
+        }
+        if (meta) {
+            const small = document.createElement('div');
+            small.style.fontSize = '0.9rem';
+            small.style.opacity = '0.7';
+            small.style.marginTop = '0.3rem';
+            small.textContent = meta;
+            entry.appendChild(small);
+        }
+        card.appendChild(entry);
+    };
+
+    (report.education || []).forEach(edu => {
+        const years = [edu.startDate, edu.current ? 'present' : edu.endDate].filter(Boolean).join(' - ');
+        addEntry(`🎓 ${edu.school}`, [edu.degree, edu.field].filter(Boolean).join(', '), years);
+    });
+    (report.certifications || []).forEach(cert => {
+        const dates = [cert.issued ? `Issued ${cert.issued}` : '', cert.expires ? `expires ${cert.expires}` : ''].filter(Boolean).join(', ');
+        addEntry(`📜 ${cert.name}`, cert.issuer, dates);
+    });
+    if (report.languages && report.languages.length > 0) {
+        addEntry('🌐 Languages', report.languages.map(l => l.proficiency ? `${l.name} (${l.proficiency})` : l.name).join(', '));
+    }
+
+    return card;
+}
+
 function createSkillsCard(skills) {
     const card = document.createElement('div');
     card.className = 'report-card glass-card';
@@ -334,5 +729,5 @@ function showNotification(message, type = 'info') {
 }
 
 // Initialize
-updatePlaceholder();
+loadPlatforms();
 console.log('🚀 Kosh Profile Tracker initialized');
\ No newline at end of file